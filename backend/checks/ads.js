@@ -0,0 +1,16 @@
+/**
+ * Ad Analysis Check (Phase 3)
+ */
+
+const adAnalyzer = require('../controllers/adAnalyzer');
+
+module.exports = {
+    name: 'ads',
+    displayName: 'Ad Analysis',
+    phase: 3,
+    order: 40,
+    timeout: 60000,
+    rejectionCode: '298',
+    usesSnapshot: true,
+    run: (url, context) => adAnalyzer.analyzeUrl(url, context.snapshot)
+};
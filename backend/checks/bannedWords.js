@@ -0,0 +1,20 @@
+/**
+ * Banned Words Check (Phase 0)
+ * Fails immediately when the URL contains a banned word or uses a banned TLD
+ */
+
+const { checkBannedWords } = require('../controllers/bannedWordsChecker');
+
+module.exports = {
+    name: 'bannedWords',
+    displayName: 'Banned Words',
+    phase: 0,
+    order: 10,
+    timeout: 5000,
+    shortCircuit: true,
+    rejectionCode: '261',
+    run: async (url) => (await checkBannedWords(url)) || {
+        status: 'pass',
+        reason: 'No banned words detected'
+    }
+};
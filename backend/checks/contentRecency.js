@@ -0,0 +1,27 @@
+/**
+ * Content Recency Check (Phase 2)
+ * Runs on its own before the heavier content checks
+ */
+
+const contentRecencyChecker = require('../controllers/contentRecencyChecker');
+const { resolveRecencyThresholds } = require('../utils/auditProfiles');
+
+const TIMEOUT = 30000;
+
+// Time kept back from the timeout to evaluate the dates found so far
+const EVALUATION_MARGIN = 3000;
+
+module.exports = {
+    name: 'contentRecency',
+    displayName: 'Content Recency',
+    phase: 2,
+    order: 10,
+    timeout: TIMEOUT,
+    rejectionCode: '284',
+    usesSnapshot: true,
+    // Thresholds come from the audit profile and the request's overrides; sources
+    // not read before the deadline are skipped rather than timing out the check
+    run: (url, context) => contentRecencyChecker.checkRecency(url, context.snapshot, resolveRecencyThresholds(context.options), {
+        deadline: Date.now() + TIMEOUT - EVALUATION_MARGIN
+    })
+};
@@ -0,0 +1,16 @@
+/**
+ * Hate Speech Check (Phase 3)
+ */
+
+const hateSpeechChecker = require('../controllers/hateSpeechChecker');
+
+module.exports = {
+    name: 'hateSpeech',
+    displayName: 'Hate Speech',
+    phase: 3,
+    order: 10,
+    timeout: 60000,
+    rejectionCode: '272',
+    usesSnapshot: true,
+    run: (url, context) => hateSpeechChecker.checkContent(url, context.snapshot)
+};
@@ -0,0 +1,16 @@
+/**
+ * Image Analysis Check (Phase 3)
+ */
+
+const imageAnalyzer = require('../controllers/imageAnalyzer');
+
+module.exports = {
+    name: 'images',
+    displayName: 'Image Analysis',
+    phase: 3,
+    order: 30,
+    timeout: 90000,
+    rejectionCode: '272',
+    usesSnapshot: true,
+    run: (url, context) => imageAnalyzer.analyzeUrl(url, context.snapshot)
+};
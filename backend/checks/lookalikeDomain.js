@@ -0,0 +1,17 @@
+/**
+ * Lookalike Domain Check (Phase 0)
+ * Sends domains that imitate a protected brand domain, or mix scripts in one
+ * label, for review
+ */
+
+const { checkLookalikeDomain } = require('../controllers/lookalikeDomainChecker');
+
+module.exports = {
+    name: 'lookalikeDomain',
+    displayName: 'Lookalike Domain',
+    phase: 0,
+    order: 20,
+    timeout: 5000,
+    shortCircuit: false,
+    run: (url) => checkLookalikeDomain(url)
+};
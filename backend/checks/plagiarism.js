@@ -0,0 +1,16 @@
+/**
+ * Plagiarism Check (Phase 3)
+ */
+
+const plagiarismChecker = require('../controllers/plagiarismChecker');
+
+module.exports = {
+    name: 'plagiarism',
+    displayName: 'Plagiarism',
+    phase: 3,
+    order: 20,
+    timeout: 60000,
+    rejectionCode: '64',
+    usesSnapshot: true,
+    run: (url, context) => plagiarismChecker.checkContent(url, context.snapshot)
+};
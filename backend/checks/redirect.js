@@ -0,0 +1,19 @@
+/**
+ * Redirect Check (Phase 1)
+ * Fails immediately when the URL's redirect chain lands on an external domain
+ */
+
+const { checkRedirect } = require('../controllers/redirectChecker');
+
+module.exports = {
+    name: 'redirect',
+    displayName: 'Redirect',
+    phase: 1,
+    order: 10,
+    timeout: 30000,
+    shortCircuit: true,
+    // A browser snapshot shows where client-side redirects lead
+    usesSnapshot: true,
+    rejectionCode: '277',
+    run: (url, context) => checkRedirect(url, context.snapshot)
+};
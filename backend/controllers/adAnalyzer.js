@@ -1,6 +1,5 @@
-const puppeteer = require('puppeteer-core');
 const { logMessage } = require('../utils/logger');
-const { getPuppeteerLaunchOptions } = require('../utils/puppeteerConfig');
+const browserPool = require('../utils/browserPool');
 
 class AdAnalyzer {
     constructor() {
@@ -123,77 +122,72 @@ class AdAnalyzer {
             'div[class*="story"]',
             'div[class*="post"]'
         ];
+        
+        browserPool.registerExtractor('ads', page => this.extractAdData(page));
     }
 
-    async analyzeUrl(url) {
-        let browser = null;
+    /**
+     * Analyze the ads on a page
+     * @param {string} url - The URL to analyze
+     * @param {Object} [snapshot] - Captured page; used when it was rendered with the "ads" extractor
+     * @returns {Promise<Object>} - Analysis results
+     */
+    async analyzeUrl(url, snapshot = null) {
         try {
             logMessage(`[AdAnalyzer] ========== Starting ad analysis for ${url} ==========`);
             
-            // Get Puppeteer launch options
-            const launchOptions = getPuppeteerLaunchOptions();
+            // The shared render runs the "ads" extractor and records every network request;
+            // a static snapshot has neither, so the page is rendered here instead
+            const rendered = snapshot && snapshot.extracted && snapshot.extracted.ads
+                ? snapshot
+                : await browserPool.renderPage(url);
+            const adData = rendered.extracted.ads;
             
-            // Check if Chrome executable was found
-            if (!launchOptions._chromeExists) {
-                logMessage('[AdAnalyzer] Chrome executable not found, cannot launch browser', 'error');
-                return {
-                    status: 'error',
-                    reason: 'Chrome not found',
-                    details: 'Chrome executable not found on server. Please contact support.'
-                };
+            if (!adData || adData.error) {
+                throw new Error(adData ? adData.error : 'Ad extractor did not run');
             }
             
-            // Launch browser
-            browser = await puppeteer.launch(launchOptions);
-
-            const page = await browser.newPage();
-            
-            // Track all network requests
-            const requests = [];
-            page.on('request', request => {
-                requests.push({
-                    url: request.url(),
-                    resourceType: request.resourceType()
-                });
-            });
-
-            // Navigate to the page and wait for network to be idle
-            await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-            
-            // Wait a bit longer for delayed ad requests
-            logMessage(`[AdAnalyzer] Waiting for delayed ad requests...`);
-            await this.delay(5000);
-            
-            // Scroll down to trigger lazy-loaded ads
-            logMessage(`[AdAnalyzer] Scrolling to trigger lazy-loaded ads...`);
-            await this.autoScroll(page);
-            
-            // Wait again for any new requests triggered by scrolling
-            await this.delay(3000);
-            
-            // Extract all images with their attributes and context
-            const imageData = await this.extractImageData(page);
-            
-            // Find ad elements in the page
-            const adElements = await this.findAdElements(page);
-            
-            await browser.close();
-            
             // Analyze the collected data
-            return this.analyzeAdData(requests, imageData, adElements, url);
+            return this.analyzeAdData(rendered.requests, adData.imageData, adData.adElements, url);
             
         } catch (error) {
             logMessage(`[AdAnalyzer] ERROR: ${error.message}`);
             logMessage(`[AdAnalyzer] Error stack: ${error.stack}`);
-            if (browser) await browser.close();
             return {
                 status: "error",
-                reason: "Ad analysis failed",
+                reason: error.code === 'CHROME_NOT_FOUND' ? "Chrome not found" : "Ad analysis failed",
                 details: error.message
             };
         }
     }
     
+    /**
+     * Collect ad data from a rendered page; registered with the browser pool
+     * so it runs once per URL while the page is open
+     * @param {Object} page - Puppeteer page
+     * @returns {Promise<Object>} - { imageData, adElements }
+     */
+    async extractAdData(page) {
+        // Wait a bit longer for delayed ad requests
+        logMessage(`[AdAnalyzer] Waiting for delayed ad requests...`);
+        await this.delay(5000);
+        
+        // Scroll down to trigger lazy-loaded ads
+        logMessage(`[AdAnalyzer] Scrolling to trigger lazy-loaded ads...`);
+        await this.autoScroll(page);
+        
+        // Wait again for any new requests triggered by scrolling
+        await this.delay(3000);
+        
+        // Extract all images with their attributes and context
+        const imageData = await this.extractImageData(page);
+        
+        // Find ad elements in the page
+        const adElements = await this.findAdElements(page);
+        
+        return { imageData, adElements };
+    }
+    
     // Simple delay function
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
@@ -567,10 +561,6 @@ class AdAnalyzer {
             message: "Insufficient premium ad partners"
         };
     }
-
-    async launchBrowser() {
-        return await puppeteer.launch(getPuppeteerLaunchOptions());
-    }
 }
 
 module.exports = new AdAnalyzer();
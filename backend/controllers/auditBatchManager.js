@@ -0,0 +1,637 @@
+/**
+ * Audit Batch Manager
+ * Audits lists of sites by submitting each URL as an audit job. A batch limits
+ * how many of its sites are audited at once, and audits of the same domain are
+ * never run side by side and are spaced out by a politeness delay.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logMessage } = require('../utils/logger');
+const auditJobManager = require('./auditJobManager');
+const sqlGenerator = require('./sqlGenerator');
+const db = require('../db/database');
+const { getSiteDomain } = require('../utils/domainUtils');
+
+const BATCH_STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed'
+};
+
+const ITEM_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Upper bound for the per-request concurrency override
+const MAX_BATCH_CONCURRENCY = 20;
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - The setting
+ */
+function readIntSetting(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - The cell value
+ * @returns {string} - Quoted cell
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+class AuditBatchManager extends EventEmitter {
+    constructor() {
+        super();
+
+        // Sites of one batch audited at the same time (default: 2); audits run as
+        // jobs, so more than AUDIT_JOB_CONCURRENCY would only wait in the job queue
+        this.concurrency = readIntSetting('AUDIT_BATCH_CONCURRENCY', 2) || 1;
+        if (this.concurrency > this.getMaxConcurrency()) {
+            logMessage(`[AuditBatchManager] AUDIT_BATCH_CONCURRENCY ${this.concurrency} is above the ${this.getMaxConcurrency()} audits the server runs at once, using ${this.getMaxConcurrency()}`, 'warn');
+            this.concurrency = this.getMaxConcurrency();
+        }
+
+        // Minimum time between two audits of the same domain (default: 5 seconds)
+        this.domainDelay = readIntSetting('AUDIT_BATCH_DOMAIN_DELAY', 5000);
+
+        // Largest accepted site list (default: 1000)
+        this.maxUrls = readIntSetting('AUDIT_BATCH_MAX_URLS', 1000);
+
+        // How long completed batches stay in memory; after that they are read from the database (default: 10 minutes)
+        this.finishedBatchTtl = readIntSetting('AUDIT_BATCH_TTL', 10 * 60 * 1000);
+
+        this.batches = new Map();
+
+        // Per-domain politeness state shared by all batches: { active, lastStartedAt },
+        // where lastStartedAt is when the last audit of the domain left the job queue
+        this.domains = new Map();
+
+        // Wake-up timers for batches waiting on the politeness delay
+        this.timers = new Map();
+
+        // Writes are chained per batch so an older snapshot never overwrites a newer one
+        this.pendingSaves = new Map();
+
+        logMessage(`[AuditBatchManager] Initialized with concurrency: ${this.concurrency}, domain delay: ${this.domainDelay}ms`);
+    }
+
+    /**
+     * Create a batch for a list of URLs and start auditing it
+     * @param {string[]} urls - Normalized URLs to audit
+     * @param {Object} [settings] - Batch settings
+     * @param {number} [settings.concurrency] - Sites audited at the same time
+     * @param {number} [settings.domainDelay] - Milliseconds between audits of the same domain
+     * @param {Object[]} [settings.invalid] - Rejected list entries ({ input, reason }) kept for the summary
+     * @param {Object} [settings.options] - Audit options passed to every job
+     * @returns {Promise<Object>} - The created batch
+     */
+    async createBatch(urls, settings = {}) {
+        if (!Array.isArray(urls) || urls.length === 0) {
+            throw new Error('A batch needs at least one valid URL');
+        }
+
+        if (urls.length > this.maxUrls) {
+            throw new Error(`A batch may contain at most ${this.maxUrls} URLs`);
+        }
+
+        const concurrency = settings.concurrency ?
+            Math.max(parseInt(settings.concurrency) || 1, 1) :
+            this.concurrency;
+        if (concurrency > this.getMaxConcurrency()) {
+            throw new Error(`concurrency may be at most ${this.getMaxConcurrency()}, the number of audits the server runs at once`);
+        }
+        const domainDelay = settings.domainDelay !== undefined ?
+            Math.max(parseInt(settings.domainDelay) || 0, 0) :
+            this.domainDelay;
+
+        const batch = {
+            id: crypto.randomUUID(),
+            status: BATCH_STATUS.RUNNING,
+            concurrency,
+            domainDelay,
+            options: settings.options || {},
+            items: urls.map(url => ({
+                url,
+                domain: this.getDomain(url),
+                status: ITEM_STATUS.QUEUED,
+                jobId: null,
+                auditStatus: null,
+                rejectionCode: null,
+                reason: null,
+                startedAt: null,
+                finishedAt: null
+            })),
+            invalid: settings.invalid || [],
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+
+        this.evictFinishedBatches();
+        this.batches.set(batch.id, batch);
+        await this.saveBatch(batch);
+
+        logMessage(`[AuditBatchManager] Created batch ${batch.id} with ${batch.items.length} URLs (concurrency: ${concurrency}, domain delay: ${domainDelay}ms)`);
+        this.processBatch(batch);
+
+        return batch;
+    }
+
+    /**
+     * Highest batch concurrency: the audits the job manager runs at once, at most MAX_BATCH_CONCURRENCY
+     * @returns {number} - Concurrency limit
+     */
+    getMaxConcurrency() {
+        return Math.min(auditJobManager.concurrency, MAX_BATCH_CONCURRENCY);
+    }
+
+    /**
+     * Drop batches that completed more than finishedBatchTtl ago from memory, and the
+     * politeness state of domains idle for as long; getBatch still finds the batches in the database
+     * @param {number} [now] - Current time in ms
+     * @returns {number} - Number of evicted batches
+     */
+    evictFinishedBatches(now = Date.now()) {
+        let evicted = 0;
+        this.batches.forEach((batch, id) => {
+            if (batch.finishedAt && now - new Date(batch.finishedAt).getTime() >= this.finishedBatchTtl) {
+                this.batches.delete(id);
+                evicted++;
+            }
+        });
+        this.domains.forEach((state, domain) => {
+            if (state.active === 0 && now - state.lastStartedAt >= this.finishedBatchTtl) {
+                this.domains.delete(domain);
+            }
+        });
+
+        if (evicted > 0) {
+            logMessage(`[AuditBatchManager] Evicted ${evicted} completed batches from memory`);
+        }
+        return evicted;
+    }
+
+    /**
+     * Get a batch by ID, from memory or from the database
+     * @param {string} id - The batch ID
+     * @returns {Promise<Object|null>} - The batch, or null if not found
+     */
+    async getBatch(id) {
+        if (this.batches.has(id)) {
+            return this.batches.get(id);
+        }
+
+        try {
+            const result = await db.query('SELECT * FROM audit_batches WHERE id = $1', [id]);
+            return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+        } catch (error) {
+            logMessage(`[AuditBatchManager] Error loading batch ${id}: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Domain used for politeness; all hosts of a registrable domain
+     * (www.example.co.uk, shop.example.co.uk) count as the same site
+     * @param {string} url - The URL
+     * @returns {string} - Domain key
+     */
+    getDomain(url) {
+        return getSiteDomain(new URL(url).hostname);
+    }
+
+    /**
+     * Milliseconds until a domain may be audited again
+     * @param {string} domain - Domain key
+     * @param {number} delay - Politeness delay of the batch
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} - 0 when free, Infinity while an audit of the domain is running
+     */
+    getDomainWait(domain, delay, now) {
+        const state = this.domains.get(domain);
+        if (!state) return 0;
+        if (state.active > 0) return Infinity;
+
+        return Math.max(state.lastStartedAt + delay - now, 0);
+    }
+
+    /**
+     * Start queued items of a batch while below its concurrency limit
+     * @param {Object} batch - The batch
+     */
+    processBatch(batch) {
+        if (batch.status !== BATCH_STATUS.RUNNING) return;
+
+        const now = Date.now();
+        let running = batch.items.filter(item => item.status === ITEM_STATUS.RUNNING).length;
+        let nextWake = null;
+
+        for (const item of batch.items) {
+            if (running >= batch.concurrency) break;
+            if (item.status !== ITEM_STATUS.QUEUED) continue;
+
+            const wait = this.getDomainWait(item.domain, batch.domainDelay, now);
+            if (wait === 0) {
+                this.startItem(batch, item);
+                running++;
+            } else if (wait !== Infinity) {
+                nextWake = nextWake === null ? wait : Math.min(nextWake, wait);
+            }
+        }
+
+        const unfinished = batch.items.some(item =>
+            item.status === ITEM_STATUS.QUEUED || item.status === ITEM_STATUS.RUNNING
+        );
+
+        if (!unfinished) {
+            this.finishBatch(batch);
+        } else if (nextWake !== null && !this.timers.has(batch.id)) {
+            this.timers.set(batch.id, setTimeout(() => {
+                this.timers.delete(batch.id);
+                this.processBatch(batch);
+            }, nextWake));
+        }
+    }
+
+    /**
+     * Re-check every running batch, e.g. after a domain became free
+     */
+    processRunningBatches() {
+        for (const batch of this.batches.values()) {
+            this.processBatch(batch);
+        }
+    }
+
+    /**
+     * Mark a domain as being audited; its delay counts from when the audit
+     * starts, see trackJobStart
+     * @param {string} domain - Domain key
+     */
+    claimDomain(domain) {
+        const state = this.domains.get(domain) || { active: 0, lastStartedAt: 0 };
+        state.active++;
+        state.lastStartedAt = Date.now();
+        this.domains.set(domain, state);
+    }
+
+    /**
+     * Record when an item's audit leaves the job queue, which may be long after
+     * the job was created; the politeness delay of its domain counts from then
+     * @param {Object} item - The batch item
+     * @param {Object} job - The item's audit job
+     */
+    trackJobStart(item, job) {
+        const record = startedAt => {
+            item.startedAt = startedAt;
+            const state = this.domains.get(item.domain);
+            if (state) {
+                state.lastStartedAt = Math.max(state.lastStartedAt, new Date(startedAt).getTime());
+            }
+        };
+
+        if (job.startedAt) {
+            record(job.startedAt);
+            return;
+        }
+
+        const unsubscribe = auditJobManager.subscribe(job.id, {
+            onUpdate: updated => {
+                if (updated.startedAt || updated.finishedAt) {
+                    unsubscribe();
+                    if (updated.startedAt) record(updated.startedAt);
+                }
+            }
+        });
+    }
+
+    /**
+     * Release a domain once its audit has finished
+     * @param {string} domain - Domain key
+     */
+    releaseDomain(domain) {
+        const state = this.domains.get(domain);
+        if (state) {
+            state.active = Math.max(state.active - 1, 0);
+        }
+    }
+
+    /**
+     * Submit an item as an audit job and record its outcome
+     * @param {Object} batch - The batch
+     * @param {Object} item - The batch item
+     */
+    startItem(batch, item) {
+        item.status = ITEM_STATUS.RUNNING;
+        item.startedAt = new Date().toISOString();
+        this.claimDomain(item.domain);
+
+        auditJobManager.createJob(item.url, batch.options)
+            .then(job => {
+                item.jobId = job.id;
+                this.trackJobStart(item, job);
+                return this.awaitItem(batch, item, job);
+            })
+            .catch(error => {
+                logMessage(`[AuditBatchManager] Error auditing ${item.url} in batch ${batch.id}: ${error.message}`, 'error');
+                this.recordItem(batch, item, { status: 'failed', error: error.message });
+            });
+    }
+
+    /**
+     * Wait for the job of an item and record its outcome
+     * @param {Object} batch - The batch
+     * @param {Object} item - The batch item
+     * @param {Object} job - The item's audit job
+     */
+    async awaitItem(batch, item, job) {
+        const finished = job.finishedAt ? job : await auditJobManager.waitForJob(job.id);
+        this.recordItem(batch, item, finished);
+    }
+
+    /**
+     * Store the outcome of an item's job and continue the batch
+     * @param {Object} batch - The batch
+     * @param {Object} item - The batch item
+     * @param {Object} job - The finished job
+     */
+    recordItem(batch, item, job) {
+        if (job.status === 'completed' && job.result) {
+            const result = job.result;
+            const summary = sqlGenerator.getAuditSummary(result);
+            const flagged = Object.values(result.checks || {})
+                .find(check => check && check.status === result.status);
+
+            item.status = ITEM_STATUS.COMPLETED;
+            item.auditStatus = result.status;
+            item.rejectionCode = result.status === 'fail' ? summary.rejectionCode : null;
+            item.reason = result.status === 'fail' ?
+                summary.reason :
+                (result.status !== 'pass' && flagged && flagged.reason) || null;
+        } else {
+            item.status = ITEM_STATUS.FAILED;
+            item.auditStatus = 'error';
+            item.reason = job.error || 'Audit job failed';
+        }
+
+        item.finishedAt = new Date().toISOString();
+        this.releaseDomain(item.domain);
+
+        logMessage(`[AuditBatchManager] Batch ${batch.id}: ${item.url} finished (Status: ${item.auditStatus})`);
+
+        this.saveBatch(batch);
+        this.emit('batch:update', batch);
+        this.processRunningBatches();
+    }
+
+    /**
+     * Mark a batch as completed
+     * @param {Object} batch - The batch
+     */
+    finishBatch(batch) {
+        batch.status = BATCH_STATUS.COMPLETED;
+        batch.finishedAt = new Date().toISOString();
+
+        logMessage(`[AuditBatchManager] Batch ${batch.id} completed`);
+
+        this.saveBatch(batch);
+        this.emit('batch:update', batch);
+    }
+
+    /**
+     * Wait until a batch has completed. Batches that are no longer in memory
+     * are answered from the database, like auditJobManager.waitForJob
+     * @param {string} id - The batch ID
+     * @returns {Promise<Object>} - The completed batch
+     */
+    async waitForBatch(id) {
+        const batch = this.batches.get(id);
+        if (batch) {
+            return batch.status === BATCH_STATUS.COMPLETED ? batch : this.nextCompletion(id);
+        }
+
+        const stored = await this.getBatch(id);
+        if (this.batches.has(id)) {
+            // Resumed while the row was read
+            return this.waitForBatch(id);
+        }
+        if (!stored) {
+            throw new Error(`Batch ${id} not found`);
+        }
+        if (stored.status !== BATCH_STATUS.COMPLETED) {
+            throw new Error(`Batch ${id} has not completed and is not running on this server`);
+        }
+        return stored;
+    }
+
+    /**
+     * Wait for the update that completes a batch in memory
+     * @param {string} id - The batch ID
+     * @returns {Promise<Object>} - The completed batch
+     */
+    nextCompletion(id) {
+        return new Promise(resolve => {
+            const onUpdate = updated => {
+                if (updated.id === id && updated.status === BATCH_STATUS.COMPLETED) {
+                    this.off('batch:update', onUpdate);
+                    resolve(updated);
+                }
+            };
+            this.on('batch:update', onUpdate);
+        });
+    }
+
+    /**
+     * Continue batches that were running when the server stopped.
+     * Call after auditJobManager.resumePendingJobs() so resumed jobs can be awaited.
+     * @returns {Promise<number>} - Number of resumed batches
+     */
+    async resumePendingBatches() {
+        try {
+            const result = await db.query(
+                'SELECT * FROM audit_batches WHERE status = $1 ORDER BY created_at',
+                [BATCH_STATUS.RUNNING]
+            );
+
+            for (const row of result.rows) {
+                const batch = this.fromRow(row);
+                if (this.batches.has(batch.id)) continue;
+                this.batches.set(batch.id, batch);
+
+                for (const item of batch.items) {
+                    if (item.status !== ITEM_STATUS.RUNNING) continue;
+
+                    const job = item.jobId ? await auditJobManager.getJob(item.jobId) : null;
+                    if (!job) {
+                        // The job was never created; audit the item again
+                        item.status = ITEM_STATUS.QUEUED;
+                        continue;
+                    }
+
+                    this.claimDomain(item.domain);
+                    this.trackJobStart(item, job);
+                    this.awaitItem(batch, item, job).catch(error => {
+                        logMessage(`[AuditBatchManager] Error resuming ${item.url} in batch ${batch.id}: ${error.message}`, 'error');
+                    });
+                }
+
+                this.processBatch(batch);
+            }
+
+            logMessage(`[AuditBatchManager] Resumed ${result.rows.length} pending batches`);
+            return result.rows.length;
+        } catch (error) {
+            logMessage(`[AuditBatchManager] Error resuming pending batches: ${error.message}`, 'error');
+            return 0;
+        }
+    }
+
+    /**
+     * Aggregate progress of a batch
+     * @param {Object} batch - The batch
+     * @returns {Object} - Item counts by state and by audit status
+     */
+    getProgress(batch) {
+        const progress = {
+            total: batch.items.length,
+            queued: 0,
+            running: 0,
+            completed: 0,
+            failed: 0,
+            invalid: batch.invalid.length,
+            statuses: { pass: 0, fail: 0, review: 0, error: 0 }
+        };
+
+        batch.items.forEach(item => {
+            progress[item.status]++;
+            if (item.auditStatus) {
+                progress.statuses[item.auditStatus] = (progress.statuses[item.auditStatus] || 0) + 1;
+            }
+        });
+
+        const finished = progress.completed + progress.failed;
+        progress.percent = progress.total > 0 ? Math.round((finished / progress.total) * 100) : 100;
+
+        return progress;
+    }
+
+    /**
+     * Summary of a batch as CSV, one row per submitted site
+     * @param {Object} batch - The batch
+     * @returns {string} - CSV content
+     */
+    toCSV(batch) {
+        const rows = [['URL', 'Status', 'Rejection Code', 'Reason', 'Job ID']];
+
+        batch.items.forEach(item => {
+            rows.push([item.url, item.auditStatus || item.status, item.rejectionCode, item.reason, item.jobId]);
+        });
+
+        batch.invalid.forEach(entry => {
+            rows.push([entry.input, 'invalid', null, entry.reason, null]);
+        });
+
+        return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Persist a batch after any earlier writes for the same batch have finished
+     * @param {Object} batch - The batch to save
+     * @returns {Promise<void>}
+     */
+    saveBatch(batch) {
+        const previous = this.pendingSaves.get(batch.id) || Promise.resolve();
+        const next = previous.then(() => this.writeBatch(batch));
+
+        this.pendingSaves.set(batch.id, next);
+        next.then(() => {
+            if (this.pendingSaves.get(batch.id) === next) {
+                this.pendingSaves.delete(batch.id);
+            }
+        });
+
+        return next;
+    }
+
+    /**
+     * Write a batch to the database; failures are logged so batches keep running without a database
+     * @param {Object} batch - The batch to write
+     */
+    async writeBatch(batch) {
+        try {
+            await db.query(`
+                INSERT INTO audit_batches (id, status, concurrency, domain_delay, options, items, invalid, created_at, finished_at, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+                ON CONFLICT (id) DO UPDATE SET
+                    status = EXCLUDED.status,
+                    items = EXCLUDED.items,
+                    finished_at = EXCLUDED.finished_at,
+                    updated_at = NOW()
+            `, [
+                batch.id,
+                batch.status,
+                batch.concurrency,
+                batch.domainDelay,
+                JSON.stringify(batch.options || {}),
+                JSON.stringify(batch.items),
+                JSON.stringify(batch.invalid),
+                batch.createdAt,
+                batch.finishedAt
+            ]);
+        } catch (error) {
+            logMessage(`[AuditBatchManager] Error saving batch ${batch.id}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Convert a database row to a batch object
+     * @param {Object} row - Row from the audit_batches table
+     * @returns {Object} - Batch object
+     */
+    fromRow(row) {
+        const toIso = value => value ? new Date(value).toISOString() : null;
+
+        return {
+            id: row.id,
+            status: row.status,
+            concurrency: row.concurrency,
+            domainDelay: row.domain_delay,
+            options: row.options || {},
+            items: row.items || [],
+            invalid: row.invalid || [],
+            createdAt: toIso(row.created_at),
+            finishedAt: toIso(row.finished_at)
+        };
+    }
+
+    /**
+     * Public representation of a batch for the API
+     * @param {Object} batch - The batch
+     * @returns {Object} - Batch with aggregate progress
+     */
+    toJSON(batch) {
+        return {
+            id: batch.id,
+            status: batch.status,
+            concurrency: batch.concurrency,
+            domainDelay: batch.domainDelay,
+            progress: this.getProgress(batch),
+            items: batch.items,
+            invalid: batch.invalid,
+            createdAt: batch.createdAt,
+            finishedAt: batch.finishedAt
+        };
+    }
+}
+
+module.exports = new AuditBatchManager();
+module.exports.BATCH_STATUS = BATCH_STATUS;
+module.exports.ITEM_STATUS = ITEM_STATUS;
@@ -1,184 +1,186 @@
 const { logMessage } = require('../utils/logger');
 const url = require('url');
-const axios = require('axios');
-const bannedWords = require('../utils/bannedWords');
-const contentRecencyChecker = require('./contentRecencyChecker');
-const hateSpeechChecker = require('./hateSpeechChecker');
-const plagiarismChecker = require('./plagiarismChecker');
+const checkRegistry = require('../utils/checkRegistry');
 const imageAnalyzer = require('./imageAnalyzer');
-const adAnalyzer = require('./adAnalyzer');
 const sqlGenerator = require('./sqlGenerator');
 const db = require('../db/database'); // Assuming we have a database connection module
-const puppeteer = require('puppeteer-core');
-const { getPuppeteerLaunchOptions } = require('../utils/puppeteerConfig');
+const browserPool = require('../utils/browserPool');
+const pageCapture = require('../utils/pageCapture');
+
+// Checkers report their status in either the short or the long form
+const STATUS_ALIASES = {
+    passed: 'pass',
+    failed: 'fail'
+};
+
+/**
+ * Normalizes a check result so the overall status can be computed consistently
+ * @param {Object|null} result - The result returned by a check
+ * @returns {Object} - Result object with a normalized status
+ */
+function normalizeCheckResult(result) {
+    if (!result || typeof result !== 'object') {
+        return {
+            status: "pass",
+            reason: "No issues detected"
+        };
+    }
+
+    const status = STATUS_ALIASES[result.status] || result.status;
+    return status === result.status ? result : { ...result, status };
+}
 
 /**
- * Checks if a URL contains banned words or patterns
- * @param {string} urlString - The URL to check
- * @returns {Object|null} - Result object if banned words found, null otherwise
+ * Reports audit progress to the caller's onEvent hook, if one was given
+ * @param {Object} context - Shared audit context
+ * @param {string} type - Event type, e.g. 'check:start'
+ * @param {Object} [data] - Event payload
  */
-function checkBannedWords(urlString) {
-    logMessage(`🔍 Checking for banned words in URL: ${urlString}`);
+function emitAuditEvent(context, type, data = {}) {
+    if (typeof context.options.onEvent !== 'function') return;
     
     try {
-        // Parse the URL to get its components
-        const parsedUrl = new URL(urlString);
-        const hostname = parsedUrl.hostname.toLowerCase();
-        const pathname = parsedUrl.pathname.toLowerCase();
-        const fullUrl = urlString.toLowerCase();
-        
-        // Check for banned TLDs
-        const tld = hostname.split('.').pop(); // Get the last part after the dot
-        if (bannedWords.bannedTLDs && bannedWords.bannedTLDs.includes(tld)) {
-            logMessage(`❌ Banned TLD detected: "${tld}"`);
-            return {
-                status: "fail",
-                reason: `Banned TLD detected`,
-                details: `The domain uses a banned top-level domain: .${tld}`,
-                category: 'bannedTLD'
-            };
-        }
-        
-        // Check each category of banned words
-        for (const [category, wordList] of Object.entries(bannedWords)) {
-            // Skip the bannedTLDs category as we've already checked it
-            if (category === 'bannedTLDs') continue;
-            
-            for (const word of wordList) {
-                // Check hostname (domain)
-                if (hostname.includes(word)) {
-                    logMessage(`❌ Banned word detected in hostname: "${word}" (Category: ${category})`);
-                    return {
-                        status: "fail",
-                        reason: `Banned content detected (${category})`,
-                        details: `The domain contains banned term: ${word}`,
-                        category
-                    };
-                }
-                
-                // Check pathname (URL path)
-                if (pathname.includes(word)) {
-                    logMessage(`❌ Banned word detected in pathname: "${word}" (Category: ${category})`);
-                    return {
-                        status: "fail",
-                        reason: `Banned content detected (${category})`,
-                        details: `The URL path contains banned term: ${word}`,
-                        category
-                    };
-                }
-                
-                // Check full URL (including query parameters)
-                if (fullUrl.includes(word)) {
-                    logMessage(`❌ Banned word detected in URL: "${word}" (Category: ${category})`);
-                    return {
-                        status: "fail",
-                        reason: `Banned content detected (${category})`,
-                        details: `The URL contains banned term: ${word}`,
-                        category
-                    };
-                }
-            }
-        }
-        
-        // No banned words found
-        logMessage(`✓ No banned words detected in URL`);
-        return null;
-        
+        context.options.onEvent({
+            type,
+            url: context.url,
+            timestamp: new Date().toISOString(),
+            ...data
+        });
     } catch (error) {
-        logMessage(`❌ Error checking banned words: ${error.message}`, 'error');
-        return null; // Continue with other checks if there's an error parsing the URL
+        logMessage(`⚠️ Error in audit event handler: ${error.message}`, 'warn');
     }
 }
 
 /**
- * Checks if a URL redirects to an external domain
- * @param {string} urlString - The URL to check
- * @returns {Promise<Object|null>} - Result object if redirect detected, null otherwise
+ * Runs a single registered check with its timeout
+ * @param {Object} check - Check definition from the registry
+ * @param {string} url - The URL being analyzed
+ * @param {Object} context - Shared audit context passed to the check
+ * @returns {Promise<Object>} - The check result (never rejects)
  */
-async function checkRedirect(urlString) {
-    logMessage(`🔍 Checking for redirects in URL: ${urlString}`);
-    
+async function runCheck(check, url, context) {
+    logMessage(`🔍 Running ${check.displayName} check for: ${url}`);
+    emitAuditEvent(context, 'check:start', { check: check.name, phase: check.phase });
+
+    let timer = null;
+    let timedOut = false;
+    const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            timedOut = true;
+            reject(new Error(`${check.displayName} check timed out after ${check.timeout / 1000} seconds`));
+        }, check.timeout);
+    });
+
+    let result;
+    let outcome = 'completed';
+
     try {
-        // Parse the original URL to get its hostname
-        const originalUrl = new URL(urlString);
-        const originalHostname = originalUrl.hostname.toLowerCase();
-        
-        // Perform a HEAD request with redirects disabled
-        const response = await axios.head(urlString, {
-            maxRedirects: 0,
-            validateStatus: status => true // Accept all status codes
-        });
-        
-        // Check if the response indicates a redirect (3xx status code)
-        if (response.status >= 300 && response.status < 400) {
-            // Get the redirect location
-            const location = response.headers.location;
-            
-            if (!location) {
-                logMessage(`⚠️ Redirect detected (${response.status}) but no Location header found`);
-                return {
-                    status: "review",
-                    reason: "Redirect without destination",
-                    details: `The URL redirects (${response.status}) but no destination was specified`
-                };
-            }
-            
-            // Parse the redirect URL
-            let redirectUrl;
-            try {
-                // Handle relative URLs
-                if (location.startsWith('/')) {
-                    redirectUrl = new URL(location, urlString);
-                } else {
-                    redirectUrl = new URL(location);
-                }
-            } catch (error) {
-                logMessage(`⚠️ Invalid redirect URL: ${location}`);
-                return {
-                    status: "review",
-                    reason: "Invalid redirect",
-                    details: `The URL redirects to an invalid location: ${location}`
-                };
-            }
-            
-            // Check if the redirect is to an external domain
-            const redirectHostname = redirectUrl.hostname.toLowerCase();
-            
-            if (redirectHostname !== originalHostname) {
-                logMessage(`❌ External redirect detected: ${originalHostname} → ${redirectHostname}`);
-                return {
-                    status: "fail",
-                    reason: "External redirect",
-                    details: `The URL redirects to an external domain: ${redirectHostname}`,
-                    redirectUrl: redirectUrl.href
-                };
-            }
-            
-            // Internal redirect (same domain)
-            logMessage(`ℹ️ Internal redirect detected: ${originalUrl.pathname} → ${redirectUrl.pathname}`);
-            return null; // Allow internal redirects
+        result = normalizeCheckResult(await Promise.race([
+            Promise.resolve().then(() => check.run(url, context)),
+            timeoutPromise
+        ]));
+    } catch (error) {
+        if (timedOut) {
+            logMessage(`⏱️ ${check.displayName} check: ${error.message}`, 'warn');
+            outcome = 'timeout';
+            result = {
+                status: "error",
+                reason: "Check timed out",
+                details: error.message
+            };
+        } else {
+            logMessage(`❌ Error in ${check.displayName} check: ${error.message}`, 'error');
+            outcome = 'error';
+            result = {
+                status: "error",
+                reason: `${check.displayName} check failed`,
+                details: error.message
+            };
         }
-        
-        // No redirect
-        logMessage(`✓ No redirect detected for URL`);
-        return null;
-        
+    } finally {
+        clearTimeout(timer);
+    }
+
+    emitAuditEvent(context, 'check:finish', {
+        check: check.name,
+        phase: check.phase,
+        outcome,
+        status: result.status,
+        reason: result.reason,
+        result
+    });
+
+    return result;
+}
+
+/**
+ * Runs all checks of a phase concurrently, letting checks wait on their dependencies
+ * @param {Object} phase - Phase group from the registry
+ * @param {string} url - The URL being analyzed
+ * @param {Object} context - Shared audit context
+ * @returns {Promise<Object>} - Map of check name to result, in registry order
+ */
+async function runPhase(phase, url, context) {
+    const phaseChecks = new Map(phase.checks.map(check => [check.name, check]));
+    const scheduled = new Map();
+
+    const schedule = (check) => {
+        if (!scheduled.has(check.name)) {
+            // Dependencies from earlier phases have already completed
+            const dependencies = check.dependsOn
+                .filter(name => phaseChecks.has(name))
+                .map(name => schedule(phaseChecks.get(name)));
+
+            scheduled.set(check.name, Promise.all(dependencies)
+                .then(() => runCheck(check, url, context))
+                .then(result => {
+                    context.results[check.name] = result;
+                    return result;
+                }));
+        }
+        return scheduled.get(check.name);
+    };
+
+    const phaseResults = await Promise.all(phase.checks.map(schedule));
+
+    const results = {};
+    phase.checks.forEach((check, index) => {
+        results[check.name] = phaseResults[index];
+    });
+    return results;
+}
+
+/**
+ * Captures the page snapshot shared by every check that analyzes it.
+ * When the capture fails the checks fetch the page themselves.
+ * @param {string} url - The URL being analyzed
+ * @param {Object} context - Shared audit context; receives the snapshot
+ */
+async function captureSnapshot(url, context) {
+    logMessage(`📸 Capturing page snapshot for: ${url}`);
+    emitAuditEvent(context, 'capture:start');
+
+    try {
+        context.snapshot = await pageCapture.capture(url);
+        emitAuditEvent(context, 'capture:finish', { snapshot: pageCapture.summarize(context.snapshot) });
     } catch (error) {
-        logMessage(`❌ Error checking redirect: ${error.message}`, 'error');
-        return {
-            status: "error",
-            reason: "Redirect check failed",
-            details: error.message
-        };
+        logMessage(`⚠️ Page capture failed for ${url}: ${error.message}`, 'warn');
+        context.snapshotError = error.message;
+        emitAuditEvent(context, 'capture:finish', { error: error.message });
     }
 }
 
 /**
  * Analyzes a URL for various compliance checks
+ * Checks are discovered through the check registry and run phase by phase;
+ * a failing short-circuit check stops the audit after its phase. The page is
+ * captured once, before the first phase with a check that uses the snapshot.
  * @param {string} url - The URL to analyze
+ * @param {Object} [options] - Audit options, passed to every check in its context
+ * @param {Function} [options.onEvent] - Called with a progress event as phases and checks start and finish
  * @returns {Object} - Analysis results
  */
-async function analyzeURL(url) {
+async function analyzeURL(url, options = {}) {
     logMessage(`🔍 Starting URL analysis: ${url}`);
     
     // Initialize results object
@@ -189,173 +191,60 @@ async function analyzeURL(url) {
         checks: {}
     };
     
-    // PHASE 0: Check for banned words in URL
-    logMessage(`🔍 PHASE 0: Checking for banned words in URL: ${url}`);
-    const bannedWordsResult = checkBannedWords(url);
-    if (bannedWordsResult) {
-        logMessage(`❌ URL failed banned words check: ${url}`);
-        results.status = 'fail';
-        results.checks.bannedWords = bannedWordsResult;
-        return results; // Short-circuit and return immediately
-    }
+    // Results of completed checks, shared with checks that depend on them,
+    // and the page snapshot once it has been captured
+    const context = {
+        url,
+        options,
+        results: {},
+        snapshot: null,
+        snapshotError: null
+    };
+    let captured = false;
     
-    // PHASE 1: Check for redirects
-    logMessage(`🔍 PHASE 1: Checking for redirects: ${url}`);
-    try {
-        const redirectResult = await checkRedirect(url);
-        if (redirectResult && redirectResult.status === 'fail') {
-            logMessage(`❌ URL failed redirect check: ${url}`);
-            results.status = 'fail';
-            results.checks.redirect = redirectResult;
-            return results; // Short-circuit and return immediately
-        }
+    const phases = checkRegistry.getPhases();
+    emitAuditEvent(context, 'audit:start', {
+        phases: phases.map(phase => ({
+            phase: phase.phase,
+            checks: phase.checks.map(check => check.name)
+        }))
+    });
+    
+    for (let i = 0; i < phases.length; i++) {
+        const phase = phases[i];
+        const names = phase.checks.map(check => check.name);
         
-        // Store the redirect check result if it's a warning/review
-        if (redirectResult) {
-            results.checks.redirect = redirectResult;
+        if (!captured && phase.checks.some(check => check.usesSnapshot)) {
+            captured = true;
+            await captureSnapshot(url, context);
         }
-    } catch (error) {
-        logMessage(`❌ Error in redirect check: ${error.message}`, 'error');
-        results.checks.redirect = {
-            status: "error",
-            reason: "Redirect check failed",
-            details: error.message
-        };
-    }
-    
-    // PHASE 2: Run Content Recency Check Sequentially
-    logMessage(`🔄 Starting Phase 2: Content Recency Check for ${url}`);
-    let contentRecencyResult = null;
-    try {
-        // Fix: Use checkRecency instead of checkContent
-        contentRecencyResult = await Promise.race([
-            contentRecencyChecker.checkRecency(url),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Content recency check timed out after 30 seconds')), 30000)
-            )
-        ]);
         
-        logMessage(`✅ Content recency check completed: ${JSON.stringify(contentRecencyResult)}`);
-        results.contentRecency = contentRecencyResult;
+        logMessage(`🔍 PHASE ${phase.phase}: Running ${names.join(', ')} for: ${url}`);
+        emitAuditEvent(context, 'phase:start', { phase: phase.phase, checks: names });
         
-        if (contentRecencyResult && contentRecencyResult.status === 'fail') {
-            results.status = 'fail';
-            logMessage(`❌ Content recency check failed: ${contentRecencyResult.reason}`);
-        } else if (contentRecencyResult && contentRecencyResult.status === 'review') {
-            if (results.status !== 'fail') results.status = 'review';
-            logMessage(`⚠️ Content recency check needs review: ${contentRecencyResult.reason}`);
-        }
-    } catch (error) {
-        logMessage(`❌ Error in content recency check: ${error.message}`, 'error');
-        results.contentRecency = {
-            status: 'error',
-            reason: `Error checking content recency: ${error.message}`
-        };
-    }
-    logMessage(`🔄 Completed Phase 2: Content Recency Check`);
-    
-    // PHASE 3: Run Remaining Tests Concurrently
-    // Only proceed to Phase 3 after Phase 2 is complete
-    logMessage(`🔍 PHASE 3: Running remaining checks concurrently for: ${url}`);
-    
-    // Define the remaining checks to run
-    const remainingChecks = [
-        {
-            name: 'hateSpeech',
-            displayName: 'Hate Speech',
-            runner: async () => {
-                logMessage(`🔍 Analyzing hate speech for: ${url}`);
-                return await hateSpeechChecker.checkContent(url);
-            },
-            timeout: 60000 // 60 seconds timeout
-        },
-        {
-            name: 'plagiarism',
-            displayName: 'Plagiarism',
-            runner: async () => {
-                logMessage(`🔍 Analyzing plagiarism for: ${url}`);
-                return await plagiarismChecker.checkContent(url);
-            },
-            timeout: 60000 // 60 seconds timeout
-        },
-        {
-            name: 'images',
-            displayName: 'Image Analysis',
-            runner: async () => {
-                logMessage(`🔍 Analyzing images for: ${url}`);
-                return await imageAnalyzer.analyzeUrl(url);
-            },
-            timeout: 90000 // 90 seconds timeout
-        },
-        {
-            name: 'ads',
-            displayName: 'Ad Analysis',
-            runner: async () => {
-                logMessage(`🔍 Analyzing ads for: ${url}`);
-                return await adAnalyzer.analyzeUrl(url);
-            },
-            timeout: 60000 // 60 seconds timeout
-        }
-    ];
-    
-    // Create a promise for each remaining check with timeout
-    const checkPromises = remainingChecks.map(check => {
-        // Create a timeout promise
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => {
-                reject(new Error(`${check.displayName} check timed out after ${check.timeout/1000} seconds`));
-            }, check.timeout);
-        });
+        const phaseResults = await runPhase(phase, url, context);
+        Object.assign(results.checks, phaseResults);
         
-        // Create the actual check promise
-        const checkPromise = new Promise(async (resolve) => {
-            try {
-                const result = await check.runner();
-                resolve({
-                    name: check.name,
-                    result: result
-                });
-            } catch (error) {
-                logMessage(`❌ Error in ${check.displayName} check: ${error.message}`, 'error');
-                resolve({
-                    name: check.name,
-                    result: {
-                        status: "error",
-                        reason: `${check.displayName} check failed`,
-                        details: error.message
-                    }
-                });
-            }
-        });
+        logMessage(`🔄 Completed Phase ${phase.phase}`);
+        emitAuditEvent(context, 'phase:finish', { phase: phase.phase });
         
-        // Race between the check and the timeout
-        return Promise.race([checkPromise, timeoutPromise])
-            .catch(error => {
-                logMessage(`⏱️ ${check.displayName} check: ${error.message}`, 'warn');
-                return {
-                    name: check.name,
-                    result: {
-                        status: "error",
-                        reason: "Check timed out",
-                        details: error.message
-                    }
-                };
+        // Stop here if a short-circuit check failed
+        const failedCheck = phase.checks.find(check =>
+            check.shortCircuit && phaseResults[check.name].status === 'fail'
+        );
+        
+        if (failedCheck) {
+            logMessage(`❌ URL failed ${failedCheck.displayName} check, skipping remaining checks: ${url}`);
+            results.shortCircuitedBy = failedCheck.name;
+            results.skippedChecks = phases.slice(i + 1)
+                .flatMap(remaining => remaining.checks.map(check => check.name));
+            emitAuditEvent(context, 'audit:short-circuit', {
+                check: failedCheck.name,
+                skippedChecks: results.skippedChecks
             });
-    });
-    
-    // Run all remaining checks concurrently and wait for all to complete or timeout
-    const checkResults = await Promise.allSettled(checkPromises);
-    
-    // Process the results from the concurrent checks
-    checkResults.forEach(promiseResult => {
-        if (promiseResult.status === 'fulfilled') {
-            const { name, result } = promiseResult.value;
-            results.checks[name] = result;
-        } else {
-            // This should not happen due to our error handling above, but just in case
-            logMessage(`Unexpected promise rejection: ${promiseResult.reason}`, 'error');
+            break;
         }
-    });
+    }
     
     // Determine overall status based on all checks
     let hasFailure = false;
@@ -385,6 +274,12 @@ async function analyzeURL(url) {
     
     logMessage(`✅ URL Analysis Completed: ${url} (Status: ${results.status})`);
 
+    if (context.snapshot) {
+        results.snapshot = pageCapture.summarize(context.snapshot);
+    } else if (context.snapshotError) {
+        results.snapshot = { error: context.snapshotError };
+    }
+
     // Store the audit result in the database
     try {
         // Generate SQL for the audit result
@@ -423,6 +318,19 @@ async function analyzeURL(url) {
         };
     }
 
+    // Keep the captured page with the audit for later review
+    if (context.snapshot) {
+        try {
+            await pageCapture.saveSnapshot(context.snapshot, results.timestamp);
+            results.snapshot.stored = true;
+        } catch (error) {
+            logMessage(`[AuditController] Error storing page snapshot: ${error.message}`, 'error');
+            results.snapshot.stored = false;
+        }
+    }
+
+    emitAuditEvent(context, 'audit:finish', { status: results.status });
+
     return results;
 }
 
@@ -433,8 +341,9 @@ async function analyzeURL(url) {
  */
 async function auditUrl(req, res) {
     const url = req.params.url;
-    let browser = null;
     let page = null;
+    let releasePage = null;
+    let discardPage = false;
     
     logMessage(`Starting audit for URL: ${url}`);
     
@@ -450,11 +359,8 @@ async function auditUrl(req, res) {
     }
     
     try {
-        // Get Puppeteer launch options
-        const launchOptions = getPuppeteerLaunchOptions();
-        
         // Check if Chrome executable was found
-        if (!launchOptions._chromeExists) {
+        if (!browserPool.isChromeAvailable()) {
             logMessage('[AuditController] Chrome executable not found, cannot launch browser', 'error');
             
             // Return a partial result with error information
@@ -508,17 +414,8 @@ async function auditUrl(req, res) {
             });
         }
         
-        // Launch browser with updated configuration
-        browser = await puppeteer.launch(launchOptions);
-        
-        // Create new page
-        page = await browser.newPage();
-        
-        // Set viewport
-        await page.setViewport({ width: 1280, height: 800 });
-        
-        // Set user agent
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+        // Borrow a page from the shared browser pool (viewport and user agent are preset)
+        ({ page, release: releasePage } = await browserPool.acquirePage());
         
         // Set extra HTTP headers
         await page.setExtraHTTPHeaders({
@@ -650,15 +547,15 @@ async function auditUrl(req, res) {
         });
         
     } catch (error) {
+        discardPage = true;
         logMessage(`Error during audit: ${error.message}`, 'error');
         return res.status(500).json({ 
             success: false, 
             error: `Error during audit: ${error.message}` 
         });
     } finally {
-        // Close page and browser
-        if (page) await page.close().catch(e => logMessage(`Error closing page: ${e.message}`, 'error'));
-        if (browser) await browser.close().catch(e => logMessage(`Error closing browser: ${e.message}`, 'error'));
+        // Return the page to the pool; pages that failed are closed instead of reused
+        if (releasePage) await releasePage(discardPage);
         logMessage(`Audit completed for URL: ${url}`);
     }
 }
@@ -682,71 +579,23 @@ async function storeAuditResult(auditResult) {
         const checks = auditResult.checks || {};
         let paramIndex = values.length + 1;
         
-        // Process hate speech check
-        if (checks.hateSpeech) {
-            const status = checks.hateSpeech.status === 'error' ? 'failed' : checks.hateSpeech.status;
-            sql += `
-INSERT INTO audit_check_results (url, timestamp, check_name, status, reason, details)
-VALUES ($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5});`;
-            values.push(
-                auditResult.url,
-                auditResult.timestamp,
-                'hateSpeech',
-                status,
-                checks.hateSpeech.reason || null,
-                JSON.stringify(checks.hateSpeech.details || null)
-            );
-            paramIndex += 6;
-        }
-        
-        // Process plagiarism check
-        if (checks.plagiarism) {
-            const status = checks.plagiarism.status === 'error' ? 'failed' : checks.plagiarism.status;
-            sql += `
-INSERT INTO audit_check_results (url, timestamp, check_name, status, reason, details)
-VALUES ($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5});`;
-            values.push(
-                auditResult.url,
-                auditResult.timestamp,
-                'plagiarism',
-                status,
-                checks.plagiarism.reason || null,
-                JSON.stringify(checks.plagiarism.details || null)
-            );
-            paramIndex += 6;
-        }
-        
-        // Process images check
-        if (checks.images) {
-            const status = checks.images.status === 'error' ? 'failed' : 
-                          checks.images.status === 'pass' ? 'passed' : checks.images.status;
-            sql += `
-INSERT INTO audit_check_results (url, timestamp, check_name, status, reason, details)
-VALUES ($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5});`;
-            values.push(
-                auditResult.url,
-                auditResult.timestamp,
-                'images',
-                status,
-                checks.images.reason || null,
-                JSON.stringify(checks.images.details || null)
-            );
-            paramIndex += 6;
-        }
-        
-        // Process ads check
-        if (checks.ads) {
-            const status = checks.ads.status === 'error' ? 'failed' : checks.ads.status;
+        // Process each registered check that has a result
+        for (const check of checkRegistry.list()) {
+            const checkResult = checks[check.name];
+            if (!checkResult) continue;
+            
+            const status = checkResult.status === 'error' ? 'failed' : 
+                          checkResult.status === 'pass' ? 'passed' : checkResult.status;
             sql += `
 INSERT INTO audit_check_results (url, timestamp, check_name, status, reason, details)
 VALUES ($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5});`;
             values.push(
                 auditResult.url,
                 auditResult.timestamp,
-                'ads',
+                check.name,
                 status,
-                checks.ads.reason || null,
-                JSON.stringify(checks.ads.details || null)
+                checkResult.reason || null,
+                JSON.stringify(checkResult.details || null)
             );
             paramIndex += 6;
         }
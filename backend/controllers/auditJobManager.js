@@ -0,0 +1,434 @@
+/**
+ * Audit Job Manager
+ * Runs audits in the background so HTTP requests can return a job ID immediately.
+ * Jobs are queued in process and persisted to PostgreSQL so that queued and
+ * running jobs are picked up again after a server restart.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logMessage } = require('../utils/logger');
+const { analyzeURL } = require('./auditController');
+const checkRegistry = require('../utils/checkRegistry');
+const db = require('../db/database');
+
+// Job states; the audit outcome itself lives in job.result.status
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+class AuditJobManager extends EventEmitter {
+    constructor() {
+        super();
+
+        // Every event stream and batch item listens for its job
+        this.setMaxListeners(0);
+
+        // Number of audits that may run at the same time (default: 2)
+        this.concurrency = process.env.AUDIT_JOB_CONCURRENCY ?
+            parseInt(process.env.AUDIT_JOB_CONCURRENCY) : 2;
+
+        // How long finished jobs stay in memory; after that they are read from the database (default: 10 minutes)
+        this.finishedJobTtl = process.env.AUDIT_JOB_TTL ?
+            parseInt(process.env.AUDIT_JOB_TTL) : 10 * 60 * 1000;
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+
+        // Writes are chained per job so an older snapshot never overwrites a newer one
+        this.pendingSaves = new Map();
+
+        logMessage(`[AuditJobManager] Initialized with concurrency: ${this.concurrency}`);
+    }
+
+    /**
+     * Create a job for a URL and queue it
+     * @param {string} url - The URL to audit
+     * @param {Object} [options] - Audit options passed to analyzeURL
+     * @returns {Promise<Object>} - The created job
+     */
+    async createJob(url, options = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            url,
+            options,
+            status: JOB_STATUS.QUEUED,
+            progress: this.createProgress(),
+            result: null,
+            error: null,
+            createdAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.evictFinishedJobs();
+        this.jobs.set(job.id, job);
+        await this.saveJob(job);
+
+        logMessage(`[AuditJobManager] Created job ${job.id} for ${url}`);
+        this.enqueue(job);
+
+        return job;
+    }
+
+    /**
+     * Drop jobs that finished more than finishedJobTtl ago from memory; getJob
+     * still finds them in the database
+     * @param {number} [now] - Current time in ms
+     * @returns {number} - Number of evicted jobs
+     */
+    evictFinishedJobs(now = Date.now()) {
+        let evicted = 0;
+        this.jobs.forEach((job, id) => {
+            if (job.finishedAt && now - new Date(job.finishedAt).getTime() >= this.finishedJobTtl) {
+                this.jobs.delete(id);
+                evicted++;
+            }
+        });
+
+        if (evicted > 0) {
+            logMessage(`[AuditJobManager] Evicted ${evicted} finished jobs from memory`);
+        }
+        return evicted;
+    }
+
+    /**
+     * Build the initial per-check progress for a job
+     * @returns {Object} - Progress object
+     */
+    createProgress() {
+        const checks = {};
+        checkRegistry.list().forEach(check => {
+            checks[check.name] = { status: 'pending', phase: check.phase };
+        });
+
+        return {
+            total: Object.keys(checks).length,
+            completed: 0,
+            currentPhase: null,
+            checks
+        };
+    }
+
+    /**
+     * Get a job by ID, from memory or from the database
+     * @param {string} id - The job ID
+     * @returns {Promise<Object|null>} - The job, or null if not found
+     */
+    async getJob(id) {
+        if (this.jobs.has(id)) {
+            return this.jobs.get(id);
+        }
+
+        try {
+            const result = await db.query('SELECT * FROM audit_jobs WHERE id = $1', [id]);
+            return result.rows.length > 0 ? this.fromRow(result.rows[0]) : null;
+        } catch (error) {
+            logMessage(`[AuditJobManager] Error loading job ${id}: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Wait until a job has finished running. Jobs that are no longer in memory
+     * are answered from the database: finished jobs resolve, and jobs this
+     * server is not running reject, as no update will ever arrive for them
+     * @param {string} id - The job ID
+     * @returns {Promise<Object>} - The finished job
+     */
+    async waitForJob(id) {
+        const job = this.jobs.get(id);
+        if (job) {
+            return job.finishedAt ? job : this.nextFinish(id);
+        }
+
+        const stored = await this.getJob(id);
+        if (this.jobs.has(id)) {
+            // Resumed while the row was read
+            return this.waitForJob(id);
+        }
+        if (!stored) {
+            throw new Error(`Job ${id} not found`);
+        }
+        if (!stored.finishedAt) {
+            throw new Error(`Job ${id} has not finished and is not running on this server (status: ${stored.status})`);
+        }
+        return stored;
+    }
+
+    /**
+     * Wait for the update that finishes a job in memory
+     * @param {string} id - The job ID
+     * @returns {Promise<Object>} - The finished job
+     */
+    nextFinish(id) {
+        return new Promise(resolve => {
+            const onUpdate = updated => {
+                if (updated.id === id && updated.finishedAt) {
+                    this.off('job:update', onUpdate);
+                    resolve(updated);
+                }
+            };
+            this.on('job:update', onUpdate);
+        });
+    }
+
+    /**
+     * Listen to the progress of a single job
+     * @param {string} id - The job ID
+     * @param {Object} handlers - Listeners
+     * @param {Function} [handlers.onEvent] - Called with every analyzeURL event of the job
+     * @param {Function} [handlers.onUpdate] - Called with the job when it starts and when it finishes
+     * @returns {Function} - Removes the listeners
+     */
+    subscribe(id, { onEvent, onUpdate } = {}) {
+        const eventListener = (jobId, event) => {
+            if (jobId === id && onEvent) onEvent(event);
+        };
+        const updateListener = job => {
+            if (job.id === id && onUpdate) onUpdate(job);
+        };
+
+        this.on('job:event', eventListener);
+        this.on('job:update', updateListener);
+
+        return () => {
+            this.off('job:event', eventListener);
+            this.off('job:update', updateListener);
+        };
+    }
+
+    /**
+     * Add a job to the queue and start it when a slot is free
+     * @param {Object} job - The job to queue
+     */
+    enqueue(job) {
+        this.queue.push(job);
+        this.processQueue();
+    }
+
+    /**
+     * Start queued jobs while below the concurrency limit
+     */
+    processQueue() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running++;
+
+            this.runJob(job)
+                .catch(error => {
+                    logMessage(`[AuditJobManager] Unexpected error in job ${job.id}: ${error.message}`, 'error');
+                })
+                .finally(() => {
+                    this.running--;
+                    this.processQueue();
+                });
+        }
+    }
+
+    /**
+     * Run the audit for a job and record its progress
+     * @param {Object} job - The job to run
+     */
+    async runJob(job) {
+        logMessage(`[AuditJobManager] Starting job ${job.id} for ${job.url}`);
+
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = new Date().toISOString();
+        job.progress = this.createProgress();
+        await this.saveJob(job);
+        this.emit('job:update', job);
+
+        try {
+            job.result = await analyzeURL(job.url, {
+                ...job.options,
+                onEvent: event => this.handleAuditEvent(job, event)
+            });
+            job.status = JOB_STATUS.COMPLETED;
+            logMessage(`[AuditJobManager] Job ${job.id} completed (Status: ${job.result.status})`);
+        } catch (error) {
+            job.status = JOB_STATUS.FAILED;
+            job.error = error.message;
+            logMessage(`[AuditJobManager] Job ${job.id} failed: ${error.message}`, 'error');
+        }
+
+        job.finishedAt = new Date().toISOString();
+        await this.saveJob(job);
+        this.emit('job:update', job);
+    }
+
+    /**
+     * Update a job's progress from an analyzeURL event
+     * @param {Object} job - The job being run
+     * @param {Object} event - Audit progress event
+     */
+    handleAuditEvent(job, event) {
+        const progress = job.progress;
+        const checkProgress = event.check ? progress.checks[event.check] : null;
+
+        switch (event.type) {
+            case 'phase:start':
+                progress.currentPhase = event.phase;
+                break;
+            case 'check:start':
+                if (checkProgress) {
+                    checkProgress.status = 'running';
+                    checkProgress.startedAt = event.timestamp;
+                }
+                break;
+            case 'check:finish':
+                if (checkProgress) {
+                    checkProgress.status = event.status;
+                    checkProgress.reason = event.reason || null;
+                    checkProgress.outcome = event.outcome;
+                    checkProgress.finishedAt = event.timestamp;
+                }
+                progress.completed++;
+                this.saveJob(job);
+                break;
+            case 'audit:short-circuit':
+                event.skippedChecks.forEach(name => {
+                    if (progress.checks[name]) {
+                        progress.checks[name].status = 'skipped';
+                    }
+                });
+                break;
+            default:
+                break;
+        }
+
+        this.emit('job:event', job.id, event);
+    }
+
+    /**
+     * Re-queue jobs that were queued or running when the server stopped
+     * @returns {Promise<number>} - Number of resumed jobs
+     */
+    async resumePendingJobs() {
+        try {
+            const result = await db.query(`
+                SELECT * FROM audit_jobs
+                WHERE status IN ($1, $2)
+                ORDER BY created_at
+            `, [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]);
+
+            result.rows.forEach(row => {
+                const job = this.fromRow(row);
+                if (this.jobs.has(job.id)) return;
+
+                // Interrupted audits start over from the first phase
+                job.status = JOB_STATUS.QUEUED;
+                this.jobs.set(job.id, job);
+                this.enqueue(job);
+            });
+
+            logMessage(`[AuditJobManager] Resumed ${result.rows.length} pending jobs`);
+            return result.rows.length;
+        } catch (error) {
+            logMessage(`[AuditJobManager] Error resuming pending jobs: ${error.message}`, 'error');
+            return 0;
+        }
+    }
+
+    /**
+     * Persist a job after any earlier writes for the same job have finished
+     * @param {Object} job - The job to save
+     * @returns {Promise<void>}
+     */
+    saveJob(job) {
+        const previous = this.pendingSaves.get(job.id) || Promise.resolve();
+        const next = previous.then(() => this.writeJob(job));
+
+        this.pendingSaves.set(job.id, next);
+        next.then(() => {
+            if (this.pendingSaves.get(job.id) === next) {
+                this.pendingSaves.delete(job.id);
+            }
+        });
+
+        return next;
+    }
+
+    /**
+     * Write a job to the database; failures are logged so audits keep running without a database
+     * @param {Object} job - The job to write
+     */
+    async writeJob(job) {
+        try {
+            await db.query(`
+                INSERT INTO audit_jobs (id, url, status, options, progress, result, error, created_at, started_at, finished_at, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+                ON CONFLICT (id) DO UPDATE SET
+                    status = EXCLUDED.status,
+                    progress = EXCLUDED.progress,
+                    result = EXCLUDED.result,
+                    error = EXCLUDED.error,
+                    started_at = EXCLUDED.started_at,
+                    finished_at = EXCLUDED.finished_at,
+                    updated_at = NOW()
+            `, [
+                job.id,
+                job.url,
+                job.status,
+                JSON.stringify(job.options || {}),
+                JSON.stringify(job.progress),
+                job.result ? JSON.stringify(job.result) : null,
+                job.error,
+                job.createdAt,
+                job.startedAt,
+                job.finishedAt
+            ]);
+        } catch (error) {
+            logMessage(`[AuditJobManager] Error saving job ${job.id}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Convert a database row to a job object
+     * @param {Object} row - Row from the audit_jobs table
+     * @returns {Object} - Job object
+     */
+    fromRow(row) {
+        const toIso = value => value ? new Date(value).toISOString() : null;
+
+        return {
+            id: row.id,
+            url: row.url,
+            options: row.options || {},
+            status: row.status,
+            progress: row.progress || this.createProgress(),
+            result: row.result || null,
+            error: row.error || null,
+            createdAt: toIso(row.created_at),
+            startedAt: toIso(row.started_at),
+            finishedAt: toIso(row.finished_at)
+        };
+    }
+
+    /**
+     * Public representation of a job for the API
+     * @param {Object} job - The job
+     * @returns {Object} - Job without internal options
+     */
+    toJSON(job) {
+        return {
+            id: job.id,
+            url: job.url,
+            status: job.status,
+            progress: job.progress,
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+}
+
+module.exports = new AuditJobManager();
+module.exports.JOB_STATUS = JOB_STATUS;
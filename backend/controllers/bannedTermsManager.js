@@ -0,0 +1,538 @@
+/**
+ * Banned Terms Manager
+ * Keeps the banned word and TLD lists in the banned_terms table so policy
+ * staff can change them without a deploy. The banned words check reads the
+ * terms through getTerms(), which reloads them from the database once the
+ * cached copy is older than the refresh interval, so edits made on any
+ * instance are picked up without a restart. Every change is recorded in
+ * banned_term_changes with who made it.
+ */
+
+const { logMessage } = require('../utils/logger');
+const bannedWords = require('../utils/bannedWords');
+const db = require('../db/database');
+const { toUnicodeHostname } = require('../utils/urlTokenizer');
+
+// How a term is matched against the URL
+const MATCH_MODE = {
+    SUBSTRING: 'substring', // anywhere in the hostname, path or query
+    WORD: 'word',           // a whole word after splitting the URL into words
+    REGEX: 'regex',         // regular expression tested against the hostname, path and query
+    TLD: 'tld'              // the public suffix of the hostname (xyz, co.uk) or a parent of it
+};
+
+// Status of the check result when a term matches
+const SEVERITY = {
+    FAIL: 'fail',
+    REVIEW: 'review'
+};
+
+const CHANGE_ACTION = {
+    SEED: 'seed',
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+// Changed-by value of the terms seeded from utils/bannedWords.js
+const SYSTEM_USER = 'system';
+
+// Longest regex term accepted
+const MAX_REGEX_LENGTH = 200;
+
+// Quantifier at the start of a string: *, +, ? or {n}, {n,}, {n,m}
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/;
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - The setting
+ */
+function readIntSetting(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Why a regex term could make matching hang, if it could. A group that
+ * repeats and itself holds a repeat, like (a+)+ or (\w+\.?)*, can take
+ * exponential time to fail on a long hostname or path
+ * @param {string} source - Regular expression
+ * @returns {string|null} - The reason, or null for a safe expression
+ */
+function unsafeRegexReason(source) {
+    if (source.length > MAX_REGEX_LENGTH) {
+        return `Regular expressions may be at most ${MAX_REGEX_LENGTH} characters`;
+    }
+
+    // Per open group, whether it holds a repeat; closedRepeating is set right after
+    // a group that holds one, so a quantifier following it is nested
+    const groups = [];
+    let closedRepeating = false;
+    let inClass = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        const followsRepeatingGroup = closedRepeating;
+        closedRepeating = false;
+
+        if (char === '\\') {
+            index++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            closedRepeating = groups.pop() === true;
+            if (closedRepeating && groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        } else {
+            const quantifier = source.slice(index).match(QUANTIFIER);
+            if (!quantifier || (char === '?' && index > 0 && '(*+?}'.includes(source[index - 1]))) {
+                continue;
+            }
+            index += quantifier[0].length - 1;
+
+            // ? and {0,1} never repeat
+            const repeats = quantifier[0] === '*' || quantifier[0] === '+' ||
+                (quantifier[1] !== undefined && (quantifier[2] ? quantifier[3] === '' || parseInt(quantifier[3]) > 1 : parseInt(quantifier[1]) > 1));
+            if (!repeats) {
+                continue;
+            }
+            if (followsRepeatingGroup) {
+                return 'Regular expressions may not repeat a group that holds a repeat, like (a+)+, since matching it can take exponential time';
+            }
+            if (groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        }
+    }
+
+    return null;
+}
+
+class BannedTermsManager {
+    constructor() {
+        // How long loaded terms are used before they are read again (default: 1 minute)
+        this.refreshInterval = readIntSetting('BANNED_TERMS_REFRESH_INTERVAL', 60000);
+
+        this.terms = null;
+        this.loadedAt = 0;
+        this.loading = null;
+
+        logMessage(`[BannedTermsManager] Initialized with refresh interval: ${this.refreshInterval}ms`);
+    }
+
+    /**
+     * Get the current terms, reloading them when the cached copy is stale.
+     * Falls back to the last loaded terms, or to the defaults in
+     * utils/bannedWords.js, when the database cannot be read.
+     * @returns {Promise<Object[]>} - Terms { id, term, category, matchMode, severity, rejectionCode }
+     */
+    async getTerms() {
+        if (this.terms && Date.now() - this.loadedAt < this.refreshInterval) {
+            return this.terms;
+        }
+
+        // Concurrent callers share one reload
+        if (!this.loading) {
+            this.loading = this.reload().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Read the terms from the database, seeding the defaults on first use
+     * @returns {Promise<Object[]>} - Terms
+     */
+    async reload() {
+        try {
+            const result = await db.query('SELECT * FROM banned_terms ORDER BY id');
+            let terms = result.rows.map(row => this.toJSON(row));
+
+            if (terms.length === 0 && !(await this.hasChanges())) {
+                terms = await this.seedDefaults();
+            }
+
+            this.terms = terms;
+            logMessage(`[BannedTermsManager] Loaded ${terms.length} banned terms`);
+        } catch (error) {
+            logMessage(`[BannedTermsManager] Error loading banned terms: ${error.message}`, 'error');
+            if (!this.terms) {
+                this.terms = this.getDefaultTerms();
+                logMessage(`[BannedTermsManager] Using ${this.terms.length} default banned terms`, 'warn');
+            }
+        }
+
+        this.loadedAt = Date.now();
+        return this.terms;
+    }
+
+    /**
+     * Make the next getTerms() call read the database
+     */
+    invalidate() {
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Whether the terms have ever been seeded or edited
+     * @returns {Promise<boolean>} - True when the change log has entries
+     */
+    async hasChanges() {
+        const result = await db.query('SELECT 1 FROM banned_term_changes LIMIT 1');
+        return Boolean(result && result.rows && result.rows.length > 0);
+    }
+
+    /**
+     * Default terms from utils/bannedWords.js
+     * @returns {Object[]} - Terms without IDs
+     */
+    getDefaultTerms() {
+        const terms = [];
+
+        Object.entries(bannedWords).forEach(([category, wordList]) => {
+            wordList.forEach(word => {
+                if (category === 'bannedTLDs') {
+                    terms.push(this.defaultTerm(word, 'bannedTLD', MATCH_MODE.TLD));
+                } else {
+                    // Entries that are not plain words are matched anywhere
+                    const matchMode = /^\p{L}+$/u.test(word) ? MATCH_MODE.WORD : MATCH_MODE.SUBSTRING;
+                    terms.push(this.defaultTerm(word, category, matchMode));
+                }
+            });
+        });
+
+        return terms;
+    }
+
+    /**
+     * Build a default term
+     * @param {string} term - The term
+     * @param {string} category - Its category
+     * @param {string} matchMode - One of MATCH_MODE
+     * @returns {Object} - Term
+     */
+    defaultTerm(term, category, matchMode) {
+        return {
+            id: null,
+            term,
+            category,
+            matchMode,
+            severity: SEVERITY.FAIL,
+            rejectionCode: null,
+            createdBy: SYSTEM_USER,
+            updatedBy: SYSTEM_USER
+        };
+    }
+
+    /**
+     * Insert the default terms into an empty table
+     * @returns {Promise<Object[]>} - The seeded terms
+     */
+    async seedDefaults() {
+        const terms = this.getDefaultTerms();
+
+        await db.transaction(async (client) => {
+            await client.query(`
+                INSERT INTO banned_terms (term, category, match_mode, severity, created_by, updated_by)
+                SELECT term, category, match_mode, $4, $5, $5
+                FROM unnest($1::text[], $2::text[], $3::text[]) AS defaults(term, category, match_mode)
+                ON CONFLICT (term, match_mode) DO NOTHING
+            `, [
+                terms.map(term => term.term),
+                terms.map(term => term.category),
+                terms.map(term => term.matchMode),
+                SEVERITY.FAIL,
+                SYSTEM_USER
+            ]);
+
+            await client.query(`
+                INSERT INTO banned_term_changes (term_id, action, changed_by, after)
+                VALUES (NULL, $1, $2, $3)
+            `, [CHANGE_ACTION.SEED, SYSTEM_USER, JSON.stringify({ count: terms.length })]);
+        });
+
+        logMessage(`[BannedTermsManager] Seeded ${terms.length} default banned terms`);
+        return terms;
+    }
+
+    /**
+     * Validate and normalize a term submitted through the admin API
+     * @param {Object} input - { term, category, matchMode, severity, rejectionCode }
+     * @param {Object} [existing] - The stored term when updating; omitted fields keep its values
+     * @returns {Object} - { value } with the normalized term, or { error }
+     */
+    normalizeTerm(input, existing = null) {
+        const merged = { ...(existing || {}), ...this.definedFields(input || {}) };
+        const matchMode = merged.matchMode || MATCH_MODE.WORD;
+        const severity = merged.severity || SEVERITY.FAIL;
+        const category = typeof merged.category === 'string' ? merged.category.trim() : '';
+        let term = typeof merged.term === 'string' ? merged.term.trim() : '';
+
+        if (!Object.values(MATCH_MODE).includes(matchMode)) {
+            return { error: `matchMode must be one of: ${Object.values(MATCH_MODE).join(', ')}` };
+        }
+        if (!Object.values(SEVERITY).includes(severity)) {
+            return { error: `severity must be one of: ${Object.values(SEVERITY).join(', ')}` };
+        }
+        if (!term) {
+            return { error: "Missing 'term'" };
+        }
+        if (!category) {
+            return { error: "Missing 'category'" };
+        }
+
+        if (matchMode === MATCH_MODE.REGEX) {
+            try {
+                new RegExp(term, 'i');
+            } catch (error) {
+                return { error: `Invalid regular expression: ${error.message}` };
+            }
+            const unsafe = unsafeRegexReason(term);
+            if (unsafe) {
+                return { error: unsafe };
+            }
+        } else {
+            term = term.toLowerCase();
+        }
+
+        if (matchMode === MATCH_MODE.WORD && !/^\p{L}+$/u.test(term)) {
+            return { error: 'Word terms may only contain letters; use substring or regex for other terms' };
+        }
+        if (matchMode === MATCH_MODE.TLD) {
+            // Hostnames are matched in Unicode, so store punycode TLDs (xn--p1ai) decoded (рф)
+            term = term.replace(/^\./, '');
+            term = toUnicodeHostname(term);
+            if (!/^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)*$/u.test(term)) {
+                return { error: 'TLD terms must be a public suffix, such as "xyz" or "co.uk"' };
+            }
+        }
+
+        const rejectionCode = merged.rejectionCode === '' || merged.rejectionCode === undefined ?
+            null : merged.rejectionCode;
+        if (rejectionCode !== null && !/^\d{1,4}$/.test(String(rejectionCode))) {
+            return { error: 'rejectionCode must be a number of up to 4 digits' };
+        }
+
+        return {
+            value: {
+                term,
+                category,
+                matchMode,
+                severity,
+                rejectionCode: rejectionCode === null ? null : String(rejectionCode)
+            }
+        };
+    }
+
+    /**
+     * Fields of an input object that are set
+     * @param {Object} input - Submitted fields
+     * @returns {Object} - Fields other than undefined
+     */
+    definedFields(input) {
+        return Object.fromEntries(['term', 'category', 'matchMode', 'severity', 'rejectionCode']
+            .filter(field => input[field] !== undefined)
+            .map(field => [field, input[field]]));
+    }
+
+    /**
+     * List stored terms
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.category] - Only terms of this category
+     * @param {string} [filters.matchMode] - Only terms with this match mode
+     * @returns {Promise<Object[]>} - Terms
+     */
+    async listTerms({ category, matchMode } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (category) {
+            params.push(category);
+            conditions.push(`category = $${params.length}`);
+        }
+        if (matchMode) {
+            params.push(matchMode);
+            conditions.push(`match_mode = $${params.length}`);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const result = await db.query(`SELECT * FROM banned_terms ${where} ORDER BY category, term`, params);
+        return result.rows.map(row => this.toJSON(row));
+    }
+
+    /**
+     * Get one stored term
+     * @param {number} id - Term ID
+     * @returns {Promise<Object|null>} - The term, or null if not found
+     */
+    async getTerm(id) {
+        const result = await db.query('SELECT * FROM banned_terms WHERE id = $1', [id]);
+        return result.rows.length ? this.toJSON(result.rows[0]) : null;
+    }
+
+    /**
+     * Add a term
+     * @param {Object} term - Normalized term from normalizeTerm()
+     * @param {string} changedBy - Who made the change
+     * @returns {Promise<Object>} - The stored term
+     */
+    async createTerm(term, changedBy) {
+        const created = await db.transaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO banned_terms (term, category, match_mode, severity, rejection_code, created_by, updated_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $6)
+                RETURNING *
+            `, [term.term, term.category, term.matchMode, term.severity, term.rejectionCode, changedBy]);
+
+            const row = this.toJSON(result.rows[0]);
+            await this.recordChange(client, row.id, CHANGE_ACTION.CREATE, changedBy, null, row);
+            return row;
+        });
+
+        this.invalidate();
+        logMessage(`[BannedTermsManager] ${changedBy} added "${created.term}" (${created.category}, ${created.matchMode})`);
+        return created;
+    }
+
+    /**
+     * Change a term
+     * @param {number} id - Term ID
+     * @param {Object} term - Normalized term from normalizeTerm()
+     * @param {string} changedBy - Who made the change
+     * @returns {Promise<Object|null>} - The updated term, or null if not found
+     */
+    async updateTerm(id, term, changedBy) {
+        const updated = await db.transaction(async (client) => {
+            const before = await client.query('SELECT * FROM banned_terms WHERE id = $1 FOR UPDATE', [id]);
+            if (before.rows.length === 0) {
+                return null;
+            }
+
+            const result = await client.query(`
+                UPDATE banned_terms
+                SET term = $2, category = $3, match_mode = $4, severity = $5, rejection_code = $6,
+                    updated_by = $7, updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [id, term.term, term.category, term.matchMode, term.severity, term.rejectionCode, changedBy]);
+
+            const row = this.toJSON(result.rows[0]);
+            await this.recordChange(client, id, CHANGE_ACTION.UPDATE, changedBy, this.toJSON(before.rows[0]), row);
+            return row;
+        });
+
+        if (updated) {
+            this.invalidate();
+            logMessage(`[BannedTermsManager] ${changedBy} updated banned term ${id}`);
+        }
+        return updated;
+    }
+
+    /**
+     * Remove a term
+     * @param {number} id - Term ID
+     * @param {string} changedBy - Who made the change
+     * @returns {Promise<Object|null>} - The removed term, or null if not found
+     */
+    async deleteTerm(id, changedBy) {
+        const deleted = await db.transaction(async (client) => {
+            const result = await client.query('DELETE FROM banned_terms WHERE id = $1 RETURNING *', [id]);
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = this.toJSON(result.rows[0]);
+            await this.recordChange(client, id, CHANGE_ACTION.DELETE, changedBy, row, null);
+            return row;
+        });
+
+        if (deleted) {
+            this.invalidate();
+            logMessage(`[BannedTermsManager] ${changedBy} removed "${deleted.term}" (${deleted.category})`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Record a change in the audit trail
+     * @param {Object} client - Transaction client
+     * @param {number} termId - Term ID
+     * @param {string} action - One of CHANGE_ACTION
+     * @param {string} changedBy - Who made the change
+     * @param {Object|null} before - The term before the change
+     * @param {Object|null} after - The term after the change
+     */
+    async recordChange(client, termId, action, changedBy, before, after) {
+        await client.query(`
+            INSERT INTO banned_term_changes (term_id, action, changed_by, before, after)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [termId, action, changedBy, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null]);
+    }
+
+    /**
+     * List recorded changes, newest first
+     * @param {Object} [filters] - Optional filters
+     * @param {number} [filters.termId] - Only changes of this term
+     * @param {number} [filters.limit] - Maximum number of changes (default: 100)
+     * @returns {Promise<Object[]>} - Changes { id, termId, action, changedBy, before, after, changedAt }
+     */
+    async listChanges({ termId, limit = 100 } = {}) {
+        const params = [Math.min(Math.max(parseInt(limit) || 100, 1), 1000)];
+        let where = '';
+        if (termId) {
+            params.push(termId);
+            where = 'WHERE term_id = $2';
+        }
+
+        const result = await db.query(`
+            SELECT * FROM banned_term_changes ${where}
+            ORDER BY changed_at DESC, id DESC
+            LIMIT $1
+        `, params);
+
+        return result.rows.map(row => ({
+            id: row.id,
+            termId: row.term_id,
+            action: row.action,
+            changedBy: row.changed_by,
+            before: row.before,
+            after: row.after,
+            changedAt: row.changed_at
+        }));
+    }
+
+    /**
+     * Convert a banned_terms row to the API representation
+     * @param {Object} row - Database row
+     * @returns {Object} - Term
+     */
+    toJSON(row) {
+        return {
+            id: row.id,
+            term: row.term,
+            category: row.category,
+            matchMode: row.match_mode,
+            severity: row.severity,
+            rejectionCode: row.rejection_code || null,
+            createdBy: row.created_by,
+            updatedBy: row.updated_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new BannedTermsManager();
+module.exports.BannedTermsManager = BannedTermsManager;
+module.exports.MATCH_MODE = MATCH_MODE;
+module.exports.SEVERITY = SEVERITY;
+module.exports.CHANGE_ACTION = CHANGE_ACTION;
+module.exports.unsafeRegexReason = unsafeRegexReason;
@@ -0,0 +1,239 @@
+const { logMessage } = require('../utils/logger');
+const bannedTermsManager = require('./bannedTermsManager');
+const { MATCH_MODE, SEVERITY, unsafeRegexReason } = bannedTermsManager;
+const bannedWordsAllowlist = require('../utils/bannedWordsAllowlist');
+const domainWords = require('../utils/domainWords');
+const { tokenizeUrl, toUnicodeHostname, TOKEN_LOCATION } = require('../utils/urlTokenizer');
+const { getPublicSuffix } = require('../utils/domainUtils');
+
+// How each location is named in the result details
+const LOCATION_LABELS = {
+    [TOKEN_LOCATION.DOMAIN]: 'The domain',
+    [TOKEN_LOCATION.PATH]: 'The URL path',
+    [TOKEN_LOCATION.QUERY]: 'The URL query'
+};
+
+// Matcher compiled from the last term list, rebuilt when the terms are reloaded
+let compiled = { terms: null, matcher: null };
+
+/**
+ * Build the lookups used for matching
+ * @param {Object[]} terms - Banned terms
+ * @returns {Object} - { words: word => term, substrings, regexes, tlds, lexicon, allowedTerms }
+ */
+function buildMatcher(terms) {
+    const words = new Map();
+    const substrings = [];
+    const regexes = [];
+    const tlds = new Map();
+
+    terms.forEach(term => {
+        switch (term.matchMode) {
+            case MATCH_MODE.WORD:
+                if (!words.has(term.term)) words.set(term.term, term);
+                break;
+            case MATCH_MODE.SUBSTRING:
+                substrings.push(term);
+                break;
+            case MATCH_MODE.REGEX: {
+                // Terms stored before the admin API checked them may still be unsafe
+                const unsafe = unsafeRegexReason(term.term);
+                if (unsafe) {
+                    logMessage(`⚠️ Skipping unsafe banned term pattern "${term.term}": ${unsafe}`, 'warn');
+                    break;
+                }
+                try {
+                    regexes.push({ term, regex: new RegExp(term.term, 'i') });
+                } catch (error) {
+                    logMessage(`⚠️ Skipping invalid banned term pattern "${term.term}": ${error.message}`, 'warn');
+                }
+                break;
+            }
+            case MATCH_MODE.TLD:
+                tlds.set(term.term, term);
+                break;
+        }
+    });
+
+    const allowedTerms = new Set(bannedWordsAllowlist.terms.map(term => term.toLowerCase()));
+    const lexicon = new Set([...words.keys(), ...allowedTerms, ...domainWords]);
+
+    return { words, substrings, regexes, tlds, lexicon, allowedTerms };
+}
+
+/**
+ * Get the matcher for the current terms
+ * @returns {Promise<Object>} - Compiled matcher
+ */
+async function getMatcher() {
+    const terms = await bannedTermsManager.getTerms();
+    if (compiled.terms !== terms) {
+        compiled = { terms, matcher: buildMatcher(terms) };
+    }
+    return compiled.matcher;
+}
+
+/**
+ * Checks whether a hostname is on the allowlist
+ * @param {string} hostname - Lowercase hostname
+ * @returns {boolean} - True when the hostname or a parent domain is allowlisted
+ */
+function isAllowedDomain(hostname) {
+    return bannedWordsAllowlist.domains.some(domain => {
+        const allowed = toUnicodeHostname(domain);
+        return hostname === allowed || hostname.endsWith(`.${allowed}`);
+    });
+}
+
+/**
+ * Find the banned TLD term matching a hostname's public suffix. A term matches
+ * the suffix itself or any parent of it, so "uk" bans example.co.uk and
+ * "co.uk" bans example.co.uk but not example.org.uk
+ * @param {string} hostname - Lowercase hostname
+ * @param {Map<string, Object>} tlds - TLD terms
+ * @returns {string|null} - Matching suffix, the longest first, or null
+ */
+function findBannedSuffix(hostname, tlds) {
+    const suffix = getPublicSuffix(hostname);
+    if (!suffix) {
+        return null;
+    }
+
+    const labels = suffix.split('.');
+    for (let start = 0; start < labels.length; start++) {
+        const candidate = labels.slice(start).join('.');
+        if (tlds.has(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find every banned term in a URL, in the order domain, path, query
+ * @param {string} urlString - The URL to check
+ * @param {Object} matcher - Compiled matcher
+ * @returns {Object[]} - Matches { term, word, token, location, part, index }
+ */
+function findMatches(urlString, matcher) {
+    const parsedUrl = new URL(urlString);
+    // Internationalized domains are matched in their Unicode form, not as xn-- labels
+    const hostname = toUnicodeHostname(parsedUrl.hostname);
+    const domainAllowed = isAllowedDomain(hostname);
+    const matches = [];
+
+    const tld = findBannedSuffix(hostname, matcher.tlds);
+    if (tld) {
+        matches.push({ term: matcher.tlds.get(tld), word: tld, token: tld, location: TOKEN_LOCATION.DOMAIN, part: hostname, index: hostname.length - tld.length });
+    }
+
+    const texts = [
+        { location: TOKEN_LOCATION.DOMAIN, part: hostname },
+        { location: TOKEN_LOCATION.PATH, part: decode(parsedUrl.pathname).toLowerCase() },
+        { location: TOKEN_LOCATION.QUERY, part: decode(parsedUrl.search.slice(1)).toLowerCase() }
+    ].filter(({ location, part }) => part && !(domainAllowed && location === TOKEN_LOCATION.DOMAIN));
+
+    const tokens = tokenizeUrl(urlString, matcher.lexicon);
+
+    texts.forEach(({ location, part }) => {
+        tokens
+            .filter(token => token.location === location && !matcher.allowedTerms.has(token.token))
+            .forEach(token => {
+                const term = matcher.words.get(token.token);
+                if (term) {
+                    matches.push({ term, word: token.token, token: token.token, location, part: token.part, index: token.index });
+                }
+            });
+
+        matcher.substrings.forEach(term => {
+            const index = part.indexOf(term.term);
+            if (index !== -1) {
+                matches.push({ term, word: term.term, token: term.term, location, part, index });
+            }
+        });
+
+        matcher.regexes.forEach(({ term, regex }) => {
+            const match = part.match(regex);
+            if (match) {
+                matches.push({ term, word: term.term, token: match[0], location, part, index: match.index });
+            }
+        });
+    });
+
+    return matches;
+}
+
+/**
+ * Find the banned term that decides the result: the first failing match,
+ * or the first match for review when none fails
+ * @param {string} urlString - The URL to check
+ * @returns {Promise<Object|null>} - Match { term, word, token, location, part, index } or null
+ */
+async function findBannedWord(urlString) {
+    const matches = findMatches(urlString, await getMatcher());
+    return matches.find(match => match.term.severity === SEVERITY.FAIL) || matches[0] || null;
+}
+
+/**
+ * Decode a URL component, keeping it as is when it is not valid percent-encoding
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value
+ */
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Checks if a URL contains banned words or uses a banned TLD. The terms are
+ * read from the banned_terms table and reloaded when they change. Word terms
+ * only match whole words after hostname labels, path segments and query
+ * values are split into words, so "classroom" does not match "ass". Punycode
+ * hostnames are decoded, so the terms also match internationalized domains
+ * @param {string} urlString - The URL to check
+ * @returns {Promise<Object|null>} - Result object if banned words found, null otherwise
+ */
+async function checkBannedWords(urlString) {
+    logMessage(`🔍 Checking for banned words in URL: ${urlString}`);
+
+    try {
+        const match = await findBannedWord(urlString);
+        if (!match) {
+            logMessage(`✓ No banned words detected in URL`);
+            return null;
+        }
+
+        const { term, word, token, location, part, index } = match;
+        const result = term.matchMode === MATCH_MODE.TLD ? {
+            status: term.severity,
+            reason: `Banned TLD detected`,
+            details: `The domain uses a banned top-level domain: .${word}`,
+            category: term.category
+        } : {
+            status: term.severity,
+            reason: `Banned content detected (${term.category})`,
+            details: `${LOCATION_LABELS[location]} contains banned term: ${word} (in "${part}")`,
+            category: term.category
+        };
+
+        result.match = { word, token, location, part, index, matchMode: term.matchMode, termId: term.id };
+        if (term.rejectionCode) {
+            result.rejectionCode = term.rejectionCode;
+        }
+
+        logMessage(`${term.severity === SEVERITY.FAIL ? '❌' : '⚠️'} Banned ${term.matchMode} term detected in ${location}: "${word}" in "${part}" (Category: ${term.category})`);
+        return result;
+
+    } catch (error) {
+        logMessage(`❌ Error checking banned words: ${error.message}`, 'error');
+        return null; // Continue with other checks if there's an error parsing the URL
+    }
+}
+
+module.exports = {
+    checkBannedWords,
+    findBannedWord
+};
@@ -1,6 +1,14 @@
 const axios = require('axios');
 const { JSDOM } = require('jsdom');
 const { logMessage } = require('../utils/logger');
+const { resolveRecencyThresholds } = require('../utils/auditProfiles');
+const { analyzeCadence, CADENCE_FLAG } = require('../utils/publishingCadence');
+const { parseDate, detectLocale, DEFAULT_LOCALE } = require('../utils/dateExtraction');
+const sitemapReader = require('./sitemapReader');
+const structuredDateReader = require('./structuredDateReader');
+const { datedEntry, DATE_SOURCE, DATE_CONFIDENCE } = structuredDateReader;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ReviewtronBot/1.0)';
 
 class ContentRecencyChecker {
     constructor() {
@@ -24,214 +32,220 @@ class ContentRecencyChecker {
             '/sitemap/page.xml'
         ];
 
-        // Define selectors for date elements
-        this.dateSelectors = [
-            // Medal.tv specific selectors
-            '.StyledText-sc-1sadyjn-0',
-            '.iSdOTS',
-            // Timestamp specific selectors
-            '.duet--article--timestamp time',
-            '[class*="timestamp"] time',
-            '[class*="article"] time',
-            // Common date containers
-            '.post-info',
-            '.date',
-            '.published-date',
-            'time',
-            '[class*="date"]',
-            '[class*="time"]',
-            // Policy page selectors
-            '[class*="terms"]',
-            '[class*="policy"]',
-            // Generic selectors that might contain dates
-            'span',
-            'div',
-            'p'
+        // Pages that might list older content, read after the structured sources
+        this.additionalPaths = [
+            '/archive',
+            '/archives',
+            '/blog',
+            '/news',
+            '/articles',
+            '/older-news',
+            '/history',
+            '/about',
+            '/about-us',
+            '/company',
+            '/tos',
+            '/legal'
         ];
+
+        this.timeout = parseInt(process.env.RECENCY_PAGE_TIMEOUT) || 10000;
+
+        // Pages fetched at the same time
+        this.concurrency = parseInt(process.env.RECENCY_CONCURRENCY) || 4;
+
+        // Time in ms for gathering dates when the caller sets no deadline
+        this.timeBudget = parseInt(process.env.RECENCY_TIME_BUDGET) || 25000;
     }
 
-    async checkRecency(url) {
+    /**
+     * Check how recently a site published content. Dates are gathered from
+     * sitemaps, then structured sources (feeds, JSON-LD, OpenGraph, the
+     * WordPress API), and only then scraped from page text; every date is
+     * tagged with its source and confidence
+     * @param {string} url - The URL to check
+     * @param {Object} [snapshot] - Captured page; its HTML is used instead of fetching the main URL again
+     * @param {Object} [thresholds] - Recency thresholds from the audit profile, see resolveRecencyThresholds
+     * @param {Object} [options]
+     * @param {number} [options.deadline] - Time in ms since the epoch at which no more sources are read and
+     *                                      the dates found so far are evaluated, defaults to timeBudget from now
+     * @returns {Promise<Object>} - Check result, including the thresholds applied
+     */
+    async checkRecency(url, snapshot = null, thresholds = resolveRecencyThresholds(), { deadline = Date.now() + this.timeBudget } = {}) {
         logMessage(`📅 Checking content recency for ${url}`);
         
         try {
-            // Extract hostname for sitemap paths
+            // Extract hostname for sitemap paths; the origin keeps a non-default port
             const parsedUrl = new URL(url);
             const hostname = parsedUrl.hostname;
-            const baseUrl = `${parsedUrl.protocol}//${hostname}`;
+            const baseUrl = parsedUrl.origin;
             
-            // Aggregate all dates from all sources
-            let allDates = [];
+            // Aggregate all dated entries from all sources
+            let allEntries = [];
             let sourcesChecked = [];
             
-            // Step 1: Check primary sitemaps concurrently
-            logMessage(`🔍 Checking primary sitemaps for ${hostname}`);
-            const primarySitemapPromises = this.primarySitemapPaths.map(path => {
-                const sitemapUrl = `${baseUrl}${path}`;
-                return this.checkSingleSitemap(sitemapUrl)
-                    .then(dates => {
-                        if (dates && dates.length > 0) {
-                            sourcesChecked.push(`Primary sitemap: ${sitemapUrl} (${dates.length} dates)`);
-                            
-                            // Check if this source alone would pass the evaluation
-                            const evaluation = this.evaluateDates(dates);
-                            if (evaluation.status === 'pass') {
-                                logMessage(`✅ Primary sitemap check passed: ${sitemapUrl}`);
-                                return { earlyExit: true, result: { ...evaluation, source: sitemapUrl, dates } };
-                            }
-                            
-                            // Otherwise, add dates to the aggregate pool
-                            allDates = [...allDates, ...dates];
-                            return { earlyExit: false, dates };
-                        }
-                        return { earlyExit: false, dates: [] };
-                    })
-                    .catch(err => {
-                        logMessage(`⚠️ Error checking sitemap ${sitemapUrl}: ${err.message}`, 'warn');
-                        return { earlyExit: false, dates: [] };
-                    });
-            });
+            // Downloads still running at the deadline are cancelled
+            const controller = new AbortController();
             
-            // Wait for all primary sitemap checks to complete
-            const primaryResults = await Promise.all(primarySitemapPromises);
+            // Step 1: Read the sitemaps named in robots.txt and at the primary paths,
+            // following sitemap indexes. Both sitemap steps, robots.txt included,
+            // share one time budget within the deadline
+            logMessage(`🔍 Checking primary sitemaps for ${hostname}`);
+            const sitemapDeadline = Math.min(Date.now() + sitemapReader.timeBudget, deadline);
+            const primarySitemaps = [...new Set([
+                ...((await sitemapReader.beforeDeadline(sitemapReader.discoverSitemaps(baseUrl), sitemapDeadline)) || []),
+                ...this.primarySitemapPaths.map(path => `${baseUrl}${path}`)
+            ])];
+            const sitemapResults = [await sitemapReader.readSitemaps(primarySitemaps, { deadline: sitemapDeadline })];
+            allEntries = this.collectSitemapEntries(sitemapResults, sourcesChecked);
             
-            // Check if any primary sitemap provided a passing result for early exit
-            const passingPrimaryResult = primaryResults.find(result => result.earlyExit);
-            if (passingPrimaryResult) {
-                return passingPrimaryResult.result;
+            if (allEntries.length > 0) {
+                const evaluation = this.evaluateEntries(allEntries, thresholds);
+                if (evaluation.status !== 'fail') {
+                    logMessage(`✅ Primary sitemap check passed`);
+                    return { 
+                        ...evaluation, 
+                        source: 'Primary sitemaps', 
+                        sourcesChecked,
+                        sitemaps: this.describeSitemaps(sitemapResults)
+                    };
+                }
             }
             
-            // Check if the combined dates from primary sitemaps pass
-            if (allDates.length > 0) {
-                const combinedEvaluation = this.evaluateDates(allDates);
-                if (combinedEvaluation.status === 'pass') {
-                    logMessage(`✅ Combined primary sitemap checks passed`);
+            // Step 2: Read the fallback sitemap paths
+            logMessage(`🔍 Checking fallback sitemaps for ${hostname}`);
+            sitemapResults.push(await sitemapReader.readSitemaps(
+                this.fallbackSitemapPaths.map(path => `${baseUrl}${path}`),
+                { deadline: sitemapDeadline }
+            ));
+            allEntries = this.collectSitemapEntries(sitemapResults, sourcesChecked);
+            const sitemaps = this.describeSitemaps(sitemapResults);
+            
+            if (allEntries.length > 0) {
+                const combinedEvaluation = this.evaluateEntries(allEntries, thresholds);
+                if (combinedEvaluation.status !== 'fail') {
+                    logMessage(`✅ Combined sitemap checks passed`);
                     return { 
                         ...combinedEvaluation, 
-                        source: 'Combined primary sitemaps', 
-                        sourcesChecked 
+                        source: 'Combined sitemaps', 
+                        sourcesChecked,
+                        sitemaps
                     };
                 }
             }
             
-            // Step 2: Check fallback sitemaps concurrently
-            logMessage(`🔍 Checking fallback sitemaps for ${hostname}`);
-            const fallbackSitemapPromises = this.fallbackSitemapPaths.map(path => {
-                const sitemapUrl = `${baseUrl}${path}`;
-                return this.checkSingleSitemap(sitemapUrl)
-                    .then(dates => {
-                        if (dates && dates.length > 0) {
-                            sourcesChecked.push(`Fallback sitemap: ${sitemapUrl} (${dates.length} dates)`);
-                            
-                            // Add dates to the aggregate pool
-                            allDates = [...allDates, ...dates];
-                            
-                            // Check if combined dates now pass
-                            const combinedEvaluation = this.evaluateDates(allDates);
-                            if (combinedEvaluation.status === 'pass') {
-                                logMessage(`✅ Combined sitemap checks passed after adding ${sitemapUrl}`);
-                                return { earlyExit: true, result: { 
-                                    ...combinedEvaluation, 
-                                    source: 'Combined sitemaps', 
-                                    sourcesChecked 
-                                }};
-                            }
-                            
-                            return { earlyExit: false, dates };
-                        }
-                        return { earlyExit: false, dates: [] };
-                    })
-                    .catch(err => {
-                        logMessage(`⚠️ Error checking fallback sitemap ${sitemapUrl}: ${err.message}`, 'warn');
-                        return { earlyExit: false, dates: [] };
-                    });
+            // Step 3: Read structured date sources: the main page's JSON-LD and
+            // OpenGraph tags, its feeds and the WordPress REST API
+            logMessage(`🔍 Checking structured date sources for ${url}`);
+            const [mainHtml] = await this.runBeforeDeadline([
+                () => this.fetchHtml(url, snapshot, controller.signal)
+            ], deadline);
+            
+            const pageEntries = structuredDateReader.readPageDates(mainHtml, url);
+            if (pageEntries.length > 0) {
+                sourcesChecked.push(`Structured data: ${url} (${pageEntries.length} dates)`);
+                allEntries = [...allEntries, ...pageEntries];
+            }
+            
+            // Feeds and the WordPress API are read side by side
+            const feedUrls = structuredDateReader.findFeeds(mainHtml, url);
+            const structuredResults = await this.runBeforeDeadline([
+                ...feedUrls.map(feedUrl => () => structuredDateReader.readFeed(feedUrl, { signal: controller.signal })),
+                () => structuredDateReader.readWordPressPosts(baseUrl, { signal: controller.signal })
+            ], deadline);
+            
+            feedUrls.forEach((feedUrl, index) => {
+                const feedEntries = structuredResults[index] || [];
+                if (feedEntries.length > 0) {
+                    sourcesChecked.push(`Feed: ${feedUrl} (${feedEntries.length} dates)`);
+                    allEntries = [...allEntries, ...feedEntries];
+                }
             });
             
-            // Wait for all fallback sitemap checks to complete
-            const fallbackResults = await Promise.all(fallbackSitemapPromises);
+            const wordPressEntries = structuredResults[feedUrls.length] || [];
+            if (wordPressEntries.length > 0) {
+                sourcesChecked.push(`WordPress API: ${baseUrl}/wp-json/wp/v2/posts (${wordPressEntries.length} dates)`);
+                allEntries = [...allEntries, ...wordPressEntries];
+            }
             
-            // Check if any fallback sitemap provided a passing result for early exit
-            const passingFallbackResult = fallbackResults.find(result => result.earlyExit);
-            if (passingFallbackResult) {
-                return passingFallbackResult.result;
+            if (allEntries.length > 0) {
+                const combinedEvaluation = this.evaluateEntries(allEntries, thresholds);
+                if (combinedEvaluation.status !== 'fail') {
+                    logMessage(`✅ Combined checks passed after adding structured dates`);
+                    controller.abort();
+                    return { 
+                        ...combinedEvaluation, 
+                        source: 'Combined sources including structured data', 
+                        sourcesChecked,
+                        sitemaps
+                    };
+                }
             }
             
-            // Step 3: Extract dates from HTML content
+            // Step 4: Extract dates from HTML content
             logMessage(`🔍 Extracting dates from HTML content for ${url}`);
             
             // First check the main URL
-            try {
-                const mainUrlDates = await this.extractDatesFromHtml(url);
-                if (mainUrlDates && mainUrlDates.length > 0) {
-                    sourcesChecked.push(`Main URL: ${url} (${mainUrlDates.length} dates)`);
-                    allDates = [...allDates, ...mainUrlDates];
+            if (mainHtml !== null) {
+                const mainUrlEntries = this.scrapedEntries(await this.extractDatesFromHtml(url, mainHtml), url);
+                if (mainUrlEntries.length > 0) {
+                    sourcesChecked.push(`Main URL: ${url} (${mainUrlEntries.length} dates)`);
+                    allEntries = [...allEntries, ...mainUrlEntries];
                     
                     // Check if combined dates now pass
-                    const combinedEvaluation = this.evaluateDates(allDates);
-                    if (combinedEvaluation.status === 'pass') {
+                    const combinedEvaluation = this.evaluateEntries(allEntries, thresholds);
+                    if (combinedEvaluation.status !== 'fail') {
                         logMessage(`✅ Combined checks passed after adding HTML dates from main URL`);
+                        controller.abort();
                         return { 
                             ...combinedEvaluation, 
                             source: 'Combined sources including HTML', 
-                            sourcesChecked 
+                            sourcesChecked,
+                            sitemaps
                         };
                     }
                 }
-            } catch (error) {
-                logMessage(`⚠️ Error extracting dates from main URL: ${error.message}`, 'warn');
             }
             
-            // Check additional pages that might contain older content
-            const additionalPaths = [
-                '/archive',
-                '/archives',
-                '/blog',
-                '/news',
-                '/articles',
-                '/older-news',
-                '/history',
-                '/about',
-                '/about-us',
-                '/company',
-                '/tos',
-                '/legal'
-            ];
+            // Check additional pages that might contain older content, a few at a time
+            const additionalUrls = this.additionalPaths.map(path => `${baseUrl}${path}`);
+            const additionalResults = await this.runBeforeDeadline(additionalUrls.map(additionalUrl => async () => {
+                logMessage(`🔍 Checking additional URL for dates: ${additionalUrl}`);
+                const html = await this.fetchHtml(additionalUrl, null, controller.signal);
+                if (html === null) {
+                    return [];
+                }
+                return [
+                    ...structuredDateReader.readPageDates(html, additionalUrl),
+                    ...this.scrapedEntries(await this.extractDatesFromHtml(additionalUrl, html), additionalUrl)
+                ];
+            }), deadline, this.concurrency);
+            controller.abort();
             
-            for (const path of additionalPaths) {
-                try {
-                    const additionalUrl = `${baseUrl}${path}`;
-                    logMessage(`🔍 Checking additional URL for dates: ${additionalUrl}`);
-                    
-                    const additionalDates = await this.extractDatesFromHtml(additionalUrl);
-                    if (additionalDates && additionalDates.length > 0) {
-                        sourcesChecked.push(`Additional URL: ${additionalUrl} (${additionalDates.length} dates)`);
-                        allDates = [...allDates, ...additionalDates];
-                        
-                        // Check if combined dates now pass
-                        const combinedEvaluation = this.evaluateDates(allDates);
-                        if (combinedEvaluation.status === 'pass') {
-                            logMessage(`✅ Combined checks passed after adding HTML dates from ${additionalUrl}`);
-                            return { 
-                                ...combinedEvaluation, 
-                                source: 'Combined sources including additional HTML', 
-                                sourcesChecked 
-                            };
-                        }
-                    }
-                } catch (error) {
-                    logMessage(`⚠️ Error extracting dates from additional URL: ${error.message}`, 'warn');
-                    // Continue to next URL even if this one fails
+            additionalUrls.forEach((additionalUrl, index) => {
+                const additionalEntries = additionalResults[index] || [];
+                if (additionalEntries.length > 0) {
+                    sourcesChecked.push(`Additional URL: ${additionalUrl} (${additionalEntries.length} dates)`);
+                    allEntries = [...allEntries, ...additionalEntries];
                 }
+            });
+            
+            // Sources not read by the deadline are left out of the evaluation
+            const incomplete = Date.now() >= deadline;
+            if (incomplete) {
+                logMessage(`⚠️ Time budget used up for ${url}, evaluating the ${allEntries.length} dates found so far`, 'warn');
             }
             
             // Final evaluation with all collected dates
-            if (allDates.length > 0) {
-                const finalEvaluation = this.evaluateDates(allDates);
+            if (allEntries.length > 0) {
+                const finalEvaluation = this.evaluateEntries(allEntries, thresholds);
                 logMessage(`📊 Final evaluation after checking all sources: ${finalEvaluation.status}`);
                 return { 
                     ...finalEvaluation, 
                     source: 'All available sources', 
                     sourcesChecked,
-                    totalDatesFound: allDates.length
+                    sitemaps,
+                    totalDatesFound: allEntries.length,
+                    incomplete
                 };
             }
             
@@ -241,7 +255,10 @@ class ContentRecencyChecker {
                 status: 'fail',
                 reason: 'No dates found in any source',
                 details: 'Could not determine content recency',
-                sourcesChecked
+                thresholds,
+                sourcesChecked,
+                sitemaps,
+                incomplete
             };
         } catch (error) {
             logMessage(`❌ Error in checkRecency: ${error.message}`, 'error');
@@ -253,42 +270,137 @@ class ContentRecencyChecker {
         }
     }
 
-    async checkSingleSitemap(sitemapUrl) {
-        logMessage(`🔍 Checking sitemap: ${sitemapUrl}`);
-        
+    /**
+     * HTML of a page
+     * @param {string} url - Page URL
+     * @param {Object} [snapshot] - Captured page, used instead of fetching
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<string|null>} - HTML, or null when the page cannot be fetched
+     */
+    async fetchHtml(url, snapshot = null, signal = undefined) {
+        if (snapshot && snapshot.html) {
+            return snapshot.html;
+        }
         try {
-            const response = await axios.get(sitemapUrl, {
-                timeout: 10000,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ReviewtronBot/1.0)' }
+            const response = await axios.get(url, {
+                timeout: this.timeout,
+                signal,
+                responseType: 'text',
+                headers: { 'User-Agent': USER_AGENT }
             });
-            
-            const xml = response.data;
-            const dates = [];
-            
-            // Extract lastmod dates from sitemap
-            const lastmodRegex = /<lastmod>(.+?)<\/lastmod>/g;
-            let match;
-            
-            while ((match = lastmodRegex.exec(xml)) !== null) {
-                this.tryParseDate(match[1], dates);
-            }
-            
-            logMessage(`📊 Found ${dates.length} dates in sitemap ${sitemapUrl}`);
-            return dates;
+            return String(response.data);
         } catch (error) {
-            logMessage(`❌ Error fetching sitemap ${sitemapUrl}: ${error.message}`, 'error');
-            throw error;
+            logMessage(`⚠️ Error fetching ${url} for dates: ${error.message}`, 'warn');
+            return null;
         }
     }
 
-    async extractDatesFromHtml(url) {
+    /**
+     * Run tasks, at most concurrency at a time, until a deadline
+     * @param {Function[]} tasks - async () => result; must not reject
+     * @param {number} deadline - Time in ms since the epoch
+     * @param {number} [concurrency] - Tasks run at the same time, defaults to all
+     * @returns {Promise<Array>} - Result of every task in task order, null for tasks not finished by the deadline
+     */
+    async runBeforeDeadline(tasks, deadline, concurrency = tasks.length) {
+        const results = tasks.map(() => null);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < tasks.length && Date.now() < deadline) {
+                const index = next++;
+                results[index] = await tasks[index]();
+            }
+        };
+
+        await sitemapReader.beforeDeadline(
+            Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker)),
+            deadline
+        );
+        return [...results];
+    }
+
+    /**
+     * Dated entries of the sitemaps read so far; a news publication date is
+     * trusted more than a lastmod, which also changes when an old page is edited
+     * @param {Object[]} sitemapResults - Results of sitemapReader.readSitemaps
+     * @param {string[]} sourcesChecked - Source descriptions, extended with every sitemap that listed dated pages
+     * @returns {Object[]} - One dated entry per page
+     */
+    collectSitemapEntries(sitemapResults, sourcesChecked) {
+        const entries = [];
+        sitemapResults.forEach(result => {
+            result.sitemaps.filter(sitemap => sitemap.urls > 0).forEach(sitemap => {
+                const source = `Sitemap: ${sitemap.url} (${sitemap.urls} dates)`;
+                if (!sourcesChecked.includes(source)) {
+                    sourcesChecked.push(source);
+                }
+            });
+            result.entries.forEach(entry => entries.push({
+                date: entry.date,
+                source: DATE_SOURCE.SITEMAP,
+                confidence: entry.publicationDate ? DATE_CONFIDENCE.HIGH : DATE_CONFIDENCE.MEDIUM,
+                url: entry.url
+            }));
+        });
+        return entries;
+    }
+
+    /**
+     * Tag dates scraped from page text
+     * @param {Date[]} dates - Scraped dates
+     * @param {string} url - Page URL
+     * @returns {Object[]} - Low-confidence dated entries
+     */
+    scrapedEntries(dates, url) {
+        return dates
+            .map(date => datedEntry(date, DATE_SOURCE.HTML, DATE_CONFIDENCE.LOW, url))
+            .filter(Boolean);
+    }
+
+    /**
+     * Summary of the sitemaps read, with the newest and oldest page
+     * @param {Object[]} sitemapResults - Results of sitemapReader.readSitemaps
+     * @returns {Object} - { read, pages, truncated, mostRecentPage, oldestPage }
+     */
+    describeSitemaps(sitemapResults) {
+        const entries = sitemapResults.flatMap(result => result.entries);
+        const page = entry => entry ? { url: entry.url, date: entry.date.toISOString() } : null;
+        const byDate = [...entries].sort((a, b) => b.date - a.date);
+
+        return {
+            read: sitemapResults.reduce((count, result) => count + result.sitemaps.filter(sitemap => !sitemap.error).length, 0),
+            pages: entries.length,
+            truncated: sitemapResults.some(result => result.truncated),
+            mostRecentPage: page(byDate[0]),
+            oldestPage: page(byDate[byDate.length - 1])
+        };
+    }
+
+    /**
+     * Extract dates from a page's HTML
+     * @param {string} url - The page URL, fetched when no HTML is given
+     * @param {string} [html] - Already captured HTML of the page
+     * @returns {Promise<Date[]>} - Dates found on the page
+     */
+    async extractDatesFromHtml(url, html = null) {
         try {
-            const response = await axios.get(url);
-            const dom = new JSDOM(response.data);
+            const source = html !== null ? html : await this.fetchHtml(url);
+            if (source === null) {
+                return [];
+            }
+            const dom = new JSDOM(source);
             const dates = [];
 
+            // Day/month order and month names follow the page's language
+            const document = dom.window.document;
+            const locale = detectLocale(
+                document.documentElement.getAttribute('lang'),
+                document.body ? document.body.textContent : ''
+            );
+
             // 1. Check time elements first (highest priority)
-            const timeElements = dom.window.document.querySelectorAll('time');
+            const timeElements = document.querySelectorAll('time');
             timeElements.forEach(time => {
                 // Check datetime attribute first
                 const datetime = time.getAttribute('datetime');
@@ -303,7 +415,7 @@ class ContentRecencyChecker {
                 // Also check text content as backup
                 const text = time.textContent.trim();
                 if (text) {
-                    this.tryParseDate(text, dates);
+                    this.tryParseDate(text, dates, locale);
                 }
             });
 
@@ -319,32 +431,18 @@ class ContentRecencyChecker {
             ];
 
             divSelectors.forEach(selector => {
-                const elements = dom.window.document.querySelectorAll(selector);
+                const elements = document.querySelectorAll(selector);
                 elements.forEach(el => {
                     const text = el.textContent.trim();
                     if (!text) return;
 
                     logMessage(`[RecencyChecker] Found div with date class: "${text}" in selector ${selector}`);
-                    
-                    // Try parsing Month DD, YYYY format (e.g., "Feb 26, 2025")
-                    const monthDayYearMatch = text.match(/([A-Za-z]+)\s+(\d{1,2})(?:,|\s+)?(\d{4})/);
-                    if (monthDayYearMatch) {
-                        const [_, month, day, year] = monthDayYearMatch;
-                        const date = new Date(`${month} ${day}, ${year}`);
-                        if (!isNaN(date)) {
-                            logMessage(`[RecencyChecker] Parsed date from div: ${date.toISOString()}`);
-                            dates.push(date);
-                            return;
-                        }
-                    }
-
-                    // Try other date formats if the specific format didn't match
-                    this.tryParseDate(text, dates);
+                    this.tryParseDate(text, dates, locale);
                 });
             });
 
             // 3. Check meta tags
-            const metaTags = dom.window.document.querySelectorAll('meta');
+            const metaTags = document.querySelectorAll('meta');
             metaTags.forEach(tag => {
                 const property = tag.getAttribute('property');
                 const name = tag.getAttribute('name');
@@ -365,7 +463,7 @@ class ContentRecencyChecker {
             });
 
             // 4. Check article tags
-            const articles = dom.window.document.querySelectorAll('article');
+            const articles = document.querySelectorAll('article');
             articles.forEach(article => {
                 // Check article's time tags
                 const timeTags = article.querySelectorAll('time');
@@ -402,60 +500,102 @@ class ContentRecencyChecker {
         }
     }
 
-    tryParseDate(text, dates) {
-        let date;
-
-        // 1. Try "Month DD, YYYY" format (e.g., "Feb 26, 2025")
-        const monthDayYearMatch = text.match(/([A-Za-z]+)\s+(\d{1,2})(?:,|\s+)?(\d{4})/);
-        if (monthDayYearMatch) {
-            const [_, month, day, year] = monthDayYearMatch;
-            date = new Date(`${month} ${day}, ${year}`);
-            if (!isNaN(date)) {
-                logMessage(`[RecencyChecker] Parsed 'Month DD YYYY' date: ${date.toISOString()}`);
-                dates.push(date);
-                return;
-            }
+    /**
+     * Parse a date printed on a page, see utils/dateExtraction.js
+     * @param {string} text - Element text
+     * @param {Date[]} dates - Dates found so far; the date is added when there is one
+     * @param {Object} [locale] - Page locale from detectLocale
+     */
+    tryParseDate(text, dates, locale = DEFAULT_LOCALE) {
+        const date = parseDate(text, locale);
+        if (date) {
+            logMessage(`[RecencyChecker] Parsed ${locale.language} date "${text.slice(0, 60)}": ${date.toISOString()}`);
+            dates.push(date);
         }
+    }
 
-        // 2. Try "Updated Month YYYY" format
-        const updatedMonthYearMatch = text.match(/Updated\s+([A-Za-z]+)\s+(\d{4})/i);
-        if (updatedMonthYearMatch) {
-            const [_, month, year] = updatedMonthYearMatch;
-            date = new Date(`${month} 1, ${year}`);
-            if (!isNaN(date)) {
-                logMessage(`[RecencyChecker] Parsed 'Updated Month YYYY' date: ${date.toISOString()}`);
-                dates.push(date);
-                return;
-            }
+    /**
+     * Evaluate dated entries: the newest and oldest content, then the publishing
+     * cadence. A site that passes but has future-dated content or bursts of
+     * backdated content is sent to review
+     * @param {Object[]} entries - { date, source, confidence, url }
+     * @param {Object} [thresholds] - Recency thresholds, see resolveRecencyThresholds
+     * @returns {Object} - Check result; details holds the summary, the monthly histogram,
+     *                     the posts of the months the cadence rule covers, the longest gap
+     *                     and the flags. dateSources counts dates by source and confidence,
+     *                     evidence names the newest and oldest post
+     */
+    evaluateEntries(entries, thresholds = resolveRecencyThresholds()) {
+        const cadence = analyzeCadence(entries, thresholds);
+
+        const dateSources = {};
+        entries.forEach(({ source, confidence }) => {
+            dateSources[source] = dateSources[source] || {};
+            dateSources[source][confidence] = (dateSources[source][confidence] || 0) + 1;
+        });
+
+        const cadenceDetails = {
+            histogram: cadence.histogram,
+            monthlyPosts: cadence.monthlyPosts,
+            longestGap: cadence.longestGap,
+            flags: cadence.flags
+        };
+
+        if (cadence.posts.length === 0) {
+            return {
+                status: 'fail',
+                reason: 'No dates found in any source',
+                details: { summary: 'All content dates are in the future', ...cadenceDetails },
+                thresholds,
+                dateSources
+            };
         }
 
-        // 3. Try "Month YYYY" format
-        const monthYearMatch = text.match(/([A-Za-z]+)\s+(\d{4})/);
-        if (monthYearMatch) {
-            const [_, month, year] = monthYearMatch;
-            date = new Date(`${month} 1, ${year}`);
-            if (!isNaN(date)) {
-                logMessage(`[RecencyChecker] Parsed 'Month YYYY' date: ${date.toISOString()}`);
-                dates.push(date);
-                return;
-            }
+        const evaluation = this.evaluateDates([...cadence.dates], thresholds);
+        let { status, reason, details: summary } = evaluation;
+
+        if (status === 'pass' && cadence.failure) {
+            status = 'fail';
+            ({ reason, details: summary } = cadence.failure);
         }
 
-        // 4. Try direct parsing as a fallback
-        date = new Date(text);
-        if (!isNaN(date)) {
-            logMessage(`[RecencyChecker] Parsed direct date: ${date.toISOString()}`);
-            dates.push(date);
+        if (status === 'pass' && cadence.flags.length > 0) {
+            status = 'review';
+            reason = `Content dates need review: ${cadence.flags.map(flag => flag.type === CADENCE_FLAG.FUTURE_DATED
+                ? `${flag.count} future-dated posts`
+                : `${flag.count} posts published in bursts on single days`).join(', ')}`;
         }
+
+        const sorted = [...cadence.posts].sort((a, b) => b.date - a.date);
+        const describe = entry => ({ ...entry, date: entry.date.toISOString() });
+
+        return {
+            ...evaluation,
+            status,
+            reason,
+            details: { summary, ...cadenceDetails },
+            dateSources,
+            evidence: {
+                mostRecent: describe(sorted[0]),
+                oldest: describe(sorted[sorted.length - 1])
+            }
+        };
     }
 
-    evaluateDates(dates) {
+    /**
+     * Evaluate content dates against the recency thresholds
+     * @param {Date[]} dates - Content dates
+     * @param {Object} [thresholds] - { profile, maxDaysSinceRecent, minDaysSinceOldest }
+     * @returns {Object} - Result with the content age and the thresholds applied
+     */
+    evaluateDates(dates, thresholds = resolveRecencyThresholds()) {
         // Sort dates in descending order (newest first)
         dates.sort((a, b) => b - a);
         
         const mostRecent = dates[0];
         const oldest = dates[dates.length - 1];
         const now = new Date();
+        const { profile, maxDaysSinceRecent, minDaysSinceOldest } = thresholds;
         
         // Calculate days since most recent and oldest content
         const daysSinceRecent = (now - mostRecent) / (1000 * 60 * 60 * 24);
@@ -472,27 +612,28 @@ class ContentRecencyChecker {
             contentAge: {
                 mostRecentDays: Math.round(daysSinceRecent),
                 oldestDays: Math.round(daysSinceOldest)
-            }
+            },
+            thresholds
         };
 
         // Check requirements:
-        // 1. Most recent content must be within 30 days
-        // 2. Must have content older than 95 days
-        if (daysSinceRecent > 30) {
+        // 1. Most recent content must be at most maxDaysSinceRecent days old
+        // 2. Must have content at least minDaysSinceOldest days old
+        if (daysSinceRecent > maxDaysSinceRecent) {
             return {
                 ...result,
                 status: "fail",
-                reason: "Lacking 4 months or recent content",
-                details: `Most recent content is ${Math.round(daysSinceRecent)} days old (must be less than 30 days)`
+                reason: `No content published in the last ${maxDaysSinceRecent} days`,
+                details: `Most recent content is ${Math.round(daysSinceRecent)} days old (must be at most ${maxDaysSinceRecent} days, ${profile} profile)`
             };
         }
 
-        if (daysSinceOldest < 95) {
+        if (daysSinceOldest < minDaysSinceOldest) {
             return {
                 ...result,
                 status: "fail",
-                reason: "Lacking 4 months or recent content",
-                details: `Oldest content is only ${Math.round(daysSinceOldest)} days old (must be more than 95 days)`
+                reason: `No content older than ${minDaysSinceOldest} days`,
+                details: `Oldest content is only ${Math.round(daysSinceOldest)} days old (must be at least ${minDaysSinceOldest} days, ${profile} profile)`
             };
         }
 
@@ -500,7 +641,7 @@ class ContentRecencyChecker {
             ...result,
             status: "pass",
             reason: "Content meets recency and historical requirements",
-            details: `Content ranges from ${Math.round(daysSinceRecent)} to ${Math.round(daysSinceOldest)} days old`
+            details: `Content ranges from ${Math.round(daysSinceRecent)} to ${Math.round(daysSinceOldest)} days old (${profile} profile: newest at most ${maxDaysSinceRecent} days, oldest at least ${minDaysSinceOldest} days)`
         };
     }
 }
@@ -0,0 +1,161 @@
+/**
+ * Duplicate Index
+ * Keeps MinHash and SimHash signatures of every audited page in the
+ * page_signatures table, so an audit can find sites we audited before that
+ * carry the same text. Scraped-content networks spread one set of articles
+ * over many domains, and web search rarely ranks those copies. Only the
+ * signatures are stored, not the text. Candidates are found through shared
+ * MinHash band keys and ranked by their estimated Jaccard similarity.
+ * Navigation, headers, footers and sidebars are left out of the signatures,
+ * since sites built on one theme share them without sharing any articles.
+ */
+
+const cheerio = require('cheerio');
+const { logMessage } = require('../utils/logger');
+const db = require('../db/database');
+const { getSiteDomain } = require('../utils/domainUtils');
+const { signText, estimateSimilarity, hammingDistance } = require('../utils/textSignatures');
+
+// Pages with fewer shingles are too short to tell copies from shared boilerplate
+const MIN_SHINGLES = 20;
+
+// Previously audited sites listed per result
+const MAX_MATCHES = 10;
+
+// Site chrome removed before a page is signed
+const BOILERPLATE_SELECTOR = 'script, style, noscript, template, nav, header, footer, aside, form, ' +
+    '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="search"]';
+
+class DuplicateIndex {
+    constructor() {
+        // Estimated similarity from which an indexed page is a near-duplicate
+        this.minSimilarity = parseFloat(process.env.NEAR_DUPLICATE_MIN_SIMILARITY) || 0.5;
+
+        logMessage(`[DuplicateIndex] Initialized with minimum similarity: ${this.minSimilarity}`);
+    }
+
+    /**
+     * Text of a page's own content: its main element, else its articles, else its body,
+     * without the site chrome
+     * @param {string} html - Page HTML
+     * @returns {string} - Content text
+     */
+    contentText(html) {
+        const $ = cheerio.load(html || '');
+        $(BOILERPLATE_SELECTOR).remove();
+
+        const main = $('main, [role="main"]').first();
+        if (main.length > 0) {
+            return main.text();
+        }
+        const articles = $('article');
+        if (articles.length > 0) {
+            return articles.map((index, element) => $(element).text()).get().join('\n\n');
+        }
+        return $('body').text();
+    }
+
+    /**
+     * Signatures of a page's text
+     * @param {string} text - Readable page text
+     * @returns {Object|null} - { shingleCount, minhash, simhash, bandKeys }, null for text too short to index
+     */
+    sign(text) {
+        const signature = signText(text);
+        return signature.shingleCount >= MIN_SHINGLES ? signature : null;
+    }
+
+    /**
+     * Previously audited sites with near-duplicates of a page, other pages of its own site excluded
+     * @param {string} url - Page URL
+     * @param {Object} signature - Signatures from sign()
+     * @returns {Promise<Object[]>} - { site, url, similarity, simhashDistance, auditedAt } of the most similar
+     *                                page of each site, most similar first
+     */
+    async findNearDuplicates(url, signature) {
+        const site = getSiteDomain(new URL(url).hostname);
+        const result = await db.query(`
+            SELECT url, registrable_domain, minhash, simhash, audited_at
+            FROM page_signatures
+            WHERE band_keys && $1::text[] AND registrable_domain IS DISTINCT FROM $2
+        `, [signature.bandKeys, site]);
+
+        const bySite = new Map();
+        result.rows.forEach(row => {
+            const match = {
+                site: row.registrable_domain,
+                url: row.url,
+                similarity: Math.round(estimateSimilarity(signature.minhash, row.minhash) * 1000) / 1000,
+                simhashDistance: hammingDistance(signature.simhash, row.simhash),
+                auditedAt: row.audited_at
+            };
+            const best = bySite.get(match.site);
+            if (match.similarity >= this.minSimilarity && (!best || match.similarity > best.similarity)) {
+                bySite.set(match.site, match);
+            }
+        });
+
+        const matches = [...bySite.values()]
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, MAX_MATCHES);
+        logMessage(`[DuplicateIndex] ${result.rows.length} candidates for ${url}, ${matches.length} near-duplicate sites`);
+        return matches;
+    }
+
+    /**
+     * Store or replace the signatures of a page
+     * @param {string} url - Page URL
+     * @param {Object} signature - Signatures from sign()
+     * @returns {Promise<void>}
+     */
+    async indexPage(url, signature) {
+        await db.query(`
+            INSERT INTO page_signatures (url, registrable_domain, shingle_count, minhash, simhash, band_keys, audited_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            ON CONFLICT (url) DO UPDATE SET
+                registrable_domain = EXCLUDED.registrable_domain,
+                shingle_count = EXCLUDED.shingle_count,
+                minhash = EXCLUDED.minhash,
+                simhash = EXCLUDED.simhash,
+                band_keys = EXCLUDED.band_keys,
+                audited_at = EXCLUDED.audited_at
+        `, [
+            url,
+            getSiteDomain(new URL(url).hostname),
+            signature.shingleCount,
+            signature.minhash,
+            signature.simhash,
+            signature.bandKeys
+        ]);
+
+        logMessage(`[DuplicateIndex] Indexed ${url}`);
+    }
+
+    /**
+     * Look a page up in the index, then add it. Index errors are logged and give no matches,
+     * so the plagiarism check still runs without a database
+     * @param {string} url - Page URL
+     * @param {string} text - Readable page text, signed when there is no HTML
+     * @param {string} [html] - Page HTML; its content text is signed instead of the readable text
+     * @returns {Promise<Object>} - { indexed, matches }; indexed is false for short text and index errors
+     */
+    async checkAndIndex(url, text, html = null) {
+        const signature = this.sign(html ? this.contentText(html) : text);
+        if (!signature) {
+            logMessage(`[DuplicateIndex] Text of ${url} is too short to index`);
+            return { indexed: false, matches: [] };
+        }
+
+        try {
+            const matches = await this.findNearDuplicates(url, signature);
+            await this.indexPage(url, signature);
+            return { indexed: true, matches };
+        } catch (error) {
+            logMessage(`[DuplicateIndex] Error using the duplicate index: ${error.message}`, 'error');
+            return { indexed: false, matches: [] };
+        }
+    }
+}
+
+module.exports = new DuplicateIndex();
+module.exports.DuplicateIndex = DuplicateIndex;
@@ -1,70 +1,146 @@
-const { LanguageServiceClient } = require('@google-cloud/language');
 const axios = require('axios');
-const puppeteer = require('puppeteer-core');
+const cheerio = require('cheerio');
 const { logMessage } = require('../utils/logger');
-const path = require('path');
-const { getPuppeteerLaunchOptions } = require('../utils/puppeteerConfig');
-
-// Check if JSDOM and Readability are available, if not provide instructions
-let JSDOM, Readability;
-try {
-    JSDOM = require('jsdom').JSDOM;
-} catch (error) {
-    console.error('JSDOM module not found. Please install it using: npm install jsdom');
+const browserPool = require('../utils/browserPool');
+const pageCapture = require('../utils/pageCapture');
+const { sampleChunks, describeCoverage } = require('../utils/textSampler');
+const { createModerationProvider, loadModerationThresholds, moderationResult } = require('./moderationProviders');
+const { guessLanguage } = require('../utils/dateExtraction');
+const hateSpeechPhrases = require('../utils/hateSpeechPhrases');
+
+// Evidence spans reported per category
+const MAX_CATEGORY_EVIDENCE = 5;
+
+// Characters per chunk sent to a moderation provider
+const CHUNK_SIZE = 1000;
+
+// Containers of comment threads
+const COMMENT_SELECTORS = ['#comments', '.comments', '.comment-list', '.commentlist', '#disqus_thread', '[itemprop="comment"]'];
+
+// Links that lead to files or to listing, feed and account pages rather than content
+const SKIPPED_LINK = /\.(?:jpe?g|png|gif|svg|webp|pdf|zip|css|js|xml|rss)$|\/(?:login|signin|register|account|cart|feed|tag|category|author|wp-admin)(?:\/|$)/i;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ReviewtronBot/1.0)';
+
+// Digits and symbols read as the letters they stand in for
+const LEETSPEAK = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+// Anything that is not a letter or digit is padding inside a word
+// ("k.i.l.l", "k i l l")
+const SEPARATOR = '[^\\p{L}\\p{N}]';
+
+// Words of a phrase are one to three separators apart, but never across the
+// end of a sentence: "kill. All" is not "kill all"
+const WORD_GAP = '[^\\p{L}\\p{N}.!?]{1,3}';
+
+/**
+ * Quick-scan pattern of one or more words. Each letter may repeat ("kiiill")
+ * and be padded with up to two separators
+ * @param {string} words - Normalized words
+ * @returns {string} - Pattern source
+ */
+function wordsPattern(words) {
+    return words.split(/\s+/).filter(Boolean)
+        .map(word => Array.from(word).map(letter => `${letter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}+`).join(`${SEPARATOR}{0,2}`))
+        .join(WORD_GAP);
 }
 
-try {
-    Readability = require('@mozilla/readability').Readability;
-} catch (error) {
-    console.error('@mozilla/readability module not found. Please install it using: npm install @mozilla/readability');
+/**
+ * Quick-scan pattern of a phrase; words need a gap between them, so "kill
+ * all" does not match "killall", and {group} matches any of the groups,
+ * optionally after an article
+ * @param {string} phrase - Normalized phrase
+ * @param {Object} [language] - { articles, groups } of the phrase's language, normalized
+ * @returns {RegExp} - Global pattern
+ */
+function phrasePattern(phrase, { articles = [], groups = [] } = {}) {
+    const article = articles.length ? `(?:(?:${articles.map(wordsPattern).join('|')})${WORD_GAP})?` : '';
+    const group = `${article}(?:${groups.map(wordsPattern).join('|')})`;
+    const source = phrase.split(/[^\p{L}\p{N}{}]+/u).filter(Boolean)
+        .map(word => (word === '{group}' ? group : wordsPattern(word)))
+        .join(WORD_GAP);
+    return new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'gu');
 }
 
 class HateSpeechChecker {
     constructor() {
-        // Add configurable API call limit with a default value of 2
-        this.maxHateSpeechApiCalls = process.env.MAX_HATE_SPEECH_API_CALLS ? 
-            parseInt(process.env.MAX_HATE_SPEECH_API_CALLS) : 2;
-        
-        logMessage(`[HateSpeechChecker] Initialized with maxHateSpeechApiCalls: ${this.maxHateSpeechApiCalls}`);
+        // Characters sent per audit to providers that call an API;
+        // MAX_HATE_SPEECH_API_CALLS is still read, as a number of chunks
+        this.budgetChars = parseInt(process.env.HATE_SPEECH_BUDGET_CHARS) ||
+            (parseInt(process.env.MAX_HATE_SPEECH_API_CALLS) || 2) * CHUNK_SIZE;
+
+        // Pages of the site whose text is scanned, the audited page included
+        this.maxPages = parseInt(process.env.HATE_SPEECH_MAX_PAGES) || 3;
+        this.fetchTimeout = parseInt(process.env.HATE_SPEECH_FETCH_TIMEOUT) || 10000;
         
-        logMessage(`[HateSpeechChecker] Initializing with Google Cloud credentials`);
-        this.languageClient = new LanguageServiceClient({
-            keyFilename: path.join(__dirname, '../config/credentials/google-cloud-credentials.json')
-        });
+        logMessage(`[HateSpeechChecker] Initialized with a budget of ${this.budgetChars} characters over up to ${this.maxPages} pages`);
 
-        // Common problematic phrases and patterns
-        this.problematicPhrases = [
-            // Hate speech indicators
-            'kill all',
-            'death to',
-            'should die',
-            'was right about',
-            'was right abt',
-            // Context-specific patterns
-            'deserve to',
-            'hate all',
-            'eliminate all'
-        ];
+        // Review and fail score of each moderation category
+        this.thresholds = loadModerationThresholds();
+
+        // Text moderation provider from MODERATION_PROVIDER; a misconfigured
+        // provider is reported by every check instead of stopping the server
+        this.provider = null;
+        this.providerError = null;
+        try {
+            this.provider = createModerationProvider();
+        } catch (error) {
+            this.providerError = error.message;
+            logMessage(`[HateSpeechChecker] ${error.message}`, 'error');
+        }
+
+        // Quick-scan phrases by language and category, see utils/hateSpeechPhrases.js
+        this.problematicPhrases = Object.entries(hateSpeechPhrases).flatMap(([language, { articles, groups, phrases }]) => {
+            const targets = {
+                articles: articles.map(word => this.normalizeForScan(word)),
+                groups: groups.map(word => this.normalizeForScan(word))
+            };
+            return Object.entries(phrases).flatMap(([category, entries]) => entries.map(phrase => ({
+                phrase,
+                category,
+                language,
+                pattern: phrasePattern(this.normalizeForScan(phrase), targets)
+            })));
+        });
     }
 
-    async checkContent(url) {
+    /**
+     * Check a page's text for hate speech
+     * @param {string} url - The URL to check
+     * @param {Object} [snapshot] - Captured page; its text is used instead of rendering the page again
+     * @returns {Promise<Object>} - Check result
+     */
+    async checkContent(url, snapshot = null) {
         try {
             logMessage(`[HateSpeechChecker] Starting content check for URL: ${url}`);
+
+            if (!this.provider) {
+                return {
+                    status: 'error',
+                    reason: 'Moderation provider not configured',
+                    details: this.providerError
+                };
+            }
             
-            // Extract content from URL
-            const content = await this.extractContent(url);
+            // Use the audit's page snapshot when there is one
+            const page = snapshot
+                ? { url: snapshot.finalUrl || url, html: snapshot.html || '', text: snapshot.text }
+                : await this.extractContent(url);
             
             // Check if content is an error object
-            if (content && typeof content === 'object' && content.status === 'error') {
-                logMessage(`[HateSpeechChecker] Content extraction failed: ${content.details}`, 'warn');
+            if (page.status === 'error') {
+                logMessage(`[HateSpeechChecker] Content extraction failed: ${page.details}`, 'warn');
                 return {
-                    status: 'warning',
-                    reason: content.reason || 'Processing error',
-                    details: content.details || 'Failed to extract content from the page'
+                    status: 'error',
+                    reason: page.reason || 'Processing error',
+                    details: page.details || 'Failed to extract content from the page'
                 };
             }
             
-            if (!content || content.length < 10) {
+            const sections = await this.collectSections(page);
+            const length = sections.reduce((sum, section) => sum + section.text.length, 0);
+            
+            if (length < 10) {
                 logMessage(`[HateSpeechChecker] No content extracted from URL: ${url}`, 'warn');
                 return {
                     status: "warning",
@@ -73,45 +149,57 @@ class HateSpeechChecker {
                 };
             }
             
-            logMessage(`[HateSpeechChecker] Content extracted, length: ${content.length} characters`);
-            
-            // Quick scan for problematic phrases
-            const quickScanResults = this.quickScan(content);
+            logMessage(`[HateSpeechChecker] Content extracted, ${length} characters in ${sections.length} sections`);
             
-            // If quick scan finds issues, extract context and return
+            // Quick scan all text for problematic phrases
+            const quickScanResults = sections.flatMap(section =>
+                this.quickScan(section.text).map(hit => ({ ...hit, section: section.section, url: section.url }))
+            );
             if (quickScanResults.length > 0) {
                 logMessage(`[HateSpeechChecker] Quick scan found ${quickScanResults.length} problematic phrases`);
-                const contextContent = this.extractContext(content, quickScanResults);
-                
-                return {
-                    status: "failed",
-                    reason: "Problematic content detected",
-                    details: `Found ${quickScanResults.length} instances of problematic phrases`,
-                    problematicPhrases: quickScanResults
-                };
             }
             
-            logMessage(`[HateSpeechChecker] Quick scan passed, proceeding to NLP analysis`);
-            
-            // Split content into manageable chunks for NLP API
-            const chunks = this.splitContent(content);
-            
-            // Analyze text chunks with NLP API
-            const results = await this.analyzeTextChunks(chunks);
+            // Moderate a sample of the chunks that fits the budget, quick-scan hits first
+            const chunks = this.chunkSections(sections, quickScanResults);
+            const budget = this.provider.callsApi ? this.budgetChars : Infinity;
+            const results = await this.analyzeTextChunks(sampleChunks(chunks, budget));
+            const coverage = describeCoverage(chunks, results.map(result => result.chunk), budget);
             
             // Evaluate results and return final assessment
-            return this.evaluateResults(results, url, quickScanResults);
+            return this.evaluateResults(results, url, quickScanResults, coverage);
             
         } catch (error) {
             logMessage(`[HateSpeechChecker] Error checking content: ${error.message}`, 'error');
             return {
-                status: "warning",
+                status: "error",
                 reason: "Processing error",
                 details: error.message
             };
         }
     }
 
+    /**
+     * Lowercase text and undo accents and leetspeak, one character for one,
+     * so offsets in the result are offsets in the text
+     * @param {string} text - Text
+     * @returns {string} - Normalized text of the same length
+     */
+    normalizeForScan(text) {
+        return text.split('').map(char => {
+            if (LEETSPEAK[char]) {
+                return LEETSPEAK[char];
+            }
+            const plain = char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            return plain.length === 1 ? plain : char;
+        }).join('');
+    }
+
+    /**
+     * Scan text for the problematic phrases of its language and of English
+     * @param {string} content - Page text
+     * @returns {Object[]} - { phrase, category, language, text, index, context } for every match; all
+     *                       languages are scanned when the language cannot be told
+     */
     quickScan(content) {
         const foundPhrases = [];
         
@@ -121,187 +209,183 @@ class HateSpeechChecker {
             return foundPhrases;
         }
         
-        const lowerContent = content.toLowerCase();
-
-        this.problematicPhrases.forEach(phrase => {
-            const index = lowerContent.indexOf(phrase);
-            if (index !== -1) {
-                foundPhrases.push({
-                    phrase,
-                    index,
-                    context: content.substring(Math.max(0, index - 50), Math.min(content.length, index + 50))
-                });
-                logMessage(`[HateSpeechChecker] Found problematic phrase: "${phrase}" in context: "...${foundPhrases[foundPhrases.length - 1].context}..."`);
-            }
-        });
-
-        return foundPhrases;
-    }
+        const language = guessLanguage(content);
+        const normalized = this.normalizeForScan(content);
+        logMessage(`[HateSpeechChecker] Quick scan in ${language ? `${language} and en` : 'all languages'}`);
 
-    extractContext(content, quickScanResults) {
-        try {
-            // Get content around problematic phrases with context
-            const contexts = quickScanResults.map(result => {
-                const start = Math.max(0, result.index - 100);
-                const end = Math.min(content.length, result.index + 100);
-                return content.substring(start, end);
+        this.problematicPhrases
+            .filter(entry => !language || entry.language === language || entry.language === 'en')
+            .forEach(({ phrase, category, language: phraseLanguage, pattern }) => {
+                for (const match of normalized.matchAll(pattern)) {
+                    // Phrases shared by several languages are reported once
+                    if (foundPhrases.some(found => found.index === match.index && found.phrase === phrase)) {
+                        continue;
+                    }
+                    foundPhrases.push({
+                        phrase,
+                        category,
+                        language: phraseLanguage,
+                        text: content.substring(match.index, match.index + match[0].length),
+                        index: match.index,
+                        context: content.substring(Math.max(0, match.index - 50), Math.min(content.length, match.index + match[0].length + 50))
+                    });
+                    logMessage(`[HateSpeechChecker] Found ${category} phrase "${phrase}" (${phraseLanguage}) in context: "...${foundPhrases[foundPhrases.length - 1].context}..."`);
+                }
             });
 
-            return contexts.join(' ');
-        } catch (error) {
-            logMessage(`[HateSpeechChecker] Error extracting context: ${error.message}`, 'error');
-            return '';
-        }
+        return foundPhrases.sort((a, b) => a.index - b.index);
     }
 
+    /**
+     * Render a page when the audit has no snapshot of it
+     * @param {string} url - Page URL
+     * @returns {Promise<Object>} - { url, html, text }, or an error result
+     */
     async extractContent(url) {
-        let browser = null;
         try {
             logMessage(`[HateSpeechChecker] Extracting content from URL: ${url}`);
             
-            // Launch Puppeteer with proper configurations
-            browser = await puppeteer.launch({
-                headless: 'new',
-                executablePath: process.env.CHROME_BIN || '/usr/bin/chromium-browser',
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--disable-gpu',
-                    '--disable-software-rasterizer'
-                ]
-            });
-            
-            // Open a new page and set the environment
-            const page = await browser.newPage();
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-            await page.setViewport({ width: 1280, height: 800 });
-            
-            // Set up request interception to block unnecessary resources
-            await page.setRequestInterception(true);
-            page.on('request', (request) => {
-                const resourceType = request.resourceType();
-                if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-                    request.abort();
-                } else {
-                    request.continue();
-                }
-            });
-            
-            // Navigate to the target URL
-            logMessage(`[HateSpeechChecker] Navigating to URL: ${url}`);
-            await page.goto(url, { 
-                waitUntil: ['domcontentloaded', 'networkidle2'],
-                timeout: 60000
-            });
-            
-            // Extract the full HTML content
-            const html = await page.content();
-            logMessage(`[HateSpeechChecker] HTML content extracted, length: ${html.length}`);
-            
-            let content = '';
-            
-            // Check if JSDOM and Readability are available
-            if (JSDOM && Readability) {
-                // Parse the HTML with JSDOM
-                const dom = new JSDOM(html, { url });
-                
-                // Extract the article body with Readability
-                const reader = new Readability(dom.window.document);
-                const article = reader.parse();
-                
-                if (article && article.textContent) {
-                    logMessage(`[HateSpeechChecker] Successfully extracted article using Readability`);
-                    content = article.textContent;
-                }
-            }
-            
-            // If content is still empty, use fallback methods
-            if (!content || content.length < 100) {
-                logMessage(`[HateSpeechChecker] Readability extraction failed or not available, falling back to alternative methods`);
-                
-                // Fallback 1: Try to find common article containers
-                const articleSelectors = [
-                    'article', '.article', '.post', '.content', 
-                    'main', '#main', '.main-content', '.post-content',
-                    '.entry-content', '.article-content'
-                ];
-                
-                let articleContent = '';
-                for (const selector of articleSelectors) {
-                    const articleElement = await page.$(selector);
-                    if (articleElement) {
-                        articleContent = await page.evaluate(el => el.textContent, articleElement);
-                        if (articleContent && articleContent.length > 100) {
-                            logMessage(`[HateSpeechChecker] Found article content using selector: ${selector}`);
-                            break;
-                        }
-                    }
-                }
-                
-                if (articleContent && articleContent.length > 100) {
-                    content = articleContent;
-                } else {
-                    // Fallback 2: Extract all paragraph text
-                    logMessage(`[HateSpeechChecker] No article container found, extracting all paragraphs`);
-                    content = await page.evaluate(() => {
-                        return Array.from(document.querySelectorAll('p'))
-                            .map(p => p.textContent)
-                            .filter(text => text.trim().length > 0)
-                            .join('\n\n');
-                    });
-                    
-                    // Fallback 3: If still no content, get all body text
-                    if (!content || content.length < 100) {
-                        logMessage(`[HateSpeechChecker] No paragraphs found, extracting body text`);
-                        content = await page.evaluate(() => document.body.textContent);
-                    }
-                }
-            }
-            
-            // Clean up the content
-            content = content.replace(/\s+/g, ' ').trim();
-            logMessage(`[HateSpeechChecker] Extracted content length before truncation: ${content.length}`);
-            
-            // Truncate the content to 500 characters with intelligent boundary detection
-            content = this.truncateText(content, 500);
-            
-            return content;
+            // The page is rendered once per audit and shared with the other checkers
+            const rendered = await browserPool.renderPage(url);
+            return { url: rendered.finalUrl || url, html: rendered.html || '', text: rendered.text };
         } catch (error) {
             logMessage(`[HateSpeechChecker] Error extracting content: ${error.message}`, 'error');
             return {
                 status: 'error',
-                reason: 'Processing error',
+                reason: error.code === 'CHROME_NOT_FOUND' ? 'Chrome not found' : 'Processing error',
                 details: error.message
             };
-        } finally {
-            // Close the browser
-            if (browser) {
-                try {
-                    await browser.close();
-                    logMessage(`[HateSpeechChecker] Browser closed`);
-                } catch (error) {
-                    logMessage(`[HateSpeechChecker] Error closing browser: ${error.message}`, 'warn');
-                }
+        }
+    }
+
+    /**
+     * Text sections to scan: the article and comments of the page and of up to maxPages - 1
+     * content pages it links to on the same host
+     * @param {Object} page - { url, html, text } of the audited page
+     * @returns {Promise<Object[]>} - { section: 'article'|'comments'|'page', url, text }
+     */
+    async collectSections(page) {
+        const sections = this.pageSections(page.url, page.html, page.text, 'article');
+        
+        for (const link of this.findContentLinks(page.html, page.url).slice(0, this.maxPages - 1)) {
+            try {
+                const response = await axios.get(link, {
+                    headers: { 'User-Agent': USER_AGENT },
+                    timeout: this.fetchTimeout,
+                    responseType: 'text'
+                });
+                const html = typeof response.data === 'string' ? response.data : '';
+                sections.push(...this.pageSections(link, html, pageCapture.extractText(html, link), 'page'));
+            } catch (error) {
+                logMessage(`[HateSpeechChecker] Could not read ${link}: ${error.message}`, 'warn');
             }
         }
+        
+        return sections.filter(section => section.text.length > 0);
+    }
+
+    /**
+     * Sections of one page; comments are a section of their own unless the readable text already holds them
+     * @param {string} url - Page URL
+     * @param {string} html - Page HTML
+     * @param {string} text - Readable page text
+     * @param {string} section - Section name of the readable text
+     * @returns {Object[]} - { section, url, text }
+     */
+    pageSections(url, html, text, section) {
+        const article = this.prepareContent(text);
+        const comments = this.prepareContent(this.extractComments(html));
+        
+        return [
+            { section, url, text: article },
+            ...(comments && !article.includes(comments) ? [{ section: 'comments', url, text: comments }] : [])
+        ];
+    }
+
+    /**
+     * Text of the comment threads of a page
+     * @param {string} html - Page HTML
+     * @returns {string} - Comment text, empty without comments
+     */
+    extractComments(html) {
+        const $ = cheerio.load(html || '');
+        $('script, style, noscript, form').remove();
+        
+        const selector = COMMENT_SELECTORS.join(', ');
+        return $(selector)
+            .filter((index, element) => $(element).parents(selector).length === 0)
+            .map((index, element) => $(element).text())
+            .get()
+            .join(' ');
+    }
+
+    /**
+     * Links to other content pages on the page's host, article and main content links first
+     * @param {string} html - Page HTML
+     * @param {string} pageUrl - Page URL
+     * @returns {string[]} - Absolute URLs without fragments
+     */
+    findContentLinks(html, pageUrl) {
+        const $ = cheerio.load(html || '');
+        let base;
+        try {
+            base = new URL(pageUrl);
+        } catch (error) {
+            return [];
+        }
+        
+        const links = [];
+        const anchors = [...$('article a[href], main a[href]').toArray(), ...$('a[href]').toArray()];
+        anchors.forEach(anchor => {
+            let link;
+            try {
+                link = new URL($(anchor).attr('href'), base);
+            } catch (error) {
+                return;
+            }
+            link.hash = '';
+            if (!['http:', 'https:'].includes(link.protocol) || link.hostname !== base.hostname ||
+                link.pathname === base.pathname || SKIPPED_LINK.test(link.pathname) || links.includes(link.href)) {
+                return;
+            }
+            links.push(link.href);
+        });
+        
+        return links;
+    }
+
+    /**
+     * Collapse whitespace in page text for analysis
+     * @param {string} text - Readable page text
+     * @returns {string} - Cleaned content
+     */
+    prepareContent(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
     }
 
-    splitContent(content, maxChunkSize = 1000) {
+    /**
+     * Split text into chunks of at most maxChunkSize characters, between sentences where possible
+     * @param {string} content - Text
+     * @param {number} [maxChunkSize] - Characters per chunk
+     * @returns {string[]} - Chunks, each a substring of the text
+     */
+    splitContent(content, maxChunkSize = CHUNK_SIZE) {
         try {
             // Split content into chunks for API processing
             const chunks = [];
             let currentChunk = '';
             
-            const sentences = content.split(/(?<=[.!?])\s+/);
+            // Sentences longer than a chunk are cut between words
+            const pieces = content.split(/(?<=[.!?])\s+/).flatMap(sentence => sentence.length > maxChunkSize
+                ? sentence.match(new RegExp(`\\S.{0,${maxChunkSize - 1}}(?=\\s|$)|\\S.{0,${maxChunkSize - 1}}`, 'g')) || []
+                : [sentence]);
             
-            for (const sentence of sentences) {
-                if (currentChunk.length + sentence.length > maxChunkSize) {
+            for (const piece of pieces) {
+                if (currentChunk && currentChunk.length + piece.length + 1 > maxChunkSize) {
                     chunks.push(currentChunk);
-                    currentChunk = sentence;
+                    currentChunk = piece;
                 } else {
-                    currentChunk += (currentChunk ? ' ' : '') + sentence;
+                    currentChunk += (currentChunk ? ' ' : '') + piece;
                 }
             }
             
@@ -317,66 +401,153 @@ class HateSpeechChecker {
         }
     }
 
+    /**
+     * Chunks of every section with their position and quick-scan hits
+     * @param {Object[]} sections - { section, url, text }
+     * @param {Object[]} quickScanResults - Quick-scan hits with their section and url
+     * @returns {Object[]} - { text, section, url, offset, hits }
+     */
+    chunkSections(sections, quickScanResults) {
+        return sections.flatMap(section => {
+            const parts = this.splitContent(section.text);
+            const offsets = this.locateChunks(section.text, parts);
+            return parts.map((text, index) => ({
+                text,
+                section: section.section,
+                url: section.url,
+                offset: offsets[index],
+                hits: quickScanResults.filter(hit => hit.section === section.section && hit.url === section.url &&
+                    hit.index >= offsets[index] && hit.index < offsets[index] + text.length).length
+            }));
+        });
+    }
+
+    /**
+     * Moderate text chunks with the configured provider
+     * @param {Object[]} chunks - Chunks from chunkSections
+     * @returns {Promise<Object[]>} - Normalized moderation results, each with its chunk, of the chunks that could be analyzed
+     */
     async analyzeTextChunks(chunks) {
-        // Limit chunks to maxHateSpeechApiCalls
-        const chunksToAnalyze = chunks.slice(0, this.maxHateSpeechApiCalls);
-        
-        logMessage(`[HateSpeechChecker] Analyzing ${chunksToAnalyze.length} text chunks (limited by maxHateSpeechApiCalls: ${this.maxHateSpeechApiCalls}) out of ${chunks.length} total chunks`);
+        logMessage(`[HateSpeechChecker] Analyzing ${chunks.length} text chunks with the ${this.provider.name} provider`);
         
         const results = [];
-        let apiCallsMade = 0;
         
-        for (const chunk of chunksToAnalyze) {
+        for (const [index, chunk] of chunks.entries()) {
             try {
-                // Analyze sentiment
-                const [sentimentResult] = await this.languageClient.analyzeSentiment({
-                    document: {
-                        content: chunk,
-                        type: 'PLAIN_TEXT',
-                    },
-                });
-                
-                // Analyze entity sentiment
-                const [entityResult] = await this.languageClient.analyzeEntitySentiment({
-                    document: {
-                        content: chunk,
-                        type: 'PLAIN_TEXT',
-                    },
-                });
-                
-                // Classify content
-                const [classificationResult] = await this.languageClient.classifyText({
-                    document: {
-                        content: chunk,
-                        type: 'PLAIN_TEXT',
-                    },
-                });
-                
-                results.push({
-                    sentiment: sentimentResult.documentSentiment,
-                    entities: entityResult.entities,
-                    categories: classificationResult.categories || []
-                });
-                
-                // Increment API call counter
-                apiCallsMade++;
-                
-                // Log progress
-                logMessage(`[HateSpeechChecker] Processed chunk ${apiCallsMade}/${chunksToAnalyze.length}`);
-                
-                logMessage(`[HateSpeechChecker] Successfully analyzed chunk ${apiCallsMade}`);
+                results.push({ ...(await this.provider.analyze(chunk.text)), chunk });
+                logMessage(`[HateSpeechChecker] Successfully analyzed chunk ${index + 1}/${chunks.length} (${chunk.section} of ${chunk.url})`);
             } catch (error) {
-                logMessage(`[HateSpeechChecker] Error analyzing chunk ${apiCallsMade}: ${error.message}`, 'error');
+                logMessage(`[HateSpeechChecker] Error analyzing chunk ${index + 1}: ${error.message}`, 'error');
                 // Continue with other chunks even if one fails
             }
         }
         
-        logMessage(`[HateSpeechChecker] Completed text analysis with ${apiCallsMade} API calls`);
+        logMessage(`[HateSpeechChecker] Completed text analysis of ${results.length} chunks`);
         
         return results;
     }
 
-    evaluateResults(results, url, quickScanResults = []) {
+    /**
+     * Offsets of the chunks in the page text
+     * @param {string} content - Page text
+     * @param {string[]} chunks - Chunks from splitContent
+     * @returns {number[]} - Offset of each chunk
+     */
+    locateChunks(content, chunks) {
+        let cursor = 0;
+        return chunks.map(chunk => {
+            const offset = content.indexOf(chunk, cursor);
+            cursor = offset === -1 ? cursor : offset + chunk.length;
+            return Math.max(offset, 0);
+        });
+    }
+
+    /**
+     * Moderation results with the quick-scan hits of their chunk folded in. A chunk's hits of a
+     * category add one signal scored at the category's review score, so hits alone send a page to
+     * review and only fail it together with the provider's own signals. Hits in comments and linked
+     * pages raise a category to its review score at most, since the publisher did not write them.
+     * Hits in chunks that were not analyzed give a result of their own
+     * @param {Object[]} results - Moderation results of the chunks
+     * @param {Object[]} quickScanResults - Quick-scan hits with their section and url
+     * @returns {Object[]} - Results with scores and signals including the hits
+     */
+    foldQuickScanHits(results, quickScanResults) {
+        const inChunk = (hit, chunk) => hit.url === chunk.url && hit.section === chunk.section &&
+            hit.index >= chunk.offset && hit.index < chunk.offset + chunk.text.length;
+
+        const unanalyzed = quickScanResults
+            .filter(hit => !results.some(result => inChunk(hit, result.chunk)))
+            .map(hit => ({ provider: 'quickScan', scores: {}, signals: [], chunk: { url: hit.url, section: hit.section, offset: hit.index, text: hit.text } }));
+
+        return [...results, ...unanalyzed].map(result => {
+            const hits = quickScanResults.filter(hit => inChunk(hit, result.chunk));
+            if (hits.length === 0) {
+                return result;
+            }
+
+            const signals = [...new Set(hits.map(hit => hit.category))].map(category => ({
+                category,
+                score: this.thresholds[category].review,
+                source: 'quickScan',
+                evidence: hits
+                    .filter(hit => hit.category === category)
+                    .map(hit => ({ text: hit.text, start: hit.index - result.chunk.offset, end: hit.index - result.chunk.offset + hit.text.length }))
+            }));
+            const folded = moderationResult(result.provider, [...result.signals, ...signals]);
+            if (result.chunk.section !== 'article') {
+                signals.forEach(({ category }) => {
+                    folded.scores[category] = Math.max(result.scores[category] || 0, Math.min(folded.scores[category], this.thresholds[category].review));
+                });
+            }
+            return { ...folded, chunk: result.chunk };
+        });
+    }
+
+    /**
+     * Score, status and evidence of each moderation category
+     * @param {Object[]} results - Moderation results of the chunks
+     * @param {Object[]} [quickScanResults] - Quick-scan hits with their section and url
+     * @returns {Object} - Category => { score, status, review, fail, evidence }; the score is the highest
+     *                     of any chunk, evidence spans are located by page, section and offset
+     */
+    scoreCategories(results, quickScanResults = []) {
+        const scored = this.foldQuickScanHits(results, quickScanResults);
+        return Object.fromEntries(Object.entries(this.thresholds).map(([category, { review, fail }]) => {
+            const score = Math.max(0, ...scored.map(result => result.scores[category] || 0));
+
+            const evidence = scored
+                .flatMap(result => result.signals
+                    .filter(signal => signal.category === category)
+                    .flatMap(signal => (signal.evidence || []).map(span => ({
+                        text: span.text,
+                        url: result.chunk.url,
+                        section: result.chunk.section,
+                        start: result.chunk.offset + span.start,
+                        end: result.chunk.offset + span.end,
+                        source: signal.source,
+                        score: signal.score
+                    }))))
+                .sort((a, b) => b.score - a.score || a.start - b.start)
+                .filter((span, index, spans) => spans.findIndex(other => other.url === span.url && other.section === span.section &&
+                    other.start === span.start && other.end === span.end) === index)
+                .slice(0, MAX_CATEGORY_EVIDENCE);
+
+            const status = score >= fail ? 'fail' : score >= review ? 'review' : 'pass';
+            return [category, { score, status, review, fail, evidence }];
+        }));
+    }
+
+    /**
+     * Turn moderation results into the check result. A category at its fail score fails the page,
+     * a category at its review score sends it to review; quick-scan hits count towards the scores
+     * @param {Object[]} results - Moderation results of the chunks
+     * @param {string} url - Page URL
+     * @param {Object[]} [quickScanResults] - Quick scan hits
+     * @param {Object} [coverage] - Share of the text that was analyzed, from describeCoverage
+     * @returns {Object} - Check result, with the coverage and the score, status and evidence of every category in details
+     */
+    evaluateResults(results, url, quickScanResults = [], coverage = null) {
         logMessage(`[HateSpeechChecker] Evaluating analysis results`);
         
         const response = {
@@ -384,102 +555,68 @@ class HateSpeechChecker {
             quickScanResults,
             analysis: {
                 totalChunks: results.length,
-                maxApiCallsLimit: this.maxHateSpeechApiCalls,
+                provider: this.provider.name
             },
         };
         
-        // If no results were obtained, return warning
-        if (!results || results.length === 0) {
+        const categories = this.scoreCategories(results, quickScanResults);
+        const describe = status => Object.entries(categories)
+            .filter(([, category]) => category.status === status)
+            .map(([name, category]) => `${name} ${category.score} (${status} at ${category[status]})`);
+
+        const failing = describe('fail');
+        const review = describe('review');
+        // Where the hits were found, one entry per section of each page
+        const found = [...new Set(quickScanResults.map(hit => `${hit.section} ${hit.url}`))].map(place => {
+            const hits = quickScanResults.filter(hit => `${hit.section} ${hit.url}` === place);
+            const phraseCategories = [...new Set(hits.map(hit => hit.category))];
+            const where = hits[0].section === 'page' ? `the linked page ${hits[0].url}` : `the ${hits[0].section} of ${hits[0].url}`;
+            return `Found ${hits.length} instances of problematic phrases (${phraseCategories.join(', ')}) in ${where}`;
+        });
+        if (quickScanResults.length > 0) {
+            response.problematicPhrases = quickScanResults;
+        }
+        
+        // Without any results nothing of the text was moderated, which must not pass the page
+        if (results.length === 0 && quickScanResults.length === 0) {
             logMessage(`[HateSpeechChecker] No analysis results to evaluate`, 'warn');
             return {
                 ...response,
-                status: "warning",
+                status: "error",
                 reason: "Analysis limitation",
-                details: "Could not obtain analysis results from the NLP API"
+                details: { summary: `Could not obtain analysis results from the ${this.provider.name} moderation provider`, coverage }
             };
         }
         
-        // Check for extremely negative sentiment
-        const hasNegativeSentiment = results.some(result => 
-            result.sentiment && result.sentiment.score < -0.7
-        );
-        
-        // Check for negative entity sentiment toward specific groups
-        const hasNegativeEntitySentiment = results.some(result => 
-            result.entities && result.entities.some(entity => 
-                entity.sentiment.score < -0.7 && 
-                ['PERSON', 'ORGANIZATION', 'OTHER'].includes(entity.type)
-            )
-        );
-        
-        // Check for sensitive content categories
-        const hasSensitiveCategories = results.some(result => 
-            result.categories && result.categories.some(category => 
-                category.name.includes('/Sensitive') || 
-                category.name.includes('/Adult') ||
-                category.name.includes('/Hate')
-            )
-        );
+        if (failing.length > 0) {
+            logMessage(`[HateSpeechChecker] Hate speech detected through moderation analysis: ${failing.join(', ')}`);
+            return {
+                ...response,
+                status: "failed",
+                reason: "Hate speech detected",
+                details: { summary: [...found, ...failing, ...review].join(', '), coverage, categories }
+            };
+        }
         
-        // If no indicators of hate speech, return pass
-        if (!hasNegativeSentiment && !hasNegativeEntitySentiment && !hasSensitiveCategories) {
-            logMessage(`[HateSpeechChecker] No hate speech detected in NLP analysis`);
+        if (review.length > 0) {
+            logMessage(`[HateSpeechChecker] Moderation scores need review: ${review.join(', ')}`);
             return {
                 ...response,
-                status: "passed",
-                reason: "No hate speech detected",
-                details: "NLP content analysis shows no indicators of hate speech"
+                status: "review",
+                reason: "Content needs review",
+                details: { summary: [...found, ...review].join(', '), coverage, categories }
             };
         }
         
-        logMessage(`[HateSpeechChecker] Hate speech detected through NLP analysis`);
+        logMessage(`[HateSpeechChecker] No hate speech detected in moderation analysis`);
         return {
             ...response,
-            status: "failed",
-            reason: "Hate speech detected",
-            details: "NLP analysis found indicators of potentially harmful content"
+            status: "passed",
+            reason: "No hate speech detected",
+            details: { summary: 'No moderation category reached its review score', coverage, categories }
         };
     }
 
-    /**
-     * Intelligently truncates text to a specified character limit while preserving natural sentence boundaries
-     * @param {string} text - The text to truncate
-     * @param {number} maxLength - Maximum character length (default: 500)
-     * @returns {string} - Truncated text
-     */
-    truncateText(text, maxLength = 500) {
-        logMessage(`[HateSpeechChecker] Truncating text from ${text.length} characters to max ${maxLength}`);
-        
-        // If text is already shorter than the limit, return it as is
-        if (text.length <= maxLength) {
-            return text;
-        }
-        
-        // Get the first maxLength characters
-        const truncated = text.substring(0, maxLength);
-        
-        // Find the last sentence-ending punctuation
-        const lastPeriodIndex = truncated.lastIndexOf('.');
-        const lastQuestionIndex = truncated.lastIndexOf('?');
-        const lastExclamationIndex = truncated.lastIndexOf('!');
-        
-        // Find the maximum of these indices (the last sentence boundary)
-        const indices = [lastPeriodIndex, lastQuestionIndex, lastExclamationIndex]
-            .filter(index => index > 0);
-        
-        if (indices.length === 0) {
-            // No sentence boundary found, return simple truncation with ellipsis
-            logMessage(`[HateSpeechChecker] No sentence boundary found, using simple truncation`);
-            return truncated + '...';
-        }
-        
-        const lastSentenceEnd = Math.max(...indices);
-        
-        // Return text up to the last sentence boundary plus ellipsis
-        const result = text.substring(0, lastSentenceEnd + 1) + '...';
-        logMessage(`[HateSpeechChecker] Truncated text to ${result.length} characters at natural boundary`);
-        return result;
-    }
 }
 
 module.exports = new HateSpeechChecker();
@@ -16,6 +16,9 @@ class ImageAnalyzer {
         // Set API key from environment variables
         this.apiKey = process.env.GOOGLE_VISION_API_KEY;
         
+        // Vision API endpoint (default: Google Cloud Vision)
+        this.apiUrl = process.env.GOOGLE_VISION_API_URL || 'https://vision.googleapis.com/v1/images:annotate';
+        
         // Set maximum number of images to analyze (default: 4)
         this.maxImages = process.env.MAX_IMAGE_API_CALLS ? 
             parseInt(process.env.MAX_IMAGE_API_CALLS) : 4;
@@ -26,17 +29,18 @@ class ImageAnalyzer {
     /**
      * Main entry point - Analyzes images on a URL
      * @param {string} url - The URL to analyze
+     * @param {Object} [snapshot] - Captured page; its image list is used instead of fetching the page
      * @returns {Promise<Object>} - Analysis results
      */
-    async analyzeUrl(url) {
+    async analyzeUrl(url, snapshot = null) {
         try {
             // Log the call stack to see where this method is being called from
             const stack = new Error().stack;
             logMessage(`[ImageAnalyzer] analyzeUrl called for ${url}`);
             logMessage(`[ImageAnalyzer] Call stack: ${stack}`);
             
-            // 3. Extract images from the URL
-            const images = await this.extractImages(url);
+            // 3. Extract images from the URL, or take them from the audit's page snapshot
+            const images = snapshot ? snapshot.images : await this.extractImages(url);
             
             // Log the raw images data
             logMessage(`[ImageAnalyzer] Raw images data type: ${typeof images}, isArray: ${Array.isArray(images)}`);
@@ -272,7 +276,7 @@ class ImageAnalyzer {
                 // Call the Vision API
                 const startTime = Date.now();
                 const response = await axios.post(
-                    `https://vision.googleapis.com/v1/images:annotate?key=${this.apiKey}`,
+                    `${this.apiUrl}?key=${this.apiKey}`,
                     {
                         requests: [
                             {
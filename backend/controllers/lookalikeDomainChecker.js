@@ -0,0 +1,123 @@
+const { logMessage } = require('../utils/logger');
+const protectedDomains = require('../utils/protectedDomains');
+const { skeleton, getScripts, isMixedScript, describeConfusables } = require('../utils/confusables');
+const { toUnicodeHostname } = require('../utils/urlTokenizer');
+
+// Brand labels shorter than this (x.com) match too many ordinary labels to compare on their own
+const MIN_BRAND_LABEL_LENGTH = 4;
+
+/**
+ * Describe a confusable mapping for the result details
+ * @param {Object[]} mapping - Mapping from describeConfusables
+ * @returns {string} - e.g. "а (U+0430, Cyrillic) → a"
+ */
+function formatMapping(mapping) {
+    return mapping.map(({ character, codePoint, script, prototype }) =>
+        codePoint ? `${character} (${codePoint}, ${script}) → ${prototype}` : `${character} → ${prototype}`
+    ).join(', ');
+}
+
+/**
+ * Find the protected domain a hostname imitates
+ * @param {string} hostname - Unicode hostname without www.
+ * @returns {Object|null} - { domain, lookalike, imitated } or null
+ */
+function findImitatedDomain(hostname) {
+    const domains = protectedDomains.map(toUnicodeHostname);
+
+    // The brand's own domain and its subdomains are not lookalikes
+    if (domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+        return null;
+    }
+
+    const hostnameSkeleton = skeleton(hostname);
+    const parts = hostname.split(/[.-]/).filter(Boolean);
+
+    for (const domain of domains) {
+        if (hostnameSkeleton === skeleton(domain)) {
+            return { domain, lookalike: hostname, imitated: domain };
+        }
+
+        // A brand label inside another domain: pаypal-login.com, secure.rnicrosoft.net
+        const brandLabel = domain.split('.')[0];
+        if (brandLabel.length < MIN_BRAND_LABEL_LENGTH) {
+            continue;
+        }
+        const brandSkeleton = skeleton(brandLabel);
+        const part = parts.find(candidate => candidate !== brandLabel && skeleton(candidate) === brandSkeleton);
+        if (part) {
+            return { domain, lookalike: part, imitated: brandLabel };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether a domain imitates a protected brand domain with confusable
+ * characters (pаypal.com with a Cyrillic а, rnicrosoft.com) or mixes scripts
+ * in one label. Both are sent for review with the characters involved
+ * @param {string} urlString - The URL to check
+ * @returns {Object} - Result object
+ */
+function checkLookalikeDomain(urlString) {
+    logMessage(`🔍 Checking for lookalike domain: ${urlString}`);
+
+    try {
+        const asciiHostname = new URL(urlString).hostname.toLowerCase();
+        const unicodeHostname = toUnicodeHostname(asciiHostname);
+        const hostname = unicodeHostname.replace(/^www\./, '');
+        const idn = unicodeHostname !== asciiHostname;
+
+        const imitation = findImitatedDomain(hostname);
+        if (imitation) {
+            const confusables = describeConfusables(imitation.lookalike, imitation.imitated);
+            logMessage(`⚠️ Lookalike domain detected: "${unicodeHostname}" imitates ${imitation.domain}`);
+            return {
+                status: 'review',
+                reason: 'Lookalike domain',
+                details: `"${unicodeHostname}" imitates ${imitation.domain}` +
+                    (confusables.length > 0 ? `: ${formatMapping(confusables)}` : ''),
+                unicodeHostname,
+                imitates: imitation.domain,
+                confusables
+            };
+        }
+
+        const mixedLabel = hostname.split('.').find(isMixedScript);
+        if (mixedLabel) {
+            const scripts = getScripts(mixedLabel);
+            const confusables = describeConfusables(mixedLabel);
+            logMessage(`⚠️ Mixed-script domain label detected: "${mixedLabel}" (${scripts.join(', ')})`);
+            return {
+                status: 'review',
+                reason: 'Mixed-script domain',
+                details: `"${mixedLabel}" mixes ${scripts.join(' and ')} characters` +
+                    (confusables.length > 0 ? `: ${formatMapping(confusables)}` : ''),
+                unicodeHostname,
+                scripts,
+                confusables
+            };
+        }
+
+        logMessage(`✓ No lookalike domain detected`);
+        return {
+            status: 'pass',
+            reason: 'No lookalike domain detected',
+            ...(idn ? { unicodeHostname } : {})
+        };
+
+    } catch (error) {
+        logMessage(`❌ Error checking for lookalike domain: ${error.message}`, 'error');
+        return {
+            status: 'error',
+            reason: 'Lookalike domain check failed',
+            details: error.message
+        };
+    }
+}
+
+module.exports = {
+    checkLookalikeDomain,
+    findImitatedDomain
+};
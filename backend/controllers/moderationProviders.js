@@ -0,0 +1,289 @@
+const path = require('path');
+const { LanguageServiceClient } = require('@google-cloud/language');
+const { logMessage } = require('../utils/logger');
+const httpFixtures = require('../utils/httpFixtures');
+const moderationLexicon = require('../utils/moderationLexicon');
+
+// Categories every provider reports a score for, from 0 to 1
+const MODERATION_CATEGORIES = ['hate', 'harassment', 'sexual', 'violence', 'selfHarm', 'extremism'];
+
+// Scores at which a category sends a page to review and fails it. Violence
+// and harassment fail later, since news and reviews describe both
+const DEFAULT_MODERATION_THRESHOLDS = {
+    hate: { review: 0.5, fail: 0.8 },
+    harassment: { review: 0.6, fail: 0.9 },
+    sexual: { review: 0.5, fail: 0.8 },
+    violence: { review: 0.6, fail: 0.9 },
+    selfHarm: { review: 0.5, fail: 0.8 },
+    extremism: { review: 0.5, fail: 0.8 }
+};
+
+// Evidence spans kept per signal
+const MAX_EVIDENCE_SPANS = 5;
+
+// Text moderation categories of Natural Language by the category they count towards
+const GOOGLE_MODERATION_RULES = {
+    Derogatory: 'hate',
+    Insult: 'harassment',
+    Toxic: 'harassment',
+    Sexual: 'sexual',
+    Violent: 'violence'
+};
+
+// Content categories of Natural Language for what text moderation does not cover
+const GOOGLE_CATEGORY_RULES = [
+    [/^\/Adult/, 'sexual'],
+    [/Self-Harm/, 'selfHarm'],
+    [/Terroris|Extremis/, 'extremism']
+];
+
+// Sentence sentiment below which a sentence is evidence for a Natural Language score
+const NEGATIVE_SENTENCE_SCORE = -0.25;
+
+// Content classification rejects texts of fewer tokens with INVALID_ARGUMENT
+const MIN_CLASSIFY_TOKENS = 20;
+
+/**
+ * Read the category thresholds, with MODERATION_THRESHOLDS overriding the defaults,
+ * e.g. {"violence": {"review": 0.7, "fail": 0.95}}
+ * @param {string} [configured] - JSON thresholds, defaults to MODERATION_THRESHOLDS
+ * @returns {Object} - Category => { review, fail }
+ */
+function loadModerationThresholds(configured = process.env.MODERATION_THRESHOLDS) {
+    let overrides = {};
+    if (configured) {
+        try {
+            overrides = JSON.parse(configured);
+        } catch (error) {
+            logMessage(`[Moderation] Ignoring MODERATION_THRESHOLDS, not valid JSON: ${error.message}`, 'error');
+        }
+    }
+
+    return Object.fromEntries(MODERATION_CATEGORIES.map(category => {
+        const thresholds = { ...DEFAULT_MODERATION_THRESHOLDS[category], ...overrides[category] };
+        const valid = ['review', 'fail'].every(key => typeof thresholds[key] === 'number' && thresholds[key] >= 0 && thresholds[key] <= 1) &&
+            thresholds.review <= thresholds.fail;
+        if (!valid) {
+            logMessage(`[Moderation] Ignoring MODERATION_THRESHOLDS for ${category}, review and fail must be scores from 0 to 1 with review <= fail`, 'error');
+            return [category, { ...DEFAULT_MODERATION_THRESHOLDS[category] }];
+        }
+        return [category, { review: thresholds.review, fail: thresholds.fail }];
+    }));
+}
+
+/**
+ * Normalized moderation result of one text
+ * @param {string} provider - Provider name
+ * @param {Object[]} signals - { category, score, source, evidence } for everything that counted towards a
+ *                             category; evidence lists the { text, start, end } spans of the analyzed text
+ * @returns {Object} - { provider, scores, signals }; a category's score combines its signals,
+ *                     so two independent 0.5 signals give 0.75
+ */
+function moderationResult(provider, signals) {
+    const scores = Object.fromEntries(MODERATION_CATEGORIES.map(category => {
+        const remaining = signals
+            .filter(signal => signal.category === category)
+            .reduce((product, signal) => product * (1 - Math.min(Math.max(signal.score, 0), 1)), 1);
+        return [category, Math.round((1 - remaining) * 1000) / 1000];
+    }));
+
+    return { provider, scores, signals };
+}
+
+/**
+ * Local Lexicon Provider
+ * Scores text with the weighted terms and pattern rules of
+ * utils/moderationLexicon.js. Needs no network, so it runs in air-gapped
+ * environments and tests.
+ */
+class LocalLexiconProvider {
+    /**
+     * @param {Object} [lexicon] - { terms: { category: [[term, weight]] }, patterns: [{ category, weight, pattern }] }
+     */
+    constructor(lexicon = moderationLexicon) {
+        this.name = 'local';
+        this.callsApi = false;
+
+        // Terms match whole words only, so "skill" is not "kill"; every rule
+        // is global to find all spans it matches
+        this.rules = [
+            ...Object.entries(lexicon.terms).flatMap(([category, entries]) => entries.map(([term, weight]) => ({
+                category,
+                weight,
+                pattern: new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'gu')
+            }))),
+            ...lexicon.patterns.map(rule => ({
+                ...rule,
+                pattern: rule.pattern.global ? rule.pattern : new RegExp(rule.pattern.source, `${rule.pattern.flags}g`)
+            }))
+        ];
+    }
+
+    /**
+     * Score a text
+     * @param {string} text - Text to moderate
+     * @returns {Promise<Object>} - Normalized moderation result
+     */
+    async analyze(text) {
+        const original = String(text || '');
+        // Lowercasing keeps offsets for the scripts the lexicon covers
+        const content = original.toLowerCase();
+
+        const signals = this.rules
+            .map(rule => ({ rule, matches: [...content.matchAll(rule.pattern)] }))
+            .filter(({ matches }) => matches.length > 0)
+            .map(({ rule, matches }) => ({
+                category: rule.category,
+                score: rule.weight,
+                source: 'lexicon',
+                evidence: matches.slice(0, MAX_EVIDENCE_SPANS).map(match => ({
+                    text: original.slice(match.index, match.index + match[0].length),
+                    start: match.index,
+                    end: match.index + match[0].length
+                }))
+            }));
+
+        return moderationResult(this.name, signals);
+    }
+}
+
+/**
+ * Google Language Provider
+ * Scores text with Cloud Natural Language text moderation and content
+ * classification. Neither reports where in the text it found something, so
+ * sentence sentiment picks the most negative sentences as evidence. Three API
+ * calls per text, two for texts too short to classify.
+ */
+class GoogleLanguageProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.keyFilename] - Service account credentials
+     */
+    constructor({ keyFilename = path.join(__dirname, '../config/credentials/google-cloud-credentials.json') } = {}) {
+        this.name = 'google';
+        this.callsApi = true;
+        this.keyFilename = keyFilename;
+        this.client = null;
+    }
+
+    /**
+     * Language client, created on first use
+     * @returns {LanguageServiceClient} - Client
+     */
+    getClient() {
+        if (!this.client) {
+            logMessage(`[Moderation] Initializing Google Cloud Natural Language client`);
+            this.client = new LanguageServiceClient({ keyFilename: this.keyFilename });
+        }
+        return this.client;
+    }
+
+    /**
+     * Score a text
+     * @param {string} text - Text to moderate
+     * @returns {Promise<Object>} - Normalized moderation result
+     */
+    async analyze(text) {
+        const client = this.getClient();
+        const document = { document: { content: text, type: 'PLAIN_TEXT' } };
+
+        // UTF16 offsets are JavaScript string offsets
+        const [sentimentResult] = await httpFixtures.recordCall('language.analyzeSentiment', { content: text }, () =>
+            client.analyzeSentiment({ ...document, encodingType: 'UTF16' })
+        );
+        const [moderationResponse] = await httpFixtures.recordCall('language.moderateText', { content: text }, () =>
+            client.moderateText(document)
+        );
+
+        return this.normalize({
+            sentences: sentimentResult.sentences || [],
+            moderationCategories: moderationResponse.moderationCategories || [],
+            categories: await this.classify(text)
+        });
+    }
+
+    /**
+     * Content categories of a text; a failed classification loses only these, not the moderation scores
+     * @param {string} text - Text to classify
+     * @returns {Promise<Object[]>} - { name, confidence } categories, none for short texts or on errors
+     */
+    async classify(text) {
+        if ((String(text).match(/\S+/g) || []).length < MIN_CLASSIFY_TOKENS) {
+            return [];
+        }
+
+        try {
+            const [classificationResult] = await httpFixtures.recordCall('language.classifyText', { content: text }, () =>
+                this.getClient().classifyText({ document: { content: text, type: 'PLAIN_TEXT' } })
+            );
+            return classificationResult.categories || [];
+        } catch (error) {
+            logMessage(`[Moderation] Content classification failed, keeping text moderation only: ${error.message}`, 'warn');
+            return [];
+        }
+    }
+
+    /**
+     * Map Natural Language results onto the moderation categories
+     * @param {Object} raw - { sentences, moderationCategories, categories } as returned by the API
+     * @returns {Object} - Normalized moderation result
+     */
+    normalize({ sentences = [], moderationCategories = [], categories = [] }) {
+        // Negative sentiment alone is no signal (news and reviews are often
+        // negative), it only points at the sentences behind a score
+        const evidence = sentences
+            .filter(sentence => sentence.sentiment && sentence.sentiment.score <= NEGATIVE_SENTENCE_SCORE)
+            .sort((a, b) => a.sentiment.score - b.sentiment.score)
+            .slice(0, MAX_EVIDENCE_SPANS)
+            .map(({ text }) => ({ text: text.content, start: text.beginOffset, end: text.beginOffset + text.content.length }));
+
+        const signals = [];
+
+        moderationCategories.forEach(({ name, confidence }) => {
+            const category = GOOGLE_MODERATION_RULES[name];
+            if (category) {
+                signals.push({ category, score: confidence, source: `moderation:${name}`, evidence });
+            }
+        });
+
+        categories.forEach(({ name, confidence }) => {
+            const rule = GOOGLE_CATEGORY_RULES.find(([pattern]) => pattern.test(name));
+            if (rule) {
+                signals.push({ category: rule[1], score: confidence, source: `classification:${name}`, evidence });
+            }
+        });
+
+        return moderationResult(this.name, signals);
+    }
+}
+
+// Providers by the name used in MODERATION_PROVIDER
+const MODERATION_PROVIDERS = {
+    google: GoogleLanguageProvider,
+    local: LocalLexiconProvider
+};
+
+/**
+ * Create the configured moderation provider
+ * @param {string} [name] - Provider name, defaults to MODERATION_PROVIDER or google
+ * @returns {Object} - Provider with a name, callsApi and async analyze(text)
+ */
+function createModerationProvider(name = process.env.MODERATION_PROVIDER || 'google') {
+    const Provider = MODERATION_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown moderation provider "${name}", expected one of: ${Object.keys(MODERATION_PROVIDERS).join(', ')}`);
+    }
+    logMessage(`[Moderation] Using the ${name} moderation provider`);
+    return new Provider();
+}
+
+module.exports = {
+    createModerationProvider,
+    loadModerationThresholds,
+    moderationResult,
+    GoogleLanguageProvider,
+    LocalLexiconProvider,
+    MODERATION_CATEGORIES,
+    MODERATION_PROVIDERS,
+    DEFAULT_MODERATION_THRESHOLDS
+};
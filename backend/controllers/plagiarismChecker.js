@@ -1,22 +1,12 @@
-const axios = require('axios');
-const puppeteer = require('puppeteer-core');
 const { logMessage } = require('../utils/logger');
-const path = require('path');
-const { getPuppeteerLaunchOptions } = require('../utils/puppeteerConfig');
+const browserPool = require('../utils/browserPool');
+const duplicateIndex = require('./duplicateIndex');
+const { createSearchProvider } = require('./searchProviders');
+const { isSameSite } = require('../utils/domainUtils');
+const { alignPassages, measureCoverage } = require('../utils/passageAlignment');
 
-// Check if JSDOM and Readability are available, if not provide instructions
-let JSDOM, Readability;
-try {
-    JSDOM = require('jsdom').JSDOM;
-} catch (error) {
-    console.error('JSDOM module not found. Please install it using: npm install jsdom');
-}
-
-try {
-    Readability = require('@mozilla/readability').Readability;
-} catch (error) {
-    console.error('@mozilla/readability module not found. Please install it using: npm install @mozilla/readability');
-}
+// Passages reported per source page
+const MAX_REPORTED_PASSAGES = 10;
 
 class PlagiarismChecker {
     constructor() {
@@ -28,17 +18,44 @@ class PlagiarismChecker {
         
         logMessage(`[PlagiarismChecker] Initializing`);
         
-        // Configure Google search API
-        this.searchApiKey = process.env.GOOGLE_SEARCH_API_KEY || 'your-api-key';
-        this.searchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID || 'your-search-engine-id';
+        // Web search provider from SEARCH_PROVIDER; without one the check
+        // reports not_configured instead of passing unsearched pages
+        this.searchProvider = null;
+        this.searchProviderError = null;
+        try {
+            this.searchProvider = createSearchProvider();
+        } catch (error) {
+            this.searchProviderError = error.message;
+            logMessage(`[PlagiarismChecker] ${error.message}`, 'error');
+        }
+
+        // Similarity to a previously audited site from which a page fails when
+        // the web search finds the text on that site too; lower matches, and
+        // matches the search does not confirm, send it to review
+        this.nearDuplicateFailScore = parseFloat(process.env.NEAR_DUPLICATE_FAIL_SIMILARITY) || 0.8;
+
+        // Search results whose pages are compared with the article
+        this.maxSources = parseInt(process.env.PLAGIARISM_MAX_SOURCES) || 5;
+
+        // Percent of the article covered by passages found elsewhere from which
+        // the page fails or goes to review
+        this.failCoverage = parseFloat(process.env.PLAGIARISM_FAIL_COVERAGE) || 50;
+        this.reviewCoverage = parseFloat(process.env.PLAGIARISM_REVIEW_COVERAGE) || 20;
     }
 
-    async checkContent(url) {
+    /**
+     * Check a page's text for content copied from other sites
+     * @param {string} url - The URL to check
+     * @param {Object} [snapshot] - Captured page; its text is used instead of rendering the page again
+     * @returns {Promise<Object>} - Check result
+     */
+    async checkContent(url, snapshot = null) {
         try {
             logMessage(`[PlagiarismChecker] Starting plagiarism check for URL: ${url}`);
             
-            // Extract content from URL
-            const content = await this.extractContent(url);
+            // Use the audit's page snapshot when there is one
+            const text = snapshot ? snapshot.text : await this.extractText(url);
+            const content = this.prepareContent(text);
             
             if (!content || content.length < 10) {
                 logMessage(`[PlagiarismChecker] No content extracted from URL: ${url}`, 'warn');
@@ -52,8 +69,28 @@ class PlagiarismChecker {
             
             logMessage(`[PlagiarismChecker] Content extracted, length: ${content.length} characters`);
             
-            // Get representative paragraphs for checking
-            const paragraphs = this.getRepresentativeParagraphs(content);
+            // Sites we audited before cost no search API calls, but a match does not
+            // tell which side copied, so it is confirmed by the web search below
+            const local = await duplicateIndex.checkAndIndex(snapshot ? snapshot.finalUrl || url : url, text, (snapshot && snapshot.html) || null);
+            
+            if (!this.searchProvider) {
+                if (local.matches.length > 0) {
+                    return this.evaluateResults(null, url, local.matches);
+                }
+                return {
+                    url,
+                    status: 'error',
+                    reason: 'Search provider not configured',
+                    details: {
+                        code: 'not_configured',
+                        message: this.searchProviderError,
+                        nearDuplicates: local.matches
+                    }
+                };
+            }
+            
+            // Get representative paragraphs to search for
+            const paragraphs = this.getRepresentativeParagraphs(text);
             
             if (paragraphs.length === 0) {
                 logMessage(`[PlagiarismChecker] No paragraphs found for checking`, 'warn');
@@ -65,11 +102,12 @@ class PlagiarismChecker {
                 };
             }
             
-            // Check paragraphs for plagiarism
-            const results = await this.checkParagraphs(paragraphs, url);
+            // Search for the paragraphs, then align the whole article with the pages found
+            const search = await this.searchSources(paragraphs, url);
+            const comparisons = await Promise.all(search.sources.map(source => this.checkSimilarity(content, source)));
             
             // Evaluate results and return final assessment
-            return this.evaluateResults(results, url);
+            return this.evaluateResults({ ...search, comparisons }, url, local.matches);
             
         } catch (error) {
             logMessage(`[PlagiarismChecker] Error checking content: ${error.message}`, 'error');
@@ -122,146 +160,47 @@ class PlagiarismChecker {
         return result;
     }
 
-    async extractContent(url) {
-        let browser = null;
-        try {
-            logMessage(`[PlagiarismChecker] Extracting content from URL: ${url}`);
-            
-            // Get Puppeteer launch options
-            const launchOptions = getPuppeteerLaunchOptions();
-            
-            // Check if Chrome executable was found
-            if (!launchOptions._chromeExists) {
-                logMessage('[PlagiarismChecker] Chrome executable not found, cannot launch browser', 'error');
-                return {
-                    status: 'error',
-                    reason: 'Chrome not found',
-                    details: 'Chrome executable not found on server. Please contact support.'
-                };
-            }
-            
-            // Launch Puppeteer with proper configurations
-            browser = await puppeteer.launch(launchOptions);
-            
-            // Open a new page and set the environment
-            const page = await browser.newPage();
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-            await page.setViewport({ width: 1280, height: 800 });
-            
-            // Set up request interception to block unnecessary resources
-            await page.setRequestInterception(true);
-            page.on('request', (request) => {
-                const resourceType = request.resourceType();
-                if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-                    request.abort();
-                } else {
-                    request.continue();
-                }
-            });
-            
-            // Navigate to the target URL
-            logMessage(`[PlagiarismChecker] Navigating to URL: ${url}`);
-            await page.goto(url, { 
-                waitUntil: ['domcontentloaded', 'networkidle2'],
-                timeout: 60000
-            });
-            
-            // Extract the full HTML content
-            const html = await page.content();
-            logMessage(`[PlagiarismChecker] HTML content extracted, length: ${html.length}`);
-            
-            let content = '';
-            
-            // Check if JSDOM and Readability are available
-            if (JSDOM && Readability) {
-                // Parse the HTML with JSDOM
-                const dom = new JSDOM(html, { url });
-                
-                // Extract the article body with Readability
-                const reader = new Readability(dom.window.document);
-                const article = reader.parse();
-                
-                if (article && article.textContent) {
-                    logMessage(`[PlagiarismChecker] Successfully extracted article using Readability`);
-                    content = article.textContent;
-                }
-            }
-            
-            // If content is still empty, use fallback methods
-            if (!content || content.length < 100) {
-                logMessage(`[PlagiarismChecker] Readability extraction failed or not available, falling back to alternative methods`);
-                
-                // Fallback 1: Try to find common article containers
-                const articleSelectors = [
-                    'article', '.article', '.post', '.content', 
-                    'main', '#main', '.main-content', '.post-content',
-                    '.entry-content', '.article-content'
-                ];
-                
-                let articleContent = '';
-                for (const selector of articleSelectors) {
-                    const articleElement = await page.$(selector);
-                    if (articleElement) {
-                        articleContent = await page.evaluate(el => el.textContent, articleElement);
-                        if (articleContent && articleContent.length > 100) {
-                            logMessage(`[PlagiarismChecker] Found article content using selector: ${selector}`);
-                            break;
-                        }
-                    }
-                }
-                
-                if (articleContent && articleContent.length > 100) {
-                    content = articleContent;
-                } else {
-                    // Fallback 2: Extract all paragraph text
-                    logMessage(`[PlagiarismChecker] No article container found, extracting all paragraphs`);
-                    content = await page.evaluate(() => {
-                        return Array.from(document.querySelectorAll('p'))
-                            .map(p => p.textContent)
-                            .filter(text => text.trim().length > 0)
-                            .join('\n\n');
-                    });
-                    
-                    // Fallback 3: If still no content, get all body text
-                    if (!content || content.length < 100) {
-                        logMessage(`[PlagiarismChecker] No paragraphs found, extracting body text`);
-                        content = await page.evaluate(() => document.body.textContent);
-                    }
-                }
-            }
-            
-            // Clean up the content
-            content = content.replace(/\s+/g, ' ').trim();
-            logMessage(`[PlagiarismChecker] Extracted content length before truncation: ${content.length}`);
-            
-            // Truncate the content to 500 characters with intelligent boundary detection
-            content = this.truncateText(content, 500);
-            
-            return content;
-        } catch (error) {
-            logMessage(`[PlagiarismChecker] Error extracting content: ${error.message}`, 'error');
-            throw error;
-        } finally {
-            // Close the browser
-            if (browser) {
-                await browser.close();
-                logMessage(`[PlagiarismChecker] Browser closed`);
-            }
-        }
+    /**
+     * Extract the readable text of a page
+     * @param {string} url - The URL to extract
+     * @param {Object} [options] - Options passed to browserPool.renderPage
+     * @returns {Promise<string>} - Page text
+     */
+    async extractText(url, options = {}) {
+        logMessage(`[PlagiarismChecker] Extracting content from URL: ${url}`);
+        
+        // Pages are rendered through the shared browser pool
+        const rendered = await browserPool.renderPage(url, options);
+        return rendered.text;
     }
 
-    async launchBrowser() {
-        return await puppeteer.launch(getPuppeteerLaunchOptions());
+    /**
+     * Extract the readable text of a page for comparison
+     * @param {string} url - The URL to extract
+     * @param {Object} [options] - Options passed to browserPool.renderPage
+     * @returns {Promise<string>} - Page text with collapsed whitespace
+     */
+    async extractContent(url, options = {}) {
+        return this.prepareContent(await this.extractText(url, options));
+    }
+
+    /**
+     * Collapse whitespace in page text for comparison
+     * @param {string} text - Readable page text
+     * @returns {string} - Cleaned content
+     */
+    prepareContent(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
     }
 
     /**
      * Gets representative paragraphs from content for plagiarism checking
-     * @param {string} content - The content to analyze
+     * @param {string} text - Readable page text, paragraphs separated by blank lines
      * @returns {string[]} - Array of representative paragraphs
      */
-    getRepresentativeParagraphs(content) {
+    getRepresentativeParagraphs(text) {
         // Split content into paragraphs
-        const paragraphs = content.split(/\n\s*\n/).filter(p => 
+        const paragraphs = (text || '').split(/\n\s*\n/).map(p => this.prepareContent(p)).filter(p => 
             p.trim().length > 100 && // Only paragraphs with substantial content
             !/^[\s\d.,:;!?()[\]{}'"<>]+$/.test(p) // Exclude paragraphs that are just punctuation or numbers
         );
@@ -284,202 +223,153 @@ class PlagiarismChecker {
     }
 
     /**
-     * Checks paragraphs for plagiarism
-     * @param {string[]} paragraphs - Array of paragraphs to check
-     * @param {string} originalUrl - The original URL being checked
-     * @returns {Object[]} - Array of results for each paragraph
+     * Search for pages containing the paragraphs
+     * @param {string[]} paragraphs - Paragraphs to search for
+     * @param {string} originalUrl - The original URL being checked; its own site is left out of the results
+     * @returns {Promise<Object>} - { sources, searches, searchErrors }; sources are distinct search results,
+     *                              at most maxSources
      */
-    async checkParagraphs(paragraphs, originalUrl) {
-        const results = [];
-        let apiCallsMade = 0;
+    async searchSources(paragraphs, originalUrl) {
+        const sources = [];
+        let searchErrors = 0;
+        const hostname = new URL(originalUrl).hostname;
         
         // Limit the number of paragraphs to check based on maxApiCalls
         const paragraphsToCheck = paragraphs.slice(0, this.maxApiCalls);
         
-        logMessage(`[PlagiarismChecker] Checking ${paragraphsToCheck.length} paragraphs for plagiarism (limited by maxApiCalls: ${this.maxApiCalls})`);
+        logMessage(`[PlagiarismChecker] Searching for ${paragraphsToCheck.length} paragraphs (limited by maxApiCalls: ${this.maxApiCalls})`);
         
         for (const paragraph of paragraphsToCheck) {
             try {
                 // Truncate text to a reasonable length for API calls
-                const truncatedText = this.truncateText(paragraph);
-                
-                // Search for similar content
-                const searchResults = await this.searchSimilarContent(truncatedText);
-                
-                // Skip empty results
-                if (!searchResults || searchResults.length === 0) {
-                    results.push({
-                        paragraph: truncatedText,
-                        similarityScore: 0,
-                        matchedUrl: null,
-                        status: 'pass',
-                        reason: 'No similar content found'
-                    });
-                    continue;
-                }
-                
-                // Check similarity with each result
-                const similarityResults = await Promise.all(
-                    searchResults.map(result => this.checkSimilarity(truncatedText, result))
-                );
+                const results = await this.searchSimilarContent(this.truncateText(paragraph));
                 
-                // Find the highest similarity score
-                const highestSimilarity = similarityResults.reduce((max, result) => 
-                    result.similarityScore > max.similarityScore ? result : max, 
-                    { similarityScore: 0 }
-                );
-                
-                // Add the original paragraph to the highest similarity result
-                // This fixes the issue where paragraph is missing in the result
-                highestSimilarity.paragraph = truncatedText;
-                
-                // Add to results
-                results.push(highestSimilarity);
-                
-                // Increment API call counter
-                apiCallsMade++;
-                
-                // Log progress
-                logMessage(`[PlagiarismChecker] Processed paragraph ${apiCallsMade}/${paragraphsToCheck.length} with similarity score: ${highestSimilarity.similarityScore}`);
-                
-            } catch (error) {
-                logMessage(`[PlagiarismChecker] Error checking paragraph: ${error.message}`, 'error');
-                results.push({
-                    paragraph: this.truncateText(paragraph),
-                    similarityScore: 0,
-                    matchedUrl: null,
-                    status: 'error',
-                    reason: `Error checking similarity: ${error.message}`
+                results.forEach(result => {
+                    let sameSite = true;
+                    try {
+                        sameSite = isSameSite(new URL(result.link).hostname, hostname);
+                    } catch (error) {
+                        // Results without a valid link cannot be compared
+                    }
+                    if (!sameSite && !sources.some(source => source.link === result.link)) {
+                        sources.push(result);
+                    }
                 });
+            } catch (error) {
+                logMessage(`[PlagiarismChecker] Error searching for paragraph: ${error.message}`, 'error');
+                searchErrors++;
             }
         }
         
-        logMessage(`[PlagiarismChecker] Completed plagiarism check with ${apiCallsMade} API calls`);
+        logMessage(`[PlagiarismChecker] Found ${sources.length} pages on other sites, comparing up to ${this.maxSources}`);
         
-        return results;
+        return {
+            sources: sources.slice(0, this.maxSources),
+            searches: paragraphsToCheck.length,
+            searchErrors
+        };
     }
 
+    /**
+     * Search the web for pages containing a paragraph
+     * @param {string} text - Paragraph
+     * @returns {Promise<Object[]>} - Search results { link, title, snippet, text? }; search errors are
+     *                                thrown, so the paragraph is reported as an error instead of a pass
+     */
     async searchSimilarContent(text) {
-        try {
-            // Use Google Custom Search API to find similar content
-            const query = text.substring(0, 128); // Use first 128 chars as search query
-            
-            const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-                params: {
-                    key: this.searchApiKey,
-                    cx: this.searchEngineId,
-                    q: query
-                }
-            });
-            
-            if (response.data && response.data.items) {
-                return response.data.items;
-            }
-            
-            return [];
-        } catch (error) {
-            logMessage(`[PlagiarismChecker] Error searching similar content: ${error.message}`, 'error');
-            return [];
-        }
+        // Use first 128 chars as search query
+        const query = text.substring(0, 128);
+        
+        const results = await this.searchProvider.search(query);
+        logMessage(`[PlagiarismChecker] ${this.searchProvider.name} search returned ${results.length} results`);
+        return results;
     }
 
-    async checkSimilarity(originalText, searchResult) {
+    /**
+     * Align the article with a page found by the search
+     * @param {string} article - Article text
+     * @param {Object} searchResult - Search result { link, title, text? }
+     * @returns {Promise<Object>} - { url, title, articleWords, passages, coverage }, or { url, title, error }
+     */
+    async checkSimilarity(article, searchResult) {
         try {
-            // Extract content from search result URL
-            const content = await this.extractContent(searchResult.link);
+            // Results that carry their text are not fetched; page extractors are only needed for audited sites
+            const content = searchResult.text
+                ? this.prepareContent(searchResult.text)
+                : await this.extractContent(searchResult.link, { extract: false });
             
-            if (!content) {
-                return { similarityScore: 0, matchedText: '' };
+            const { articleWords, passages, truncated } = alignPassages(article, content);
+            if (truncated) {
+                logMessage(`[PlagiarismChecker] Alignment with ${searchResult.link} was cut short, the texts are too long or too repetitive`, 'warn');
             }
+            const coverage = measureCoverage(passages, articleWords);
+            logMessage(`[PlagiarismChecker] ${passages.length} passages shared with ${searchResult.link}, covering ${coverage.percent}% of the article`);
             
-            // Calculate similarity score
-            const similarityScore = this.calculateSimilarity(originalText, content);
-            
-            // Find the best matching substring
-            let bestMatch = '';
-            if (similarityScore > 0.5) {
-                // Simple approach: find the longest common substring
-                const words1 = originalText.split(/\s+/);
-                const words2 = content.split(/\s+/);
-                
-                for (let i = 0; i < words1.length; i++) {
-                    for (let j = 0; j < words2.length; j++) {
-                        let k = 0;
-                        while (i + k < words1.length && j + k < words2.length && 
-                               words1[i + k].toLowerCase() === words2[j + k].toLowerCase()) {
-                            k++;
-                        }
-                        
-                        if (k > 5) { // At least 5 consecutive matching words
-                            const match = words2.slice(j, j + k).join(' ');
-                            if (match.length > bestMatch.length) {
-                                bestMatch = match;
-                            }
-                        }
-                    }
-                }
-            }
-            
-            return {
-                similarityScore: similarityScore,
-                matchedText: bestMatch
-            };
+            return { url: searchResult.link, title: searchResult.title, articleWords, passages, coverage };
         } catch (error) {
-            logMessage(`[PlagiarismChecker] Error checking similarity: ${error.message}`, 'error');
-            return { similarityScore: 0, matchedText: '' };
+            logMessage(`[PlagiarismChecker] Error comparing with ${searchResult.link}: ${error.message}`, 'error');
+            return { url: searchResult.link, title: searchResult.title, error: error.message };
         }
     }
 
-    calculateSimilarity(str1, str2) {
-        // Simple Jaccard similarity coefficient
-        const set1 = new Set(str1.toLowerCase().split(/\s+/).filter(w => w.length > 3));
-        const set2 = new Set(str2.toLowerCase().split(/\s+/).filter(w => w.length > 3));
-        
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        
-        return intersection.size / union.size;
-    }
-
     /**
      * Evaluates plagiarism check results
-     * @param {Object[]} results - Array of plagiarism check results
+     * @param {Object|null} results - { comparisons, searches, searchErrors }; null when the web was not searched
      * @param {string} url - The URL being checked
-     * @returns {Object} - Final evaluation result
+     * @param {Object[]} [nearDuplicates] - Previously audited sites with the same text, from the duplicate index
+     * @returns {Object} - Final evaluation result, with the share of the article found elsewhere and the
+     *                     aligned passages of every source page in details
      */
-    evaluateResults(results, url) {
-        if (!results || results.length === 0) {
-            return {
-                status: 'error',
-                reason: 'No results to evaluate',
-                details: 'Plagiarism check failed to produce any results'
-            };
-        }
+    evaluateResults(results, url, nearDuplicates = []) {
+        const { comparisons = [], searches = 0, searchErrors = 0 } = results || {};
+        const matched = comparisons.filter(comparison => comparison.passages && comparison.passages.length > 0);
+        const passages = matched.flatMap(comparison => comparison.passages);
+        const coverage = measureCoverage(passages, matched.length > 0 ? matched[0].articleWords : 0);
+        const spunPassages = passages.filter(passage => passage.spun);
+        const spinning = {
+            detected: spunPassages.length > 0,
+            passages: spunPassages.length,
+            substitutions: spunPassages.flatMap(passage => passage.substitutions).slice(0, MAX_REPORTED_PASSAGES)
+        };
         
-        // Count results by status
-        const statusCounts = results.reduce((counts, result) => {
-            counts[result.status] = (counts[result.status] || 0) + 1;
-            return counts;
-        }, {});
+        logMessage(`[PlagiarismChecker] Results summary - ${coverage.percent}% of the article found on ${matched.length} pages, spinning: ${spinning.detected}`);
         
-        // Calculate average similarity score
-        const totalScore = results.reduce((sum, result) => sum + (result.similarityScore || 0), 0);
-        const averageScore = totalScore / results.length;
+        const found = `${coverage.percent}% of the article matches ${matched.length} other page(s)${spinning.detected ? ', partly reworded with synonyms' : ''}`;
         
-        logMessage(`[PlagiarismChecker] Results summary - Average similarity: ${averageScore.toFixed(2)}, Status counts: ${JSON.stringify(statusCounts)}`);
+        // Near-duplicates fail only when the web search found the text on the same site
+        const copiedSites = nearDuplicates.filter(match => match.similarity >= this.nearDuplicateFailScore);
+        const confirmedSites = copiedSites.filter(match =>
+            matched.some(comparison => {
+                try {
+                    return isSameSite(new URL(comparison.url).hostname, match.site);
+                } catch (error) {
+                    return false;
+                }
+            })
+        );
+        const sites = matches => matches.map(match => match.site).join(', ');
         
         // Determine overall status
         let status, reason;
         
-        if (statusCounts.fail && statusCounts.fail > 0) {
+        if (coverage.percent >= this.failCoverage) {
             status = 'fail';
-            reason = `${statusCounts.fail} paragraph(s) detected as potential plagiarism`;
-        } else if (statusCounts.review && statusCounts.review > 0) {
+            reason = found;
+        } else if (confirmedSites.length > 0) {
+            status = 'fail';
+            reason = `Content matches ${confirmedSites.length} previously audited site(s), confirmed by web search: ${sites(confirmedSites)}`;
+        } else if (copiedSites.length > 0) {
+            status = 'review';
+            reason = `Content matches ${copiedSites.length} previously audited site(s): ${sites(copiedSites)}`;
+        } else if (coverage.percent >= this.reviewCoverage || spinning.detected) {
+            status = 'review';
+            reason = found;
+        } else if (nearDuplicates.length > 0) {
             status = 'review';
-            reason = `${statusCounts.review} paragraph(s) need review for similarity`;
-        } else if (statusCounts.error && statusCounts.error > 0) {
+            reason = `Content is similar to ${nearDuplicates.length} previously audited site(s)`;
+        } else if (searchErrors > 0) {
             status = 'error';
-            reason = `${statusCounts.error} paragraph(s) encountered errors during checking`;
+            reason = `${searchErrors} paragraph(s) encountered errors during checking`;
         } else {
             status = 'pass';
             reason = 'No plagiarism detected';
@@ -490,19 +380,28 @@ class PlagiarismChecker {
             reason,
             details: {
                 url,
-                averageSimilarityScore: averageScore,
-                paragraphsChecked: results.length,
+                coverage,
+                spinning,
+                searchProvider: this.searchProvider ? this.searchProvider.name : null,
+                searches,
+                searchErrors,
                 maxApiCallsLimit: this.maxApiCalls,
-                statusCounts,
-                results: results.map(r => ({
-                    // Fix: Handle case when paragraph is missing
-                    excerpt: r.paragraph ? r.paragraph.substring(0, 100) + '...' : 
-                             r.matchedText ? r.matchedText.substring(0, 100) + '...' : 
-                             'No text available',
-                    similarityScore: r.similarityScore,
-                    matchedUrl: r.matchedUrl,
-                    status: r.status
-                }))
+                pagesCompared: comparisons.length,
+                nearDuplicates,
+                sources: matched
+                    .sort((a, b) => b.coverage.percent - a.coverage.percent)
+                    .map(comparison => ({
+                        url: comparison.url,
+                        title: comparison.title,
+                        coverage: comparison.coverage.percent,
+                        passages: comparison.passages.slice(0, MAX_REPORTED_PASSAGES).map(passage => ({
+                            article: passage.article,
+                            source: passage.source,
+                            words: passage.words,
+                            substitutions: passage.substitutions,
+                            spun: passage.spun
+                        }))
+                    }))
             }
         };
     }
@@ -0,0 +1,427 @@
+const { logMessage } = require('../utils/logger');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getSiteDomain, normalizeHostname } = require('../utils/domainUtils');
+
+// How the audit got from one URL of the chain to the next
+const REDIRECT_MECHANISM = {
+    HTTP: 'http',
+    META_REFRESH: 'meta-refresh',
+    JAVASCRIPT: 'javascript',
+    BROWSER: 'browser'
+};
+
+// Statuses servers use to reject HEAD requests; the hop is retried with GET
+const HEAD_REJECTED_STATUSES = [400, 403, 404, 405, 501];
+
+// Inline script statements that send the visitor to another URL. Only
+// statements at the top level of a script count: inside a function or event
+// handler they run on a click or a condition, not when the page loads
+const JAVASCRIPT_REDIRECT_PATTERNS = [
+    /(?:\b(?:window|document|self|top)\.)?\blocation(?:\.href)?\s*=\s*(['"])(.+?)\1/g,
+    /(?:\b(?:window|document|self|top)\.)?\blocation\.(?:replace|assign)\(\s*(['"])(.+?)\1\s*\)/g
+];
+
+/**
+ * Whether a position of a script starts a statement at its top level: outside
+ * braces and strings, and after the start of the script, a semicolon, a
+ * closing brace or a line break
+ * @param {string} script - Script source
+ * @param {number} index - Position in the script
+ * @returns {boolean} - True for a top-level statement
+ */
+function isTopLevelStatement(script, index) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < index; i++) {
+        const char = script[i];
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+        }
+    }
+
+    const before = script.slice(0, index).replace(/[ \t]+$/, '');
+    return depth === 0 && !quote && (before === '' || /[;}\n]$/.test(before));
+}
+
+const config = {
+    // Hops followed before the chain is reported as too long (default: 10)
+    maxHops: process.env.REDIRECT_MAX_HOPS ? parseInt(process.env.REDIRECT_MAX_HOPS) : 10,
+    // Timeout of each hop request (default: 10 seconds)
+    timeout: process.env.REDIRECT_TIMEOUT ? parseInt(process.env.REDIRECT_TIMEOUT) : 10000,
+    // 'same-site' treats hostnames of one registrable domain (www.example.co.uk,
+    // example.co.uk) as one domain, 'external' treats any change of hostname as external
+    wwwPolicy: process.env.REDIRECT_WWW_POLICY || 'same-site',
+    // 'allow' ignores http/https changes, 'upgrade-only' reviews https → http hops, 'strict' reviews both
+    protocolPolicy: process.env.REDIRECT_PROTOCOL_POLICY || 'allow'
+};
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Request one URL of the chain without following redirects, using HEAD and
+ * falling back to GET when the server rejects HEAD
+ * @param {string} url - The URL to request
+ * @returns {Promise<Object>} - Axios response; data holds the HTML when fetched with GET
+ */
+async function requestHop(url) {
+    const options = {
+        maxRedirects: 0,
+        timeout: config.timeout,
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: () => true // Accept all status codes
+    };
+
+    try {
+        const response = await axios.head(url, options);
+        if (!HEAD_REJECTED_STATUSES.includes(response.status)) {
+            return response;
+        }
+        logMessage(`ℹ️ HEAD rejected with ${response.status} for ${url}, retrying with GET`);
+    } catch (error) {
+        logMessage(`ℹ️ HEAD failed for ${url} (${error.message}), retrying with GET`);
+    }
+
+    return axios.get(url, { ...options, responseType: 'text' });
+}
+
+/**
+ * Fetch the HTML of a page that did not redirect at the HTTP level
+ * @param {string} url - The page URL
+ * @param {Object} response - Response of the hop request
+ * @returns {Promise<string>} - HTML, or an empty string for non-HTML responses
+ */
+async function fetchHtml(url, response) {
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !contentType.includes('html')) {
+        return '';
+    }
+    if (typeof response.data === 'string' && response.config && response.config.method === 'get') {
+        return response.data;
+    }
+
+    const page = await axios.get(url, {
+        maxRedirects: 0,
+        timeout: config.timeout,
+        responseType: 'text',
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: () => true
+    });
+    return typeof page.data === 'string' ? page.data : '';
+}
+
+/**
+ * Find a meta-refresh or JavaScript redirect in a page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page, used to resolve relative targets
+ * @param {Object} [options] - Detection options
+ * @param {boolean} [options.javascript] - Also look for redirects in inline scripts (default: true)
+ * @returns {Object|null} - { target, mechanism, delay } or null when the page does not redirect
+ */
+function findClientRedirect(html, pageUrl, { javascript = true } = {}) {
+    if (!html) {
+        return null;
+    }
+
+    const $ = cheerio.load(html);
+
+    // A refresh inside <noscript> only applies to visitors without JavaScript
+    const refresh = $('meta[http-equiv]').filter((i, el) =>
+        String($(el).attr('http-equiv')).toLowerCase() === 'refresh' && $(el).parents('noscript').length === 0
+    ).first().attr('content');
+
+    if (refresh) {
+        const match = refresh.match(/^\s*(\d+(?:\.\d+)?)?\s*[;,]?\s*(?:url\s*=\s*)?['"]?([^'"]*)['"]?\s*$/i);
+        if (match && match[2]) {
+            return {
+                target: match[2].trim(),
+                mechanism: REDIRECT_MECHANISM.META_REFRESH,
+                delay: match[1] ? parseFloat(match[1]) : 0
+            };
+        }
+    }
+
+    if (!javascript) {
+        return null;
+    }
+
+    const scripts = $('script:not([src])').map((i, el) => $(el).html()).get();
+    for (const script of scripts) {
+        for (const pattern of JAVASCRIPT_REDIRECT_PATTERNS) {
+            const match = [...script.matchAll(pattern)].find(candidate => isTopLevelStatement(script, candidate.index));
+            if (match) {
+                return { target: match[2].trim(), mechanism: REDIRECT_MECHANISM.JAVASCRIPT, delay: 0 };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Follow the redirect chain of a URL through HTTP redirects, meta-refresh tags
+ * and JavaScript redirects, and through the client-side redirects a browser
+ * render of the page observed
+ * @param {string} urlString - The URL to follow
+ * @param {Object|null} [snapshot] - Page snapshot of the audit, if captured
+ * @returns {Promise<Object>} - { hops, finalUrl, finalStatus, problem, problemDetails }
+ */
+async function followRedirectChain(urlString, snapshot = null) {
+    const hops = [];
+    const visited = new Set();
+    const observedInBrowser = Boolean(snapshot && snapshot.method === 'browser' && snapshot.finalUrl);
+    const chain = { hops, finalUrl: new URL(urlString).href, finalStatus: null, problem: null, problemDetails: null };
+
+    const addHop = (status, target, mechanism, extra = {}) => {
+        let next;
+        try {
+            next = new URL(target, chain.finalUrl).href;
+        } catch (error) {
+            chain.problem = 'invalid-location';
+            chain.problemDetails = target;
+            return false;
+        }
+        hops.push({ from: chain.finalUrl, to: next, status, mechanism, ...extra });
+        chain.finalUrl = next;
+        return true;
+    };
+
+    while (!chain.problem) {
+        const current = chain.finalUrl.split('#')[0];
+        if (visited.has(current)) {
+            chain.problem = 'loop';
+            chain.problemDetails = chain.finalUrl;
+            break;
+        }
+        if (hops.length >= config.maxHops) {
+            chain.problem = 'too-many-hops';
+            break;
+        }
+        visited.add(current);
+
+        let response;
+        try {
+            response = await requestHop(chain.finalUrl);
+        } catch (error) {
+            // A target that cannot be reached still tells where the chain lands
+            if (hops.length === 0) {
+                throw error;
+            }
+            logMessage(`⚠️ Redirect target unreachable: ${chain.finalUrl} (${error.message})`);
+            hops[hops.length - 1].error = error.message;
+            break;
+        }
+        chain.finalStatus = response.status;
+
+        if (response.status >= 300 && response.status < 400) {
+            const location = response.headers.location;
+            if (!location) {
+                chain.problem = 'missing-location';
+                break;
+            }
+            addHop(response.status, location, REDIRECT_MECHANISM.HTTP);
+            continue;
+        }
+
+        let html = '';
+        try {
+            html = await fetchHtml(chain.finalUrl, response);
+        } catch (error) {
+            logMessage(`⚠️ Could not read ${chain.finalUrl} for client-side redirects: ${error.message}`);
+        }
+
+        // With a browser render, JavaScript redirects are observed rather than guessed from the source
+        const clientRedirect = findClientRedirect(html, chain.finalUrl, { javascript: !observedInBrowser });
+        if (!clientRedirect) {
+            break;
+        }
+        const { target, mechanism, delay } = clientRedirect;
+        if (!addHop(response.status, target, mechanism, mechanism === REDIRECT_MECHANISM.META_REFRESH ? { delay } : {})) {
+            break;
+        }
+    }
+
+    if (!chain.problem && observedInBrowser) {
+        const browserUrl = snapshot.finalUrl.split('#')[0];
+        if (!visited.has(browserUrl) && browserUrl !== chain.finalUrl.split('#')[0]) {
+            hops.push({ from: chain.finalUrl, to: snapshot.finalUrl, status: chain.finalStatus, mechanism: REDIRECT_MECHANISM.BROWSER });
+            chain.finalUrl = snapshot.finalUrl;
+            chain.finalStatus = snapshot.status;
+        }
+    }
+
+    return chain;
+}
+
+/**
+ * Hostname used to decide whether two URLs belong to the same domain
+ * @param {string} hostname - URL hostname
+ * @returns {string} - Registrable domain, or the normalized hostname under the 'external' policy
+ */
+function siteHostname(hostname) {
+    return config.wwwPolicy === 'same-site' ? getSiteDomain(hostname) : normalizeHostname(hostname);
+}
+
+/**
+ * Hops that change protocol in a way the protocol policy reviews
+ * @param {Object[]} hops - Redirect hops
+ * @returns {Object[]} - Flagged hops
+ */
+function flaggedProtocolHops(hops) {
+    if (config.protocolPolicy === 'allow') {
+        return [];
+    }
+
+    return hops.filter(hop => {
+        const from = new URL(hop.from).protocol;
+        const to = new URL(hop.to).protocol;
+        if (from === to) {
+            return false;
+        }
+        return config.protocolPolicy === 'strict' || (from === 'https:' && to === 'http:');
+    });
+}
+
+/**
+ * Describe a redirect chain for the check details
+ * @param {Object[]} hops - Redirect hops
+ * @returns {string} - Chain summary
+ */
+function describeChain(hops) {
+    return hops.map(hop => `${hop.status || '-'} ${hop.mechanism} → ${hop.to}`).join(', ');
+}
+
+/**
+ * Checks if a URL ends up on an external domain after following its whole
+ * redirect chain
+ * @param {string} urlString - The URL to check
+ * @param {Object|null} [snapshot] - Page snapshot of the audit, used to observe client-side redirects
+ * @returns {Promise<Object>} - Result object with the redirect hops and final URL
+ */
+async function checkRedirect(urlString, snapshot = null) {
+    logMessage(`🔍 Checking for redirects in URL: ${urlString}`);
+
+    try {
+        const originalUrl = new URL(urlString);
+        const chain = await followRedirectChain(urlString, snapshot);
+        const { hops, finalUrl } = chain;
+        const chainDetails = { hops, finalUrl, finalStatus: chain.finalStatus };
+
+        if (chain.problem === 'missing-location') {
+            logMessage(`⚠️ Redirect detected (${chain.finalStatus}) but no Location header found`);
+            return {
+                status: "review",
+                reason: "Redirect without destination",
+                details: `${finalUrl} redirects (${chain.finalStatus}) but no destination was specified`,
+                ...chainDetails
+            };
+        }
+
+        if (chain.problem === 'invalid-location') {
+            logMessage(`⚠️ Invalid redirect URL: ${chain.problemDetails}`);
+            return {
+                status: "review",
+                reason: "Invalid redirect",
+                details: `The URL redirects to an invalid location: ${chain.problemDetails}`,
+                ...chainDetails
+            };
+        }
+
+        if (chain.problem === 'loop' || chain.problem === 'too-many-hops') {
+            logMessage(`⚠️ Redirect chain did not settle: ${chain.problem}`);
+            return {
+                status: "review",
+                reason: chain.problem === 'loop' ? "Redirect loop" : "Too many redirects",
+                details: chain.problem === 'loop'
+                    ? `The redirect chain returns to ${chain.problemDetails}`
+                    : `The redirect chain is longer than ${config.maxHops} hops`,
+                ...chainDetails
+            };
+        }
+
+        if (hops.length === 0) {
+            logMessage(`✓ No redirect detected for URL`);
+            return {
+                status: "pass",
+                reason: "No external redirect detected",
+                ...chainDetails
+            };
+        }
+
+        // The external-domain rule applies to where the chain lands
+        const originalHostname = siteHostname(originalUrl.hostname);
+        const finalHostname = siteHostname(new URL(finalUrl).hostname);
+
+        // JavaScript hops are guessed from the page source unless a browser observed them; a chain
+        // that only leaves the site through a guessed hop is reviewed rather than failed
+        const guessed = hops.find(hop => hop.mechanism === REDIRECT_MECHANISM.JAVASCRIPT);
+        if (finalHostname !== originalHostname && guessed && siteHostname(new URL(guessed.from).hostname) === originalHostname) {
+            logMessage(`⚠️ Possible JavaScript redirect to an external domain: ${originalHostname} → ${finalHostname}`);
+            return {
+                status: "review",
+                reason: "Possible external JavaScript redirect",
+                details: `A script of ${guessed.from} seems to send visitors to an external domain: ${finalHostname} (${describeChain(hops)})`,
+                redirectUrl: finalUrl,
+                ...chainDetails
+            };
+        }
+
+        if (finalHostname !== originalHostname) {
+            logMessage(`❌ External redirect detected: ${originalHostname} → ${finalHostname} (${hops.length} hops)`);
+            return {
+                status: "fail",
+                reason: "External redirect",
+                details: `The URL redirects to an external domain: ${finalHostname} (${describeChain(hops)})`,
+                redirectUrl: finalUrl,
+                ...chainDetails
+            };
+        }
+
+        const protocolHops = flaggedProtocolHops(hops);
+        if (protocolHops.length > 0) {
+            logMessage(`⚠️ Protocol change in redirect chain: ${describeChain(protocolHops)}`);
+            return {
+                status: "review",
+                reason: "Protocol change in redirect",
+                details: `The redirect chain changes protocol: ${describeChain(protocolHops)}`,
+                redirectUrl: finalUrl,
+                ...chainDetails
+            };
+        }
+
+        // Internal redirects (same domain) are allowed
+        logMessage(`ℹ️ Internal redirect detected: ${originalUrl.href} → ${finalUrl}`);
+        return {
+            status: "pass",
+            reason: "No external redirect detected",
+            details: `Internal redirect chain: ${describeChain(hops)}`,
+            ...chainDetails
+        };
+
+    } catch (error) {
+        logMessage(`❌ Error checking redirect: ${error.message}`, 'error');
+        return {
+            status: "error",
+            reason: "Redirect check failed",
+            details: error.message
+        };
+    }
+}
+
+module.exports = {
+    checkRedirect,
+    followRedirectChain,
+    findClientRedirect,
+    REDIRECT_MECHANISM,
+    config
+};
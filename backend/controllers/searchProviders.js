@@ -0,0 +1,137 @@
+const fs = require('fs');
+const axios = require('axios');
+const { logMessage } = require('../utils/logger');
+
+// Results kept per query
+const MAX_RESULTS = 10;
+
+// Share of a query's words a corpus document must contain to be a result
+const LOCAL_MATCH_SHARE = 0.5;
+
+/**
+ * Words of a text that say something about its content
+ * @param {string} text - Text
+ * @returns {string[]} - Lowercased words longer than three characters
+ */
+function contentWords(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 3);
+}
+
+/**
+ * Google Search Provider
+ * Searches the web with the Custom Search JSON API. Needs an API key and the
+ * ID of a search engine set to search the entire web.
+ */
+class GoogleSearchProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] - API key, defaults to GOOGLE_SEARCH_API_KEY
+     * @param {string} [options.engineId] - Search engine ID, defaults to GOOGLE_SEARCH_ENGINE_ID
+     */
+    constructor({ apiKey = process.env.GOOGLE_SEARCH_API_KEY, engineId = process.env.GOOGLE_SEARCH_ENGINE_ID } = {}) {
+        if (!apiKey || !engineId) {
+            throw new Error('The google search provider needs GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID');
+        }
+        this.name = 'google';
+        this.callsApi = true;
+        this.apiKey = apiKey;
+        this.engineId = engineId;
+    }
+
+    /**
+     * Search for pages containing a text
+     * @param {string} query - Search query
+     * @returns {Promise<Object[]>} - { link, title, snippet }; request errors are thrown
+     */
+    async search(query) {
+        const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
+            params: {
+                key: this.apiKey,
+                cx: this.engineId,
+                q: query
+            }
+        });
+
+        return ((response.data && response.data.items) || [])
+            .slice(0, MAX_RESULTS)
+            .map(({ link, title, snippet }) => ({ link, title, snippet }));
+    }
+}
+
+/**
+ * Local Corpus Provider
+ * Searches a fixed set of documents instead of the web, for tests and
+ * offline runs. Results carry the document text, so it is compared without
+ * fetching the page.
+ */
+class LocalCorpusProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]|string} [options.corpus] - Documents { url, title, text }, or the path of a JSON file
+     *                                             holding them; defaults to SEARCH_CORPUS
+     */
+    constructor({ corpus = process.env.SEARCH_CORPUS } = {}) {
+        if (!corpus) {
+            throw new Error('The local search provider needs SEARCH_CORPUS, the path of a JSON list of { url, title, text } documents');
+        }
+        this.name = 'local';
+        this.callsApi = false;
+        this.documents = (typeof corpus === 'string' ? JSON.parse(fs.readFileSync(corpus, 'utf8')) : corpus)
+            .map(document => ({ ...document, words: new Set(contentWords(document.text)) }));
+    }
+
+    /**
+     * Search the corpus for documents containing most words of a text
+     * @param {string} query - Search query
+     * @returns {Promise<Object[]>} - { link, title, snippet, text }, best match first
+     */
+    async search(query) {
+        const words = [...new Set(contentWords(query))];
+        if (words.length === 0) {
+            return [];
+        }
+
+        return this.documents
+            .map(document => ({ document, share: words.filter(word => document.words.has(word)).length / words.length }))
+            .filter(({ share }) => share >= LOCAL_MATCH_SHARE)
+            .sort((a, b) => b.share - a.share)
+            .slice(0, MAX_RESULTS)
+            .map(({ document }) => ({
+                link: document.url,
+                title: document.title || document.url,
+                snippet: document.text.slice(0, 160),
+                text: document.text
+            }));
+    }
+}
+
+// Providers by the name used in SEARCH_PROVIDER
+const SEARCH_PROVIDERS = {
+    google: GoogleSearchProvider,
+    local: LocalCorpusProvider
+};
+
+/**
+ * Create the configured search provider
+ * @param {string} [name] - Provider name, defaults to SEARCH_PROVIDER, or google when GOOGLE_SEARCH_API_KEY is set
+ * @returns {Object} - Provider with a name, callsApi and async search(query)
+ */
+function createSearchProvider(name = process.env.SEARCH_PROVIDER || (process.env.GOOGLE_SEARCH_API_KEY ? 'google' : '')) {
+    if (!name) {
+        throw new Error(`No search provider configured, set SEARCH_PROVIDER to one of: ${Object.keys(SEARCH_PROVIDERS).join(', ')}`);
+    }
+    const Provider = SEARCH_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown search provider "${name}", expected one of: ${Object.keys(SEARCH_PROVIDERS).join(', ')}`);
+    }
+    const provider = new Provider();
+    logMessage(`[Search] Using the ${name} search provider`);
+    return provider;
+}
+
+module.exports = {
+    createSearchProvider,
+    GoogleSearchProvider,
+    LocalCorpusProvider,
+    SEARCH_PROVIDERS
+};
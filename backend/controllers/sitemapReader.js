@@ -0,0 +1,314 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { logMessage } = require('../utils/logger');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ReviewtronBot/1.0)';
+
+// First bytes of a gzip stream
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * Sitemap Reader
+ * Finds a site's sitemaps through robots.txt and well-known paths, follows
+ * sitemap indexes and reads the date of every listed page: its
+ * news:publication_date when there is one, otherwise its lastmod. Sitemaps may
+ * be gzip-compressed (.xml.gz). A few sitemaps are downloaded at a time.
+ * Reading stops at a nesting depth, a number of sitemap files, a number of
+ * page URLs and a deadline, so large and slow publishers stay bounded.
+ */
+class SitemapReader {
+    constructor() {
+        // Sitemap indexes followed below the first sitemap
+        this.maxDepth = parseInt(process.env.SITEMAP_MAX_DEPTH) || 3;
+
+        // Sitemap files fetched per audit
+        this.maxSitemaps = parseInt(process.env.SITEMAP_MAX_FILES) || 50;
+
+        // Page URLs collected per audit
+        this.maxUrls = parseInt(process.env.SITEMAP_MAX_URLS) || 5000;
+
+        // Largest sitemap read, after decompression (the sitemap protocol allows 50MB)
+        this.maxBytes = parseInt(process.env.SITEMAP_MAX_BYTES) || 50 * 1024 * 1024;
+
+        this.timeout = parseInt(process.env.SITEMAP_TIMEOUT) || 10000;
+
+        // Sitemaps downloaded at the same time
+        this.concurrency = parseInt(process.env.SITEMAP_CONCURRENCY) || 4;
+
+        // Time in ms for reading all sitemaps of an audit, well within the
+        // content recency check's timeout
+        this.timeBudget = parseInt(process.env.SITEMAP_TIME_BUDGET) || 15000;
+    }
+
+    /**
+     * Sitemap URLs listed in a site's robots.txt
+     * @param {string} baseUrl - Site origin, e.g. https://example.com
+     * @returns {Promise<string[]>} - Absolute sitemap URLs, empty when robots.txt is missing
+     */
+    async discoverSitemaps(baseUrl) {
+        const robotsUrl = `${baseUrl}/robots.txt`;
+
+        try {
+            const response = await axios.get(robotsUrl, {
+                timeout: this.timeout,
+                responseType: 'text',
+                headers: { 'User-Agent': USER_AGENT }
+            });
+
+            const sitemaps = String(response.data).split(/\r?\n/)
+                .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+                .filter(Boolean)
+                .map(match => this.resolveUrl(match[1], robotsUrl))
+                .filter(Boolean);
+
+            logMessage(`[SitemapReader] Found ${sitemaps.length} sitemaps in ${robotsUrl}`);
+            return [...new Set(sitemaps)];
+        } catch (error) {
+            logMessage(`[SitemapReader] No robots.txt at ${robotsUrl}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Read sitemaps and the sitemaps their indexes list, breadth first. Up to
+     * concurrency sitemaps are downloaded ahead, and results are taken in
+     * queue order, so the limits cut the same sitemaps on every run
+     * @param {string[]} sitemapUrls - Sitemaps to start from
+     * @param {Object} [options]
+     * @param {number} [options.deadline] - Time in ms since the epoch at which reading stops with the
+     *                                      entries read so far, defaults to timeBudget from now
+     * @returns {Promise<Object>} - { entries: [{ url, lastmod, publicationDate, date, sitemap }],
+     *                              sitemaps: [{ url, type, depth, urls, error }], truncated }
+     */
+    async readSitemaps(sitemapUrls, { deadline = Date.now() + this.timeBudget } = {}) {
+        const queue = sitemapUrls.map(url => ({ url, depth: 0 }));
+        const visited = new Set();
+        const seenPages = new Set();
+        const entries = [];
+        const sitemaps = [];
+        const downloads = [];
+        const controller = new AbortController();
+        let truncated = false;
+
+        while (queue.length > 0 || downloads.length > 0) {
+            // Download ahead while below the concurrency and sitemap limits
+            while (downloads.length < this.concurrency && queue.length > 0 && visited.size < this.maxSitemaps) {
+                const { url, depth } = queue.shift();
+                if (visited.has(url)) {
+                    continue;
+                }
+                visited.add(url);
+                downloads.push({
+                    sitemap: { url, type: null, depth, urls: 0, error: null },
+                    parsed: this.fetchSitemap(url, controller.signal)
+                        .then(xml => this.parseSitemap(xml))
+                        .catch(error => ({ error }))
+                });
+            }
+
+            if (downloads.length === 0) {
+                break;
+            }
+
+            const { sitemap, parsed: download } = downloads.shift();
+            const parsed = await this.beforeDeadline(download, deadline);
+            if (!parsed) {
+                logMessage(`[SitemapReader] Time budget used up, stopping before ${sitemap.url}`, 'warn');
+                truncated = true;
+                break;
+            }
+
+            sitemaps.push(sitemap);
+            if (parsed.error) {
+                logMessage(`[SitemapReader] Could not read sitemap ${sitemap.url}: ${parsed.error.message}`, 'warn');
+                sitemap.error = parsed.error.message;
+                continue;
+            }
+            sitemap.type = parsed.type;
+
+            if (parsed.type === 'sitemapindex') {
+                if (sitemap.depth >= this.maxDepth) {
+                    logMessage(`[SitemapReader] Not following ${parsed.sitemaps.length} sitemaps of ${sitemap.url}: depth limit ${this.maxDepth} reached`, 'warn');
+                    truncated = true;
+                    continue;
+                }
+                // Series of sitemaps are usually ordered by date, so read both ends first
+                this.bothEnds(parsed.sitemaps)
+                    .map(child => this.resolveUrl(child, sitemap.url))
+                    .filter(Boolean)
+                    .forEach(child => queue.push({ url: child, depth: sitemap.depth + 1 }));
+                continue;
+            }
+
+            for (const page of parsed.urls) {
+                if (entries.length >= this.maxUrls) {
+                    truncated = true;
+                    break;
+                }
+                if (seenPages.has(page.loc)) {
+                    continue;
+                }
+                seenPages.add(page.loc);
+
+                const entry = this.toEntry(page, sitemap.url);
+                if (entry) {
+                    entries.push(entry);
+                    sitemap.urls++;
+                }
+            }
+
+            if (entries.length >= this.maxUrls) {
+                break;
+            }
+        }
+
+        // Downloads still running are of no use any more
+        controller.abort();
+        if (downloads.length > 0 || queue.some(({ url }) => !visited.has(url))) {
+            truncated = true;
+        }
+
+        logMessage(`[SitemapReader] Read ${sitemaps.length} sitemaps with ${entries.length} dated pages${truncated ? ' (limits reached)' : ''}`);
+        return { entries, sitemaps, truncated };
+    }
+
+    /**
+     * Wait for a download until a deadline
+     * @param {Promise<Object>} download - Parsed sitemap, or { error }
+     * @param {number} deadline - Time in ms since the epoch
+     * @returns {Promise<Object|null>} - The download's result, or null once the deadline has passed
+     */
+    async beforeDeadline(download, deadline) {
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), Math.max(deadline - Date.now(), 0));
+        });
+        try {
+            return await Promise.race([download, expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Download a sitemap, decompressing it when it is gzip-compressed
+     * @param {string} url - Sitemap URL
+     * @param {AbortSignal} [signal] - Cancels the download
+     * @returns {Promise<string>} - Sitemap XML
+     */
+    async fetchSitemap(url, signal) {
+        logMessage(`🔍 Checking sitemap: ${url}`);
+
+        const response = await axios.get(url, {
+            timeout: this.timeout,
+            signal,
+            responseType: 'arraybuffer',
+            maxContentLength: this.maxBytes,
+            headers: { 'User-Agent': USER_AGENT }
+        });
+
+        const body = Buffer.from(response.data);
+        // Content-Encoding gzip is undone by axios; .xml.gz files arrive still compressed
+        const compressed = body.length > 1 && body[0] === GZIP_MAGIC[0] && body[1] === GZIP_MAGIC[1];
+        return (compressed ? zlib.gunzipSync(body, { maxOutputLength: this.maxBytes }) : body).toString('utf8');
+    }
+
+    /**
+     * Parse a sitemap or sitemap index
+     * @param {string} xml - Sitemap XML
+     * @returns {Object} - { type: 'urlset' | 'sitemapindex', sitemaps: [loc], urls: [{ loc, lastmod, publicationDate }] }
+     */
+    parseSitemap(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const text = (element, selector) => $(element).children(selector).first().text().trim() || null;
+
+        if ($('sitemapindex').length > 0) {
+            return {
+                type: 'sitemapindex',
+                sitemaps: $('sitemapindex > sitemap').map((i, el) => text(el, 'loc')).get().filter(Boolean),
+                urls: []
+            };
+        }
+
+        if ($('urlset').length === 0) {
+            throw new Error('Not a sitemap: no <urlset> or <sitemapindex> element');
+        }
+
+        return {
+            type: 'urlset',
+            sitemaps: [],
+            urls: $('urlset > url').map((i, el) => ({
+                loc: text(el, 'loc'),
+                lastmod: text(el, 'lastmod'),
+                publicationDate: $(el).find('news\\:publication_date').first().text().trim() || null
+            })).get().filter(page => page.loc)
+        };
+    }
+
+    /**
+     * Dated entry for a sitemap page; the publication date wins over lastmod,
+     * which also changes when an old page is edited
+     * @param {Object} page - { loc, lastmod, publicationDate }
+     * @param {string} sitemap - URL of the sitemap listing the page
+     * @returns {Object|null} - { url, lastmod, publicationDate, date, sitemap } or null without a usable date
+     */
+    toEntry(page, sitemap) {
+        const lastmod = this.parseDate(page.lastmod);
+        const publicationDate = this.parseDate(page.publicationDate);
+        const date = publicationDate || lastmod;
+        if (!date) {
+            return null;
+        }
+
+        return { url: this.resolveUrl(page.loc, sitemap) || page.loc, lastmod, publicationDate, date, sitemap };
+    }
+
+    /**
+     * Parse a W3C datetime, ignoring invalid dates; future dates are kept for
+     * the cadence analysis to flag
+     * @param {string|null} value - Date text
+     * @returns {Date|null} - Date
+     */
+    parseDate(value) {
+        if (!value) {
+            return null;
+        }
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Resolve a possibly relative URL
+     * @param {string} url - URL from a sitemap or robots.txt
+     * @param {string} base - URL of the document it came from
+     * @returns {string|null} - Absolute URL, or null when it is not http(s)
+     */
+    resolveUrl(url, base) {
+        try {
+            const resolved = new URL(url, base);
+            return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Reorder a list to alternate between its ends: a, z, b, y, ...
+     * @param {Array} items - Items
+     * @returns {Array} - Reordered items
+     */
+    bothEnds(items) {
+        const ordered = [];
+        for (let start = 0, end = items.length - 1; start <= end; start++, end--) {
+            ordered.push(items[start]);
+            if (end !== start) {
+                ordered.push(items[end]);
+            }
+        }
+        return ordered;
+    }
+}
+
+module.exports = new SitemapReader();
+module.exports.SitemapReader = SitemapReader;
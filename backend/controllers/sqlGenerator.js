@@ -4,6 +4,8 @@
  */
 
 const { logMessage } = require('../utils/logger');
+const checkRegistry = require('../utils/checkRegistry');
+const { getSiteDomain } = require('../utils/domainUtils');
 const path = require('path');
 const fs = require('fs');
 
@@ -19,7 +21,10 @@ class SQLGenerator {
             
             // Content Recency Check (Phase 2)
             ['Content too old', '284'],
-            ['Lacking 4 months or recent content', '284'],
+            ['No content published in the last', '284'],
+            ['No content older than', '284'],
+            ['posts in each of the last', '284'],
+            ['Publishing gap longer than', '284'],
             ['No date information found', '298'],
             ['Unable to extract dates from content', '284'],
             
@@ -70,10 +75,13 @@ class SQLGenerator {
             }
 
             const url = auditResult.url;
-            const timestamp = new Date().toISOString();
-            const overallStatus = this.getOverallStatus(auditResult);
-            const failureReason = this.getFailureReason(auditResult);
-            const rejectionCode = this.getRejectionCode(failureReason);
+            // Stored with the audit's own timestamp, which its snapshot is saved under
+            const timestamp = auditResult.timestamp || new Date().toISOString();
+            const {
+                status: overallStatus,
+                reason: failureReason,
+                rejectionCode
+            } = this.getAuditSummary(auditResult);
             
             // Generate SQL for inserting into audit_results table
             const auditSQL = this.generateAuditSQL(url, timestamp, overallStatus, failureReason, rejectionCode, auditResult);
@@ -103,6 +111,23 @@ class SQLGenerator {
         }
     }
 
+    /**
+     * Get the stored status, failure reason and rejection code of an audit result
+     * @param {Object} auditResult - The audit result
+     * @returns {Object} - { status, reason, rejectionCode }
+     */
+    getAuditSummary(auditResult) {
+        const status = this.getOverallStatus(auditResult);
+        const reason = this.getFailureReason(auditResult);
+        const failingCheck = status === 'failed' ? this.getFailingCheck(auditResult) : null;
+        
+        // A check result may carry its own rejection code override
+        const rejectionCode = (failingCheck && failingCheck.result.rejectionCode) ||
+            this.getRejectionCode(reason, failingCheck ? failingCheck.name : null);
+        
+        return { status, reason, rejectionCode };
+    }
+
     /**
      * Get the overall status from audit result
      * @param {Object} auditResult - The audit result
@@ -173,12 +198,32 @@ class SQLGenerator {
         return 'Unknown failure reason';
     }
 
+    /**
+     * Get the first failing check from audit result
+     * @param {Object} auditResult - The audit result
+     * @returns {Object|null} - { name, result } of the failing check, or null
+     */
+    getFailingCheck(auditResult) {
+        if (!auditResult.checks) {
+            return null;
+        }
+        
+        for (const [name, result] of Object.entries(auditResult.checks)) {
+            if (result && (result.status === 'fail' || result.status === 'failed')) {
+                return { name, result };
+            }
+        }
+        
+        return null;
+    }
+
     /**
      * Get rejection code based on failure reason
      * @param {string} failureReason - The failure reason
+     * @param {string} [checkName] - Name of the failing check, used when the reason is not mapped
      * @returns {string} - Rejection code
      */
-    getRejectionCode(failureReason) {
+    getRejectionCode(failureReason, checkName = null) {
         if (!failureReason) return '';
         
         // Try an exact match first
@@ -193,6 +238,12 @@ class SQLGenerator {
             }
         }
         
+        // Fall back to the code declared by the failing check
+        const check = checkName ? checkRegistry.get(checkName) : null;
+        if (check && check.rejectionCode) {
+            return check.rejectionCode;
+        }
+        
         // Default code for unknown reasons
         return '298';
     }
@@ -209,13 +260,27 @@ class SQLGenerator {
      */
     generateAuditSQL(url, timestamp, status, reason, rejectionCode, auditResult) {
         const jsonResult = JSON.stringify(auditResult).replace(/'/g, "''");
+        const siteDomain = this.getSiteDomain(url);
         
         return `
-INSERT INTO audit_results (url, timestamp, status, failure_reason, rejection_code, full_result)
-VALUES ('${url}', '${timestamp}', '${status}', '${reason.replace(/'/g, "''")}', '${rejectionCode}', '${jsonResult}');
+INSERT INTO audit_results (url, registrable_domain, timestamp, status, failure_reason, rejection_code, full_result)
+VALUES ('${url}', ${siteDomain ? `'${siteDomain.replace(/'/g, "''")}'` : 'NULL'}, '${timestamp}', '${status}', '${reason.replace(/'/g, "''")}', '${rejectionCode}', '${jsonResult}');
 `;
     }
 
+    /**
+     * Site an audited URL belongs to, used to group its history
+     * @param {string} url - The URL
+     * @returns {string|null} - Registrable domain, or null when the URL cannot be parsed
+     */
+    getSiteDomain(url) {
+        try {
+            return getSiteDomain(new URL(url).hostname);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Generate SQL for updating site status
      * @param {string} url - The URL
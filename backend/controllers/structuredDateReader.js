@@ -0,0 +1,282 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { logMessage } = require('../utils/logger');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ReviewtronBot/1.0)';
+
+// Where a content date was found
+const DATE_SOURCE = {
+    SITEMAP: 'sitemap',
+    FEED: 'feed',
+    JSON_LD: 'json-ld',
+    OPEN_GRAPH: 'opengraph',
+    WORDPRESS_API: 'wordpress-api',
+    HTML: 'html'
+};
+
+// How much a date can be trusted to be a publication date: high for dates
+// published as such, medium for modification dates (old pages get edited),
+// low for dates scraped from page text (copyright years, event dates)
+const DATE_CONFIDENCE = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
+// Feed types announced with <link rel="alternate">
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/rdf+xml'];
+
+/**
+ * Dated entry tagged with its source and confidence
+ * @param {string|Date} value - Date or date text
+ * @param {string} source - DATE_SOURCE value
+ * @param {string} confidence - DATE_CONFIDENCE value
+ * @param {string} url - Page or document the date belongs to
+ * @returns {Object|null} - { date, source, confidence, url }, or null for invalid dates; future
+ *                          dates are kept, so the cadence analysis can flag them
+ */
+function datedEntry(value, source, confidence, url) {
+    if (!value) {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(String(value).trim());
+    if (isNaN(date)) {
+        return null;
+    }
+    return { date, source, confidence, url };
+}
+
+/**
+ * Structured Date Reader
+ * Reads content dates that sites publish in machine-readable form: RSS and
+ * Atom feeds, schema.org JSON-LD, OpenGraph article tags and the WordPress
+ * REST API. These are preferred over dates scraped from page text.
+ */
+class StructuredDateReader {
+    constructor() {
+        // Feeds read per audit
+        this.maxFeeds = parseInt(process.env.FEED_MAX_FILES) || 3;
+
+        // Posts requested from each end of the WordPress post list
+        this.wordPressPosts = parseInt(process.env.WORDPRESS_API_POSTS) || 20;
+
+        this.timeout = parseInt(process.env.STRUCTURED_DATES_TIMEOUT) || 10000;
+
+        // Feed locations tried when a page announces none
+        this.feedPaths = ['/feed', '/rss.xml', '/atom.xml'];
+    }
+
+    /**
+     * Dates in a page's JSON-LD and OpenGraph tags
+     * @param {string} html - Page HTML
+     * @param {string} pageUrl - Page URL
+     * @returns {Object[]} - Dated entries
+     */
+    readPageDates(html, pageUrl) {
+        if (!html) {
+            return [];
+        }
+        const $ = cheerio.load(html);
+        return [...this.readJsonLd($, pageUrl), ...this.readOpenGraph($, pageUrl)];
+    }
+
+    /**
+     * datePublished and dateModified of every schema.org item in a page's JSON-LD
+     * @param {Function} $ - Cheerio document
+     * @param {string} pageUrl - Page URL
+     * @returns {Object[]} - Dated entries
+     */
+    readJsonLd($, pageUrl) {
+        const entries = [];
+
+        $('script[type="application/ld+json"]').each((i, script) => {
+            let data;
+            try {
+                data = JSON.parse($(script).contents().text());
+            } catch (error) {
+                logMessage(`[StructuredDates] Ignoring invalid JSON-LD on ${pageUrl}: ${error.message}`, 'warn');
+                return;
+            }
+
+            const visit = node => {
+                if (Array.isArray(node)) {
+                    node.forEach(visit);
+                    return;
+                }
+                if (!node || typeof node !== 'object') {
+                    return;
+                }
+                const itemUrl = typeof node.url === 'string' ? node.url : pageUrl;
+                entries.push(
+                    datedEntry(node.datePublished, DATE_SOURCE.JSON_LD, DATE_CONFIDENCE.HIGH, itemUrl),
+                    datedEntry(node.dateModified, DATE_SOURCE.JSON_LD, DATE_CONFIDENCE.MEDIUM, itemUrl)
+                );
+                Object.values(node).filter(value => value && typeof value === 'object').forEach(visit);
+            };
+            visit(data);
+        });
+
+        return entries.filter(Boolean);
+    }
+
+    /**
+     * OpenGraph article:published_time and modification times
+     * @param {Function} $ - Cheerio document
+     * @param {string} pageUrl - Page URL
+     * @returns {Object[]} - Dated entries
+     */
+    readOpenGraph($, pageUrl) {
+        const meta = property => $(`meta[property="${property}"]`).attr('content');
+
+        return [
+            datedEntry(meta('article:published_time'), DATE_SOURCE.OPEN_GRAPH, DATE_CONFIDENCE.HIGH, pageUrl),
+            datedEntry(meta('article:modified_time'), DATE_SOURCE.OPEN_GRAPH, DATE_CONFIDENCE.MEDIUM, pageUrl),
+            datedEntry(meta('og:updated_time'), DATE_SOURCE.OPEN_GRAPH, DATE_CONFIDENCE.MEDIUM, pageUrl)
+        ].filter(Boolean);
+    }
+
+    /**
+     * Feeds a page announces with <link rel="alternate">, or the usual feed paths
+     * @param {string|null} html - Page HTML
+     * @param {string} pageUrl - Page URL
+     * @returns {string[]} - Absolute feed URLs, at most maxFeeds
+     */
+    findFeeds(html, pageUrl) {
+        const feeds = [];
+
+        if (html) {
+            const $ = cheerio.load(html);
+            $('link[rel~="alternate"][href]').each((i, link) => {
+                const type = ($(link).attr('type') || '').toLowerCase().split(';')[0].trim();
+                if (FEED_TYPES.includes(type)) {
+                    try {
+                        feeds.push(new URL($(link).attr('href'), pageUrl).href);
+                    } catch (error) {
+                        // Ignore malformed feed links
+                    }
+                }
+            });
+        }
+
+        if (feeds.length === 0) {
+            const origin = new URL(pageUrl).origin;
+            feeds.push(...this.feedPaths.map(path => `${origin}${path}`));
+        }
+
+        return [...new Set(feeds)].slice(0, this.maxFeeds);
+    }
+
+    /**
+     * Item dates of an RSS, Atom or JSON feed
+     * @param {string} feedUrl - Feed URL
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Object[]>} - Dated entries, empty when the feed cannot be read
+     */
+    async readFeed(feedUrl, { signal } = {}) {
+        logMessage(`🔍 Checking feed: ${feedUrl}`);
+
+        try {
+            const response = await axios.get(feedUrl, {
+                timeout: this.timeout,
+                signal,
+                responseType: 'text',
+                headers: { 'User-Agent': USER_AGENT }
+            });
+            return this.parseFeed(String(response.data), feedUrl);
+        } catch (error) {
+            logMessage(`[StructuredDates] Could not read feed ${feedUrl}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Parse the item dates of a feed
+     * @param {string} body - Feed document
+     * @param {string} feedUrl - Feed URL, used for items without a link
+     * @returns {Object[]} - Dated entries
+     */
+    parseFeed(body, feedUrl) {
+        const entry = (value, confidence, link) => datedEntry(value, DATE_SOURCE.FEED, confidence, link || feedUrl);
+
+        // JSON Feed (jsonfeed.org)
+        if (body.trim().startsWith('{')) {
+            const feed = JSON.parse(body);
+            return (feed.items || []).flatMap(item => [
+                entry(item.date_published, DATE_CONFIDENCE.HIGH, item.url),
+                entry(item.date_modified, DATE_CONFIDENCE.MEDIUM, item.url)
+            ]).filter(Boolean);
+        }
+
+        const $ = cheerio.load(body, { xmlMode: true });
+        const text = (element, selector) => $(element).find(selector).first().text().trim() || null;
+
+        if ($('rss, rdf\\:RDF').length === 0 && $('feed').length === 0) {
+            throw new Error('Not a feed: no <rss>, <rdf:RDF> or <feed> element');
+        }
+
+        // RSS 2.0 and RSS 1.0 (RDF) items
+        const rssEntries = $('item').map((i, item) => {
+            return entry(text(item, 'pubDate') || text(item, 'dc\\:date'), DATE_CONFIDENCE.HIGH, text(item, 'link'));
+        }).get();
+
+        // Atom entries
+        const atomEntries = $('entry').map((i, item) => {
+            const link = $(item).find('link[rel="alternate"], link:not([rel])').first().attr('href') || null;
+            return [
+                entry(text(item, 'published'), DATE_CONFIDENCE.HIGH, link),
+                entry(text(item, 'updated'), DATE_CONFIDENCE.MEDIUM, link)
+            ];
+        }).get();
+
+        return [...rssEntries, ...atomEntries].filter(Boolean);
+    }
+
+    /**
+     * Publication dates of the newest and oldest posts of a WordPress site,
+     * from the public REST API
+     * @param {string} baseUrl - Site origin
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the requests
+     * @returns {Promise<Object[]>} - Dated entries, empty when the site has no WordPress API
+     */
+    async readWordPressPosts(baseUrl, { signal } = {}) {
+        const endpoint = `${baseUrl}/wp-json/wp/v2/posts`;
+        logMessage(`🔍 Checking WordPress API: ${endpoint}`);
+
+        const entries = [];
+        // The API returns posts newest first; the second request gets the oldest
+        for (const order of ['desc', 'asc']) {
+            try {
+                const response = await axios.get(endpoint, {
+                    timeout: this.timeout,
+                    signal,
+                    params: { per_page: this.wordPressPosts, order, orderby: 'date', _fields: 'link,date_gmt,modified_gmt' },
+                    headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' }
+                });
+                if (!Array.isArray(response.data)) {
+                    break;
+                }
+                response.data.forEach(post => {
+                    // date_gmt and modified_gmt are UTC without a zone designator
+                    const utc = value => value ? `${value}Z` : null;
+                    entries.push(
+                        datedEntry(utc(post.date_gmt), DATE_SOURCE.WORDPRESS_API, DATE_CONFIDENCE.HIGH, post.link || endpoint),
+                        datedEntry(utc(post.modified_gmt), DATE_SOURCE.WORDPRESS_API, DATE_CONFIDENCE.MEDIUM, post.link || endpoint)
+                    );
+                });
+            } catch (error) {
+                logMessage(`[StructuredDates] No WordPress API at ${endpoint}: ${error.message}`);
+                break;
+            }
+        }
+
+        return entries.filter(Boolean);
+    }
+}
+
+module.exports = new StructuredDateReader();
+module.exports.StructuredDateReader = StructuredDateReader;
+module.exports.datedEntry = datedEntry;
+module.exports.DATE_SOURCE = DATE_SOURCE;
+module.exports.DATE_CONFIDENCE = DATE_CONFIDENCE;
@@ -139,7 +139,9 @@ async function initDatabase() {
         
         // Run migrations
         const migrationFiles = [
-            'migrations/add_rejection_code.sql'
+            'migrations/add_rejection_code.sql',
+            'migrations/add_registrable_domain.sql',
+            'migrations/remove_punycode_term.sql'
         ];
         
         for (const migrationFile of migrationFiles) {
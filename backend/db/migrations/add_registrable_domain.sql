@@ -0,0 +1,18 @@
+-- Add registrable_domain column to audit_results table if it doesn't exist.
+-- It holds the site an audited URL belongs to (example.co.uk for
+-- https://www.example.co.uk/page), computed from the Public Suffix List when
+-- the audit is stored; older rows keep NULL and are matched by URL.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT FROM information_schema.columns 
+        WHERE table_name = 'audit_results' AND column_name = 'registrable_domain'
+    ) THEN
+        ALTER TABLE audit_results ADD COLUMN registrable_domain TEXT;
+        RAISE NOTICE 'Added registrable_domain column to audit_results table';
+    ELSE
+        RAISE NOTICE 'registrable_domain column already exists in audit_results table';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_audit_results_registrable_domain ON audit_results(registrable_domain);
@@ -0,0 +1,23 @@
+-- Remove the seeded 'xn--' banned term. IDN hostnames are decoded and checked
+-- in their Unicode form, and lookalike IDNs are sent for review by the
+-- lookalike domain check, so the punycode prefix alone no longer fails a URL.
+-- Terms edited by an admin are left alone.
+WITH removed AS (
+    DELETE FROM banned_terms
+    WHERE term = 'xn--' AND match_mode = 'substring' AND updated_by = 'system'
+    RETURNING *
+)
+INSERT INTO banned_term_changes (term_id, action, changed_by, before, after)
+SELECT id, 'delete', 'system', jsonb_build_object(
+    'id', id,
+    'term', term,
+    'category', category,
+    'matchMode', match_mode,
+    'severity', severity,
+    'rejectionCode', rejection_code,
+    'createdBy', created_by,
+    'updatedBy', updated_by,
+    'createdAt', created_at,
+    'updatedAt', updated_at
+), NULL
+FROM removed;
@@ -13,6 +13,7 @@ CREATE TABLE IF NOT EXISTS audit_results (
     id SERIAL PRIMARY KEY,
     site_id INTEGER REFERENCES sites(id),
     url TEXT NOT NULL,
+    registrable_domain TEXT,
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     status TEXT NOT NULL,
     rejection_code TEXT,
@@ -41,12 +42,103 @@ CREATE TABLE IF NOT EXISTS audit_logs (
     created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+-- Background audit jobs
+CREATE TABLE IF NOT EXISTS audit_jobs (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    status TEXT NOT NULL,
+    options JSONB,
+    progress JSONB,
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Batch audits of site lists
+CREATE TABLE IF NOT EXISTS audit_batches (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    concurrency INTEGER NOT NULL,
+    domain_delay INTEGER NOT NULL,
+    options JSONB,
+    items JSONB NOT NULL,
+    invalid JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Page snapshots captured during audits
+CREATE TABLE IF NOT EXISTS audit_snapshots (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    timestamp TIMESTAMP NOT NULL,
+    final_url TEXT,
+    method TEXT NOT NULL,
+    status_code INTEGER,
+    headers JSONB,
+    html TEXT,
+    text TEXT,
+    images JSONB,
+    requests JSONB,
+    extracted JSONB,
+    screenshot TEXT,
+    captured_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Banned words and TLDs edited by policy staff
+CREATE TABLE IF NOT EXISTS banned_terms (
+    id SERIAL PRIMARY KEY,
+    term TEXT NOT NULL,
+    category TEXT NOT NULL,
+    match_mode TEXT NOT NULL DEFAULT 'word',
+    severity TEXT NOT NULL DEFAULT 'fail',
+    rejection_code TEXT,
+    created_by TEXT NOT NULL,
+    updated_by TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (term, match_mode)
+);
+
+-- Audit trail of banned term changes; kept when the term is deleted
+CREATE TABLE IF NOT EXISTS banned_term_changes (
+    id SERIAL PRIMARY KEY,
+    term_id INTEGER,
+    action TEXT NOT NULL,
+    changed_by TEXT NOT NULL,
+    before JSONB,
+    after JSONB,
+    changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Text signatures of audited pages for near-duplicate lookups
+CREATE TABLE IF NOT EXISTS page_signatures (
+    id SERIAL PRIMARY KEY,
+    url TEXT UNIQUE NOT NULL,
+    registrable_domain TEXT,
+    shingle_count INTEGER NOT NULL,
+    minhash INTEGER[] NOT NULL,
+    simhash TEXT NOT NULL,
+    band_keys TEXT[] NOT NULL,
+    audited_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_audit_results_url ON audit_results(url);
 CREATE INDEX IF NOT EXISTS idx_audit_results_timestamp ON audit_results(timestamp);
 CREATE INDEX IF NOT EXISTS idx_audit_results_status ON audit_results(status);
 CREATE INDEX IF NOT EXISTS idx_audit_check_results_audit_id ON audit_check_results(audit_id);
 CREATE INDEX IF NOT EXISTS idx_audit_check_results_status ON audit_check_results(status);
+CREATE INDEX IF NOT EXISTS idx_audit_jobs_status ON audit_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_audit_batches_status ON audit_batches(status);
+CREATE INDEX IF NOT EXISTS idx_audit_snapshots_url_timestamp ON audit_snapshots(url, timestamp);
+CREATE INDEX IF NOT EXISTS idx_banned_term_changes_term_id ON banned_term_changes(term_id);
+CREATE INDEX IF NOT EXISTS idx_page_signatures_band_keys ON page_signatures USING GIN (band_keys);
 
 -- Create view for latest audit results
 CREATE OR REPLACE VIEW latest_audit_results AS
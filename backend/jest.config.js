@@ -2,6 +2,7 @@ module.exports = {
   testEnvironment: 'node',
   collectCoverageFrom: [
     'controllers/**/*.js',
+    'checks/**/*.js',
     'routes/**/*.js',
     'utils/**/*.js',
     'db/**/*.js'
@@ -0,0 +1,225 @@
+/**
+ * Admin Routes - API endpoints for editing audit policy
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const bannedTermsManager = require('../controllers/bannedTermsManager');
+const { logMessage } = require('../utils/logger');
+
+// Postgres error code of a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Admin users and their tokens from ADMIN_TOKENS, a comma-separated list of
+ * user:token pairs such as "alex@example.com:3f9c0b...,sam:8a1d27..."
+ * @param {string} [configured] - Token list, defaults to ADMIN_TOKENS
+ * @returns {Object[]} - { user, token }
+ */
+function loadAdminTokens(configured = process.env.ADMIN_TOKENS) {
+    return (configured || '').split(',')
+        .map(pair => {
+            const separator = pair.lastIndexOf(':');
+            return { user: pair.slice(0, separator).trim(), token: pair.slice(separator + 1).trim() };
+        })
+        .filter(({ user, token }) => user && token);
+}
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} expected - Configured token
+ * @param {string} given - Token of the request
+ * @returns {boolean} - True when they are equal
+ */
+function tokensEqual(expected, given) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(given));
+}
+
+/**
+ * Let only requests with an admin token through; the token's user is the one
+ * every change is recorded for, in req.adminUser
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireAdmin(req, res, next) {
+    const tokens = loadAdminTokens();
+    if (tokens.length === 0) {
+        logMessage('[AdminRoutes] Refusing admin request: no ADMIN_TOKENS configured', 'warn');
+        return res.status(503).json({
+            success: false,
+            error: 'The admin API is disabled, set ADMIN_TOKENS to enable it'
+        });
+    }
+
+    const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const admin = bearer && tokens.find(({ token }) => tokensEqual(token, bearer[1]));
+    if (!admin) {
+        return res.status(401).json({ success: false, error: 'Missing or invalid admin token' });
+    }
+
+    req.adminUser = admin.user;
+    return next();
+}
+
+/**
+ * Parse the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - The term ID, or null when it is not a positive integer
+ */
+function getTermId(req) {
+    const id = parseInt(req.params.id);
+    return String(id) === req.params.id && id > 0 ? id : null;
+}
+
+/**
+ * Send the response for a failed change
+ * @param {Object} res - Express response
+ * @param {Error} error - The error
+ * @param {string} action - What was attempted, for the log
+ */
+function sendChangeError(res, error, action) {
+    if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+            success: false,
+            error: 'A term with this text and match mode already exists'
+        });
+    }
+
+    logMessage(`[AdminRoutes] Error trying to ${action}: ${error.message}`, 'error');
+    return res.status(500).json({
+        success: false,
+        error: `Server error trying to ${action}`
+    });
+}
+
+router.use(requireAdmin);
+
+/**
+ * @route GET /admin/banned-terms
+ * @description List banned terms, optionally filtered by category or matchMode
+ * @access Admin
+ */
+router.get('/banned-terms', async (req, res) => {
+    try {
+        const terms = await bannedTermsManager.listTerms({
+            category: req.query.category,
+            matchMode: req.query.matchMode
+        });
+
+        return res.json({
+            success: true,
+            count: terms.length,
+            data: terms
+        });
+    } catch (error) {
+        logMessage(`[AdminRoutes] Error listing banned terms: ${error.message}`, 'error');
+        return res.status(500).json({
+            success: false,
+            error: 'Server error retrieving banned terms'
+        });
+    }
+});
+
+/**
+ * @route GET /admin/banned-terms/changes
+ * @description Audit trail of banned term changes, newest first
+ * @access Admin
+ */
+router.get('/banned-terms/changes', async (req, res) => {
+    try {
+        const changes = await bannedTermsManager.listChanges({
+            termId: req.query.termId ? parseInt(req.query.termId) || null : null,
+            limit: req.query.limit
+        });
+
+        return res.json({
+            success: true,
+            count: changes.length,
+            data: changes
+        });
+    } catch (error) {
+        logMessage(`[AdminRoutes] Error listing banned term changes: ${error.message}`, 'error');
+        return res.status(500).json({
+            success: false,
+            error: 'Server error retrieving banned term changes'
+        });
+    }
+});
+
+/**
+ * @route POST /admin/banned-terms
+ * @description Add a banned term
+ * @access Admin
+ */
+router.post('/banned-terms', async (req, res) => {
+    const { value, error } = bannedTermsManager.normalizeTerm(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const term = await bannedTermsManager.createTerm(value, req.adminUser);
+        return res.status(201).json({ success: true, data: term });
+    } catch (error) {
+        return sendChangeError(res, error, 'add banned term');
+    }
+});
+
+/**
+ * @route PUT /admin/banned-terms/:id
+ * @description Change a banned term; omitted fields keep their values
+ * @access Admin
+ */
+router.put('/banned-terms/:id', async (req, res) => {
+    const id = getTermId(req);
+    if (!id) {
+        return res.status(404).json({ success: false, error: 'Banned term not found' });
+    }
+
+    try {
+        const existing = await bannedTermsManager.getTerm(id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Banned term not found' });
+        }
+
+        const { value, error } = bannedTermsManager.normalizeTerm(req.body, existing);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const term = await bannedTermsManager.updateTerm(id, value, req.adminUser);
+        if (!term) {
+            return res.status(404).json({ success: false, error: 'Banned term not found' });
+        }
+        return res.json({ success: true, data: term });
+    } catch (error) {
+        return sendChangeError(res, error, 'update banned term');
+    }
+});
+
+/**
+ * @route DELETE /admin/banned-terms/:id
+ * @description Remove a banned term
+ * @access Admin
+ */
+router.delete('/banned-terms/:id', async (req, res) => {
+    const id = getTermId(req);
+    if (!id) {
+        return res.status(404).json({ success: false, error: 'Banned term not found' });
+    }
+
+    try {
+        const term = await bannedTermsManager.deleteTerm(id, req.adminUser);
+        if (!term) {
+            return res.status(404).json({ success: false, error: 'Banned term not found' });
+        }
+        return res.json({ success: true, data: term });
+    } catch (error) {
+        return sendChangeError(res, error, 'remove banned term');
+    }
+});
+
+module.exports = router;
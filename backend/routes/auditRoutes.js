@@ -1,17 +1,217 @@
 const express = require('express');
-const { analyzeURL } = require('../controllers/auditController');
+const auditJobManager = require('../controllers/auditJobManager');
+const auditBatchManager = require('../controllers/auditBatchManager');
+const checkRegistry = require('../utils/checkRegistry');
+const { parseUrlList } = require('../utils/urlList');
+const { openEventStream } = require('../utils/eventStream');
+const { parseAuditOptions, describeProfiles, RECENCY_THRESHOLDS } = require('../utils/auditProfiles');
 
 const router = express.Router();
 
-// POST /audit/url
+/**
+ * Audit options of a request: the profile and recency threshold overrides,
+ * from the JSON body or, for query strings and uploads, from query parameters
+ * @param {Object} body - Parsed JSON body
+ * @param {Object} query - Query parameters
+ * @returns {Object} - { value: audit options } or { error: message }
+ */
+function readAuditOptions(body, query) {
+    const recency = body.recency !== undefined ? body.recency : Object.fromEntries(
+        RECENCY_THRESHOLDS.map(key => [key, query[key]])
+    );
+    return parseAuditOptions({ profile: body.profile || query.profile, recency });
+}
+
+/**
+ * Stream the progress events of a job until it finishes.
+ * Starts with a snapshot of the job so late subscribers see checks that already ran.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} job - The job to stream
+ */
+function streamJob(req, res, job) {
+    const stream = openEventStream(req, res);
+    stream.send('snapshot', auditJobManager.toJSON(job));
+
+    if (job.finishedAt) {
+        stream.send('job:finish', auditJobManager.toJSON(job));
+        return stream.close();
+    }
+
+    // An unfinished job that only the database knows was queued on another
+    // server or before a restart; no events will come for it here
+    if (!auditJobManager.jobs.has(job.id)) {
+        stream.send('job:error', {
+            jobId: job.id,
+            status: job.status,
+            error: `Job ${job.id} has not finished and is not running on this server`
+        });
+        return stream.close();
+    }
+
+    const unsubscribe = auditJobManager.subscribe(job.id, {
+        onEvent: event => stream.send(event.type, event),
+        onUpdate: updated => {
+            if (!updated.finishedAt) {
+                stream.send('job:start', { jobId: updated.id, startedAt: updated.startedAt });
+                return;
+            }
+            stream.send('job:finish', auditJobManager.toJSON(updated));
+            stream.close();
+        }
+    });
+    stream.onClose(unsubscribe);
+}
+
+// POST /audit/url - queue an audit and return its job ID
 router.post('/url', async (req, res) => {
     const { url } = req.body;
     if (!url) {
         return res.status(400).json({ error: "Missing 'url' in request body" });
     }
-    const result = await analyzeURL(url);
-    res.json(result);
+
+    try {
+        new URL(url); // Will throw if URL is invalid
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid URL provided' });
+    }
+
+    const options = readAuditOptions(req.body, req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const job = await auditJobManager.createJob(url, options.value);
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/audit/jobs/${job.id}`
+    });
 });
 
-module.exports = router;
+// GET /audit/jobs/:id - job status, per-check progress and the final result
+router.get('/jobs/:id', async (req, res) => {
+    const job = await auditJobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
 
+    res.json({ success: true, job: auditJobManager.toJSON(job) });
+});
+
+// GET /audit/jobs/:id/events - Server-Sent Events stream of a job's progress
+router.get('/jobs/:id/events', async (req, res) => {
+    const job = await auditJobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    streamJob(req, res, job);
+});
+
+// GET /audit/stream?url= - queue an audit and stream its progress
+router.get('/stream', async (req, res) => {
+    const { url } = req.query;
+    if (!url) {
+        return res.status(400).json({ error: "Missing 'url' query parameter" });
+    }
+
+    try {
+        new URL(url); // Will throw if URL is invalid
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid URL provided' });
+    }
+
+    const options = readAuditOptions({}, req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const job = await auditJobManager.createJob(url, options.value);
+    streamJob(req, res, job);
+});
+
+// POST /audit/batch - audit a list of sites
+// Accepts JSON ({ urls } or { csv }) or a text/csv or text/plain upload
+router.post('/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    const isUpload = typeof req.body === 'string';
+    const body = isUpload ? {} : (req.body || {});
+    const input = isUpload ? req.body : (body.urls || body.csv);
+
+    if (!input || (Array.isArray(input) && input.length === 0)) {
+        return res.status(400).json({ success: false, error: "Provide 'urls' or 'csv' in the request body, or upload a CSV file" });
+    }
+
+    const { urls, invalid } = parseUrlList(input);
+    if (urls.length === 0) {
+        return res.status(400).json({ success: false, error: 'No valid URLs provided', invalid });
+    }
+
+    const options = readAuditOptions(body, req.query);
+    if (options.error) {
+        return res.status(400).json({ success: false, error: options.error });
+    }
+
+    try {
+        const batch = await auditBatchManager.createBatch(urls, {
+            concurrency: body.concurrency || req.query.concurrency,
+            domainDelay: body.domainDelay !== undefined ? body.domainDelay : req.query.domainDelay,
+            invalid,
+            options: options.value
+        });
+
+        res.status(202).json({
+            success: true,
+            batchId: batch.id,
+            total: batch.items.length,
+            invalid,
+            statusUrl: `/audit/batch/${batch.id}`,
+            summaryUrl: `/audit/batch/${batch.id}/summary`
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// GET /audit/batch/:id - aggregate progress and per-site outcomes
+router.get('/batch/:id', async (req, res) => {
+    const batch = await auditBatchManager.getBatch(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    res.json({ success: true, batch: auditBatchManager.toJSON(batch) });
+});
+
+// GET /audit/batch/:id/summary - CSV with status and rejection code per site
+router.get('/batch/:id/summary', async (req, res) => {
+    const batch = await auditBatchManager.getBatch(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    if (batch.status !== auditBatchManager.BATCH_STATUS.COMPLETED) {
+        return res.status(409).json({
+            success: false,
+            error: 'Batch is still running',
+            progress: auditBatchManager.getProgress(batch)
+        });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=audit_batch_${batch.id}.csv`);
+    res.send(auditBatchManager.toCSV(batch));
+});
+
+// GET /audit/checks - registered checks in execution order
+router.get('/checks', (req, res) => {
+    res.json({ success: true, checks: checkRegistry.describe() });
+});
+
+// GET /audit/profiles - audit profiles and their thresholds
+router.get('/profiles', (req, res) => {
+    res.json({ success: true, profiles: describeProfiles() });
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
 const { logMessage } = require('../utils/logger');
+const { getSiteDomain } = require('../utils/domainUtils');
 
 /**
  * @route GET /history/latest
@@ -36,24 +37,38 @@ router.get('/latest', async (req, res) => {
     }
 });
 
+/**
+ * Site a URL or bare domain belongs to
+ * @param {string} value - URL (https://www.example.co.uk/page) or domain (www.example.co.uk)
+ * @returns {string} - Registrable domain (example.co.uk)
+ */
+function siteOf(value) {
+    const hostname = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? new URL(value).hostname : value.split(/[/?#]/)[0];
+    return getSiteDomain(hostname);
+}
+
 /**
  * @route GET /history/site/:url
- * @description Get audit history for a specific site
+ * @description Get audit history for a specific site: every audited URL on the
+ *              same registrable domain
  * @access Public
  */
 router.get('/site/:url', async (req, res) => {
     try {
         const url = decodeURIComponent(req.params.url);
-        logMessage(`[HistoryRoutes] Getting audit history for site: ${url}`);
+        const site = siteOf(url);
+        logMessage(`[HistoryRoutes] Getting audit history for site: ${site} (${url})`);
         
+        // Audits stored before registrable_domain was added are matched by URL
         const result = await db.query(`
             SELECT * FROM audit_results 
-            WHERE url = $1
+            WHERE registrable_domain = $1 OR (registrable_domain IS NULL AND url = $2)
             ORDER BY timestamp DESC
-        `, [url]);
+        `, [site, url]);
         
         return res.json({
             success: true,
+            site,
             count: result.rows.length,
             data: result.rows
         });
@@ -98,6 +113,88 @@ router.get('/checks/:url/:timestamp', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /history/snapshot/:url/:timestamp
+ * @description Get the page snapshot captured during a specific audit
+ * @access Public
+ */
+router.get('/snapshot/:url/:timestamp', async (req, res) => {
+    try {
+        const url = decodeURIComponent(req.params.url);
+        const timestamp = req.params.timestamp;
+        
+        logMessage(`[HistoryRoutes] Getting page snapshot for site: ${url}, timestamp: ${timestamp}`);
+        
+        const result = await db.query(`
+            SELECT id, url, timestamp, final_url, method, status_code, headers, html, text,
+                images, requests, extracted, captured_at, screenshot IS NOT NULL AS has_screenshot
+            FROM audit_snapshots 
+            WHERE url = $1 AND timestamp = $2
+            ORDER BY captured_at DESC
+            LIMIT 1
+        `, [url, timestamp]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Snapshot not found'
+            });
+        }
+        
+        const snapshot = result.rows[0];
+        return res.json({
+            success: true,
+            data: {
+                ...snapshot,
+                screenshot_url: snapshot.has_screenshot
+                    ? `${req.baseUrl}/snapshot/${encodeURIComponent(url)}/${encodeURIComponent(timestamp)}/screenshot`
+                    : null
+            }
+        });
+    } catch (error) {
+        logMessage(`[HistoryRoutes] Error getting page snapshot: ${error.message}`, 'error');
+        return res.status(500).json({
+            success: false,
+            error: 'Server error retrieving page snapshot'
+        });
+    }
+});
+
+/**
+ * @route GET /history/snapshot/:url/:timestamp/screenshot
+ * @description Get the screenshot taken during a specific audit as a JPEG image
+ * @access Public
+ */
+router.get('/snapshot/:url/:timestamp/screenshot', async (req, res) => {
+    try {
+        const url = decodeURIComponent(req.params.url);
+        const timestamp = req.params.timestamp;
+        
+        const result = await db.query(`
+            SELECT screenshot FROM audit_snapshots 
+            WHERE url = $1 AND timestamp = $2 AND screenshot IS NOT NULL
+            ORDER BY captured_at DESC
+            LIMIT 1
+        `, [url, timestamp]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Screenshot not found'
+            });
+        }
+        
+        res.setHeader('Content-Type', 'image/jpeg');
+        return res.send(Buffer.from(result.rows[0].screenshot, 'base64'));
+    } catch (error) {
+        logMessage(`[HistoryRoutes] Error getting screenshot: ${error.message}`, 'error');
+        return res.status(500).json({
+            success: false,
+            error: 'Server error retrieving screenshot'
+        });
+    }
+});
+
 /**
  * @route GET /history/stats
  * @description Get audit statistics
@@ -111,7 +208,7 @@ router.get('/stats', async (req, res) => {
         const overallStats = await db.query(`
             SELECT 
                 COUNT(*) as total_audits,
-                COUNT(DISTINCT url) as unique_sites,
+                COUNT(DISTINCT COALESCE(registrable_domain, url)) as unique_sites,
                 SUM(CASE WHEN status = 'passed' THEN 1 ELSE 0 END) as passed_count,
                 SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_count,
                 ROUND(100.0 * SUM(CASE WHEN status = 'passed' THEN 1 ELSE 0 END) / COUNT(*), 2) as pass_rate
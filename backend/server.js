@@ -3,6 +3,9 @@ const cors = require('cors');
 const { logMessage } = require('./utils/logger');
 const auditRoutes = require('./routes/auditRoutes');
 const historyRoutes = require('./routes/historyRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const auditJobManager = require('./controllers/auditJobManager');
+const auditBatchManager = require('./controllers/auditBatchManager');
 // Conditionally require database
 let db;
 try {
@@ -47,6 +50,7 @@ app.get('/_health', (req, res) => {
 // Routes
 app.use('/audit', auditRoutes);
 app.use('/history', historyRoutes);
+app.use('/admin', adminRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -126,6 +130,10 @@ const server = app.listen(port, '0.0.0.0', () => {
                 } catch (error) {
                     console.error('Error logging database init success:', error.message);
                 }
+
+                // Pick up audits and batches that were queued or running before the restart
+                return auditJobManager.resumePendingJobs()
+                    .then(() => auditBatchManager.resumePendingBatches());
             })
             .catch(error => {
                 console.error('Database initialization failed:', error.message);
@@ -0,0 +1,336 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('../db/database');
+jest.mock('../controllers/auditController', () => ({
+    analyzeURL: jest.fn()
+}));
+
+// Use an empty registry instead of the built-in checks
+jest.mock('../utils/checkRegistry', () => {
+    const { CheckRegistry } = jest.requireActual('../utils/checkRegistry');
+    return new CheckRegistry('/nonexistent-checks-dir');
+});
+
+const db = require('../db/database');
+const { analyzeURL } = require('../controllers/auditController');
+const auditJobManager = require('../controllers/auditJobManager');
+const auditBatchManager = require('../controllers/auditBatchManager');
+const { BATCH_STATUS } = auditBatchManager;
+const { parseUrlList } = require('../utils/urlList');
+const auditRoutes = require('../routes/auditRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/audit', auditRoutes);
+
+const PASS_RESULT = { status: 'pass', checks: { bannedWords: { status: 'pass' } } };
+const FAIL_RESULT = {
+    status: 'fail',
+    checks: { bannedWords: { status: 'fail', reason: 'Banned word detected', rejectionCode: '261' } }
+};
+
+describe('parseUrlList', () => {
+    it('should normalize bare domains and drop duplicates', () => {
+        // Act
+        const { urls, invalid } = parseUrlList('example.com\nhttps://example.com/\n# comment\nhttp://test.org/page');
+
+        // Assert
+        expect(urls).toEqual(['https://example.com/', 'http://test.org/page']);
+        expect(invalid).toEqual([]);
+    });
+
+    it('should read the URL column of a CSV upload', () => {
+        // Act
+        const { urls } = parseUrlList('Name,Website\n"Example, Inc",example.com\nTest,test.org');
+
+        // Assert
+        expect(urls).toEqual(['https://example.com/', 'https://test.org/']);
+    });
+
+    it('should report entries that are not http(s) URLs', () => {
+        // Act
+        const { urls, invalid } = parseUrlList(['ftp://example.com', 'not a domain', 'example.com']);
+
+        // Assert
+        expect(urls).toEqual(['https://example.com/']);
+        expect(invalid.map(entry => entry.input)).toEqual(['ftp://example.com', 'not a domain']);
+    });
+});
+
+describe('Audit Batch Manager', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('should audit every site and record status and rejection code', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async url => ({
+            url,
+            ...(url.includes('bad') ? FAIL_RESULT : PASS_RESULT)
+        }));
+
+        // Act
+        const batch = await auditBatchManager.createBatch(
+            ['https://good.com/', 'https://bad.com/'],
+            { domainDelay: 0 }
+        );
+        await auditBatchManager.waitForBatch(batch.id);
+
+        // Assert
+        expect(batch.status).toBe(BATCH_STATUS.COMPLETED);
+        expect(batch.items).toEqual([
+            expect.objectContaining({ url: 'https://good.com/', auditStatus: 'pass', rejectionCode: null }),
+            expect.objectContaining({ url: 'https://bad.com/', auditStatus: 'fail', rejectionCode: '261', reason: 'Banned word detected' })
+        ]);
+        expect(auditBatchManager.getProgress(batch)).toEqual(expect.objectContaining({
+            total: 2,
+            completed: 2,
+            percent: 100,
+            statuses: { pass: 1, fail: 1, review: 0, error: 0 }
+        }));
+    });
+
+    it('should not exceed the batch concurrency limit', async () => {
+        // Arrange
+        let active = 0;
+        let maxActive = 0;
+        analyzeURL.mockImplementation(async url => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            return { url, ...PASS_RESULT };
+        });
+
+        // Act
+        const batch = await auditBatchManager.createBatch(
+            ['https://a.com/', 'https://b.com/', 'https://c.com/'],
+            { concurrency: 1, domainDelay: 0 }
+        );
+        await auditBatchManager.waitForBatch(batch.id);
+
+        // Assert
+        expect(analyzeURL).toHaveBeenCalledTimes(3);
+        expect(maxActive).toBe(1);
+    });
+
+    it('should space out audits of the same domain', async () => {
+        // Arrange
+        const starts = [];
+        analyzeURL.mockImplementation(async url => {
+            starts.push(Date.now());
+            return { url, ...PASS_RESULT };
+        });
+
+        // Act
+        const batch = await auditBatchManager.createBatch(
+            ['https://same.com/a', 'https://www.same.com/b'],
+            { concurrency: 2, domainDelay: 50 }
+        );
+        await auditBatchManager.waitForBatch(batch.id);
+
+        // Assert
+        expect(starts).toHaveLength(2);
+        expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should space out audits of the same domain from when they leave the job queue', async () => {
+        // Arrange
+        const starts = [];
+        let releaseBlocker;
+        analyzeURL.mockImplementation(url => {
+            if (url.includes('blocker')) {
+                return new Promise(resolve => {
+                    releaseBlocker = () => resolve({ url, ...PASS_RESULT });
+                });
+            }
+            starts.push(Date.now());
+            return Promise.resolve({ url, ...PASS_RESULT });
+        });
+        const jobConcurrency = auditJobManager.concurrency;
+        auditJobManager.concurrency = 1;
+
+        try {
+            const blocker = await auditJobManager.createJob('https://blocker.com/');
+            const batch = await auditBatchManager.createBatch(
+                ['https://queued.com/a', 'https://queued.com/b'],
+                { concurrency: 1, domainDelay: 50 }
+            );
+
+            // Act
+            await new Promise(resolve => setTimeout(resolve, 80));
+            releaseBlocker();
+            await auditJobManager.waitForJob(blocker.id);
+            await auditBatchManager.waitForBatch(batch.id);
+        } finally {
+            auditJobManager.concurrency = jobConcurrency;
+        }
+
+        // Assert
+        expect(starts).toHaveLength(2);
+        expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should reject a concurrency above the audits the server runs at once', async () => {
+        // Act & Assert
+        await expect(auditBatchManager.createBatch(
+            ['https://a.com/'],
+            { concurrency: auditJobManager.concurrency + 1 }
+        )).rejects.toThrow(`concurrency may be at most ${auditJobManager.concurrency}`);
+    });
+
+    it('should evict completed batches after the TTL and answer from the database', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async url => ({ url, ...PASS_RESULT }));
+        const batch = await auditBatchManager.createBatch(['https://evicted.com/'], { domainDelay: 0 });
+        await auditBatchManager.waitForBatch(batch.id);
+        const finishedAt = new Date(batch.finishedAt).getTime();
+
+        // Act
+        auditBatchManager.evictFinishedBatches(finishedAt + auditBatchManager.finishedBatchTtl - 1);
+        const kept = auditBatchManager.batches.has(batch.id);
+        auditBatchManager.evictFinishedBatches(finishedAt + auditBatchManager.finishedBatchTtl);
+
+        // Assert
+        expect(kept).toBe(true);
+        expect(auditBatchManager.batches.has(batch.id)).toBe(false);
+        expect(auditBatchManager.domains.has('evicted.com')).toBe(false);
+        await expect(auditBatchManager.waitForBatch(batch.id)).rejects.toThrow(`Batch ${batch.id} not found`);
+    });
+
+    it('should record failed audit jobs as errors', async () => {
+        // Arrange
+        analyzeURL.mockRejectedValue(new Error('Browser crashed'));
+
+        // Act
+        const batch = await auditBatchManager.createBatch(['https://crash.com/'], { domainDelay: 0 });
+        await auditBatchManager.waitForBatch(batch.id);
+
+        // Assert
+        expect(batch.items[0]).toEqual(expect.objectContaining({
+            status: 'failed',
+            auditStatus: 'error',
+            reason: 'Browser crashed'
+        }));
+    });
+
+    it('should write a CSV summary including invalid entries', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async url => ({ url, ...FAIL_RESULT }));
+        const batch = await auditBatchManager.createBatch(['https://bad.com/'], {
+            domainDelay: 0,
+            invalid: [{ input: 'nope', reason: 'Invalid hostname' }]
+        });
+        await auditBatchManager.waitForBatch(batch.id);
+
+        // Act
+        const lines = auditBatchManager.toCSV(batch).trim().split('\n');
+
+        // Assert
+        expect(lines[0]).toBe('"URL","Status","Rejection Code","Reason","Job ID"');
+        expect(lines[1]).toMatch(/^"https:\/\/bad\.com\/","fail","261","Banned word detected","[\w-]+"$/);
+        expect(lines[2]).toBe('"nope","invalid","","Invalid hostname",""');
+    });
+});
+
+describe('Audit Batch Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+        analyzeURL.mockImplementation(async url => ({ url, ...PASS_RESULT }));
+    });
+
+    it('should accept a JSON list of URLs', async () => {
+        // Act
+        const response = await request(app)
+            .post('/audit/batch')
+            .send({ urls: ['example.com', 'bad entry'], domainDelay: 0 });
+
+        // Assert
+        expect(response.status).toBe(202);
+        expect(response.body).toEqual(expect.objectContaining({
+            success: true,
+            total: 1,
+            statusUrl: `/audit/batch/${response.body.batchId}`,
+            summaryUrl: `/audit/batch/${response.body.batchId}/summary`
+        }));
+        expect(response.body.invalid).toHaveLength(1);
+
+        await auditBatchManager.waitForBatch(response.body.batchId);
+    });
+
+    it('should accept a CSV upload', async () => {
+        // Act
+        const response = await request(app)
+            .post('/audit/batch?domainDelay=0')
+            .set('Content-Type', 'text/csv')
+            .send('url\nexample.com\ntest.org\n');
+
+        // Assert
+        expect(response.status).toBe(202);
+        expect(response.body.total).toBe(2);
+
+        await auditBatchManager.waitForBatch(response.body.batchId);
+    });
+
+    it('should reject requests without valid URLs', async () => {
+        // Act
+        const empty = await request(app).post('/audit/batch').send({});
+        const invalid = await request(app).post('/audit/batch').send({ urls: ['not a url'] });
+
+        // Assert
+        expect(empty.status).toBe(400);
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.invalid).toHaveLength(1);
+    });
+
+    it('should reject a concurrency above AUDIT_JOB_CONCURRENCY', async () => {
+        // Act
+        const response = await request(app)
+            .post('/audit/batch')
+            .send({ urls: ['example.com'], concurrency: auditJobManager.concurrency + 1 });
+
+        // Assert
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/concurrency may be at most/);
+    });
+
+    it('should report progress and serve the summary once completed', async () => {
+        // Arrange
+        let release;
+        analyzeURL.mockImplementation(url => new Promise(resolve => {
+            release = () => resolve({ url, ...PASS_RESULT });
+        }));
+        const created = await request(app)
+            .post('/audit/batch')
+            .send({ urls: ['example.com'], domainDelay: 0 });
+        const { batchId } = created.body;
+
+        // Act
+        const pending = await request(app).get(`/audit/batch/${batchId}/summary`);
+        const running = await request(app).get(`/audit/batch/${batchId}`);
+        release();
+        await auditBatchManager.waitForBatch(batchId);
+        const summary = await request(app).get(`/audit/batch/${batchId}/summary`);
+
+        // Assert
+        expect(pending.status).toBe(409);
+        expect(running.body.batch.progress).toEqual(expect.objectContaining({ total: 1, running: 1 }));
+        expect(summary.status).toBe(200);
+        expect(summary.headers['content-type']).toMatch(/text\/csv/);
+        expect(summary.text).toContain('"https://example.com/","pass"');
+    });
+
+    it('should return 404 for unknown batches', async () => {
+        // Act
+        const response = await request(app).get('/audit/batch/unknown');
+
+        // Assert
+        expect(response.status).toBe(404);
+    });
+});
@@ -0,0 +1,79 @@
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('../db/database');
+
+const path = require('path');
+
+process.env.MODERATION_PROVIDER = 'local';
+process.env.SEARCH_PROVIDER = 'local';
+process.env.SEARCH_CORPUS = path.join(__dirname, 'fixtures/searchCorpus.json');
+
+// Use an empty registry and add the checks whose rules run against local sites
+jest.mock('../utils/checkRegistry', () => {
+    const { CheckRegistry } = jest.requireActual('../utils/checkRegistry');
+    return new CheckRegistry('/nonexistent-checks-dir');
+});
+
+const db = require('../db/database');
+const checkRegistry = require('../utils/checkRegistry');
+const browserPool = require('../utils/browserPool');
+const imageAnalyzer = require('../controllers/imageAnalyzer');
+const sqlGenerator = require('../controllers/sqlGenerator');
+const { analyzeURL } = require('../controllers/auditController');
+const { startFixtureServer } = require('./fixtures/fixtureServer');
+const { scenarios } = require('./fixtures/fixtureSites');
+
+// Hate speech is moderated with the local lexicon provider and plagiarism
+// searches the local corpus in fixtures/searchCorpus.json
+const LOCAL_CHECKS = ['bannedWords', 'lookalikeDomain', 'redirect', 'contentRecency', 'images', 'hateSpeech', 'plagiarism'];
+
+const chromeAvailable = browserPool.isChromeAvailable();
+
+describe('End-to-end audits of fixture sites', () => {
+    let fixtures;
+
+    beforeAll(async () => {
+        fixtures = await startFixtureServer();
+        imageAnalyzer.apiUrl = fixtures.visionApiUrl;
+
+        checkRegistry.checks.clear();
+        [...LOCAL_CHECKS, ...(chromeAvailable ? ['ads'] : [])].forEach(name => {
+            checkRegistry.register(require(`../checks/${name}`));
+        });
+    });
+
+    afterAll(async () => {
+        await fixtures.close();
+        await browserPool.close();
+    });
+
+    beforeEach(() => {
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    scenarios.forEach(scenario => {
+        const test = scenario.requiresChrome && !chromeAvailable ? it.skip : it;
+
+        test(`should report ${scenario.expected.status} for ${scenario.name}`, async () => {
+            // Act
+            const result = await analyzeURL(fixtures.urlFor(scenario.site, scenario.path), scenario.options);
+            const summary = sqlGenerator.getAuditSummary(result);
+
+            // Assert
+            expect({ status: result.status, rejectionCode: summary.rejectionCode }).toEqual(scenario.expected);
+        }, 60000);
+    });
+
+    it('should send at most the API limit of images from an image-heavy page', async () => {
+        // Act
+        const result = await analyzeURL(fixtures.urlFor('adult-gallery'));
+
+        // Assert
+        expect(result.snapshot.imageCount).toBe(12);
+        expect(result.checks.images.analysis).toEqual(expect.objectContaining({
+            imagesAnalyzed: imageAnalyzer.maxImages,
+            flaggedImages: imageAnalyzer.maxImages
+        }));
+    }, 60000);
+});
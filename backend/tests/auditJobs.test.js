@@ -0,0 +1,409 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('../db/database');
+jest.mock('../controllers/auditController', () => ({
+    analyzeURL: jest.fn()
+}));
+
+// Use a registry with two known checks instead of the built-in ones
+jest.mock('../utils/checkRegistry', () => {
+    const { CheckRegistry } = jest.requireActual('../utils/checkRegistry');
+    const registry = new CheckRegistry('/nonexistent-checks-dir');
+    registry.register({ name: 'first', phase: 0, run: jest.fn() });
+    registry.register({ name: 'second', phase: 1, run: jest.fn() });
+    return registry;
+});
+
+const db = require('../db/database');
+const { analyzeURL } = require('../controllers/auditController');
+const auditJobManager = require('../controllers/auditJobManager');
+const { JOB_STATUS } = auditJobManager;
+const auditRoutes = require('../routes/auditRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/audit', auditRoutes);
+
+/**
+ * Read a Server-Sent Events response until the server closes it
+ * @param {Object} server - Listening HTTP server
+ * @param {string} path - Request path
+ * @param {Function} [onOpen] - Called when the first event arrives
+ * @returns {Promise<Object[]>} - Parsed events ({ event, data })
+ */
+function readEventStream(server, path, onOpen) {
+    return new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                if (!body && onOpen) onOpen();
+                body += chunk;
+            });
+            res.on('end', () => {
+                const events = body.split('\n\n')
+                    .filter(block => block.includes('event: '))
+                    .map(block => ({
+                        event: block.match(/^event: (.*)$/m)[1],
+                        data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+                    }));
+                resolve(events);
+            });
+        }).on('error', reject);
+    });
+}
+
+describe('Audit Job Manager', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('should run a queued job and record per-check progress', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async (url, options) => {
+            options.onEvent({ type: 'phase:start', phase: 0 });
+            options.onEvent({ type: 'check:start', check: 'first' });
+            options.onEvent({ type: 'check:finish', check: 'first', status: 'pass', outcome: 'completed' });
+            return { url, status: 'pass', checks: { first: { status: 'pass' } } };
+        });
+
+        // Act
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+
+        // Assert
+        expect(job.status).toBe(JOB_STATUS.COMPLETED);
+        expect(job.result.status).toBe('pass');
+        expect(job.progress.completed).toBe(1);
+        expect(job.progress.checks.first.status).toBe('pass');
+        expect(job.progress.checks.second.status).toBe('pending');
+    });
+
+    it('should mark skipped checks after a short-circuit', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async (url, options) => {
+            options.onEvent({ type: 'check:finish', check: 'first', status: 'fail', outcome: 'completed' });
+            options.onEvent({ type: 'audit:short-circuit', check: 'first', skippedChecks: ['second'] });
+            return { url, status: 'fail', checks: { first: { status: 'fail' } } };
+        });
+
+        // Act
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+
+        // Assert
+        expect(job.progress.checks.second.status).toBe('skipped');
+    });
+
+    it('should mark the job as failed when the audit throws', async () => {
+        // Arrange
+        analyzeURL.mockRejectedValue(new Error('Browser crashed'));
+
+        // Act
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+
+        // Assert
+        expect(job.status).toBe(JOB_STATUS.FAILED);
+        expect(job.error).toBe('Browser crashed');
+    });
+
+    it('should persist the final job state last', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async (url, options) => {
+            options.onEvent({ type: 'check:finish', check: 'first', status: 'pass', outcome: 'completed' });
+            return { url, status: 'pass', checks: {} };
+        });
+
+        // Act
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+
+        // Assert
+        const lastSave = db.query.mock.calls[db.query.mock.calls.length - 1];
+        expect(lastSave[1][0]).toBe(job.id);
+        expect(lastSave[1][2]).toBe(JOB_STATUS.COMPLETED);
+    });
+
+    it('should re-queue jobs left pending in the database', async () => {
+        // Arrange
+        analyzeURL.mockResolvedValue({ status: 'pass', checks: {} });
+        db.query.mockResolvedValueOnce({
+            rows: [{
+                id: 'interrupted-job',
+                url: 'https://example.com',
+                status: JOB_STATUS.RUNNING,
+                options: {},
+                progress: null,
+                created_at: '2024-01-01T00:00:00Z'
+            }]
+        });
+
+        // Act
+        const resumed = await auditJobManager.resumePendingJobs();
+        const job = await auditJobManager.waitForJob('interrupted-job');
+
+        // Assert
+        expect(resumed).toBe(1);
+        expect(analyzeURL).toHaveBeenCalledWith('https://example.com', expect.any(Object));
+        expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    });
+
+    it('should evict finished jobs from memory after their TTL and read them from the database', async () => {
+        // Arrange
+        analyzeURL.mockResolvedValue({ url: 'https://example.com', status: 'pass', checks: {} });
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+        const row = {
+            id: job.id,
+            url: job.url,
+            status: JOB_STATUS.COMPLETED,
+            options: {},
+            progress: job.progress,
+            result: job.result,
+            created_at: job.createdAt,
+            started_at: job.startedAt,
+            finished_at: job.finishedAt
+        };
+
+        // Act
+        auditJobManager.evictFinishedJobs(new Date(job.finishedAt).getTime() + auditJobManager.finishedJobTtl - 1);
+        const keptBeforeTtl = auditJobManager.jobs.has(job.id);
+        auditJobManager.evictFinishedJobs(new Date(job.finishedAt).getTime() + auditJobManager.finishedJobTtl);
+        db.query.mockResolvedValueOnce({ rows: [row] });
+        const stored = await auditJobManager.getJob(job.id);
+        db.query.mockResolvedValueOnce({ rows: [row] });
+        const waited = await auditJobManager.waitForJob(job.id);
+
+        // Assert
+        expect(keptBeforeTtl).toBe(true);
+        expect(auditJobManager.jobs.has(job.id)).toBe(false);
+        expect(stored).toEqual(expect.objectContaining({ id: job.id, status: JOB_STATUS.COMPLETED, result: job.result }));
+        expect(waited).toEqual(stored);
+    });
+
+    it('should reject waiting for jobs this server is not running', async () => {
+        // Arrange
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 'elsewhere', url: 'https://example.com', status: JOB_STATUS.RUNNING, options: {}, created_at: '2024-01-01T00:00:00Z' }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        // Act & Assert
+        await expect(auditJobManager.waitForJob('elsewhere')).rejects.toThrow('Job elsewhere has not finished and is not running on this server (status: running)');
+        await expect(auditJobManager.waitForJob('missing')).rejects.toThrow('Job missing not found');
+    });
+});
+
+describe('Audit Job Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+        analyzeURL.mockResolvedValue({ status: 'pass', checks: {} });
+    });
+
+    it('should queue an audit and return the job ID', async () => {
+        // Act
+        const response = await request(app)
+            .post('/audit/url')
+            .send({ url: 'https://example.com' });
+
+        // Assert
+        expect(response.status).toBe(202);
+        expect(response.body).toEqual(expect.objectContaining({
+            success: true,
+            jobId: expect.any(String),
+            statusUrl: `/audit/jobs/${response.body.jobId}`
+        }));
+
+        await auditJobManager.waitForJob(response.body.jobId);
+    });
+
+    it('should pass the audit profile and threshold overrides to the audit', async () => {
+        // Act
+        const response = await request(app)
+            .post('/audit/url')
+            .send({ url: 'https://example.com', profile: 'news', recency: { minDaysSinceOldest: '60' } });
+        await auditJobManager.waitForJob(response.body.jobId);
+
+        // Assert
+        expect(response.status).toBe(202);
+        expect(analyzeURL).toHaveBeenCalledWith('https://example.com', expect.objectContaining({
+            profile: 'news',
+            recency: { minDaysSinceOldest: 60 }
+        }));
+    });
+
+    it('should reject unknown profiles and invalid thresholds', async () => {
+        // Act
+        const profile = await request(app).post('/audit/url').send({ url: 'https://example.com', profile: 'strict' });
+        const threshold = await request(app).post('/audit/url').send({ url: 'https://example.com', recency: { maxDaysSinceRecent: -1 } });
+
+        // Assert
+        expect(profile.status).toBe(400);
+        expect(profile.body.error).toContain("Unknown audit profile 'strict'");
+        expect(threshold.status).toBe(400);
+        expect(analyzeURL).not.toHaveBeenCalled();
+    });
+
+    it('should list the audit profiles', async () => {
+        // Act
+        const response = await request(app).get('/audit/profiles');
+
+        // Assert
+        expect(response.status).toBe(200);
+        expect(response.body.profiles).toContainEqual(expect.objectContaining({
+            name: 'default',
+            default: true,
+            recency: { maxDaysSinceRecent: 30, minDaysSinceOldest: 95, minPostsPerMonth: 0, activeMonths: 3, maxGapDays: 0 }
+        }));
+    });
+
+    it('should reject missing and invalid URLs', async () => {
+        // Act
+        const missing = await request(app).post('/audit/url').send({});
+        const invalid = await request(app).post('/audit/url').send({ url: 'not a url' });
+
+        // Assert
+        expect(missing.status).toBe(400);
+        expect(invalid.status).toBe(400);
+        expect(analyzeURL).not.toHaveBeenCalled();
+    });
+
+    it('should return the status of a job', async () => {
+        // Arrange
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+
+        // Act
+        const response = await request(app).get(`/audit/jobs/${job.id}`);
+
+        // Assert
+        expect(response.status).toBe(200);
+        expect(response.body.job).toEqual(expect.objectContaining({
+            id: job.id,
+            status: JOB_STATUS.COMPLETED,
+            result: { status: 'pass', checks: {} }
+        }));
+        expect(response.body.job).not.toHaveProperty('options');
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+        // Act
+        const response = await request(app).get('/audit/jobs/unknown');
+
+        // Assert
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('Audit Job Event Stream', () => {
+    let server;
+
+    beforeAll(done => {
+        server = app.listen(0, done);
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('should stream check events until the job finishes', async () => {
+        // Arrange
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        analyzeURL.mockImplementation(async (url, options) => {
+            await gate;
+            options.onEvent({ type: 'check:start', check: 'first', phase: 0 });
+            options.onEvent({ type: 'check:finish', check: 'first', phase: 0, status: 'fail', outcome: 'timeout', reason: 'Check timed out' });
+            options.onEvent({ type: 'audit:short-circuit', check: 'first', skippedChecks: ['second'] });
+            return { url, status: 'fail', checks: {} };
+        });
+        const job = await auditJobManager.createJob('https://example.com');
+
+        // Act
+        const events = await readEventStream(server, `/audit/jobs/${job.id}/events`, release);
+
+        // Assert
+        expect(events.map(e => e.event)).toEqual([
+            'snapshot', 'check:start', 'check:finish', 'audit:short-circuit', 'job:finish'
+        ]);
+        expect(events[0].data.id).toBe(job.id);
+        expect(events[2].data).toEqual(expect.objectContaining({ check: 'first', outcome: 'timeout' }));
+        expect(events[4].data).toEqual(expect.objectContaining({
+            status: JOB_STATUS.COMPLETED,
+            result: { url: 'https://example.com', status: 'fail', checks: {} }
+        }));
+    });
+
+    it('should close the stream right away for finished jobs', async () => {
+        // Arrange
+        analyzeURL.mockResolvedValue({ status: 'pass', checks: {} });
+        const job = await auditJobManager.createJob('https://example.com');
+        await auditJobManager.waitForJob(job.id);
+
+        // Act
+        const events = await readEventStream(server, `/audit/jobs/${job.id}/events`);
+
+        // Assert
+        expect(events.map(e => e.event)).toEqual(['snapshot', 'job:finish']);
+        expect(events[0].data.progress).toBeDefined();
+    });
+
+    it('should close the stream with an error for unfinished jobs not running on this server', async () => {
+        // Arrange
+        db.query.mockResolvedValueOnce({
+            rows: [{ id: 'elsewhere', url: 'https://example.com', status: JOB_STATUS.RUNNING, options: {}, created_at: '2024-01-01T00:00:00Z' }]
+        });
+
+        // Act
+        const events = await readEventStream(server, '/audit/jobs/elsewhere/events');
+
+        // Assert
+        expect(events.map(e => e.event)).toEqual(['snapshot', 'job:error']);
+        expect(events[1].data).toEqual({
+            jobId: 'elsewhere',
+            status: JOB_STATUS.RUNNING,
+            error: 'Job elsewhere has not finished and is not running on this server'
+        });
+    });
+
+    it('should queue and stream an audit for a URL', async () => {
+        // Arrange
+        analyzeURL.mockImplementation(async (url, options) => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            options.onEvent({ type: 'check:start', check: 'first', phase: 0 });
+            return { url, status: 'pass', checks: {} };
+        });
+
+        // Act
+        const events = await readEventStream(server, '/audit/stream?url=https%3A%2F%2Fexample.com');
+
+        // Assert
+        expect(events[0].event).toBe('snapshot');
+        expect(events[events.length - 1].event).toBe('job:finish');
+        expect(analyzeURL).toHaveBeenCalledWith('https://example.com', expect.any(Object));
+    });
+
+    it('should reject invalid stream requests', async () => {
+        // Act
+        const missing = await request(app).get('/audit/stream');
+        const invalid = await request(app).get('/audit/stream?url=nope');
+        const unknown = await request(app).get('/audit/jobs/unknown/events');
+
+        // Assert
+        expect(missing.status).toBe(400);
+        expect(invalid.status).toBe(400);
+        expect(unknown.status).toBe(404);
+    });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('../db/database');
+
+const db = require('../db/database');
+const bannedTermsManager = require('../controllers/bannedTermsManager');
+const { CHANGE_ACTION } = bannedTermsManager;
+const adminRoutes = require('../routes/adminRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/admin', adminRoutes);
+
+// Admin users and the Authorization headers of their tokens
+const ADMIN_TOKENS = 'alex@example.com:alex-token,sam:sam-token';
+const ALEX = 'Bearer alex-token';
+const SAM = 'Bearer sam-token';
+
+const STORED_TERM = {
+    id: 7,
+    term: 'casino',
+    category: 'gambling',
+    match_mode: 'word',
+    severity: 'fail',
+    rejection_code: null,
+    created_by: 'system',
+    updated_by: 'system',
+    created_at: '2024-01-01T00:00:00.000Z',
+    updated_at: '2024-01-01T00:00:00.000Z'
+};
+
+describe('Banned Terms Admin API', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.ADMIN_TOKENS = ADMIN_TOKENS;
+        client = { query: jest.fn() };
+        db.transaction.mockImplementation(callback => callback(client));
+        bannedTermsManager.invalidate();
+    });
+
+    afterAll(() => {
+        delete process.env.ADMIN_TOKENS;
+    });
+
+    describe('admin tokens', () => {
+        it.each([
+            ['no token', {}],
+            ['an unknown token', { Authorization: 'Bearer guessed-token' }],
+            ['only a self-asserted user', { 'X-Changed-By': 'alex@example.com' }]
+        ])('should refuse requests with %s', async (description, headers) => {
+            // Act
+            const list = await request(app).get('/admin/banned-terms').set(headers);
+            const change = await request(app).post('/admin/banned-terms').set(headers).send({ term: 'vape', category: 'drugs' });
+
+            // Assert
+            expect(list.status).toBe(401);
+            expect(change.status).toBe(401);
+            expect(db.query).not.toHaveBeenCalled();
+            expect(db.transaction).not.toHaveBeenCalled();
+        });
+
+        it('should disable the admin API without configured tokens', async () => {
+            // Arrange
+            delete process.env.ADMIN_TOKENS;
+
+            // Act
+            const response = await request(app).get('/admin/banned-terms').set('Authorization', ALEX);
+
+            // Assert
+            expect(response.status).toBe(503);
+            expect(response.body.error).toContain('ADMIN_TOKENS');
+        });
+
+        it("should record the token's user, not the X-Changed-By header", async () => {
+            // Arrange
+            client.query
+                .mockResolvedValueOnce({ rows: [{ ...STORED_TERM, id: 8, term: 'vape', category: 'drugs', created_by: 'sam' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            // Act
+            const response = await request(app)
+                .post('/admin/banned-terms')
+                .set('Authorization', SAM)
+                .set('X-Changed-By', 'alex@example.com')
+                .send({ term: 'vape', category: 'drugs' });
+
+            // Assert
+            expect(response.status).toBe(201);
+            expect(client.query.mock.calls[0][1][5]).toBe('sam');
+        });
+    });
+
+    describe('GET /admin/banned-terms', () => {
+        it('should list terms filtered by category', async () => {
+            // Arrange
+            db.query.mockResolvedValue({ rows: [STORED_TERM] });
+
+            // Act
+            const response = await request(app).get('/admin/banned-terms?category=gambling').set('Authorization', ALEX);
+
+            // Assert
+            expect(response.status).toBe(200);
+            expect(response.body.data).toEqual([expect.objectContaining({
+                id: 7, term: 'casino', matchMode: 'word', severity: 'fail', rejectionCode: null
+            })]);
+            expect(db.query).toHaveBeenCalledWith(expect.stringContaining('WHERE category = $1'), ['gambling']);
+        });
+    });
+
+    describe('POST /admin/banned-terms', () => {
+        it('should store the term and record who added it', async () => {
+            // Arrange
+            client.query
+                .mockResolvedValueOnce({ rows: [{ ...STORED_TERM, id: 8, term: 'vape', category: 'drugs', match_mode: 'substring', rejection_code: '299', created_by: 'alex@example.com' }] })
+                .mockResolvedValueOnce({ rows: [] });
+            bannedTermsManager.loadedAt = Date.now();
+
+            // Act
+            const response = await request(app)
+                .post('/admin/banned-terms')
+                .set('Authorization', ALEX)
+                .send({ term: ' VAPE ', category: 'drugs', matchMode: 'substring', rejectionCode: 299 });
+
+            // Assert
+            expect(response.status).toBe(201);
+            expect(client.query.mock.calls[0][1]).toEqual(['vape', 'drugs', 'substring', 'fail', '299', 'alex@example.com']);
+            expect(client.query.mock.calls[1][1]).toEqual([8, CHANGE_ACTION.CREATE, 'alex@example.com', null, expect.any(String)]);
+            expect(bannedTermsManager.loadedAt).toBe(0);
+        });
+
+        it('should store punycode TLDs in their Unicode form', async () => {
+            // Arrange
+            client.query
+                .mockResolvedValueOnce({ rows: [{ ...STORED_TERM, id: 9, term: 'рф', category: 'bannedTLD', match_mode: 'tld' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            // Act
+            const response = await request(app)
+                .post('/admin/banned-terms')
+                .set('Authorization', ALEX)
+                .send({ term: '.xn--p1ai', category: 'bannedTLD', matchMode: 'tld' });
+
+            // Assert
+            expect(response.status).toBe(201);
+            expect(client.query.mock.calls[0][1].slice(0, 3)).toEqual(['рф', 'bannedTLD', 'tld']);
+        });
+
+        it.each([
+            [{ term: 'online casino', category: 'gambling' }, 'Word terms may only contain'],
+            [{ term: '(unclosed', category: 'gambling', matchMode: 'regex' }, 'Invalid regular expression'],
+            [{ term: '(casino\\w+)+', category: 'gambling', matchMode: 'regex' }, 'may not repeat a group that holds a repeat'],
+            [{ term: '(?:[a-z]*-?)*bet', category: 'gambling', matchMode: 'regex' }, 'may not repeat a group that holds a repeat'],
+            [{ term: `casino${'x'.repeat(200)}`, category: 'gambling', matchMode: 'regex' }, 'at most 200 characters'],
+            [{ term: 'casino', category: 'gambling', severity: 'low' }, 'severity must be one of'],
+            [{ term: 'casino' }, "Missing 'category'"]
+        ])('should reject invalid terms: %j', async (body, message) => {
+            // Act
+            const response = await request(app).post('/admin/banned-terms').set('Authorization', ALEX).send(body);
+
+            // Assert
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain(message);
+        });
+
+        it('should report duplicate terms as a conflict', async () => {
+            // Arrange
+            db.transaction.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+            // Act
+            const response = await request(app).post('/admin/banned-terms').set('Authorization', ALEX).send({ term: 'casino', category: 'gambling' });
+
+            // Assert
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('PUT /admin/banned-terms/:id', () => {
+        it('should keep omitted fields and record the previous version', async () => {
+            // Arrange
+            db.query.mockResolvedValue({ rows: [STORED_TERM] });
+            client.query
+                .mockResolvedValueOnce({ rows: [STORED_TERM] })
+                .mockResolvedValueOnce({ rows: [{ ...STORED_TERM, severity: 'review', updated_by: 'sam' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            // Act
+            const response = await request(app).put('/admin/banned-terms/7').set('Authorization', SAM).send({ severity: 'review' });
+
+            // Assert
+            expect(response.status).toBe(200);
+            expect(response.body.data).toEqual(expect.objectContaining({ severity: 'review', updatedBy: 'sam' }));
+            expect(client.query.mock.calls[1][1]).toEqual([7, 'casino', 'gambling', 'word', 'review', null, 'sam']);
+            const [, action, changedBy, before] = client.query.mock.calls[2][1];
+            expect([action, changedBy, JSON.parse(before).severity]).toEqual([CHANGE_ACTION.UPDATE, 'sam', 'fail']);
+        });
+
+        it('should return 404 for unknown terms', async () => {
+            // Arrange
+            db.query.mockResolvedValue({ rows: [] });
+
+            // Act
+            const response = await request(app).put('/admin/banned-terms/99').set('Authorization', SAM).send({ severity: 'review' });
+
+            // Assert
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /admin/banned-terms/:id', () => {
+        it('should remove the term and keep it in the audit trail', async () => {
+            // Arrange
+            client.query
+                .mockResolvedValueOnce({ rows: [STORED_TERM] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            // Act
+            const response = await request(app).delete('/admin/banned-terms/7').set('Authorization', SAM);
+
+            // Assert
+            expect(response.status).toBe(200);
+            const [termId, action, changedBy, before, after] = client.query.mock.calls[1][1];
+            expect([termId, action, changedBy, JSON.parse(before).term, after]).toEqual([7, CHANGE_ACTION.DELETE, 'sam', 'casino', null]);
+        });
+    });
+
+    describe('GET /admin/banned-terms/changes', () => {
+        it('should list changes newest first', async () => {
+            // Arrange
+            db.query.mockResolvedValue({
+                rows: [{ id: 3, term_id: 7, action: 'update', changed_by: 'sam', before: { severity: 'fail' }, after: { severity: 'review' }, changed_at: '2024-02-01T00:00:00.000Z' }]
+            });
+
+            // Act
+            const response = await request(app).get('/admin/banned-terms/changes?termId=7').set('Authorization', SAM);
+
+            // Assert
+            expect(response.status).toBe(200);
+            expect(response.body.data).toEqual([expect.objectContaining({ termId: 7, action: 'update', changedBy: 'sam' })]);
+            expect(db.query).toHaveBeenCalledWith(expect.stringContaining('WHERE term_id = $2'), [100, 7]);
+        });
+    });
+});
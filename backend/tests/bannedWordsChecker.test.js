@@ -0,0 +1,267 @@
+const db = require('../db/database');
+const bannedTermsManager = require('../controllers/bannedTermsManager');
+const bannedWordsAllowlist = require('../utils/bannedWordsAllowlist');
+const { checkBannedWords } = require('../controllers/bannedWordsChecker');
+const { segment } = require('../utils/urlTokenizer');
+
+jest.mock('../db/database');
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+/**
+ * Serve banned_terms rows from the mocked database
+ * @param {Object[]} rows - Stored terms
+ */
+function mockStoredTerms(rows) {
+    db.query.mockImplementation(async (sql) => ({
+        rows: sql.includes('FROM banned_terms') ? rows.map((row, index) => ({
+            id: index + 1, match_mode: 'word', severity: 'fail', rejection_code: null, ...row
+        })) : []
+    }));
+}
+
+describe('Banned Words Checker', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Fresh install: no stored terms, so the defaults are seeded
+        db.query.mockResolvedValue({ rows: [] });
+        db.transaction.mockResolvedValue();
+        bannedTermsManager.terms = null;
+        bannedTermsManager.invalidate();
+    });
+
+    afterEach(() => {
+        bannedWordsAllowlist.domains.length = 0;
+    });
+
+    it.each([
+        'https://classroom.com',
+        'https://alphabet.com',
+        'https://hackernews.com',
+        'https://www.essex.ac.uk/courses',
+        'https://cocktail-recipes.com/analytics'
+    ])('should not match banned words inside ordinary words: %s', async (url) => {
+        // Act
+        const result = await checkBannedWords(url);
+
+        // Assert
+        expect(result).toBeNull();
+    });
+
+    it('should find banned words in concatenated domain labels', async () => {
+        // Act
+        const result = await checkBannedWords('https://www.freeporntube.com/');
+
+        // Assert
+        expect(result).toEqual(expect.objectContaining({
+            status: 'fail',
+            reason: 'Banned content detected (adult)',
+            category: 'adult',
+            match: expect.objectContaining({ word: 'porn', token: 'porn', location: 'domain', part: 'freeporntube', index: 4 })
+        }));
+    });
+
+    it('should report words found in the path and query', async () => {
+        // Act
+        const pathResult = await checkBannedWords('https://example.com/offers/casino-bonus');
+        const queryResult = await checkBannedWords('https://example.com/search?q=online+poker');
+
+        // Assert
+        expect(pathResult.match).toEqual(expect.objectContaining({ word: 'casino', location: 'path', part: 'casino-bonus' }));
+        expect(pathResult.details).toBe('The URL path contains banned term: casino (in "casino-bonus")');
+        expect(queryResult.match).toEqual(expect.objectContaining({ word: 'poker', location: 'query' }));
+    });
+
+    it('should split words on digits and hyphens', async () => {
+        // Act
+        const result = await checkBannedWords('https://bet365.com');
+
+        // Assert
+        expect(result.match).toEqual(expect.objectContaining({ word: 'bet', part: 'bet365' }));
+    });
+
+    it('should skip the hostname of allowlisted domains but still check their paths', async () => {
+        // Arrange
+        bannedWordsAllowlist.domains.push('sexeducation.example.org');
+
+        // Act
+        const hostResult = await checkBannedWords('https://www.sexeducation.example.org/');
+        const pathResult = await checkBannedWords('https://www.sexeducation.example.org/casino');
+
+        // Assert
+        expect(hostResult).toBeNull();
+        expect(pathResult.match.location).toBe('path');
+    });
+
+    it('should match banned TLDs', async () => {
+        // Act
+        const result = await checkBannedWords('https://example.ru');
+
+        // Assert
+        expect(result.category).toBe('bannedTLD');
+    });
+
+    it('should not fail internationalized domains for their punycode form', async () => {
+        // Act (аррӏе.com)
+        const result = await checkBannedWords('https://xn--80ak6aa92e.com');
+
+        // Assert
+        expect(result).toBeNull();
+    });
+
+    it('should seed the default terms into an empty table', async () => {
+        // Act
+        await checkBannedWords('https://example.com');
+
+        // Assert
+        expect(db.transaction).toHaveBeenCalledTimes(1);
+    });
+
+    describe('stored terms', () => {
+        it('should apply the match mode, severity and rejection code of each term', async () => {
+            // Arrange
+            mockStoredTerms([
+                { term: 'loan', category: 'finance', severity: 'review' },
+                { term: 'vape', category: 'drugs', match_mode: 'substring', rejection_code: '299' },
+                { term: '^/go/\\d+', category: 'cloaking', match_mode: 'regex' },
+                { term: 'zip', category: 'bannedTLD', match_mode: 'tld' }
+            ]);
+
+            // Act
+            const review = await checkBannedWords('https://loan-offers.example.com');
+            const override = await checkBannedWords('https://bestvapeshop.example.com');
+            const regex = await checkBannedWords('https://example.com/go/123');
+            const tld = await checkBannedWords('https://download.zip');
+
+            // Assert
+            expect(review).toEqual(expect.objectContaining({ status: 'review', reason: 'Banned content detected (finance)' }));
+            expect(override).toEqual(expect.objectContaining({ status: 'fail', rejectionCode: '299' }));
+            expect(override.match).toEqual(expect.objectContaining({ word: 'vape', matchMode: 'substring', termId: 2 }));
+            expect(regex.match).toEqual(expect.objectContaining({ token: '/go/123', location: 'path' }));
+            expect(tld).toEqual(expect.objectContaining({ status: 'fail', reason: 'Banned TLD detected', category: 'bannedTLD' }));
+        });
+
+        it('should match internationalized domains in their Unicode form', async () => {
+            // Arrange
+            mockStoredTerms([
+                { term: 'казино', category: 'gambling' },
+                { term: 'рф', category: 'bannedTLD', match_mode: 'tld' }
+            ]);
+
+            // Act (казино-онлайн.com and пример.рф)
+            const word = await checkBannedWords('https://xn----7sbb0afibmqbdgb.com/');
+            const tld = await checkBannedWords('https://xn--e1afmkfd.xn--p1ai/');
+
+            // Assert
+            expect(word.match).toEqual(expect.objectContaining({ word: 'казино', location: 'domain', part: 'казино-онлайн' }));
+            expect(tld).toEqual(expect.objectContaining({ reason: 'Banned TLD detected', details: 'The domain uses a banned top-level domain: .рф' }));
+        });
+
+        it('should match TLD terms against the public suffix', async () => {
+            // Arrange
+            mockStoredTerms([
+                { term: 'uk', category: 'bannedTLD', match_mode: 'tld' },
+                { term: 'com.cn', category: 'bannedTLD', match_mode: 'tld' }
+            ]);
+
+            // Act
+            const parent = await checkBannedWords('https://www.example.co.uk/');
+            const multiLabel = await checkBannedWords('https://shop.example.com.cn/');
+            const otherSuffix = await checkBannedWords('https://example.cn/');
+            const privateSuffix = await checkBannedWords('https://example.uk.com/');
+
+            // Assert
+            expect(parent.match).toEqual(expect.objectContaining({ word: 'uk', part: 'www.example.co.uk' }));
+            expect(multiLabel.details).toBe('The domain uses a banned top-level domain: .com.cn');
+            expect(otherSuffix).toBeNull();
+            expect(privateSuffix).toBeNull();
+        });
+
+        it('should prefer a failing term over one for review', async () => {
+            // Arrange
+            mockStoredTerms([
+                { term: 'loan', category: 'finance', severity: 'review' },
+                { term: 'casino', category: 'gambling' }
+            ]);
+
+            // Act
+            const result = await checkBannedWords('https://loan.example.com/casino');
+
+            // Assert
+            expect(result.status).toBe('fail');
+            expect(result.category).toBe('gambling');
+        });
+
+        it('should skip stored regex terms that could hang the check', async () => {
+            // Arrange
+            mockStoredTerms([
+                { term: '^/(a+)+$', category: 'cloaking', match_mode: 'regex' },
+                { term: 'casino', category: 'gambling' }
+            ]);
+
+            // Act
+            const start = Date.now();
+            const result = await checkBannedWords(`https://example.com/${'a'.repeat(40)}!`);
+
+            // Assert
+            expect(result).toBeNull();
+            expect(Date.now() - start).toBeLessThan(1000);
+        });
+
+        it('should pick up changed terms once the cache expires', async () => {
+            // Arrange
+            mockStoredTerms([{ term: 'casino', category: 'gambling' }]);
+            const before = await checkBannedWords('https://poker.example.com');
+            mockStoredTerms([{ term: 'poker', category: 'gambling' }]);
+
+            // Act
+            const cached = await checkBannedWords('https://poker.example.com');
+            bannedTermsManager.invalidate();
+            const reloaded = await checkBannedWords('https://poker.example.com');
+
+            // Assert
+            expect(before).toBeNull();
+            expect(cached).toBeNull();
+            expect(reloaded.status).toBe('fail');
+        });
+
+        it('should keep the last loaded terms when the database is unavailable', async () => {
+            // Arrange
+            mockStoredTerms([{ term: 'poker', category: 'gambling' }]);
+            await checkBannedWords('https://example.com');
+            db.query.mockRejectedValue(new Error('connection refused'));
+            bannedTermsManager.invalidate();
+
+            // Act
+            const result = await checkBannedWords('https://poker.example.com');
+
+            // Assert
+            expect(result.status).toBe('fail');
+        });
+    });
+
+    describe('segment', () => {
+        it('should prefer the split with the fewest unknown characters', () => {
+            // Arrange
+            const lexicon = new Set(['the', 'sex', 'shop', 'essex']);
+
+            // Act
+            const segments = segment('thesexshop', lexicon, 5);
+
+            // Assert
+            expect(segments.map(part => part.text)).toEqual(['the', 'sex', 'shop']);
+        });
+
+        it('should merge unknown characters into one segment', () => {
+            // Act
+            const segments = segment('xyzporn', new Set(['porn']), 4);
+
+            // Assert
+            expect(segments).toEqual([
+                { text: 'xyz', known: false, index: 0 },
+                { text: 'porn', known: true, index: 3 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,244 @@
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer-core');
+const { getPuppeteerLaunchOptions } = require('../utils/puppeteerConfig');
+const { BrowserPool } = require('../utils/browserPool');
+
+jest.mock('puppeteer-core', () => ({
+    launch: jest.fn()
+}));
+jest.mock('../utils/puppeteerConfig', () => ({
+    getPuppeteerLaunchOptions: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+const ARTICLE_HTML = `<html><head><title>Test</title></head><body><article><h1>Story</h1>
+<p>${'This is a long paragraph of article text used to test readable text extraction. '.repeat(5)}</p>
+</article></body></html>`;
+
+/**
+ * Build a fake Puppeteer page that fires one network request per navigation
+ */
+function createMockPage() {
+    const page = new EventEmitter();
+    let currentUrl = 'about:blank';
+
+    Object.assign(page, {
+        goto: jest.fn().mockImplementation(async url => {
+            currentUrl = url;
+            if (url !== 'about:blank') {
+                page.emit('request', {
+                    url: () => `${url}script.js`,
+                    method: () => 'GET',
+                    resourceType: () => 'script'
+                });
+            }
+            return { status: () => 200, headers: () => ({ 'content-type': 'text/html' }) };
+        }),
+        url: () => currentUrl,
+        content: jest.fn().mockResolvedValue(ARTICLE_HTML),
+        evaluate: jest.fn().mockResolvedValue(''),
+        $: jest.fn().mockResolvedValue(null),
+        screenshot: jest.fn().mockResolvedValue(Buffer.from('jpeg')),
+        setUserAgent: jest.fn().mockResolvedValue(),
+        setViewport: jest.fn().mockResolvedValue(),
+        setRequestInterception: jest.fn().mockResolvedValue(),
+        setExtraHTTPHeaders: jest.fn().mockResolvedValue(),
+        close: jest.fn().mockResolvedValue()
+    });
+
+    return page;
+}
+
+/**
+ * Build a fake Puppeteer browser
+ */
+function createMockBrowser() {
+    const browser = new EventEmitter();
+    browser.pages = [];
+    browser.newPage = jest.fn().mockImplementation(async () => {
+        const page = createMockPage();
+        browser.pages.push(page);
+        return page;
+    });
+    browser.close = jest.fn().mockResolvedValue();
+    return browser;
+}
+
+describe('Browser Pool', () => {
+    let pool;
+    let browsers;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        browsers = [];
+        puppeteer.launch.mockImplementation(async () => {
+            const browser = createMockBrowser();
+            browsers.push(browser);
+            return browser;
+        });
+        getPuppeteerLaunchOptions.mockReturnValue({ headless: 'new', executablePath: '/usr/bin/chromium', _chromeExists: true });
+
+        pool = new BrowserPool();
+        pool.size = 1;
+        pool.pagesPerBrowser = 2;
+        pool.maxPageUses = 5;
+    });
+
+    afterEach(async () => {
+        await pool.close();
+    });
+
+    describe('renderPage', () => {
+        it('should load a URL once for concurrent callers', async () => {
+            // Act
+            const [first, second] = await Promise.all([
+                pool.renderPage('https://example.com/'),
+                pool.renderPage('https://example.com/')
+            ]);
+
+            // Assert
+            expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+            expect(puppeteer.launch).toHaveBeenCalledWith(expect.not.objectContaining({ _chromeExists: true }));
+            expect(browsers[0].newPage).toHaveBeenCalledTimes(1);
+            expect(second).toBe(first);
+            expect(first).toEqual(expect.objectContaining({
+                url: 'https://example.com/',
+                status: 200,
+                html: ARTICLE_HTML,
+                requests: [{ url: 'https://example.com/script.js', method: 'GET', resourceType: 'script' }]
+            }));
+            expect(first.text).toContain('long paragraph of article text');
+        });
+
+        it('should share extractor results with every caller', async () => {
+            // Arrange
+            const extractor = jest.fn().mockResolvedValue({ adCount: 3 });
+            pool.registerExtractor('ads', extractor);
+
+            // Act
+            const rendered = await pool.renderPage('https://example.com/');
+            const reused = await pool.renderPage('https://example.com/', { extract: false });
+
+            // Assert
+            expect(extractor).toHaveBeenCalledTimes(1);
+            expect(rendered.extracted.ads).toEqual({ adCount: 3 });
+            expect(reused).toBe(rendered);
+        });
+
+        it('should render again when extractors are needed but were skipped', async () => {
+            // Arrange
+            const extractor = jest.fn().mockResolvedValue({});
+            pool.registerExtractor('ads', extractor);
+
+            // Act
+            await pool.renderPage('https://example.com/', { extract: false });
+            await pool.renderPage('https://example.com/');
+
+            // Assert
+            expect(extractor).toHaveBeenCalledTimes(1);
+            expect(browsers[0].pages[0].goto).toHaveBeenCalledWith('https://example.com/', expect.any(Object));
+        });
+
+        it('should take a screenshot only for callers that ask for one', async () => {
+            // Act
+            const plain = await pool.renderPage('https://example.com/');
+            const captured = await pool.renderPage('https://example.com/', { screenshot: true });
+            const reused = await pool.renderPage('https://example.com/');
+
+            // Assert
+            expect(plain.screenshot).toBeNull();
+            expect(captured.screenshot).toBe(Buffer.from('jpeg').toString('base64'));
+            expect(captured.headers).toEqual({ 'content-type': 'text/html' });
+            expect(reused).toBe(captured);
+        });
+
+        it('should record extractor errors without failing the render', async () => {
+            // Arrange
+            pool.registerExtractor('broken', jest.fn().mockRejectedValue(new Error('Selector failed')));
+
+            // Act
+            const rendered = await pool.renderPage('https://example.com/');
+
+            // Assert
+            expect(rendered.extracted.broken).toEqual({ error: 'Selector failed' });
+        });
+
+        it('should fail with CHROME_NOT_FOUND when Chrome is missing', async () => {
+            // Arrange
+            getPuppeteerLaunchOptions.mockReturnValue({ _chromeExists: false });
+
+            // Act & Assert
+            await expect(pool.renderPage('https://example.com/')).rejects.toMatchObject({ code: 'CHROME_NOT_FOUND' });
+            expect(puppeteer.launch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('withPage', () => {
+        it('should not open more pages than the pool allows', async () => {
+            // Arrange
+            pool.pagesPerBrowser = 1;
+            let active = 0;
+            let maxActive = 0;
+            const task = async () => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+            };
+
+            // Act
+            await Promise.all([pool.withPage(task), pool.withPage(task), pool.withPage(task)]);
+
+            // Assert
+            expect(maxActive).toBe(1);
+            expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should recycle pages until they reach their use limit', async () => {
+            // Arrange
+            pool.maxPageUses = 2;
+
+            // Act
+            await pool.withPage(async () => {});
+            await pool.withPage(async () => {});
+            await pool.withPage(async () => {});
+
+            // Assert
+            const [browser] = browsers;
+            expect(browser.newPage).toHaveBeenCalledTimes(2);
+            expect(browser.pages[0].close).toHaveBeenCalled();
+            expect(browser.pages[0].goto).toHaveBeenCalledWith('about:blank');
+        });
+
+        it('should replace a crashed browser and retry', async () => {
+            // Arrange
+            let attempts = 0;
+
+            // Act
+            const result = await pool.withPage(async () => {
+                attempts++;
+                if (attempts === 1) {
+                    browsers[0].emit('disconnected');
+                    throw new Error('Protocol error: Target closed');
+                }
+                return 'rendered';
+            });
+
+            // Assert
+            expect(result).toBe('rendered');
+            expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not retry errors caused by the site', async () => {
+            // Arrange
+            const task = jest.fn().mockRejectedValue(new Error('net::ERR_NAME_NOT_RESOLVED'));
+
+            // Act & Assert
+            await expect(pool.withPage(task)).rejects.toThrow('ERR_NAME_NOT_RESOLVED');
+            expect(task).toHaveBeenCalledTimes(1);
+        });
+    });
+});
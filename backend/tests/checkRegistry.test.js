@@ -0,0 +1,282 @@
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('../db/database');
+jest.mock('../controllers/sqlGenerator', () => ({
+    generateSQLForAudit: jest.fn().mockReturnValue({ success: false, error: 'Not under test' })
+}));
+
+jest.mock('../utils/pageCapture', () => ({
+    capture: jest.fn(),
+    summarize: jest.fn().mockReturnValue({ method: 'browser' }),
+    saveSnapshot: jest.fn().mockResolvedValue()
+}));
+
+// Replace the shared registry with an empty one so tests control which checks run
+jest.mock('../utils/checkRegistry', () => {
+    const { CheckRegistry } = jest.requireActual('../utils/checkRegistry');
+    const registry = new CheckRegistry('/nonexistent-checks-dir');
+    registry.CheckRegistry = CheckRegistry;
+    return registry;
+});
+
+const checkRegistry = require('../utils/checkRegistry');
+const { CheckRegistry } = checkRegistry;
+const { analyzeURL } = require('../controllers/auditController');
+const pageCapture = require('../utils/pageCapture');
+
+describe('Check Registry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new CheckRegistry('/nonexistent-checks-dir');
+    });
+
+    describe('register', () => {
+        it('should apply defaults to a check definition', () => {
+            // Act
+            const check = registry.register({ name: 'example', run: jest.fn() });
+
+            // Assert
+            expect(check).toEqual(expect.objectContaining({
+                name: 'example',
+                displayName: 'example',
+                phase: 3,
+                timeout: 60000,
+                dependsOn: [],
+                shortCircuit: false
+            }));
+        });
+
+        it('should reject definitions without a name or runner', () => {
+            // Act & Assert
+            expect(() => registry.register({ run: jest.fn() })).toThrow('must have a name');
+            expect(() => registry.register({ name: 'noRunner' })).toThrow('must define a run function');
+        });
+
+        it('should reject duplicate check names', () => {
+            // Arrange
+            registry.register({ name: 'example', run: jest.fn() });
+
+            // Act & Assert
+            expect(() => registry.register({ name: 'example', run: jest.fn() })).toThrow('already registered');
+        });
+    });
+
+    describe('getPhases', () => {
+        it('should group checks by phase in execution order', () => {
+            // Arrange
+            registry.register({ name: 'late', phase: 3, order: 20, run: jest.fn() });
+            registry.register({ name: 'early', phase: 0, run: jest.fn() });
+            registry.register({ name: 'lateFirst', phase: 3, order: 10, run: jest.fn() });
+
+            // Act
+            const phases = registry.getPhases();
+
+            // Assert
+            expect(phases.map(p => p.phase)).toEqual([0, 3]);
+            expect(phases[1].checks.map(c => c.name)).toEqual(['lateFirst', 'late']);
+        });
+    });
+
+    describe('validate', () => {
+        it('should reject unknown dependencies', () => {
+            // Arrange
+            registry.register({ name: 'dependent', dependsOn: ['missing'], run: jest.fn() });
+
+            // Act & Assert
+            expect(() => registry.validate()).toThrow('unknown check "missing"');
+        });
+
+        it('should reject dependencies on later phases', () => {
+            // Arrange
+            registry.register({ name: 'first', phase: 1, dependsOn: ['second'], run: jest.fn() });
+            registry.register({ name: 'second', phase: 2, run: jest.fn() });
+
+            // Act & Assert
+            expect(() => registry.validate()).toThrow('later phase');
+        });
+
+        it('should reject dependency cycles', () => {
+            // Arrange
+            registry.register({ name: 'a', dependsOn: ['b'], run: jest.fn() });
+            registry.register({ name: 'b', dependsOn: ['a'], run: jest.fn() });
+
+            // Act & Assert
+            expect(() => registry.validate()).toThrow('Dependency cycle');
+        });
+    });
+
+    describe('loadChecks', () => {
+        it('should discover the built-in checks', () => {
+            // Arrange
+            const builtIn = new CheckRegistry(path.join(__dirname, '../checks'));
+
+            // Act
+            const names = builtIn.list().map(check => check.name);
+
+            // Assert
+            expect(names).toEqual([
+                'bannedWords', 'lookalikeDomain', 'redirect', 'contentRecency',
+                'hateSpeech', 'plagiarism', 'images', 'ads'
+            ]);
+        });
+    });
+});
+
+describe('analyzeURL with registered checks', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        checkRegistry.checks.clear();
+    });
+
+    it('should run every phase and combine the results', async () => {
+        // Arrange
+        checkRegistry.register({ name: 'first', phase: 0, run: async () => ({ status: 'pass' }) });
+        checkRegistry.register({ name: 'second', phase: 1, run: async () => ({ status: 'review', reason: 'Needs a look' }) });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(Object.keys(result.checks)).toEqual(['first', 'second']);
+        expect(result.status).toBe('review');
+    });
+
+    it('should skip later phases when a short-circuit check fails', async () => {
+        // Arrange
+        const later = jest.fn();
+        checkRegistry.register({ name: 'gate', phase: 0, shortCircuit: true, run: async () => ({ status: 'fail' }) });
+        checkRegistry.register({ name: 'later', phase: 1, run: later });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(later).not.toHaveBeenCalled();
+        expect(result.status).toBe('fail');
+        expect(result.shortCircuitedBy).toBe('gate');
+        expect(result.skippedChecks).toEqual(['later']);
+    });
+
+    it('should pass dependency results to dependent checks in the same phase', async () => {
+        // Arrange
+        const dependent = jest.fn().mockResolvedValue({ status: 'pass' });
+        checkRegistry.register({ name: 'dependent', phase: 3, order: 1, dependsOn: ['source'], run: dependent });
+        checkRegistry.register({ name: 'source', phase: 3, order: 2, run: async () => ({ status: 'pass', value: 42 }) });
+
+        // Act
+        await analyzeURL('https://example.com');
+
+        // Assert
+        const context = dependent.mock.calls[0][1];
+        expect(context.results.source).toEqual({ status: 'pass', value: 42 });
+    });
+
+    it('should report timed out checks as errors', async () => {
+        // Arrange
+        checkRegistry.register({
+            name: 'slow',
+            timeout: 10,
+            run: () => new Promise(resolve => setTimeout(resolve, 1000))
+        });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(result.checks.slow).toEqual(expect.objectContaining({
+            status: 'error',
+            reason: 'Check timed out'
+        }));
+        expect(result.status).toBe('error');
+    });
+
+    it('should normalize long-form statuses', async () => {
+        // Arrange
+        checkRegistry.register({ name: 'legacy', run: async () => ({ status: 'failed' }) });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(result.checks.legacy.status).toBe('fail');
+        expect(result.status).toBe('fail');
+    });
+
+    it('should report progress events to the onEvent callback', async () => {
+        // Arrange
+        const onEvent = jest.fn();
+        checkRegistry.register({ name: 'gate', phase: 0, shortCircuit: true, run: async () => ({ status: 'fail', reason: 'Blocked' }) });
+        checkRegistry.register({ name: 'later', phase: 1, run: jest.fn() });
+
+        // Act
+        await analyzeURL('https://example.com', { onEvent });
+
+        // Assert
+        const types = onEvent.mock.calls.map(([event]) => event.type);
+        expect(types).toEqual([
+            'audit:start', 'phase:start', 'check:start', 'check:finish',
+            'phase:finish', 'audit:short-circuit', 'audit:finish'
+        ]);
+        expect(onEvent.mock.calls[3][0]).toEqual(expect.objectContaining({
+            check: 'gate',
+            outcome: 'completed',
+            status: 'fail',
+            reason: 'Blocked'
+        }));
+    });
+
+    it('should capture the page once, before the first phase that uses the snapshot', async () => {
+        // Arrange
+        const snapshot = { url: 'https://example.com', html: '<html></html>' };
+        pageCapture.capture.mockResolvedValue(snapshot);
+        const gate = jest.fn().mockResolvedValue({ status: 'pass' });
+        const text = jest.fn().mockResolvedValue({ status: 'pass' });
+        const images = jest.fn().mockResolvedValue({ status: 'pass' });
+        checkRegistry.register({ name: 'gate', phase: 0, run: gate });
+        checkRegistry.register({ name: 'text', phase: 2, usesSnapshot: true, run: text });
+        checkRegistry.register({ name: 'images', phase: 3, usesSnapshot: true, run: images });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(pageCapture.capture).toHaveBeenCalledTimes(1);
+        expect(gate.mock.invocationCallOrder[0]).toBeLessThan(pageCapture.capture.mock.invocationCallOrder[0]);
+        expect(text.mock.calls[0][1].snapshot).toBe(snapshot);
+        expect(images.mock.calls[0][1].snapshot).toBe(snapshot);
+        expect(pageCapture.saveSnapshot).toHaveBeenCalledWith(snapshot, result.timestamp);
+        expect(result.snapshot).toEqual({ method: 'browser', stored: true });
+    });
+
+    it('should not capture the page when a short-circuit check fails first', async () => {
+        // Arrange
+        checkRegistry.register({ name: 'gate', phase: 0, shortCircuit: true, run: async () => ({ status: 'fail' }) });
+        checkRegistry.register({ name: 'text', phase: 2, usesSnapshot: true, run: jest.fn() });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(pageCapture.capture).not.toHaveBeenCalled();
+        expect(result.snapshot).toBeUndefined();
+    });
+
+    it('should run checks without a snapshot when the capture fails', async () => {
+        // Arrange
+        pageCapture.capture.mockRejectedValue(new Error('net::ERR_NAME_NOT_RESOLVED'));
+        const text = jest.fn().mockResolvedValue({ status: 'pass' });
+        checkRegistry.register({ name: 'text', usesSnapshot: true, run: text });
+
+        // Act
+        const result = await analyzeURL('https://example.com');
+
+        // Assert
+        expect(text.mock.calls[0][1].snapshot).toBeNull();
+        expect(result.snapshot).toEqual({ error: 'net::ERR_NAME_NOT_RESOLVED' });
+        expect(pageCapture.saveSnapshot).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,238 @@
+const http = require('http');
+const contentRecencyChecker = require('../controllers/contentRecencyChecker');
+const { resolveRecencyThresholds } = require('../utils/auditProfiles');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Dates the given numbers of days ago
+ * @param {...number} days - Ages in days
+ * @returns {Date[]} - Dates
+ */
+function daysAgo(...days) {
+    return days.map(age => new Date(Date.now() - age * DAY));
+}
+
+describe('Content Recency Checker', () => {
+    describe('evaluateDates', () => {
+        it('should apply the default profile and report its thresholds', () => {
+            // Act
+            const result = contentRecencyChecker.evaluateDates(daysAgo(45, 400));
+
+            // Assert
+            expect(result).toEqual(expect.objectContaining({
+                status: 'fail',
+                reason: 'No content published in the last 30 days',
+                thresholds: {
+                    profile: 'default', maxDaysSinceRecent: 30, minDaysSinceOldest: 95, minPostsPerMonth: 0, activeMonths: 3, maxGapDays: 0, overridden: false
+                }
+            }));
+            expect(result.details).toBe('Most recent content is 45 days old (must be at most 30 days, default profile)');
+        });
+
+        it('should apply the thresholds of the requested profile', () => {
+            // Arrange
+            const dates = daysAgo(45, 400);
+
+            // Act
+            const result = contentRecencyChecker.evaluateDates(dates, resolveRecencyThresholds({ profile: 'evergreen' }));
+
+            // Assert
+            expect(result.status).toBe('pass');
+            expect(result.thresholds.profile).toBe('evergreen');
+        });
+
+        it('should let request overrides replace single thresholds', () => {
+            // Arrange
+            const thresholds = resolveRecencyThresholds({ profile: 'news', recency: { minDaysSinceOldest: 200 } });
+
+            // Act
+            const result = contentRecencyChecker.evaluateDates(daysAgo(2, 150), thresholds);
+
+            // Assert
+            expect(thresholds).toEqual({
+                profile: 'news', maxDaysSinceRecent: 7, minDaysSinceOldest: 200, minPostsPerMonth: 8, activeMonths: 3, maxGapDays: 14, overridden: true
+            });
+            expect(result.reason).toBe('No content older than 200 days');
+        });
+    });
+
+    describe('evaluateEntries', () => {
+        it('should count dates by source and confidence and name the newest and oldest post', () => {
+            // Arrange
+            const [recent, ...older] = daysAgo(3, 20, 40, 60, 80, 100, 120);
+            const entries = [
+                { date: recent, source: 'feed', confidence: 'high', url: 'https://example.com/new' },
+                ...older.map((date, index) => ({ date, source: 'sitemap', confidence: 'medium', url: `https://example.com/${index}` })),
+                { date: daysAgo(5000)[0], source: 'html', confidence: 'low', url: 'https://example.com/' }
+            ];
+
+            // Act
+            const result = contentRecencyChecker.evaluateEntries(entries);
+
+            // Assert
+            expect(result.status).toBe('pass');
+            expect(result.dateSources).toEqual({ feed: { high: 1 }, sitemap: { medium: 6 }, html: { low: 1 } });
+            expect(result.evidence.mostRecent).toEqual({ date: recent.toISOString(), source: 'feed', confidence: 'high', url: 'https://example.com/new' });
+            // The scraped copyright-style date is ignored while better dates exist
+            expect(result.evidence.oldest.source).toBe('sitemap');
+            expect(result.details.summary).toBe('Content ranges from 3 to 120 days old (default profile: newest at most 30 days, oldest at least 95 days)');
+            expect(result.details.histogram.reduce((total, month) => total + month.posts, 0)).toBe(7);
+        });
+
+        it('should fail an abandoned site whose newest and oldest dates pass under a cadence rule', () => {
+            // Arrange
+            const entries = daysAgo(7, 1500).map((date, index) => ({
+                date, source: 'sitemap', confidence: 'medium', url: `https://example.com/${index}`
+            }));
+
+            // Act
+            const result = contentRecencyChecker.evaluateEntries(entries, resolveRecencyThresholds({ recency: { minPostsPerMonth: 1 } }));
+
+            // Assert
+            expect(result.status).toBe('fail');
+            expect(result.reason).toBe('Fewer than 1 posts in each of the last 3 months');
+            expect(contentRecencyChecker.evaluateEntries(entries).status).toBe('pass');
+        });
+
+        it('should not take the boundary between sampled newest and oldest posts for a gap', () => {
+            // Arrange
+            const recent = Array.from({ length: 20 }, (value, index) => 2 + index * 5);
+            const archive = Array.from({ length: 20 }, (value, index) => 3000 + index * 7);
+            const entries = daysAgo(...recent, ...archive).map((date, index) => ({
+                date, source: 'wordpress-api', confidence: 'high', url: `https://example.com/?p=${index}`
+            }));
+
+            // Act
+            const result = contentRecencyChecker.evaluateEntries(entries, resolveRecencyThresholds({ recency: { maxGapDays: 120 } }));
+
+            // Assert
+            expect(result.status).toBe('pass');
+            expect(result.details.longestGap.days).toBe(5);
+        });
+
+        it('should send a passing site with future-dated content to review', () => {
+            // Arrange
+            const entries = [...daysAgo(2, 25, 50, 75, 100, 125), new Date(Date.now() + 90 * DAY)]
+                .map((date, index) => ({ date, source: 'sitemap', confidence: 'medium', url: `https://example.com/${index}` }));
+
+            // Act
+            const result = contentRecencyChecker.evaluateEntries(entries);
+
+            // Assert
+            expect(result.status).toBe('review');
+            expect(result.reason).toBe('Content dates need review: 1 future-dated posts');
+            expect(result.details.flags[0].type).toBe('future-dated');
+        });
+    });
+
+    describe('extractDatesFromHtml', () => {
+        it('should read localized dates with the day/month order of the page language', async () => {
+            // Arrange
+            const html = `<html lang="fr"><body>
+                <article><span class="entry-date">Publié le 12 août 2023</span></article>
+                <article><span class="date">03/04/2024</span></article>
+            </body></html>`;
+
+            // Act
+            const dates = await contentRecencyChecker.extractDatesFromHtml('https://example.fr/', html);
+            const days = dates.map(date => date.toISOString().slice(0, 10));
+
+            // Assert
+            expect(days).toContain('2023-08-12');
+            expect(days).toContain('2024-04-03');
+            expect(days).not.toContain('2024-03-04');
+        });
+    });
+
+    describe('audit profiles', () => {
+        const env = process.env;
+
+        afterEach(() => {
+            process.env = env;
+        });
+
+        it('should read extra profiles and the default profile from the environment', () => {
+            // Arrange
+            process.env = {
+                ...env,
+                AUDIT_PROFILES: JSON.stringify({ magazine: { recency: { maxDaysSinceRecent: 60 } } }),
+                DEFAULT_AUDIT_PROFILE: 'magazine'
+            };
+
+            // Act
+            let thresholds;
+            jest.isolateModules(() => {
+                thresholds = require('../utils/auditProfiles').resolveRecencyThresholds();
+            });
+
+            // Assert
+            expect(thresholds).toEqual({
+                profile: 'magazine', maxDaysSinceRecent: 60, minDaysSinceOldest: 95, minPostsPerMonth: 0, activeMonths: 3, maxGapDays: 0, overridden: false
+            });
+        });
+    });
+
+    describe('checkRecency', () => {
+        let server;
+        let baseUrl;
+        let pending;
+
+        beforeEach(async () => {
+            // The main page shows one stale date and the archive pages never answer
+            pending = [];
+            server = http.createServer((req, res) => {
+                if (req.url === '/') {
+                    res.writeHead(200, { 'Content-Type': 'text/html' });
+                    return res.end(`<html><body><time datetime="${daysAgo(400)[0].toISOString()}">Old post</time></body></html>`);
+                }
+                if (contentRecencyChecker.additionalPaths.includes(req.url)) {
+                    pending.push(req.url);
+                    return;
+                }
+                res.writeHead(404);
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should evaluate the dates found so far when the deadline passes', async () => {
+            // Arrange
+            const started = Date.now();
+
+            // Act
+            const result = await contentRecencyChecker.checkRecency(`${baseUrl}/`, null, resolveRecencyThresholds(), {
+                deadline: started + 1000
+            });
+
+            // Assert
+            expect(Date.now() - started).toBeLessThan(3000);
+            expect(result).toEqual(expect.objectContaining({
+                status: 'fail',
+                reason: 'No content published in the last 30 days',
+                incomplete: true
+            }));
+            expect(result.sourcesChecked).toContain(`Main URL: ${baseUrl}/ (1 dates)`);
+        });
+
+        it('should fetch at most the configured number of archive pages at once', async () => {
+            // Act
+            await contentRecencyChecker.checkRecency(`${baseUrl}/`, null, resolveRecencyThresholds(), {
+                deadline: Date.now() + 1000
+            });
+
+            // Assert
+            expect(pending).toEqual(contentRecencyChecker.additionalPaths.slice(0, contentRecencyChecker.concurrency));
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { parseDate, detectLocale, guessLanguage } = require('../utils/dateExtraction');
+const corpus = require('./fixtures/dateCorpus.json');
+
+const NOW = new Date(corpus.now);
+
+/**
+ * Parsed date in the corpus' notation
+ * @param {Date|null} date - Parsed date
+ * @param {string|null} expected - Expected value from the corpus
+ * @returns {string|null} - YYYY-MM-DD for dates, ISO timestamp for times
+ */
+function asCorpusValue(date, expected) {
+    if (!date) {
+        return null;
+    }
+    const iso = date.toISOString();
+    return expected && expected.length === 10 ? iso.slice(0, 10) : iso;
+}
+
+describe('Date Extraction', () => {
+    describe('parseDate', () => {
+        it.each(corpus.cases.map(({ text, lang, expected }) => [text, lang, expected]))(
+            'should parse "%s" on a %s page as %s',
+            (text, lang, expected) => {
+                // Act
+                const date = parseDate(text, detectLocale(lang), NOW);
+
+                // Assert
+                expect(asCorpusValue(date, expected)).toBe(expected);
+            }
+        );
+    });
+
+    describe('detectLocale', () => {
+        it('should read language and day/month order from the lang attribute', () => {
+            // Assert
+            expect(detectLocale('en-US')).toEqual({ language: 'en', region: 'us', dayFirst: false });
+            expect(detectLocale('en_GB')).toEqual({ language: 'en', region: 'gb', dayFirst: true });
+            expect(detectLocale('pt-BR')).toEqual({ language: 'pt', region: 'br', dayFirst: true });
+        });
+
+        it('should guess the language from the text without a lang attribute', () => {
+            // Arrange
+            const text = 'Les dernières nouvelles de la semaine et les articles pour les lecteurs du site';
+
+            // Assert
+            expect(detectLocale(null, text).language).toBe('fr');
+            expect(detectLocale('', '').language).toBe('en');
+        });
+    });
+
+    describe('guessLanguage', () => {
+        it('should return null when no language stands out', () => {
+            // Assert
+            expect(guessLanguage('2024 - 42')).toBeNull();
+            expect(guessLanguage('Die neuesten Artikel und Berichte aus der Region, mit den Bildern von der Woche')).toBe('de');
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { parseDomain, getPublicSuffix, getRegistrableDomain, getSiteDomain, isSameSite } = require('../utils/domainUtils');
+
+describe('Domain Utilities', () => {
+    describe('parseDomain', () => {
+        it('should split a hostname on a multi-label public suffix', () => {
+            // Act
+            const result = parseDomain('WWW.Shop.Example.co.uk.');
+
+            // Assert
+            expect(result).toEqual({
+                hostname: 'www.shop.example.co.uk',
+                publicSuffix: 'co.uk',
+                registrableDomain: 'example.co.uk',
+                subdomain: 'www.shop',
+                section: 'icann',
+                isIp: false
+            });
+        });
+
+        it('should apply wildcard and exception rules', () => {
+            // Assert (*.kawasaki.jp with the exception !city.kawasaki.jp)
+            expect(getPublicSuffix('www.example.kawasaki.jp')).toBe('example.kawasaki.jp');
+            expect(getRegistrableDomain('www.city.kawasaki.jp')).toBe('city.kawasaki.jp');
+        });
+
+        it('should use private suffixes unless only ICANN suffixes are asked for', () => {
+            // Assert
+            expect(getRegistrableDomain('alice.github.io')).toBe('alice.github.io');
+            expect(getPublicSuffix('alice.github.io', { icannOnly: true })).toBe('io');
+            expect(getRegistrableDomain('alice.github.io', { icannOnly: true })).toBe('github.io');
+        });
+
+        it('should return parts in the form of the hostname for internationalized domains', () => {
+            // Assert
+            expect(getRegistrableDomain('www.пример.рф')).toBe('пример.рф');
+            expect(getRegistrableDomain('www.xn--e1afmkfd.xn--p1ai')).toBe('xn--e1afmkfd.xn--p1ai');
+        });
+
+        it('should fall back to the last label for unlisted suffixes', () => {
+            // Assert
+            expect(getRegistrableDomain('intranet.example.internal')).toBe('example.internal');
+        });
+
+        it('should not give IP addresses or public suffixes a registrable domain', () => {
+            // Assert
+            expect(parseDomain('127.0.0.1')).toEqual(expect.objectContaining({ publicSuffix: null, registrableDomain: null, isIp: true }));
+            expect(parseDomain('[::1]').isIp).toBe(true);
+            expect(getRegistrableDomain('co.uk')).toBeNull();
+        });
+    });
+
+    describe('getSiteDomain', () => {
+        it('should group the hosts of one registrable domain', () => {
+            // Assert
+            expect(isSameSite('www.example.co.uk', 'example.co.uk')).toBe(true);
+            expect(isSameSite('example.co.uk', 'other.co.uk')).toBe(false);
+            expect(getSiteDomain('localhost')).toBe('localhost');
+            expect(getSiteDomain('127.0.0.1')).toBe('127.0.0.1');
+        });
+    });
+});
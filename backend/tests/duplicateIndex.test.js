@@ -0,0 +1,84 @@
+jest.mock('../db/database');
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+const db = require('../db/database');
+const duplicateIndex = require('../controllers/duplicateIndex');
+const { article } = require('./fixtures/sampleText');
+
+describe('Duplicate Index', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+    });
+
+    it('should list the most similar page of each other site', async () => {
+        // Arrange
+        const signature = duplicateIndex.sign(article(1, 200));
+        const half = duplicateIndex.sign(`${article(1, 100)} ${article(3, 100)}`);
+        db.query.mockResolvedValueOnce({
+            rows: [
+                { url: 'https://copy.example/a', registrable_domain: 'copy.example', minhash: signature.minhash, simhash: signature.simhash, audited_at: '2025-01-01' },
+                { url: 'https://copy.example/b', registrable_domain: 'copy.example', minhash: half.minhash, simhash: half.simhash, audited_at: '2025-01-02' },
+                { url: 'https://other.example/', registrable_domain: 'other.example', minhash: duplicateIndex.sign(article(2, 200)).minhash, simhash: '0000000000000000', audited_at: '2025-01-03' }
+            ]
+        });
+
+        // Act
+        const matches = await duplicateIndex.findNearDuplicates('https://www.site.example/post', signature);
+
+        // Assert
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('band_keys && $1::text[]');
+        expect(params).toEqual([signature.bandKeys, 'site.example']);
+        expect(matches).toEqual([
+            { site: 'copy.example', url: 'https://copy.example/a', similarity: 1, simhashDistance: 0, auditedAt: '2025-01-01' }
+        ]);
+    });
+
+    it('should look a page up before indexing it', async () => {
+        // Arrange
+        db.query.mockResolvedValue({ rows: [] });
+
+        // Act
+        const result = await duplicateIndex.checkAndIndex('https://site.example/post', article(1, 200));
+
+        // Assert
+        expect(result).toEqual({ indexed: true, matches: [] });
+        expect(db.query.mock.calls[0][0]).toContain('FROM page_signatures');
+        expect(db.query.mock.calls[1][0]).toContain('INSERT INTO page_signatures');
+        expect(db.query.mock.calls[1][1].slice(0, 3)).toEqual(['https://site.example/post', 'site.example', 196]);
+    });
+
+    it('should sign the page content without the navigation, header and footer', async () => {
+        // Arrange
+        db.query.mockResolvedValue({ rows: [] });
+        const chrome = article(9, 100);
+        const html = `<html><body><header>${chrome}</header><nav>${chrome}</nav>` +
+            `<main><article><p>${article(1, 200)}</p></article><aside>${chrome}</aside></main>` +
+            `<footer>${chrome}</footer></body></html>`;
+
+        // Act
+        const content = duplicateIndex.contentText(html);
+        await duplicateIndex.checkAndIndex('https://site.example/post', `${chrome} ${article(1, 200)} ${chrome}`, html);
+
+        // Assert
+        expect(content.trim()).toBe(article(1, 200));
+        expect(db.query.mock.calls[0][1][0]).toEqual(duplicateIndex.sign(article(1, 200)).bandKeys);
+        expect(db.query.mock.calls[1][1][2]).toBe(196);
+    });
+
+    it('should skip short text and survive database errors', async () => {
+        // Arrange
+        db.query.mockRejectedValue(new Error('connection refused'));
+
+        // Act
+        const short = await duplicateIndex.checkAndIndex('https://site.example/', 'A short page.');
+        const failed = await duplicateIndex.checkAndIndex('https://site.example/post', article(1, 200));
+
+        // Assert
+        expect(short).toEqual({ indexed: false, matches: [] });
+        expect(failed).toEqual({ indexed: false, matches: [] });
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+});
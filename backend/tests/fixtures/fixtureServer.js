@@ -0,0 +1,159 @@
+/**
+ * Fixture Server
+ * Serves the synthetic sites from fixtureSites.js on local ports, one port
+ * per site so every site has its own origin, sitemap and robots. Every site
+ * also answers a stand-in for the Vision SafeSearch API that flags images
+ * whose URL contains "explicit".
+ *
+ * From Jest:
+ *   const fixtures = await startFixtureServer();
+ *   await analyzeURL(fixtures.urlFor('stale-blog'));
+ *   await fixtures.close();
+ *
+ * From the command line:
+ *   node tests/fixtures/fixtureServer.js [--port 4100]
+ */
+
+const http = require('http');
+const { sites, scenarios } = require('./fixtureSites');
+
+const VISION_PATH = '/__fixtures/vision/v1/images:annotate';
+
+// 1x1 transparent GIF served for every image
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Answer a Vision API annotate request
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+function handleVisionRequest(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let requests = [];
+        try {
+            requests = JSON.parse(body).requests || [];
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+        }
+
+        const responses = requests.map(request => {
+            const uri = request.image && request.image.source ? request.image.source.imageUri : '';
+            const flagged = uri.includes('explicit');
+            return {
+                safeSearchAnnotation: {
+                    adult: flagged ? 'VERY_LIKELY' : 'VERY_UNLIKELY',
+                    violence: 'VERY_UNLIKELY',
+                    racy: flagged ? 'VERY_LIKELY' : 'UNLIKELY'
+                }
+            };
+        });
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ responses }));
+    });
+}
+
+/**
+ * Create the request handler of one site
+ * @param {Object} site - Site definition
+ * @param {Object} context - Handler context with urlFor
+ * @returns {Function} - HTTP request handler
+ */
+function createHandler(site, context) {
+    return (req, res) => {
+        const { pathname } = new URL(req.url, 'http://fixture.local');
+
+        if (req.method === 'POST' && pathname === VISION_PATH) {
+            return handleVisionRequest(req, res);
+        }
+
+        if (pathname.startsWith('/images/')) {
+            res.writeHead(200, { 'Content-Type': 'image/gif', 'Content-Length': PIXEL.length });
+            return res.end(PIXEL);
+        }
+
+        const route = site.routes[pathname];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+
+        const response = route({ ...context, method: req.method });
+        const { status = 200, headers = { 'Content-Type': 'text/html; charset=utf-8' }, body = '' } =
+            typeof response === 'string' ? { body: response } : response;
+
+        res.writeHead(status, headers);
+        res.end(body);
+    };
+}
+
+/**
+ * Start every fixture site
+ * @param {Object} [options] - Server options
+ * @param {string} [options.host] - Interface to listen on (default: 127.0.0.1)
+ * @param {number} [options.port] - Port of the first site; the others use the following ports (default: random ports)
+ * @returns {Promise<Object>} - { sites, urlFor(site, path, host), visionApiUrl, close() }
+ */
+async function startFixtureServer({ host = '127.0.0.1', port = 0 } = {}) {
+    const ports = {};
+    const servers = [];
+
+    const urlFor = (name, path = '/', urlHost = host) => {
+        if (!ports[name]) {
+            throw new Error(`Unknown fixture site "${name}"`);
+        }
+        return `http://${urlHost}:${ports[name]}${path}`;
+    };
+
+    const names = Object.keys(sites);
+    try {
+        for (let i = 0; i < names.length; i++) {
+            const server = http.createServer(createHandler(sites[names[i]], { urlFor }));
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port ? port + i : 0, host, resolve);
+            });
+            servers.push(server);
+            ports[names[i]] = server.address().port;
+        }
+    } catch (error) {
+        await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+        throw error;
+    }
+
+    return {
+        sites: Object.fromEntries(names.map(name => [name, urlFor(name)])),
+        urlFor,
+        visionApiUrl: urlFor(names[0], VISION_PATH),
+        close: () => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))))
+    };
+}
+
+module.exports = { startFixtureServer, VISION_PATH };
+
+if (require.main === module) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1]) : 4100;
+
+    startFixtureServer({ port })
+        .then(fixtures => {
+            console.log('Fixture sites:');
+            Object.entries(fixtures.sites).forEach(([name, url]) => {
+                console.log(`  ${name.padEnd(20)} ${url}  ${sites[name].description}`);
+            });
+            console.log('\nScenarios:');
+            scenarios.forEach(scenario => {
+                const expected = `${scenario.expected.status}${scenario.expected.rejectionCode ? ` (${scenario.expected.rejectionCode})` : ''}`;
+                console.log(`  ${scenario.name.padEnd(22)} ${expected.padEnd(12)} ${fixtures.urlFor(scenario.site, scenario.path)}`);
+            });
+            console.log(`\nVision API stand-in: GOOGLE_VISION_API_URL=${fixtures.visionApiUrl}`);
+            console.log('Press Ctrl+C to stop.');
+        })
+        .catch(error => {
+            console.error(`Could not start fixture server: ${error.message}`);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,393 @@
+/**
+ * Fixture Sites
+ * Synthetic publisher sites served by fixtureServer.js, and the audit
+ * scenarios run against them. Each scenario exercises one audit rule and
+ * records the status and rejection code the audit should produce.
+ *
+ * Routes map a path to a handler (context) => response, where the response is
+ * an HTML string or { status, headers, body }. The context provides
+ * urlFor(site, path, host) to link between sites and the request method.
+ */
+
+const zlib = require('zlib');
+const searchCorpus = require('./searchCorpus.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Script tags of the ad networks the ad analyzer looks for
+const AD_TAGS = `
+<script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-0000000000000000"></script>
+<script async src="https://securepubads.g.doubleclick.net/tag/js/gpt.js"></script>
+<script async src="https://fastlane.rubiconproject.com/a/api/fastlane.json"></script>
+<script>var pbjs = pbjs || {}; pbjs.que = pbjs.que || [];</script>`;
+
+/**
+ * ISO date a number of days in the past
+ * @param {number} days - Days before now
+ * @returns {string} - ISO timestamp
+ */
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY).toISOString();
+}
+
+/**
+ * Dates of a site that publishes regularly
+ * @param {number} newest - Age of the newest post in days
+ * @param {number} oldest - Age of the oldest post in days
+ * @param {number} [every=10] - Days between posts
+ * @returns {string[]} - ISO timestamps, newest first
+ */
+function history(newest, oldest, every = 10) {
+    const dates = [];
+    for (let age = newest; age <= oldest; age += every) {
+        dates.push(daysAgo(age));
+    }
+    return dates;
+}
+
+/**
+ * Sitemap with one entry per lastmod date
+ * @param {string[]} dates - lastmod values
+ * @returns {Object} - XML response
+ */
+function sitemap(dates) {
+    const entries = dates.map((date, index) =>
+        `  <url><loc>/article-${index + 1}</loc><lastmod>${date}</lastmod></url>`
+    ).join('\n');
+
+    return {
+        headers: { 'Content-Type': 'application/xml' },
+        body: `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>`
+    };
+}
+
+/**
+ * Google News sitemap, where each page has a publication date and a lastmod
+ * @param {Object[]} articles - { published, lastmod } dates
+ * @returns {Object} - XML response
+ */
+function newsSitemap(articles) {
+    const entries = articles.map(({ published, lastmod }, index) => `  <url>
+    <loc>/news/story-${index + 1}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <news:news><news:publication_date>${published}</news:publication_date></news:news>
+  </url>`).join('\n');
+
+    return {
+        headers: { 'Content-Type': 'application/xml' },
+        body: `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${entries}
+</urlset>`
+    };
+}
+
+/**
+ * Sitemap index
+ * @param {string[]} locs - Sitemap URLs
+ * @returns {Object} - XML response
+ */
+function sitemapIndex(locs) {
+    const entries = locs.map(loc => `  <sitemap><loc>${loc}</loc></sitemap>`).join('\n');
+
+    return {
+        headers: { 'Content-Type': 'application/xml' },
+        body: `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</sitemapindex>`
+    };
+}
+
+/**
+ * Gzip-compressed sitemap file (.xml.gz)
+ * @param {Object} response - XML response
+ * @returns {Object} - Compressed response
+ */
+function gzipped(response) {
+    return {
+        headers: { 'Content-Type': 'application/gzip' },
+        body: zlib.gzipSync(response.body)
+    };
+}
+
+/**
+ * RSS feed with one item per publication date
+ * @param {string[]} dates - Item dates
+ * @returns {Object} - XML response
+ */
+function rssFeed(dates) {
+    const items = dates.map((date, index) => `    <item>
+      <title>Story ${index + 1}</title>
+      <link>/stories/${index + 1}</link>
+      <pubDate>${new Date(date).toUTCString()}</pubDate>
+    </item>`).join('\n');
+
+    return {
+        headers: { 'Content-Type': 'application/rss+xml' },
+        body: `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Fixture feed</title>
+${items}
+  </channel>
+</rss>`
+    };
+}
+
+/**
+ * Article page
+ * @param {Object} content - Page content
+ * @param {string} content.title - Page title
+ * @param {string} [content.head] - Extra markup for <head>
+ * @param {string} [content.body] - Extra markup after the article text
+ * @returns {string} - HTML
+ */
+function page({ title, head = '', body = '' }) {
+    const paragraph = `${title} is a synthetic page served for end-to-end audit tests. `.repeat(6);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title}</title>${head}</head>
+<body>
+<article>
+<h1>${title}</h1>
+<p>${paragraph}</p>
+<p>${paragraph}</p>
+${body}
+</article>
+</body>
+</html>`;
+}
+
+/**
+ * Image tags for paths under /images
+ * @param {string[]} names - Image file names
+ * @returns {string} - HTML
+ */
+function images(names) {
+    return names.map(name => `<img src="/images/${name}" alt="${name}" width="400" height="300">`).join('\n');
+}
+
+const sites = {
+    publisher: {
+        description: 'Active publisher with recent and old articles, premium ad tags and safe images',
+        routes: {
+            '/': () => page({
+                title: 'Daily Publisher',
+                head: AD_TAGS,
+                body: images(['city.jpg', 'park.jpg', 'river.jpg'])
+            }),
+            '/casino-bonus': () => page({ title: 'Bonus offers', head: AD_TAGS }),
+            '/sitemap.xml': () => sitemap(history(2, 400))
+        }
+    },
+
+    'stale-blog': {
+        description: 'Blog that stopped publishing months ago',
+        routes: {
+            '/': () => page({ title: 'Stale Blog', head: AD_TAGS }),
+            '/sitemap.xml': () => sitemap([daysAgo(200), daysAgo(400)])
+        }
+    },
+
+    'new-site': {
+        description: 'Site with only recent content and no history',
+        routes: {
+            '/': () => page({ title: 'Brand New Site', head: AD_TAGS }),
+            '/sitemap.xml': () => sitemap([daysAgo(1), daysAgo(10)])
+        }
+    },
+
+    undated: {
+        description: 'Site without a sitemap or any dates on its pages',
+        routes: {
+            '/': () => page({ title: 'Undated Site', head: AD_TAGS })
+        }
+    },
+
+    'external-redirect': {
+        description: 'Domain that permanently redirects to another domain',
+        routes: {
+            // Served on 127.0.0.1, so a localhost target is a different host
+            '/': ({ urlFor }) => ({
+                status: 301,
+                headers: { Location: urlFor('publisher', '/', 'localhost') },
+                body: ''
+            })
+        }
+    },
+
+    'redirect-chain': {
+        description: 'Pages that leave the domain after several hops, client-side or only for GET',
+        routes: {
+            '/': () => page({ title: 'Redirect Chain', head: AD_TAGS }),
+            '/sitemap.xml': () => sitemap(history(5, 250)),
+            '/moved': () => ({ status: 301, headers: { Location: '/' }, body: '' }),
+            '/multi-hop': () => ({ status: 301, headers: { Location: '/multi-hop/next' }, body: '' }),
+            '/multi-hop/next': ({ urlFor }) => ({
+                status: 302,
+                headers: { Location: urlFor('publisher', '/', 'localhost') },
+                body: ''
+            }),
+            '/meta-refresh': ({ urlFor }) => page({
+                title: 'Moving',
+                head: `<meta http-equiv="refresh" content="0; url=${urlFor('publisher', '/', 'localhost')}">`
+            }),
+            '/javascript': ({ urlFor }) => page({
+                title: 'Moving',
+                body: `<script>window.location.replace('${urlFor('publisher', '/', 'localhost')}');</script>`
+            }),
+            // Rejects HEAD, so the redirect only shows up for GET
+            '/head-rejected': ({ urlFor, method }) => method === 'HEAD'
+                ? { status: 405, headers: { Allow: 'GET' }, body: '' }
+                : { status: 301, headers: { Location: urlFor('publisher', '/', 'localhost') }, body: '' }
+        }
+    },
+
+    'adult-gallery': {
+        description: 'Image-heavy page whose images the moderation API flags',
+        routes: {
+            '/': () => page({
+                title: 'Photo Gallery',
+                head: AD_TAGS,
+                body: images(Array.from({ length: 12 }, (_, index) => `explicit/photo-${index + 1}.jpg`))
+            }),
+            '/sitemap.xml': () => sitemap(history(3, 300))
+        }
+    },
+
+    'news-archive': {
+        description: 'Publisher whose sitemap index is only listed in robots.txt, with a gzip archive and a news sitemap',
+        routes: {
+            '/': () => page({ title: 'News Archive', head: AD_TAGS }),
+            '/robots.txt': () => ({
+                headers: { 'Content-Type': 'text/plain' },
+                body: 'User-agent: *\nDisallow: /search\nSitemap: /sitemaps/index.xml\n'
+            }),
+            '/sitemaps/index.xml': () => sitemapIndex(['/sitemaps/news.xml', '/sitemaps/archive.xml.gz']),
+            '/sitemaps/news.xml': () => newsSitemap([{ published: daysAgo(2), lastmod: daysAgo(1) }]),
+            '/sitemaps/archive.xml.gz': () => gzipped(sitemap(history(5, 1200)))
+        }
+    },
+
+    'republished-archive': {
+        description: 'Old news stories whose lastmod was bumped by a recent site-wide edit',
+        routes: {
+            '/': () => page({ title: 'Republished Archive', head: AD_TAGS }),
+            '/sitemap.xml': () => newsSitemap([
+                { published: daysAgo(150), lastmod: daysAgo(1) },
+                { published: daysAgo(400), lastmod: daysAgo(1) }
+            ])
+        }
+    },
+
+    'feed-publisher': {
+        description: 'Publisher without a sitemap that announces an RSS feed and marks up its article with JSON-LD',
+        routes: {
+            '/': () => page({
+                title: 'Feed Publisher',
+                head: `${AD_TAGS}
+<link rel="alternate" type="application/rss+xml" title="Stories" href="/stories.rss">
+<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', '@type': 'NewsArticle', datePublished: daysAgo(1) })}</script>`,
+                // A copyright year alone must not decide recency
+                body: '<footer><p class="date">© 2009 Feed Publisher</p></footer>'
+            }),
+            '/stories.rss': () => rssFeed(history(4, 180))
+        }
+    },
+
+    'wordpress-blog': {
+        description: 'WordPress blog whose posts are only listed by the REST API',
+        routes: {
+            '/': () => page({ title: 'WordPress Blog', head: AD_TAGS }),
+            '/wp-json/wp/v2/posts': () => ({
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(history(6, 500).map((date, index) => ({
+                    link: `/posts/${index + 1}`,
+                    date_gmt: date.replace(/\.\d+Z$/, ''),
+                    modified_gmt: date.replace(/\.\d+Z$/, '')
+                })))
+            })
+        }
+    },
+
+    'abandoned-blog': {
+        description: 'Blog with one old post and one recent post, abandoned in between',
+        routes: {
+            '/': () => page({ title: 'Abandoned Blog', head: AD_TAGS }),
+            '/sitemap.xml': () => sitemap([daysAgo(6), daysAgo(2000)])
+        }
+    },
+
+    'hateful-forum': {
+        description: 'Active forum whose threads dehumanize a group in the comments, with none of the quick-scan phrases',
+        routes: {
+            '/': () => page({
+                title: 'Hateful Forum',
+                head: AD_TAGS,
+                body: '<p><a href="/threads/1">Latest thread</a></p>'
+            }),
+            '/threads/1': () => page({
+                title: 'Forum Thread',
+                body: '<section id="comments"><p>Those people are vermin and subhuman, and everybody here knows it.</p></section>'
+            }),
+            '/sitemap.xml': () => sitemap(history(2, 400))
+        }
+    },
+
+    'scraped-article': {
+        description: 'Blog republishing an article of the search corpus with a few words swapped for synonyms',
+        routes: {
+            '/': () => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Scraped Article</title>${AD_TAGS}</head>
+<body>
+<article>
+<h1>Composting</h1>
+<p>${searchCorpus[0].text.replace('needs', 'requires').replace('keeps', 'retains').replace('keep them', 'maintain them')}</p>
+</article>
+</body>
+</html>`,
+            '/sitemap.xml': () => sitemap(history(2, 400))
+        }
+    },
+
+    'no-ads': {
+        description: 'Active publisher without any ad tags',
+        routes: {
+            '/': () => page({ title: 'Ad-free Publisher' }),
+            '/sitemap.xml': () => sitemap(history(2, 400))
+        }
+    }
+};
+
+// Audits of the fixture sites, with the audit options of analyzeURL; requiresChrome
+// marks rules that need a rendered page
+const scenarios = [
+    { name: 'active publisher', site: 'publisher', path: '/', expected: { status: 'pass', rejectionCode: '' } },
+    { name: 'banned word in path', site: 'publisher', path: '/casino-bonus', expected: { status: 'fail', rejectionCode: '261' } },
+    { name: 'external redirect', site: 'external-redirect', path: '/', expected: { status: 'fail', rejectionCode: '277' } },
+    { name: 'internal redirect', site: 'redirect-chain', path: '/moved', expected: { status: 'pass', rejectionCode: '' } },
+    { name: 'multi-hop redirect', site: 'redirect-chain', path: '/multi-hop', expected: { status: 'fail', rejectionCode: '277' } },
+    { name: 'meta-refresh redirect', site: 'redirect-chain', path: '/meta-refresh', expected: { status: 'fail', rejectionCode: '277' } },
+    { name: 'JavaScript redirect', site: 'redirect-chain', path: '/javascript', expected: { status: 'review', rejectionCode: '298' } },
+    { name: 'redirect on GET only', site: 'redirect-chain', path: '/head-rejected', expected: { status: 'fail', rejectionCode: '277' } },
+    { name: 'stale content', site: 'stale-blog', path: '/', expected: { status: 'fail', rejectionCode: '284' } },
+    { name: 'no content history', site: 'new-site', path: '/', expected: { status: 'fail', rejectionCode: '284' } },
+    { name: 'sitemap index in robots.txt', site: 'news-archive', path: '/', expected: { status: 'pass', rejectionCode: '' } },
+    { name: 'old publication dates', site: 'republished-archive', path: '/', expected: { status: 'fail', rejectionCode: '284' } },
+    { name: 'feed and JSON-LD dates', site: 'feed-publisher', path: '/', expected: { status: 'pass', rejectionCode: '' } },
+    { name: 'WordPress API dates', site: 'wordpress-blog', path: '/', expected: { status: 'pass', rejectionCode: '' } },
+    { name: 'abandoned between two posts', site: 'abandoned-blog', path: '/', options: { recency: { minPostsPerMonth: 1 } }, expected: { status: 'fail', rejectionCode: '284' } },
+    { name: 'no dates', site: 'undated', path: '/', expected: { status: 'fail', rejectionCode: '284' } },
+    { name: 'dehumanizing posts', site: 'hateful-forum', path: '/', expected: { status: 'fail', rejectionCode: '272' } },
+    { name: 'spun copy of another site', site: 'scraped-article', path: '/', expected: { status: 'fail', rejectionCode: '64' } },
+    { name: 'inappropriate images', site: 'adult-gallery', path: '/', expected: { status: 'fail', rejectionCode: '272' } },
+    { name: 'no ads', site: 'no-ads', path: '/', expected: { status: 'fail', rejectionCode: '298' }, requiresChrome: true }
+];
+
+module.exports = { sites, scenarios, daysAgo };
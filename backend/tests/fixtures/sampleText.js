@@ -0,0 +1,16 @@
+/**
+ * Sample Text
+ * Deterministic text for tests of the text signatures and the duplicate index.
+ */
+
+/**
+ * Article-like text of distinct words; equal seeds give equal text
+ * @param {number} seed - Text seed
+ * @param {number} [words] - Word count
+ * @returns {string} - Words separated by spaces
+ */
+function article(seed, words = 300) {
+    return Array.from({ length: words }, (value, index) => `word${(index * 7919 + seed * 104729) % 100003}`).join(' ');
+}
+
+module.exports = { article };
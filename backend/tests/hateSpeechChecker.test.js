@@ -0,0 +1,342 @@
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('axios');
+jest.mock('../db/database');
+
+// Use an empty registry so the audit test runs the hate speech check alone
+jest.mock('../utils/checkRegistry', () => {
+    const { CheckRegistry } = jest.requireActual('../utils/checkRegistry');
+    return new CheckRegistry('/nonexistent-checks-dir');
+});
+
+const axios = require('axios');
+const db = require('../db/database');
+const checkRegistry = require('../utils/checkRegistry');
+const pageCapture = require('../utils/pageCapture');
+const { analyzeURL } = require('../controllers/auditController');
+const hateSpeechChecker = require('../controllers/hateSpeechChecker');
+const { LocalLexiconProvider, DEFAULT_MODERATION_THRESHOLDS } = require('../controllers/moderationProviders');
+
+describe('Hate Speech Checker', () => {
+    const configured = hateSpeechChecker.provider;
+
+    beforeEach(() => {
+        hateSpeechChecker.provider = new LocalLexiconProvider();
+        hateSpeechChecker.providerError = null;
+        hateSpeechChecker.thresholds = JSON.parse(JSON.stringify(DEFAULT_MODERATION_THRESHOLDS));
+        hateSpeechChecker.budgetChars = 5000;
+        hateSpeechChecker.maxPages = 3;
+        axios.get.mockReset();
+    });
+
+    afterAll(() => {
+        hateSpeechChecker.provider = configured;
+    });
+
+    it('should fail a page with a category at its fail score and locate the evidence in the page text', async () => {
+        // Arrange
+        const snapshot = { text: 'Our forum. Those people are vermin and subhuman, and everybody here knows it.' };
+
+        // Act
+        const result = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+
+        // Assert
+        expect(result.status).toBe('failed');
+        expect(result.details.summary).toBe('hate 0.952 (fail at 0.8)');
+        expect(result.details.categories.hate.evidence[0]).toEqual({
+            text: 'subhuman', url: 'https://example.com', section: 'article', start: 39, end: 47, source: 'lexicon', score: 0.8
+        });
+        expect(snapshot.text.slice(39, 47)).toBe('subhuman');
+        expect(result.analysis).toEqual(expect.objectContaining({ provider: 'local', totalChunks: 1 }));
+        expect(result.details.coverage).toEqual(expect.objectContaining({ percent: 100, analyzedChunks: 1, totalChunks: 1, budgetCharacters: null }));
+    });
+
+    it('should send a page to review when a category reaches its review score only', async () => {
+        // Arrange
+        const snapshot = { text: 'Our review of a crime drama about a massacre, the slaughter that follows and the torture of a witness.' };
+
+        // Act
+        const result = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+
+        // Assert
+        expect(result.status).toBe('review');
+        expect(result.details.summary).toBe('violence 0.657 (review at 0.6)');
+        expect(result.details.categories.violence.evidence.map(span => span.text)).toEqual(['massacre', 'slaughter', 'torture']);
+    });
+
+    it('should pass with configured thresholds and report every category', async () => {
+        // Arrange
+        hateSpeechChecker.thresholds.violence = { review: 0.8, fail: 0.95 };
+        const snapshot = { text: 'Our review of a crime drama about a massacre, the slaughter that follows and the torture of a witness.' };
+
+        // Act
+        const result = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+
+        // Assert
+        expect(result.status).toBe('passed');
+        expect(Object.keys(result.details.categories)).toEqual(['hate', 'harassment', 'sexual', 'violence', 'selfHarm', 'extremism']);
+        expect(result.details.categories.violence).toEqual(expect.objectContaining({ score: 0.657, status: 'pass', review: 0.8, fail: 0.95 }));
+    });
+
+    it('should give evidence offsets in the page text for later chunks', () => {
+        // Arrange
+        const content = 'First sentence here. Second one. Vermin everywhere.';
+        const [first, second] = hateSpeechChecker.splitContent(content, 40).map((text, index, chunks) => ({
+            text, section: 'comments', url: 'https://example.com/post', offset: hateSpeechChecker.locateChunks(content, chunks)[index], hits: 0
+        }));
+        const results = [
+            { chunk: first, scores: { hate: 0 }, signals: [] },
+            { chunk: second, scores: { hate: 0.4 }, signals: [{ category: 'hate', score: 0.4, source: 'lexicon', evidence: [{ text: 'Vermin', start: 0, end: 6 }] }] }
+        ];
+
+        // Act
+        const categories = hateSpeechChecker.scoreCategories(results);
+
+        // Assert
+        expect(categories.hate.evidence).toEqual([
+            { text: 'Vermin', url: 'https://example.com/post', section: 'comments', start: 33, end: 39, source: 'lexicon', score: 0.4 }
+        ]);
+        expect(content.slice(33, 39)).toBe('Vermin');
+    });
+
+    it('should cut sentences longer than a chunk between words', () => {
+        // Arrange
+        const content = `${'word '.repeat(30).trim()}. Short one.`;
+
+        // Act
+        const chunks = hateSpeechChecker.splitContent(content, 50);
+
+        // Assert
+        expect(chunks.every(chunk => chunk.length > 0 && chunk.length <= 50 && content.includes(chunk))).toBe(true);
+        expect(chunks.join(' ')).toBe(content);
+    });
+
+    it('should scan comments and linked pages of the site', async () => {
+        // Arrange
+        const snapshot = {
+            finalUrl: 'https://example.com/news/story',
+            text: 'A calm story about the town fair and its prize winning pumpkins.',
+            html: `<html><body><article><p>A calm story about the town fair.</p><a href="/news/thread#top">Discussion</a>
+                <a href="/login">Log in</a><a href="https://other.example/">Elsewhere</a></article>
+                <section id="comments"><p>Those people are vermin and subhuman.</p></section></body></html>`
+        };
+        axios.get.mockResolvedValue({ data: '<html><body><article><p>Thread page. Nothing to see, a friendly chat about gardening.</p></article></body></html>' });
+
+        // Act
+        const result = await hateSpeechChecker.checkContent('https://example.com/news/story', snapshot);
+
+        // Assert
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get).toHaveBeenCalledWith('https://example.com/news/thread', expect.any(Object));
+        expect(result.status).toBe('failed');
+        expect(result.details.categories.hate.evidence[0]).toEqual(expect.objectContaining({
+            text: 'subhuman', url: 'https://example.com/news/story', section: 'comments'
+        }));
+        expect(result.details.coverage.sections.map(({ section, url }) => `${section} ${url}`)).toEqual([
+            'article https://example.com/news/story',
+            'comments https://example.com/news/story',
+            'page https://example.com/news/thread'
+        ]);
+    });
+
+    it('should spread a limited budget over the sections and report the coverage', async () => {
+        // Arrange
+        hateSpeechChecker.provider = { name: 'spy', callsApi: true, analyze: jest.fn().mockResolvedValue({ provider: 'spy', scores: {}, signals: [] }) };
+        hateSpeechChecker.budgetChars = 2000;
+        const sentence = 'This sentence is exactly fifty characters long ok. ';
+        const snapshot = {
+            text: sentence.repeat(80),
+            html: `<div class="comments">${'A comment of fifty characters, give or take a few. '.repeat(15)}</div>`
+        };
+
+        // Act
+        const result = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+
+        // Assert
+        const analyzed = hateSpeechChecker.provider.analyze.mock.calls.map(([text]) => text.length);
+        expect(analyzed.reduce((sum, length) => sum + length, 0)).toBeLessThanOrEqual(2000);
+        expect(result.details.coverage.sections).toEqual([
+            expect.objectContaining({ section: 'article', analyzedChunks: 2, totalChunks: 5 }),
+            expect.objectContaining({ section: 'comments', analyzedChunks: 1, totalChunks: 1 })
+        ]);
+        expect(result.details.coverage.budgetCharacters).toBe(2000);
+        expect(result.details.coverage.percent).toBeLessThan(50);
+    });
+
+    describe('quickScan', () => {
+        it('should match phrases of the detected language and report their category and language', () => {
+            // Arrange
+            const text = 'Les gens de la ville et les enfants dans une maison avec des amis pour les vacances. Mort aux traîtres !';
+
+            const english = 'The menu of the bistro in the old town is written in French, with mort aux rats as the name of the house cocktail.';
+
+            // Act
+            const hits = hateSpeechChecker.quickScan(text);
+
+            // Assert
+            expect(hits).toEqual([expect.objectContaining({ phrase: 'mort aux {group}', category: 'violence', language: 'fr', text: 'Mort aux traîtres', index: 85 })]);
+            expect(hateSpeechChecker.quickScan(english)).toEqual([]);
+        });
+
+        it('should see through leetspeak, accents and spacing tricks', () => {
+            // Act
+            const hits = ['The immigrants sh0uld d1e', 'K i l l   a l l   m u s l i m s', 'k.i.l.l a.l.l the j.e.w.s', 'refugees shoooould diiie', 'Tötet alle Ausländer']
+                .map(text => hateSpeechChecker.quickScan(text).map(hit => hit.phrase));
+
+            // Assert
+            expect(hits).toEqual([['{group} should die'], ['kill all {group}'], ['kill all {group}'], ['{group} should die'], ['tötet alle {group}']]);
+        });
+
+        it('should match whole words within a sentence only', () => {
+            // Act
+            const hits = ['Run killall to stop it. A skill all players need, and the breath toll of winter.', 'The hounds kill all. Immigrants to the valley keep cats.']
+                .map(text => hateSpeechChecker.quickScan(text));
+
+            // Assert
+            expect(hits).toEqual([[], []]);
+            expect(hateSpeechChecker.quickScan('The hounds kill all immigrants.')).toEqual([expect.objectContaining({ phrase: 'kill all {group}' })]);
+        });
+
+        it('should not match pest control, gardening or tech text in any language', () => {
+            // Arrange
+            const corpus = {
+                en: ['Use this spray to kill all the weeds in your lawn.', 'Press Ctrl-C to kill. All unsaved data is lost.',
+                    'Our pest control team will eliminate all rodents and kill all cockroaches.', 'Child processes should die when the parent exits.',
+                    'You deserve to relax, and my grandmother was right about the weather.'],
+                de: ['Unkraut im Garten dauerhaft ausrotten.', 'Der Kammerjäger tötet alle Schaben und will die Ratten ausrotten.',
+                    'Nach seinem Tod den Garten pflegen.', 'Verwaiste Prozesse sollen sterben, wenn der Elternprozess endet.'],
+                fr: ['Service professionnel pour exterminer les cafards et les punaises de lit.', 'Au jardin, tuez tous les pucerons avec du savon noir.',
+                    'Appuyez sur Ctrl-C pour tuer le processus. Tous les fichiers ouverts sont fermés.', 'Mort aux rats, le poison des greniers.'],
+                es: ['Servicio profesional para exterminar plagas de cucarachas y ratas.', 'En el huerto hay que matar a todos los pulgones con jabón potásico.',
+                    'Los procesos zombis deben morir cuando termina el proceso padre.', 'Muerte a las malas hierbas con vinagre.'],
+                pt: ['Serviço profissional para exterminar pragas e cupins na sua casa.', 'A sua morte aos 85 anos comoveu a cidade.',
+                    'Use o comando kill para matar todos os processos do servidor.', 'No jardim, matem todos os caracóis à noite.']
+            };
+
+            // Act
+            const hits = Object.fromEntries(Object.entries(corpus).map(([language, texts]) => [
+                language,
+                texts.flatMap(text => hateSpeechChecker.quickScan(text).map(hit => hit.text))
+            ]));
+
+            // Assert
+            expect(hits).toEqual({ en: [], de: [], fr: [], es: [], pt: [] });
+        });
+
+        it('should send the page to review on a quick-scan hit and moderate the chunk with the hit first', async () => {
+            // Arrange
+            hateSpeechChecker.provider = { name: 'spy', callsApi: true, analyze: jest.fn().mockResolvedValue({ provider: 'spy', scores: {}, signals: [] }) };
+            hateSpeechChecker.budgetChars = 600;
+            const text = `${'A quiet sentence about the weather in spring. '.repeat(30)}Our readers say: death to the traitors, every one of them.`;
+
+            // Act
+            const result = await hateSpeechChecker.checkContent('https://example.com', { text });
+
+            // Assert
+            expect(result.status).toBe('review');
+            expect(result.details.summary).toBe('Found 1 instances of problematic phrases (violence) in the article of https://example.com, violence 0.6 (review at 0.6)');
+            expect(result.details.categories.violence.evidence).toEqual([
+                expect.objectContaining({ text: 'death to the traitors', section: 'article', source: 'quickScan', score: 0.6 })
+            ]);
+            expect(result.problematicPhrases).toEqual([expect.objectContaining({ phrase: 'death to {group}', section: 'article', url: 'https://example.com' })]);
+            expect(hateSpeechChecker.provider.analyze).toHaveBeenCalledTimes(1);
+            expect(hateSpeechChecker.provider.analyze.mock.calls[0][0]).toContain('death to the traitors');
+        });
+
+        it('should fail the page only when a hit and the provider together reach the fail score', async () => {
+            // Arrange
+            const snapshot = { text: 'Our readers wrote in. The immigrants should die, one of them said.' };
+
+            // Act
+            const result = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+            hateSpeechChecker.provider = { name: 'spy', callsApi: false, analyze: jest.fn().mockRejectedValue(new Error('Quota exceeded')) };
+            const withoutProvider = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+
+            // Assert
+            expect(result.status).toBe('failed');
+            expect(result.details.categories.violence).toEqual(expect.objectContaining({ score: 0.92, status: 'fail' }));
+            expect(result.details.categories.violence.evidence.map(span => span.source)).toEqual(['lexicon', 'quickScan']);
+            expect(withoutProvider.status).toBe('review');
+            expect(withoutProvider.details.categories.violence).toEqual(expect.objectContaining({ score: 0.6, status: 'review' }));
+        });
+
+        it('should let hits in comments and linked pages send the page to review at most', async () => {
+            // Arrange
+            const snapshot = {
+                finalUrl: 'https://example.com/news/story',
+                text: 'A calm story about the town fair and its prize winning pumpkins.',
+                html: '<html><body><article><p>A calm story.</p></article><section id="comments"><p>The immigrants should die, one visitor wrote.</p></section></body></html>'
+            };
+
+            // Act
+            const result = await hateSpeechChecker.checkContent('https://example.com/news/story', snapshot);
+
+            // Assert
+            expect(result.status).toBe('review');
+            expect(result.details.categories.violence).toEqual(expect.objectContaining({ score: 0.8, status: 'review' }));
+            expect(result.details.summary).toBe('Found 1 instances of problematic phrases (violence) in the comments of https://example.com/news/story, violence 0.8 (review at 0.6)');
+        });
+    });
+
+    it('should report an error when the moderation provider is not configured', async () => {
+        // Arrange
+        hateSpeechChecker.provider = null;
+        hateSpeechChecker.providerError = 'Unknown moderation provider "other", expected one of: google, local';
+
+        // Act
+        const result = await hateSpeechChecker.checkContent('https://example.com', { text: 'Some page text that is long enough.' });
+
+        // Assert
+        expect(result).toEqual({
+            status: 'error',
+            reason: 'Moderation provider not configured',
+            details: 'Unknown moderation provider "other", expected one of: google, local'
+        });
+    });
+
+    describe('provider failures', () => {
+        const snapshot = {
+            finalUrl: 'https://example.com',
+            html: '',
+            text: 'A long enough article about the local football club and its new season.',
+            images: [],
+            requests: []
+        };
+
+        beforeEach(() => {
+            hateSpeechChecker.provider = { name: 'google', callsApi: true, analyze: jest.fn().mockRejectedValue(new Error('Quota exceeded')) };
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            checkRegistry.checks.clear();
+        });
+
+        it('should report an error with the coverage when every provider call fails', async () => {
+            // Act
+            const result = await hateSpeechChecker.checkContent('https://example.com', snapshot);
+
+            // Assert
+            expect(result.status).toBe('error');
+            expect(result.reason).toBe('Analysis limitation');
+            expect(result.details.coverage).toEqual(expect.objectContaining({ percent: 0, analyzedChunks: 0, totalChunks: 1 }));
+        });
+
+        it('should not pass an audit whose text could not be moderated', async () => {
+            // Arrange
+            db.query.mockResolvedValue({ rows: [] });
+            checkRegistry.register(require('../checks/hateSpeech'));
+            jest.spyOn(pageCapture, 'capture').mockResolvedValue(snapshot);
+            jest.spyOn(pageCapture, 'saveSnapshot').mockResolvedValue();
+
+            // Act
+            const result = await analyzeURL('https://example.com');
+
+            // Assert
+            expect(hateSpeechChecker.provider.analyze).toHaveBeenCalled();
+            expect(result.checks.hateSpeech.status).toBe('error');
+            expect(result.status).not.toBe('pass');
+        });
+    });
+});
@@ -104,6 +104,22 @@ describe('History Routes API', () => {
             );
         });
 
+        it('should group the history by registrable domain', async () => {
+            // Mock empty results
+            db.query.mockResolvedValue({ rows: [] });
+
+            // Make request to the endpoint
+            const response = await request(app).get(`/history/site/${encodeURIComponent('https://www.shop.example.co.uk/page')}`);
+
+            // Assertions
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('site', 'example.co.uk');
+            expect(db.query).toHaveBeenCalledWith(
+                expect.stringContaining('registrable_domain = $1'),
+                ['example.co.uk', 'https://www.shop.example.co.uk/page']
+            );
+        });
+
         it('should handle empty results', async () => {
             // Mock empty results
             db.query.mockResolvedValue({ rows: [] });
@@ -183,6 +199,56 @@ describe('History Routes API', () => {
         });
     });
 
+    describe('GET /history/snapshot/:url/:timestamp', () => {
+        it('should return the page snapshot with a screenshot link', async () => {
+            // Mock data for the snapshot
+            const mockSnapshot = {
+                url: 'https://example.com',
+                final_url: 'https://example.com/',
+                method: 'browser',
+                html: '<html></html>',
+                images: [],
+                has_screenshot: true
+            };
+            db.query.mockResolvedValue({ rows: [mockSnapshot] });
+
+            // Make request to the endpoint
+            const response = await request(app).get('/history/snapshot/https%3A%2F%2Fexample.com/2023-01-01T12:00:00Z');
+
+            // Assertions
+            expect(response.status).toBe(200);
+            expect(response.body.data).toEqual(expect.objectContaining({
+                final_url: 'https://example.com/',
+                screenshot_url: '/history/snapshot/https%3A%2F%2Fexample.com/2023-01-01T12%3A00%3A00Z/screenshot'
+            }));
+        });
+
+        it('should return 404 if no snapshot was stored', async () => {
+            // Mock empty results
+            db.query.mockResolvedValue({ rows: [] });
+
+            // Make request to the endpoint
+            const response = await request(app).get('/history/snapshot/https%3A%2F%2Fexample.com/2023-01-01T12:00:00Z');
+
+            // Assertions
+            expect(response.status).toBe(404);
+            expect(response.body).toHaveProperty('success', false);
+        });
+
+        it('should serve the screenshot as a JPEG image', async () => {
+            // Mock the stored screenshot
+            db.query.mockResolvedValue({ rows: [{ screenshot: Buffer.from('jpeg').toString('base64') }] });
+
+            // Make request to the endpoint
+            const response = await request(app).get('/history/snapshot/https%3A%2F%2Fexample.com/2023-01-01T12:00:00Z/screenshot');
+
+            // Assertions
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('image/jpeg');
+            expect(response.body.toString()).toBe('jpeg');
+        });
+    });
+
     describe('GET /history/stats', () => {
         it('should return audit statistics', async () => {
             // Mock data
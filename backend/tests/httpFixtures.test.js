@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const EventEmitter = require('events');
+const axios = require('axios');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+jest.mock('../db/database');
+jest.mock('../utils/puppeteerConfig', () => ({
+    getPuppeteerLaunchOptions: jest.fn().mockReturnValue({ _chromeExists: false })
+}));
+
+// Use an empty registry so each test chooses the checks that run
+jest.mock('../utils/checkRegistry', () => {
+    const { CheckRegistry } = jest.requireActual('../utils/checkRegistry');
+    return new CheckRegistry('/nonexistent-checks-dir');
+});
+
+const db = require('../db/database');
+const checkRegistry = require('../utils/checkRegistry');
+const httpFixtures = require('../utils/httpFixtures');
+const { FIXTURE_MODE } = httpFixtures;
+const sqlGenerator = require('../controllers/sqlGenerator');
+const { analyzeURL } = require('../controllers/auditController');
+
+const recentDate = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Start a small site on a random local port
+ * @returns {Promise<Object>} - { server, baseUrl, hits }
+ */
+function startSite() {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        hits.push(req.url);
+        if (req.url === '/old-page') {
+            res.writeHead(301, { Location: '/' });
+            return res.end();
+        }
+        if (req.url === '/' || req.url.startsWith('/?')) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end(`<html><body><article><h1>News</h1><time datetime="${recentDate}">Today</time>
+<p>${'Fixture paragraph for replay tests. '.repeat(10)}</p></article></body></html>`);
+        }
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}`, hits });
+        });
+    });
+}
+
+describe('HTTP Fixtures', () => {
+    let dir;
+    let site;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+        site = await startSite();
+    });
+
+    afterEach(async () => {
+        httpFixtures.configure({ mode: FIXTURE_MODE.OFF });
+        await new Promise(resolve => site.server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('axios', () => {
+        it('should replay recorded responses without touching the network', async () => {
+            // Arrange
+            httpFixtures.configure({ mode: FIXTURE_MODE.RECORD, dir });
+            const recorded = await axios.get(`${site.baseUrl}/`);
+            const redirect = await axios.head(`${site.baseUrl}/old-page`, { maxRedirects: 0, validateStatus: () => true });
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir });
+            const hitsBeforeReplay = site.hits.length;
+
+            // Act
+            const replayed = await axios.get(`${site.baseUrl}/`);
+            const replayedRedirect = await axios.head(`${site.baseUrl}/old-page`, { maxRedirects: 0, validateStatus: () => true });
+
+            // Assert
+            expect(site.hits).toHaveLength(hitsBeforeReplay);
+            expect(replayed.status).toBe(200);
+            expect(replayed.data).toBe(recorded.data);
+            expect(replayed.headers['content-type']).toBe('text/html');
+            expect(replayedRedirect.status).toBe(redirect.status);
+            expect(replayedRedirect.headers.location).toBe('/');
+        });
+
+        it('should reject replayed error statuses like axios does', async () => {
+            // Arrange
+            httpFixtures.configure({ mode: FIXTURE_MODE.RECORD, dir });
+            await expect(axios.get(`${site.baseUrl}/missing`)).rejects.toThrow('status code 404');
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir });
+
+            // Act & Assert
+            await expect(axios.get(`${site.baseUrl}/missing`)).rejects.toMatchObject({
+                response: { status: 404, data: 'Not found' }
+            });
+            await expect(axios.get(`${site.baseUrl}/never-recorded`)).rejects.toMatchObject({ code: 'FIXTURE_NOT_FOUND' });
+        });
+
+        it('should not store credentials from the query string', async () => {
+            // Arrange
+            httpFixtures.configure({ mode: FIXTURE_MODE.RECORD, dir });
+            await axios.get(`${site.baseUrl}/`, { params: { key: 'secret-api-key', q: 'news' } });
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir });
+
+            // Act
+            const replayed = await axios.get(`${site.baseUrl}/`, { params: { key: 'another-key', q: 'news' } });
+
+            // Assert
+            const files = fs.readdirSync(dir).map(file => fs.readFileSync(path.join(dir, file), 'utf8'));
+            expect(files.join('\n')).not.toContain('secret-api-key');
+            expect(replayed.status).toBe(200);
+        });
+    });
+
+    describe('browser pages', () => {
+        it('should answer intercepted requests from fixtures and block the rest', async () => {
+            // Arrange
+            httpFixtures.configure({ mode: FIXTURE_MODE.RECORD, dir });
+            await axios.get(`${site.baseUrl}/old-page`, { maxRedirects: 0, validateStatus: () => true });
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir });
+
+            const page = new EventEmitter();
+            page.setRequestInterception = jest.fn().mockResolvedValue();
+            const interceptedRequest = url => ({
+                url: () => url,
+                method: () => 'GET',
+                postData: () => undefined,
+                respond: jest.fn(),
+                abort: jest.fn(),
+                continue: jest.fn()
+            });
+            const known = interceptedRequest(`${site.baseUrl}/old-page`);
+            const unknown = interceptedRequest('https://ads.example.net/ad.js');
+
+            // Act
+            await httpFixtures.attachToPage(page);
+            page.emit('request', known);
+            page.emit('request', unknown);
+
+            // Assert
+            expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+            expect(known.respond).toHaveBeenCalledWith(expect.objectContaining({
+                status: 301,
+                headers: expect.objectContaining({ location: '/' })
+            }));
+            expect(unknown.abort).toHaveBeenCalledWith('internetdisconnected');
+        });
+    });
+
+    describe('recordCall', () => {
+        it('should replay API client results by their parameters', async () => {
+            // Arrange
+            const call = jest.fn().mockResolvedValue([{ categories: [{ name: '/News' }] }]);
+            httpFixtures.configure({ mode: FIXTURE_MODE.RECORD, dir });
+            await httpFixtures.recordCall('language.classifyText', { content: 'Hello' }, call);
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir });
+
+            // Act
+            const replayed = await httpFixtures.recordCall('language.classifyText', { content: 'Hello' }, call);
+
+            // Assert
+            expect(call).toHaveBeenCalledTimes(1);
+            expect(replayed).toEqual([{ categories: [{ name: '/News' }] }]);
+            await expect(httpFixtures.recordCall('language.classifyText', { content: 'Other' }, call))
+                .rejects.toMatchObject({ code: 'FIXTURE_NOT_FOUND' });
+        });
+    });
+
+    describe('analyzeURL', () => {
+        beforeEach(() => {
+            checkRegistry.checks.clear();
+            ['redirect', 'contentRecency', 'images'].forEach(name => {
+                checkRegistry.register(require(`../checks/${name}`));
+            });
+        });
+
+        it('should reproduce a recorded audit offline', async () => {
+            // Arrange
+            httpFixtures.configure({ mode: FIXTURE_MODE.RECORD, dir });
+            const recorded = await analyzeURL(`${site.baseUrl}/`);
+            await new Promise(resolve => site.server.close(resolve));
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir });
+
+            // Act
+            const replayed = await analyzeURL(`${site.baseUrl}/`);
+
+            // Assert
+            const summarize = result => Object.fromEntries(Object.entries(result.checks)
+                .map(([name, check]) => [name, { status: check.status, reason: check.reason }]));
+            expect(fs.readdirSync(dir).length).toBeGreaterThan(0);
+            expect(replayed.snapshot).toEqual(expect.objectContaining({ method: 'static', imageCount: 0 }));
+            expect(summarize(replayed)).toEqual(summarize(recorded));
+            expect(replayed.status).toBe(recorded.status);
+        });
+    });
+});
+
+// Fixture sites of fixtures/fixtureSites.js recorded from `npm run fixtures -- --port 4100`
+// with the redirect and contentRecency checks; nothing listens on these ports during the test
+const RECORDED_SITES = [
+    { name: 'stale content', dir: 'stale-blog', url: 'http://127.0.0.1:4101/', expected: { status: 'fail', rejectionCode: '284' } },
+    { name: 'external redirect', dir: 'external-redirect', url: 'http://127.0.0.1:4104/', expected: { status: 'fail', rejectionCode: '277' } }
+];
+
+describe('Recorded fixture sets', () => {
+    let connect;
+
+    beforeAll(() => {
+        checkRegistry.checks.clear();
+        ['redirect', 'contentRecency'].forEach(name => {
+            checkRegistry.register(require(`../checks/${name}`));
+        });
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        db.query.mockResolvedValue({ rows: [] });
+        connect = jest.spyOn(net.Socket.prototype, 'connect').mockImplementation(() => {
+            throw new Error('Network access is disabled while replaying fixtures');
+        });
+    });
+
+    afterEach(() => {
+        connect.mockRestore();
+        httpFixtures.configure({ mode: FIXTURE_MODE.OFF });
+    });
+
+    RECORDED_SITES.forEach(site => {
+        it(`should replay the ${site.name} audit without network access`, async () => {
+            // Arrange
+            httpFixtures.configure({ mode: FIXTURE_MODE.REPLAY, dir: path.join(__dirname, 'fixtures/http', site.dir) });
+
+            // Act
+            const result = await analyzeURL(site.url);
+            const summary = sqlGenerator.getAuditSummary(result);
+
+            // Assert
+            expect({ status: result.status, rejectionCode: summary.rejectionCode }).toEqual(site.expected);
+            expect(connect).not.toHaveBeenCalled();
+        });
+    });
+});
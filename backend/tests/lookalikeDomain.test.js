@@ -0,0 +1,88 @@
+const { checkLookalikeDomain } = require('../controllers/lookalikeDomainChecker');
+const { skeleton, isMixedScript } = require('../utils/confusables');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+describe('Lookalike Domain Checker', () => {
+    it('should send a punycode domain imitating a brand for review with the confusable mapping', () => {
+        // Act (pаypal.com with a Cyrillic а)
+        const result = checkLookalikeDomain('https://xn--pypal-4ve.com/login');
+
+        // Assert
+        expect(result).toEqual(expect.objectContaining({
+            status: 'review',
+            reason: 'Lookalike domain',
+            unicodeHostname: 'pаypal.com',
+            imitates: 'paypal.com',
+            confusables: [{ character: 'а', codePoint: 'U+0430', script: 'Cyrillic', prototype: 'a' }]
+        }));
+        expect(result.details).toBe('"pаypal.com" imitates paypal.com: а (U+0430, Cyrillic) → a');
+    });
+
+    it.each([
+        ['https://rnicrosoft.com', 'microsoft.com', 'rn'],
+        ['https://paypa1.com', 'paypal.com', '1'],
+        ['https://secure-pаypal.net', 'paypal.com', 'а']
+    ])('should detect %s as imitating %s', (url, domain, character) => {
+        // Act
+        const result = checkLookalikeDomain(url);
+
+        // Assert
+        expect(result.imitates).toBe(domain);
+        expect(result.confusables.map(mapping => mapping.character)).toContain(character);
+    });
+
+    it.each([
+        'https://www.paypal.com',
+        'https://login.microsoft.com',
+        'https://netflix-support.com',
+        'https://mountain.example.com',
+        'https://xn--80aodfsg.xn--p1ai'
+    ])('should pass %s', (url) => {
+        // Act
+        const result = checkLookalikeDomain(url);
+
+        // Assert
+        expect(result.status).toBe('pass');
+    });
+
+    it('should report the Unicode hostname of internationalized domains that pass', () => {
+        // Act
+        const result = checkLookalikeDomain('https://xn--80aodfsg.xn--p1ai');
+
+        // Assert
+        expect(result.unicodeHostname).toBe('казино.рф');
+    });
+
+    it('should send labels mixing scripts for review', () => {
+        // Act (shор.com with a Cyrillic о and р)
+        const result = checkLookalikeDomain(`https://${new URL('https://shор.com').hostname}`);
+
+        // Assert
+        expect(result).toEqual(expect.objectContaining({
+            status: 'review',
+            reason: 'Mixed-script domain',
+            scripts: ['Latin', 'Cyrillic']
+        }));
+        expect(result.confusables.map(mapping => mapping.prototype)).toEqual(['o', 'p']);
+    });
+
+    describe('confusables', () => {
+        it('should give lookalikes the same skeleton', () => {
+            // Assert
+            expect(skeleton('аррӏе')).toBe(skeleton('apple'));
+            expect(skeleton('ｐａｙｐａｌ')).toBe(skeleton('paypal'));
+            expect(skeleton('rnicrosoft')).toBe(skeleton('microsoft'));
+            expect(skeleton('example')).not.toBe(skeleton('examples'));
+        });
+
+        it('should allow script combinations used by a single language', () => {
+            // Assert
+            expect(isMixedScript('東京tokyo')).toBe(false);
+            expect(isMixedScript('ひらがなカタカナ漢字')).toBe(false);
+            expect(isMixedScript('pаypal')).toBe(true);
+        });
+    });
+});
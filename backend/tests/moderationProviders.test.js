@@ -0,0 +1,204 @@
+const {
+    createModerationProvider,
+    loadModerationThresholds,
+    GoogleLanguageProvider,
+    LocalLexiconProvider,
+    MODERATION_CATEGORIES,
+    DEFAULT_MODERATION_THRESHOLDS
+} = require('../controllers/moderationProviders');
+
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+describe('Moderation Providers', () => {
+    describe('LocalLexiconProvider', () => {
+        const provider = new LocalLexiconProvider();
+
+        it('should score every category and combine the rules that matched', async () => {
+            // Act
+            const result = await provider.analyze('Those people are VERMIN and subhuman.');
+
+            // Assert
+            expect(Object.keys(result.scores)).toEqual(MODERATION_CATEGORIES);
+            expect(result.scores.hate).toBe(0.952);
+            expect(result.scores.violence).toBe(0);
+            expect(result.signals.map(signal => signal.evidence[0].text)).toEqual(['subhuman', 'VERMIN', 'Those people are VERMIN']);
+        });
+
+        it('should report every span a rule matched, counting the rule once', async () => {
+            // Act
+            const result = await provider.analyze('Vermin here, vermin there.');
+
+            // Assert
+            expect(result.scores.hate).toBe(0.4);
+            expect(result.signals[0].evidence).toEqual([
+                { text: 'Vermin', start: 0, end: 6 },
+                { text: 'vermin', start: 13, end: 19 }
+            ]);
+        });
+
+        it('should match whole words only', async () => {
+            // Act
+            const result = await provider.analyze('A skilled reviewer on the heiligenstadt massacre documentary.');
+
+            // Assert
+            expect(result.signals).toEqual([
+                { category: 'violence', score: 0.3, source: 'lexicon', evidence: [{ text: 'massacre', start: 40, end: 48 }] }
+            ]);
+        });
+
+        it('should need a group of people as the target of violent hate patterns', async () => {
+            // Act
+            const weeds = await provider.analyze('Use this spray to kill all the weeds in your lawn.');
+            const people = await provider.analyze('They want to deport all the immigrants.');
+            const healing = await provider.analyze('Der Heilpraktiker und das Heilbad, heil und gesund.');
+
+            // Assert
+            expect(weeds.scores.hate).toBe(0);
+            expect(people.scores.hate).toBe(0.9);
+            expect(people.signals[0].evidence[0].text).toBe('deport all the immigrants');
+            expect(healing.scores.extremism).toBe(0);
+            expect((await provider.analyze('Heil Hitler!')).scores.extremism).toBe(0.8);
+        });
+
+        it('should take its terms and patterns from the given lexicon', async () => {
+            // Arrange
+            const custom = new LocalLexiconProvider({
+                terms: { harassment: [['troll face', 0.5]] },
+                patterns: [{ category: 'extremism', weight: 0.4, pattern: /\bflag of \w+ empire\b/ }]
+            });
+
+            // Act
+            const result = await custom.analyze('Troll face under the flag of the empire, and the flag of zorg empire.');
+
+            // Assert
+            expect(result.scores).toEqual(expect.objectContaining({ harassment: 0.5, extremism: 0.4, hate: 0 }));
+        });
+    });
+
+    describe('GoogleLanguageProvider', () => {
+        const TEXT = 'The mayor is a liar. He should go. Vote on Sunday, and tell your neighbours to vote too, since every single vote counts this year.';
+
+        it('should map text moderation and content categories, with the most negative sentences as evidence', async () => {
+            // Arrange
+            const provider = new GoogleLanguageProvider();
+            provider.client = {
+                analyzeSentiment: jest.fn().mockResolvedValue([{ sentences: [
+                    { text: { content: 'The mayor is a liar.', beginOffset: 0 }, sentiment: { score: -0.6 } },
+                    { text: { content: 'He should go.', beginOffset: 21 }, sentiment: { score: -0.9 } },
+                    { text: { content: 'Vote on Sunday.', beginOffset: 35 }, sentiment: { score: 0.1 } }
+                ] }]),
+                moderateText: jest.fn().mockResolvedValue([{ moderationCategories: [
+                    { name: 'Insult', confidence: 0.5 },
+                    { name: 'Toxic', confidence: 0.5 },
+                    { name: 'Politics', confidence: 0.9 }
+                ] }]),
+                classifyText: jest.fn().mockResolvedValue([{ categories: [
+                    { name: '/Sensitive Subjects/Self-Harm', confidence: 0.4 },
+                    { name: '/News/Politics', confidence: 0.9 }
+                ] }])
+            };
+
+            // Act
+            const result = await provider.analyze(TEXT);
+
+            // Assert
+            expect(provider.client.analyzeSentiment).toHaveBeenCalledWith({ document: { content: TEXT, type: 'PLAIN_TEXT' }, encodingType: 'UTF16' });
+            expect(result.provider).toBe('google');
+            expect(result.scores).toEqual({ hate: 0, harassment: 0.75, sexual: 0, violence: 0, selfHarm: 0.4, extremism: 0 });
+            expect(result.signals[0]).toEqual({
+                category: 'harassment',
+                score: 0.5,
+                source: 'moderation:Insult',
+                evidence: [
+                    { text: 'He should go.', start: 21, end: 34 },
+                    { text: 'The mayor is a liar.', start: 0, end: 20 }
+                ]
+            });
+        });
+
+        it('should keep the text moderation scores of texts that cannot be classified', async () => {
+            // Arrange
+            const provider = new GoogleLanguageProvider();
+            provider.client = {
+                analyzeSentiment: jest.fn().mockResolvedValue([{ sentences: [] }]),
+                moderateText: jest.fn().mockResolvedValue([{ moderationCategories: [{ name: 'Derogatory', confidence: 0.7 }] }]),
+                classifyText: jest.fn().mockRejectedValue(new Error('3 INVALID_ARGUMENT: Invalid text content: too few tokens'))
+            };
+
+            // Act
+            const short = await provider.analyze('Those people are vermin.');
+            const failed = await provider.analyze(TEXT);
+
+            // Assert
+            expect(provider.client.classifyText).toHaveBeenCalledTimes(1);
+            expect(short.scores.hate).toBe(0.7);
+            expect(failed.scores.hate).toBe(0.7);
+        });
+
+        it('should not score negative sentiment on its own', async () => {
+            // Arrange
+            const provider = new GoogleLanguageProvider();
+
+            // Act
+            const result = provider.normalize({
+                sentences: [{ text: { content: 'The film is a dreadful, boring mess.', beginOffset: 0 }, sentiment: { score: -0.9 } }],
+                moderationCategories: [],
+                categories: [{ name: '/Arts & Entertainment/Movies', confidence: 0.8 }]
+            });
+
+            // Assert
+            expect(Object.values(result.scores)).toEqual([0, 0, 0, 0, 0, 0]);
+        });
+    });
+
+    describe('loadModerationThresholds', () => {
+        it('should override single categories and keep the defaults for the rest', () => {
+            // Act
+            const thresholds = loadModerationThresholds('{"violence": {"review": 0.7, "fail": 0.95}, "hate": {"fail": 0.6}}');
+
+            // Assert
+            expect(thresholds.violence).toEqual({ review: 0.7, fail: 0.95 });
+            expect(thresholds.hate).toEqual({ review: 0.5, fail: 0.6 });
+            expect(thresholds.sexual).toEqual(DEFAULT_MODERATION_THRESHOLDS.sexual);
+        });
+
+        it('should ignore invalid thresholds', () => {
+            // Assert
+            expect(loadModerationThresholds('not json')).toEqual(DEFAULT_MODERATION_THRESHOLDS);
+            expect(loadModerationThresholds('{"hate": {"review": 0.9, "fail": 0.5}, "sexual": {"fail": "high"}}')).toEqual(DEFAULT_MODERATION_THRESHOLDS);
+        });
+    });
+
+    describe('createModerationProvider', () => {
+        const original = process.env.MODERATION_PROVIDER;
+
+        afterEach(() => {
+            if (original === undefined) {
+                delete process.env.MODERATION_PROVIDER;
+            } else {
+                process.env.MODERATION_PROVIDER = original;
+            }
+        });
+
+        it('should create the provider named in MODERATION_PROVIDER, Google by default', () => {
+            // Arrange
+            delete process.env.MODERATION_PROVIDER;
+
+            // Act
+            const defaultProvider = createModerationProvider();
+            process.env.MODERATION_PROVIDER = 'local';
+            const configured = createModerationProvider();
+
+            // Assert
+            expect(defaultProvider).toBeInstanceOf(GoogleLanguageProvider);
+            expect(configured).toBeInstanceOf(LocalLexiconProvider);
+        });
+
+        it('should reject unknown providers', () => {
+            // Assert
+            expect(() => createModerationProvider('openai')).toThrow('Unknown moderation provider "openai", expected one of: google, local');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const browserPool = require('../utils/browserPool');
+const db = require('../db/database');
+const pageCapture = require('../utils/pageCapture');
+const { CAPTURE_METHOD } = pageCapture;
+
+jest.mock('axios');
+jest.mock('../db/database');
+jest.mock('../utils/browserPool', () => ({
+    isChromeAvailable: jest.fn(),
+    renderPage: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+const PAGE_HTML = `<html><body><article>
+<p>${'A paragraph of readable article text for the snapshot. '.repeat(5)}</p>
+<img src="/images/photo.jpg" alt="Photo" width="640">
+<img src="https://cdn.example.com/banner.png">
+<img src="/images/photo.jpg">
+<img src="data:image/gif;base64,R0lGOD">
+</article></body></html>`;
+
+describe('Page Capture', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should build the snapshot from the shared browser render', async () => {
+        // Arrange
+        browserPool.isChromeAvailable.mockReturnValue(true);
+        browserPool.renderPage.mockResolvedValue({
+            url: 'https://example.com/',
+            finalUrl: 'https://www.example.com/',
+            status: 200,
+            headers: { 'content-type': 'text/html' },
+            html: PAGE_HTML,
+            text: 'Rendered text',
+            requests: [{ url: 'https://ads.example.net/ad.js', method: 'GET', resourceType: 'script' }],
+            extracted: { ads: { adElements: [] } },
+            screenshot: 'base64-jpeg'
+        });
+
+        // Act
+        const snapshot = await pageCapture.capture('https://example.com/');
+
+        // Assert
+        expect(browserPool.renderPage).toHaveBeenCalledWith('https://example.com/', { screenshot: true });
+        expect(axios.get).not.toHaveBeenCalled();
+        expect(snapshot).toEqual(expect.objectContaining({
+            url: 'https://example.com/',
+            finalUrl: 'https://www.example.com/',
+            method: CAPTURE_METHOD.BROWSER,
+            headers: { 'content-type': 'text/html' },
+            text: 'Rendered text',
+            extracted: { ads: { adElements: [] } },
+            screenshot: 'base64-jpeg',
+            capturedAt: expect.any(String)
+        }));
+        expect(snapshot.requests).toHaveLength(1);
+    });
+
+    it('should list each image once with an absolute URL', () => {
+        // Act
+        const images = pageCapture.listImages(PAGE_HTML, 'https://example.com/blog/post');
+
+        // Assert
+        expect(images).toEqual([
+            { src: 'https://example.com/images/photo.jpg', alt: 'Photo', width: '640', height: 'unknown' },
+            { src: 'https://cdn.example.com/banner.png', alt: '', width: 'unknown', height: 'unknown' }
+        ]);
+    });
+
+    it('should fetch the server HTML when Chrome is not available', async () => {
+        // Arrange
+        browserPool.isChromeAvailable.mockReturnValue(false);
+        axios.get.mockResolvedValue({
+            status: 200,
+            headers: { 'content-type': 'text/html; charset=utf-8' },
+            data: PAGE_HTML,
+            request: { res: { responseUrl: 'https://example.com/home' } }
+        });
+
+        // Act
+        const snapshot = await pageCapture.capture('https://example.com/');
+
+        // Assert
+        expect(browserPool.renderPage).not.toHaveBeenCalled();
+        expect(snapshot).toEqual(expect.objectContaining({
+            finalUrl: 'https://example.com/home',
+            method: CAPTURE_METHOD.STATIC,
+            status: 200,
+            requests: [],
+            screenshot: null
+        }));
+        expect(snapshot.text).toContain('readable article text');
+        expect(snapshot.images).toHaveLength(2);
+    });
+
+    it('should store the snapshot with the audit timestamp', async () => {
+        // Arrange
+        db.query.mockResolvedValue({ rows: [] });
+        const snapshot = {
+            url: 'https://example.com/',
+            finalUrl: 'https://example.com/',
+            method: CAPTURE_METHOD.STATIC,
+            status: 200,
+            headers: {},
+            html: PAGE_HTML,
+            text: 'Text',
+            images: [],
+            requests: [],
+            extracted: {},
+            screenshot: null,
+            capturedAt: '2025-01-01T00:00:00.000Z'
+        };
+
+        // Act
+        await pageCapture.saveSnapshot(snapshot, '2025-01-01T00:00:01.000Z');
+
+        // Assert
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toContain('INSERT INTO audit_snapshots');
+        expect(params.slice(0, 4)).toEqual(['https://example.com/', '2025-01-01T00:00:01.000Z', 'https://example.com/', 'static']);
+    });
+});
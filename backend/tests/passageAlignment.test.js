@@ -0,0 +1,119 @@
+const {
+    tokenize,
+    winnow,
+    alignPassages,
+    measureCoverage,
+    SHINGLE_WORDS,
+    WINDOW,
+    MAX_WORDS
+} = require('../utils/passageAlignment');
+
+const SOURCE = 'Tram 28 climbs from Martim Moniz through Graça and Alfama to Estrela. Board early in the morning to find a seat, ' +
+    'and keep an eye on your pockets on crowded stretches. The ride takes about forty minutes from end to end.';
+
+describe('Passage Alignment', () => {
+    it('should compare words without case, accents, inflection or synonyms', () => {
+        // Act
+        const tokens = tokenize('Purchased CARS in Graça; buying automobiles');
+
+        // Assert
+        expect(tokens.map(token => token.text)).toEqual(['Purchased', 'CARS', 'in', 'Graça', 'buying', 'automobiles']);
+        expect(tokens[0].canonical).toBe(tokens[4].canonical);
+        expect(tokens[1].canonical).toBe(tokens[5].canonical);
+        expect(tokens[3]).toEqual(expect.objectContaining({ start: 18, end: 23, canonical: tokenize('graca')[0].canonical }));
+    });
+
+    it('should keep a fingerprint in every window of shingles', () => {
+        // Arrange
+        const tokens = tokenize(SOURCE);
+
+        // Act
+        const positions = winnow(tokens).map(fingerprint => fingerprint.position);
+
+        // Assert
+        const shingles = tokens.length - SHINGLE_WORDS + 1;
+        for (let start = 0; start + WINDOW <= shingles; start++) {
+            expect(positions.some(position => position >= start && position < start + WINDOW)).toBe(true);
+        }
+        expect(positions.length).toBeLessThan(shingles);
+    });
+
+    it('should align a copied passage inside other text and locate it in both texts', () => {
+        // Arrange
+        const article = 'Our Lisbon guide. Board early in the morning to find a seat, and keep an eye on your pockets on crowded stretches. Bring water in summer.';
+
+        // Act
+        const { articleWords, passages } = alignPassages(article, SOURCE);
+
+        // Assert
+        expect(passages).toHaveLength(1);
+        expect(passages[0].article.text).toBe('Board early in the morning to find a seat, and keep an eye on your pockets on crowded stretches');
+        expect(passages[0].source.text).toBe(passages[0].article.text);
+        expect(SOURCE.slice(passages[0].source.start, passages[0].source.end)).toBe(passages[0].source.text);
+        expect(article.slice(passages[0].article.start, passages[0].article.end)).toBe(passages[0].article.text);
+        expect(measureCoverage(passages, articleWords)).toEqual({ matchedWords: 19, totalWords: 26, percent: 73.1 });
+    });
+
+    it('should step over inserted and replaced words and count synonym swaps', () => {
+        // Arrange
+        const article = 'Board early in the morning to locate a seat, and really keep an eye on your wallet on crowded stretches.';
+
+        // Act
+        const { passages } = alignPassages(article, SOURCE);
+
+        // Assert
+        expect(passages).toHaveLength(1);
+        expect(passages[0].words).toBe(18);
+        expect(passages[0].substitutions).toEqual([{ article: 'locate', source: 'find' }]);
+        expect(passages[0].spun).toBe(false);
+    });
+
+    it('should not report short or unrelated overlaps', () => {
+        // Act
+        const { passages } = alignPassages('Board early in the morning, then walk to the river for breakfast with friends.', SOURCE);
+
+        // Assert
+        expect(passages).toEqual([]);
+        expect(measureCoverage([], 0)).toEqual({ matchedWords: 0, totalWords: 0, percent: 0 });
+    });
+
+    it('should count the aligned words of passages, and words in several passages once', () => {
+        // Arrange
+        const range = (from, to) => Array.from({ length: to - from }, (value, index) => from + index);
+        const passages = [{ articleIndexes: range(0, 10) }, { articleIndexes: range(5, 15) }, { articleIndexes: [20, 21, 23, 24] }];
+
+        // Act & Assert
+        expect(measureCoverage(passages, 50)).toEqual({ matchedWords: 19, totalWords: 50, percent: 38 });
+    });
+
+    it('should not chain a shared template line between differing words into a passage', () => {
+        // Arrange
+        const listing = product => Array.from({ length: 80 }, (value, index) =>
+            `${product} ${index} Free shipping on orders over fifty dollars add to cart`).join(' ');
+
+        // Act
+        const { articleWords, passages } = alignPassages(listing('Ceramic mug'), listing('Garden hose'));
+
+        // Assert
+        expect(passages).toEqual([]);
+        expect(measureCoverage(passages, articleWords).percent).toBe(0);
+    });
+
+    it('should stay fast on repetitive text and stop seeding when time runs out', () => {
+        // Arrange
+        const sentence = index => `The quick brown fox jumps over the lazy dog near the river bank on day ${index}.`;
+        const article = Array.from({ length: 300 }, (value, index) => sentence(index)).join(' ');
+        const source = Array.from({ length: 640 }, (value, index) => sentence(index * 3)).join(' ');
+
+        // Act
+        const started = Date.now();
+        const result = alignPassages(article, source);
+        const elapsed = Date.now() - started;
+
+        // Assert
+        expect(result.articleWords).toBe(4800);
+        expect(elapsed).toBeLessThan(3000);
+        expect(alignPassages(SOURCE, SOURCE, { timeLimit: 0 })).toEqual(expect.objectContaining({ passages: [], truncated: true }));
+        expect(alignPassages('word '.repeat(MAX_WORDS + 1), SOURCE).truncated).toBe(true);
+    });
+});
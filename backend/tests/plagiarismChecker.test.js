@@ -0,0 +1,188 @@
+jest.mock('../controllers/duplicateIndex', () => ({
+    checkAndIndex: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+const duplicateIndex = require('../controllers/duplicateIndex');
+const plagiarismChecker = require('../controllers/plagiarismChecker');
+const { LocalCorpusProvider } = require('../controllers/searchProviders');
+
+describe('Plagiarism Checker', () => {
+    const snapshot = {
+        finalUrl: 'https://site.example/post',
+        text: 'An article about growing tomatoes on a small balcony, with notes on soil, watering and light. '.repeat(3)
+    };
+
+    const configured = plagiarismChecker.searchProvider;
+
+    beforeEach(() => {
+        duplicateIndex.checkAndIndex.mockReset();
+        duplicateIndex.checkAndIndex.mockResolvedValue({ indexed: true, matches: [] });
+        plagiarismChecker.searchProvider = { name: 'spy', callsApi: true, search: jest.fn().mockResolvedValue([]) };
+        plagiarismChecker.searchProviderError = null;
+    });
+
+    afterAll(() => {
+        plagiarismChecker.searchProvider = configured;
+    });
+
+    it('should send a copy of a previously audited site to review when the web search does not confirm it', async () => {
+        // Arrange
+        const match = { site: 'copy.example', url: 'https://copy.example/a', similarity: 0.92, simhashDistance: 3, auditedAt: '2025-01-01' };
+        duplicateIndex.checkAndIndex.mockResolvedValue({ indexed: true, matches: [match] });
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', snapshot);
+
+        // Assert
+        expect(duplicateIndex.checkAndIndex).toHaveBeenCalledWith('https://site.example/post', snapshot.text, null);
+        expect(plagiarismChecker.searchProvider.search).toHaveBeenCalled();
+        expect(result.status).toBe('review');
+        expect(result.reason).toBe('Content matches 1 previously audited site(s): copy.example');
+        expect(result.details.nearDuplicates).toEqual([match]);
+    });
+
+    it('should fail a copy of a previously audited site when the web search finds the text there', async () => {
+        // Arrange
+        const original = 'Composting on a balcony needs little space. Kitchen scraps go into a sealed bin with a layer of dry leaves ' +
+            'or shredded cardboard, which keeps flies and smells away. Turn the contents once a week and keep them as damp as a wrung-out sponge.';
+        const own = 'Tomatoes on a balcony want six hours of sun, a deep pot and a stake put in before the roots spread. ' +
+            'Water them in the morning at the base of the stem, feed them every two weeks once the first flowers open, ' +
+            'and pinch out the side shoots so the plant puts its strength into the fruit rather than into leaves.';
+        const match = { site: 'copy.example', url: 'https://www.copy.example/a', similarity: 0.85, simhashDistance: 5, auditedAt: '2025-01-01' };
+        duplicateIndex.checkAndIndex.mockResolvedValue({ indexed: true, matches: [match] });
+        plagiarismChecker.searchProvider = new LocalCorpusProvider({
+            corpus: [{ url: 'https://www.copy.example/composting', title: 'Balcony composting', text: original }]
+        });
+        const html = `<html><body><nav>Home</nav><main><p>${original}</p><p>${own}</p></main></body></html>`;
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', {
+            finalUrl: 'https://site.example/post',
+            html,
+            text: `${original}\n\n${own}`
+        });
+
+        // Assert
+        expect(duplicateIndex.checkAndIndex).toHaveBeenCalledWith('https://site.example/post', `${original}\n\n${own}`, html);
+        expect(result.details.coverage.percent).toBeLessThan(plagiarismChecker.failCoverage);
+        expect(result.status).toBe('fail');
+        expect(result.reason).toBe('Content matches 1 previously audited site(s), confirmed by web search: copy.example');
+    });
+
+    it('should send a page similar to a previously audited site to review', async () => {
+        // Arrange
+        const match = { site: 'copy.example', url: 'https://copy.example/a', similarity: 0.6, simhashDistance: 12, auditedAt: '2025-01-01' };
+        duplicateIndex.checkAndIndex.mockResolvedValue({ indexed: true, matches: [match] });
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', snapshot);
+
+        // Assert
+        expect(plagiarismChecker.searchProvider.search).toHaveBeenCalled();
+        expect(result.status).toBe('review');
+        expect(result.reason).toBe('Content is similar to 1 previously audited site(s)');
+        expect(result.details.nearDuplicates).toEqual([match]);
+    });
+
+    it('should fail an article copied from a page found by the search and align the passages', async () => {
+        // Arrange
+        const original = 'Composting on a balcony needs little space. Kitchen scraps go into a sealed bin with a layer of dry leaves ' +
+            'or shredded cardboard, which keeps flies and smells away. Turn the contents once a week and keep them as damp as a wrung-out sponge.';
+        plagiarismChecker.searchProvider = new LocalCorpusProvider({
+            corpus: [
+                { url: 'https://original.example/composting', title: 'Balcony composting', text: original },
+                { url: 'https://site.example/elsewhere', title: 'Own page', text: original }
+            ]
+        });
+        const copy = { finalUrl: 'https://site.example/post', text: `Our garden notes.\n\n${original}` };
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', copy);
+
+        // Assert
+        expect(result.status).toBe('fail');
+        expect(result.reason).toBe('93.8% of the article matches 1 other page(s)');
+        expect(result.details.searchProvider).toBe('local');
+        expect(result.details.sources).toEqual([expect.objectContaining({ url: 'https://original.example/composting', coverage: 93.8 })]);
+        expect(result.details.sources[0].passages[0].source).toEqual({ text: original.slice(0, -1), start: 0, end: original.length - 1 });
+        expect(result.details.sources[0].passages[0].article.start).toBe(18);
+        expect(result.details.spinning.detected).toBe(false);
+    });
+
+    it('should detect text spun with synonyms', async () => {
+        // Arrange
+        const original = 'Composting on a balcony needs little space. Kitchen scraps go into a sealed bin with a layer of dry leaves ' +
+            'or shredded cardboard, which keeps flies and smells away. Turn the contents once a week and keep them as damp as a wrung-out sponge.';
+        const spun = 'Composting on a balcony requires tiny space. Kitchen scraps go into a sealed bin with a layer of dry leaves ' +
+            'or shredded cardboard, which retains flies and smells away. Turn the contents once a week and maintain them as damp as a wrung-out sponge.';
+        plagiarismChecker.searchProvider = new LocalCorpusProvider({
+            corpus: [{ url: 'https://original.example/composting', title: 'Balcony composting', text: original }]
+        });
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', { finalUrl: 'https://site.example/post', text: spun });
+
+        // Assert
+        expect(result.status).toBe('fail');
+        expect(result.reason).toBe('100% of the article matches 1 other page(s), partly reworded with synonyms');
+        expect(result.details.spinning).toEqual({
+            detected: true,
+            passages: 1,
+            substitutions: [
+                { article: 'requires', source: 'needs' },
+                { article: 'tiny', source: 'little' },
+                { article: 'retains', source: 'keeps' },
+                { article: 'maintain', source: 'keep' }
+            ]
+        });
+    });
+
+    it('should report not_configured without a search provider', async () => {
+        // Arrange
+        plagiarismChecker.searchProvider = null;
+        plagiarismChecker.searchProviderError = 'No search provider configured, set SEARCH_PROVIDER to one of: google, local';
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', snapshot);
+
+        // Assert
+        expect(result.status).toBe('error');
+        expect(result.reason).toBe('Search provider not configured');
+        expect(result.details).toEqual({
+            code: 'not_configured',
+            message: 'No search provider configured, set SEARCH_PROVIDER to one of: google, local',
+            nearDuplicates: []
+        });
+    });
+
+    it('should send a copy of a previously audited site to review without a search provider', async () => {
+        // Arrange
+        const match = { site: 'copy.example', url: 'https://copy.example/a', similarity: 0.92, simhashDistance: 3, auditedAt: '2025-01-01' };
+        duplicateIndex.checkAndIndex.mockResolvedValue({ indexed: true, matches: [match] });
+        plagiarismChecker.searchProvider = null;
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', snapshot);
+
+        // Assert
+        expect(result.status).toBe('review');
+        expect(result.reason).toBe('Content matches 1 previously audited site(s): copy.example');
+        expect(result.details.searchProvider).toBeNull();
+        expect(result.details.nearDuplicates).toEqual([match]);
+    });
+
+    it('should report an error instead of a pass when the search fails', async () => {
+        // Arrange
+        plagiarismChecker.searchProvider.search.mockRejectedValue(new Error('Request failed with status code 403'));
+
+        // Act
+        const result = await plagiarismChecker.checkContent('https://site.example/post', snapshot);
+
+        // Assert
+        expect(result.status).toBe('error');
+        expect(result.details.searchErrors).toBe(1);
+    });
+});
@@ -0,0 +1,143 @@
+const { analyzeCadence, buildHistogram, selectPosts, CADENCE_FLAG } = require('../utils/publishingCadence');
+const { resolveRecencyThresholds } = require('../utils/auditProfiles');
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+/**
+ * Dated entry
+ * @param {string} date - ISO date
+ * @param {Object} [tags] - Source, confidence and URL
+ * @returns {Object} - Dated entry
+ */
+function entry(date, { source = 'sitemap', confidence = 'medium', url = `https://example.com/${date}` } = {}) {
+    return { date: new Date(date), source, confidence, url };
+}
+
+/**
+ * One entry on the given day of each month
+ * @param {string[]} months - YYYY-MM months
+ * @param {number} [day=10] - Day of the month
+ * @returns {Object[]} - Dated entries
+ */
+function monthly(months, day = 10) {
+    return months.map(month => entry(`${month}-${String(day).padStart(2, '0')}T09:00:00Z`));
+}
+
+describe('Publishing Cadence', () => {
+    const thresholds = resolveRecencyThresholds({ recency: { minPostsPerMonth: 1, maxGapDays: 120 } });
+
+    it('should build a monthly histogram including months without posts', () => {
+        // Act
+        const histogram = buildHistogram([new Date('2024-02-20T00:00:00Z'), new Date('2024-04-02T00:00:00Z'), new Date('2024-04-30T00:00:00Z')], NOW);
+
+        // Assert
+        expect(histogram).toEqual([
+            { month: '2024-02', posts: 1 },
+            { month: '2024-03', posts: 0 },
+            { month: '2024-04', posts: 2 },
+            { month: '2024-05', posts: 0 },
+            { month: '2024-06', posts: 0 }
+        ]);
+    });
+
+    it('should pass a site that publishes every month', () => {
+        // Act
+        const result = analyzeCadence(monthly(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06']), thresholds, NOW);
+
+        // Assert
+        expect(result.failure).toBeNull();
+        expect(result.flags).toEqual([]);
+        expect(result.monthlyPosts).toEqual([
+            { month: '2024-03', posts: 1 },
+            { month: '2024-04', posts: 1 },
+            { month: '2024-05', posts: 1 }
+        ]);
+    });
+
+    it('should fail a site that missed posts in one of the last months', () => {
+        // Act
+        const result = analyzeCadence(monthly(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03', '2024-05', '2024-06']), thresholds, NOW);
+
+        // Assert
+        expect(result.failure).toEqual({
+            reason: 'Fewer than 1 posts in each of the last 3 months',
+            details: '2024-04: 0 (must be at least 1 per month, default profile)'
+        });
+    });
+
+    it('should fail long gaps between posts of the last year', () => {
+        // Arrange
+        const evergreen = resolveRecencyThresholds({ profile: 'evergreen', recency: { maxGapDays: 180 } });
+
+        // Act
+        const result = analyzeCadence([entry('2023-07-01T00:00:00Z'), entry('2024-06-08T00:00:00Z')], evergreen, NOW);
+
+        // Assert
+        expect(result.longestGap).toEqual({ days: 343, from: '2023-07-01T00:00:00.000Z', to: '2024-06-08T00:00:00.000Z' });
+        expect(result.failure.reason).toBe('Publishing gap longer than 180 days');
+    });
+
+    it('should look for gaps in the last year only', () => {
+        // Act
+        const result = analyzeCadence([entry('2016-03-01T00:00:00Z'), ...monthly(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03', '2024-04', '2024-05'])], thresholds, NOW);
+
+        // Assert
+        expect(result.longestGap.days).toBe(31);
+        expect(result.failure).toBeNull();
+    });
+
+    it('should keep the most trusted date of each page and scraped dates only without better ones', () => {
+        // Arrange
+        const entries = [
+            entry('2024-06-01T00:00:00Z', { source: 'json-ld', confidence: 'medium', url: 'https://example.com/a' }),
+            entry('2024-01-01T00:00:00Z', { source: 'json-ld', confidence: 'high', url: 'https://example.com/a' }),
+            entry('2009-01-01T00:00:00Z', { source: 'html', confidence: 'low', url: 'https://example.com/' })
+        ];
+
+        // Act
+        const posts = selectPosts(entries);
+        const scraped = selectPosts(entries.slice(2));
+
+        // Assert
+        expect(posts).toEqual([entries[1]]);
+        expect(scraped).toEqual([entries[2]]);
+    });
+
+    it('should flag future-dated content and leave it out of the histogram', () => {
+        // Arrange
+        const entries = [
+            ...monthly(['2024-03', '2024-04', '2024-05']),
+            entry('2025-01-01T00:00:00Z', { url: 'https://example.com/upcoming' }),
+            entry('2030-01-01T00:00:00Z', { source: 'html', confidence: 'low', url: 'https://example.com/events' })
+        ];
+
+        // Act
+        const result = analyzeCadence(entries, thresholds, NOW);
+
+        // Assert
+        expect(result.flags).toEqual([{
+            type: CADENCE_FLAG.FUTURE_DATED,
+            count: 1,
+            examples: [{ url: 'https://example.com/upcoming', date: '2025-01-01T00:00:00.000Z', source: 'sitemap' }]
+        }]);
+        expect(result.histogram[result.histogram.length - 1]).toEqual({ month: '2024-06', posts: 0 });
+    });
+
+    it('should flag bursts of backdated publication dates', () => {
+        // Arrange
+        const regular = monthly(['2024-01', '2024-02', '2024-03', '2024-04', '2024-05']).map(post => ({ ...post, confidence: 'high' }));
+        const imported = Array.from({ length: 25 }, (_, index) =>
+            entry('2021-05-04T00:00:00Z', { confidence: 'high', url: `https://example.com/imported-${index}` })
+        );
+
+        // Act
+        const result = analyzeCadence([...regular, ...imported], thresholds, NOW);
+
+        // Assert
+        expect(result.flags).toEqual([{
+            type: CADENCE_FLAG.BACKDATED_BURST,
+            count: 25,
+            examples: [{ day: '2021-05-04', posts: 25 }]
+        }]);
+    });
+});
@@ -0,0 +1,258 @@
+const axios = require('axios');
+const { checkRedirect, findClientRedirect, REDIRECT_MECHANISM, config } = require('../controllers/redirectChecker');
+
+jest.mock('axios');
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+/**
+ * Serve mocked responses by URL for both HEAD and GET
+ * @param {Object} routes - URL => { status, headers, data, head }
+ */
+function mockRoutes(routes) {
+    const respond = method => async (url, options) => {
+        const route = routes[url];
+        if (!route) {
+            throw new Error(`connect ECONNREFUSED ${url}`);
+        }
+        const response = method === 'head' && route.head ? route.head : route;
+        return {
+            status: response.status || 200,
+            headers: response.headers || { 'content-type': 'text/html' },
+            data: method === 'get' ? response.data || '' : '',
+            config: { ...options, method }
+        };
+    };
+    axios.head.mockImplementation(respond('head'));
+    axios.get.mockImplementation(respond('get'));
+}
+
+describe('Redirect Checker', () => {
+    const defaults = { ...config };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        Object.assign(config, defaults);
+    });
+
+    it('should apply the external rule to the final landing domain', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/': { status: 301, headers: { location: '/home' } },
+            'https://example.com/home': { status: 302, headers: { location: 'https://parked.example.net/' } },
+            'https://parked.example.net/': { data: '<html><body>Parked</body></html>' }
+        });
+
+        // Act
+        const result = await checkRedirect('https://example.com/');
+
+        // Assert
+        expect(result.status).toBe('fail');
+        expect(result.reason).toBe('External redirect');
+        expect(result.redirectUrl).toBe('https://parked.example.net/');
+        expect(result.hops).toEqual([
+            { from: 'https://example.com/', to: 'https://example.com/home', status: 301, mechanism: REDIRECT_MECHANISM.HTTP },
+            { from: 'https://example.com/home', to: 'https://parked.example.net/', status: 302, mechanism: REDIRECT_MECHANISM.HTTP }
+        ]);
+    });
+
+    it('should pass same-domain chains and record their hops', async () => {
+        // Arrange
+        mockRoutes({
+            'http://example.com/': { status: 301, headers: { location: 'https://example.com/' } },
+            'https://example.com/': { status: 301, headers: { location: 'https://www.example.com/' } },
+            'https://www.example.com/': { data: '<html><body>Home</body></html>' }
+        });
+
+        // Act
+        const result = await checkRedirect('http://example.com/');
+
+        // Assert
+        expect(result.status).toBe('pass');
+        expect(result.hops).toHaveLength(2);
+        expect(result.finalUrl).toBe('https://www.example.com/');
+        expect(result.finalStatus).toBe(200);
+    });
+
+    it.each([
+        ['https://www.example.co.uk/', 'https://example.co.uk/', 'pass'],
+        ['https://example.co.uk/', 'https://shop.example.co.uk/', 'pass'],
+        ['https://example.co.uk/', 'https://other.co.uk/', 'fail'],
+        ['https://alice.github.io/', 'https://bob.github.io/', 'fail']
+    ])('should compare registrable domains: %s → %s', async (from, to, status) => {
+        // Arrange
+        mockRoutes({
+            [from]: { status: 301, headers: { location: to } },
+            [to]: {}
+        });
+
+        // Act
+        const result = await checkRedirect(from);
+
+        // Assert
+        expect(result.status).toBe(status);
+    });
+
+    it('should treat www and apex as different domains when configured', async () => {
+        // Arrange
+        config.wwwPolicy = 'external';
+        mockRoutes({
+            'https://example.com/': { status: 301, headers: { location: 'https://www.example.com/' } },
+            'https://www.example.com/': {}
+        });
+
+        // Act
+        const result = await checkRedirect('https://example.com/');
+
+        // Assert
+        expect(result.status).toBe('fail');
+        expect(result.reason).toBe('External redirect');
+    });
+
+    it('should review protocol downgrades under the upgrade-only policy', async () => {
+        // Arrange
+        config.protocolPolicy = 'upgrade-only';
+        mockRoutes({
+            'http://example.com/': { status: 301, headers: { location: 'https://example.com/' } },
+            'https://example.com/': { status: 302, headers: { location: 'http://example.com/home' } },
+            'http://example.com/home': {}
+        });
+
+        // Act
+        const result = await checkRedirect('http://example.com/');
+
+        // Assert
+        expect(result.status).toBe('review');
+        expect(result.reason).toBe('Protocol change in redirect');
+        expect(result.details).toContain('http://example.com/home');
+        expect(result.details).not.toContain('→ https://example.com/');
+    });
+
+    it('should retry with GET when the server rejects HEAD', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/': {
+                head: { status: 405 },
+                status: 301,
+                headers: { location: 'https://other.example.org/' }
+            },
+            'https://other.example.org/': {}
+        });
+
+        // Act
+        const result = await checkRedirect('https://example.com/');
+
+        // Assert
+        expect(axios.get).toHaveBeenCalledWith('https://example.com/', expect.objectContaining({ maxRedirects: 0 }));
+        expect(result.status).toBe('fail');
+    });
+
+    it('should follow meta-refresh and JavaScript redirects and review a guessed external JavaScript hop', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/': { data: '<html><head><meta http-equiv="Refresh" content="2;URL=\'/landing\'"></head></html>' },
+            'https://example.com/landing': { data: '<html><body><script>window.location.href = "https://spam.example.net/";</script></body></html>' },
+            'https://spam.example.net/': {}
+        });
+
+        // Act
+        const result = await checkRedirect('https://example.com/');
+
+        // Assert
+        expect(result.status).toBe('review');
+        expect(result.reason).toBe('Possible external JavaScript redirect');
+        expect(result.redirectUrl).toBe('https://spam.example.net/');
+        expect(result.hops.map(hop => hop.mechanism)).toEqual([REDIRECT_MECHANISM.META_REFRESH, REDIRECT_MECHANISM.JAVASCRIPT]);
+        expect(result.hops[0]).toEqual(expect.objectContaining({ to: 'https://example.com/landing', delay: 2 }));
+    });
+
+    it('should add the client-side redirect observed in the browser snapshot', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/': { data: '<html><body><script>go()</script></body></html>' }
+        });
+        const snapshot = { method: 'browser', finalUrl: 'https://landing.example.net/offer', status: 200 };
+
+        // Act
+        const result = await checkRedirect('https://example.com/', snapshot);
+
+        // Assert
+        expect(result.status).toBe('fail');
+        expect(result.hops).toEqual([
+            { from: 'https://example.com/', to: 'https://landing.example.net/offer', status: 200, mechanism: REDIRECT_MECHANISM.BROWSER }
+        ]);
+    });
+
+    it('should still fail when the external target cannot be reached', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/': { status: 301, headers: { location: 'https://gone.example.net/' } }
+        });
+
+        // Act
+        const result = await checkRedirect('https://example.com/');
+
+        // Assert
+        expect(result.status).toBe('fail');
+        expect(result.hops[0].error).toContain('ECONNREFUSED');
+    });
+
+    it('should review redirect loops', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/a': { status: 302, headers: { location: '/b' } },
+            'https://example.com/b': { status: 302, headers: { location: '/a' } }
+        });
+
+        // Act
+        const result = await checkRedirect('https://example.com/a');
+
+        // Assert
+        expect(result.status).toBe('review');
+        expect(result.reason).toBe('Redirect loop');
+    });
+
+    it('should report an error when the URL cannot be reached', async () => {
+        // Arrange
+        mockRoutes({});
+
+        // Act
+        const result = await checkRedirect('https://example.com/');
+
+        // Assert
+        expect(result).toEqual(expect.objectContaining({ status: 'error', reason: 'Redirect check failed' }));
+    });
+
+    describe('findClientRedirect', () => {
+        it('should ignore refreshes without a target and external scripts', () => {
+            // Arrange
+            const html = '<meta http-equiv="refresh" content="300"><script src="/app.js"></script>';
+
+            // Act & Assert
+            expect(findClientRedirect(html, 'https://example.com/')).toBeNull();
+        });
+
+        it('should only trust top-level location assignments and refreshes outside noscript', () => {
+            // Arrange
+            const handlers = `<script>
+                document.querySelector('.partner').onclick = function () { location.href = 'https://partner.example.net/'; };
+                button.addEventListener('click', () => window.location.assign('https://partner.example.net/'));
+                if (isMobile) location.replace('https://m.example.net/');
+                var note = "location.href = 'https://quoted.example.net/'";
+            </script>`;
+            const noscript = '<noscript><meta http-equiv="refresh" content="0; url=https://nojs.example.net/"></noscript>';
+            const topLevel = "<script>var ready = true;\nwindow.location.href = 'https://landing.example.net/';</script>";
+
+            // Act & Assert
+            expect(findClientRedirect(handlers, 'https://example.com/')).toBeNull();
+            expect(findClientRedirect(noscript, 'https://example.com/')).toBeNull();
+            expect(findClientRedirect(topLevel, 'https://example.com/')).toEqual({
+                target: 'https://landing.example.net/', mechanism: REDIRECT_MECHANISM.JAVASCRIPT, delay: 0
+            });
+        });
+    });
+});
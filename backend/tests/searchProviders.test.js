@@ -0,0 +1,93 @@
+const path = require('path');
+const axios = require('axios');
+const {
+    createSearchProvider,
+    GoogleSearchProvider,
+    LocalCorpusProvider
+} = require('../controllers/searchProviders');
+
+jest.mock('axios');
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+describe('Search Providers', () => {
+    describe('LocalCorpusProvider', () => {
+        const provider = new LocalCorpusProvider({ corpus: path.join(__dirname, 'fixtures/searchCorpus.json') });
+
+        it('should return the documents containing most words of the query, best match first', async () => {
+            // Act
+            const results = await provider.search('Composting kitchen scraps on a balcony needs a sealed bin');
+
+            // Assert
+            expect(results.map(result => result.link)).toEqual([
+                'https://garden.example/balcony-composting',
+                'https://garden.example/kitchen-scraps'
+            ]);
+            expect(results[0]).toEqual(expect.objectContaining({
+                title: 'Composting on a balcony',
+                text: expect.stringContaining('sealed bin')
+            }));
+        });
+
+        it('should return nothing for unrelated queries', async () => {
+            // Act & Assert
+            expect(await provider.search('Quarterly earnings of semiconductor manufacturers')).toEqual([]);
+            expect(await provider.search('a of to')).toEqual([]);
+        });
+    });
+
+    describe('GoogleSearchProvider', () => {
+        it('should query Custom Search and return links, titles and snippets', async () => {
+            // Arrange
+            axios.get.mockResolvedValue({ data: { items: [{ link: 'https://a.example/', title: 'A', snippet: 'Text', kind: 'customsearch#result' }] } });
+            const provider = new GoogleSearchProvider({ apiKey: 'key', engineId: 'engine' });
+
+            // Act
+            const results = await provider.search('some query');
+
+            // Assert
+            expect(axios.get).toHaveBeenCalledWith('https://www.googleapis.com/customsearch/v1', { params: { key: 'key', cx: 'engine', q: 'some query' } });
+            expect(results).toEqual([{ link: 'https://a.example/', title: 'A', snippet: 'Text' }]);
+        });
+
+        it('should throw search errors and require credentials', async () => {
+            // Arrange
+            axios.get.mockRejectedValue(new Error('Request failed with status code 403'));
+            const provider = new GoogleSearchProvider({ apiKey: 'key', engineId: 'engine' });
+
+            // Act & Assert
+            await expect(provider.search('some query')).rejects.toThrow('status code 403');
+            expect(() => new GoogleSearchProvider({ apiKey: 'key', engineId: '' })).toThrow('GOOGLE_SEARCH_ENGINE_ID');
+        });
+    });
+
+    describe('createSearchProvider', () => {
+        const env = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...env };
+        });
+
+        it('should use Google when only its credentials are set', () => {
+            // Arrange
+            delete process.env.SEARCH_PROVIDER;
+            process.env.GOOGLE_SEARCH_API_KEY = 'key';
+            process.env.GOOGLE_SEARCH_ENGINE_ID = 'engine';
+
+            // Act & Assert
+            expect(createSearchProvider()).toBeInstanceOf(GoogleSearchProvider);
+        });
+
+        it('should refuse to run without a provider or with an unknown one', () => {
+            // Arrange
+            delete process.env.SEARCH_PROVIDER;
+            delete process.env.GOOGLE_SEARCH_API_KEY;
+
+            // Act & Assert
+            expect(() => createSearchProvider()).toThrow('No search provider configured, set SEARCH_PROVIDER to one of: google, local');
+            expect(() => createSearchProvider('bing')).toThrow('Unknown search provider "bing", expected one of: google, local');
+            expect(() => createSearchProvider('local')).toThrow('SEARCH_CORPUS');
+        });
+    });
+});
@@ -0,0 +1,234 @@
+const axios = require('axios');
+const zlib = require('zlib');
+const { SitemapReader } = require('../controllers/sitemapReader');
+
+jest.mock('axios');
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO date a number of days in the past
+ * @param {number} days - Days before now
+ * @returns {string} - ISO timestamp
+ */
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY).toISOString();
+}
+
+/**
+ * Sitemap XML with one page per entry
+ * @param {Object[]} pages - { loc, lastmod, published }
+ * @returns {string} - XML
+ */
+function urlset(pages) {
+    const entries = pages.map(({ loc, lastmod, published }) => `<url><loc>${loc}</loc>` +
+        (lastmod ? `<lastmod>${lastmod}</lastmod>` : '') +
+        (published ? `<news:news><news:publication_date>${published}</news:publication_date></news:news>` : '') +
+        '</url>').join('');
+    return `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">${entries}</urlset>`;
+}
+
+/**
+ * Sitemap index XML
+ * @param {string[]} locs - Sitemap URLs
+ * @returns {string} - XML
+ */
+function sitemapIndex(locs) {
+    return `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`;
+}
+
+/**
+ * Serve mocked bodies by URL; sitemaps arrive as array buffers like axios returns them
+ * @param {Object} routes - URL => string or Buffer
+ */
+function mockRoutes(routes) {
+    axios.get.mockImplementation(async (url, options) => {
+        if (!(url in routes)) {
+            throw new Error('Request failed with status code 404');
+        }
+        const body = routes[url];
+        return { status: 200, data: options.responseType === 'arraybuffer' ? Buffer.from(body) : String(body) };
+    });
+}
+
+describe('Sitemap Reader', () => {
+    let reader;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        reader = new SitemapReader();
+    });
+
+    it('should follow sitemap indexes and read gzip-compressed sitemaps', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/sitemap_index.xml': sitemapIndex(['/posts.xml.gz', 'https://example.com/pages.xml']),
+            'https://example.com/posts.xml.gz': zlib.gzipSync(urlset([{ loc: '/post-1', lastmod: daysAgo(3) }])),
+            'https://example.com/pages.xml': urlset([{ loc: '/about', lastmod: daysAgo(300) }])
+        });
+
+        // Act
+        const result = await reader.readSitemaps(['https://example.com/sitemap_index.xml']);
+
+        // Assert
+        expect(result.entries.map(entry => entry.url)).toEqual(['https://example.com/post-1', 'https://example.com/about']);
+        expect(result.entries[0].sitemap).toBe('https://example.com/posts.xml.gz');
+        expect(result.sitemaps.map(sitemap => [sitemap.type, sitemap.depth])).toEqual([['sitemapindex', 0], ['urlset', 1], ['urlset', 1]]);
+        expect(result.truncated).toBe(false);
+    });
+
+    it('should prefer the news publication date over lastmod and skip undated pages', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/news.xml': urlset([
+                { loc: '/story', lastmod: daysAgo(1), published: daysAgo(200) },
+                { loc: '/undated' },
+                { loc: '/invalid', lastmod: 'yesterday' }
+            ])
+        });
+
+        // Act
+        const { entries } = await reader.readSitemaps(['https://example.com/news.xml']);
+
+        // Assert
+        expect(entries).toHaveLength(1);
+        expect(entries[0].date).toEqual(entries[0].publicationDate);
+        expect(Math.round((Date.now() - entries[0].date) / DAY)).toBe(200);
+    });
+
+    it('should stop following indexes at the depth limit', async () => {
+        // Arrange
+        reader.maxDepth = 1;
+        mockRoutes({
+            'https://example.com/index.xml': sitemapIndex(['/nested-index.xml']),
+            'https://example.com/nested-index.xml': sitemapIndex(['/deep.xml']),
+            'https://example.com/deep.xml': urlset([{ loc: '/deep', lastmod: daysAgo(1) }])
+        });
+
+        // Act
+        const result = await reader.readSitemaps(['https://example.com/index.xml']);
+
+        // Assert
+        expect(result.entries).toEqual([]);
+        expect(result.truncated).toBe(true);
+        expect(axios.get).not.toHaveBeenCalledWith('https://example.com/deep.xml', expect.anything());
+    });
+
+    it('should stop at the URL limit and not read a sitemap twice', async () => {
+        // Arrange
+        reader.maxUrls = 2;
+        reader.concurrency = 1;
+        mockRoutes({
+            'https://example.com/index.xml': sitemapIndex(['/a.xml', '/a.xml', '/b.xml']),
+            'https://example.com/a.xml': urlset([1, 2, 3].map(n => ({ loc: `/a-${n}`, lastmod: daysAgo(n) }))),
+            'https://example.com/b.xml': urlset([{ loc: '/b-1', lastmod: daysAgo(1) }])
+        });
+
+        // Act
+        const result = await reader.readSitemaps(['https://example.com/index.xml']);
+
+        // Assert
+        expect(result.entries).toHaveLength(2);
+        expect(result.truncated).toBe(true);
+        expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should download a bounded number of sitemaps at a time', async () => {
+        // Arrange
+        reader.concurrency = 2;
+        const children = [1, 2, 3, 4, 5].map(n => `/part-${n}.xml`);
+        const routes = { 'https://example.com/index.xml': sitemapIndex(children) };
+        children.forEach((child, index) => {
+            routes[`https://example.com${child}`] = urlset([{ loc: `/post-${index}`, lastmod: daysAgo(index + 1) }]);
+        });
+        let running = 0;
+        let mostRunning = 0;
+        axios.get.mockImplementation(async (url, options) => {
+            running++;
+            mostRunning = Math.max(mostRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            return { status: 200, data: Buffer.from(routes[url]) };
+        });
+
+        // Act
+        const result = await reader.readSitemaps(['https://example.com/index.xml']);
+
+        // Assert
+        expect(mostRunning).toBe(2);
+        expect(result.entries).toHaveLength(5);
+        expect(result.sitemaps.map(sitemap => sitemap.url)).toEqual([
+            'https://example.com/index.xml',
+            'https://example.com/part-1.xml',
+            'https://example.com/part-5.xml',
+            'https://example.com/part-2.xml',
+            'https://example.com/part-4.xml',
+            'https://example.com/part-3.xml'
+        ]);
+        expect(result.truncated).toBe(false);
+    });
+
+    it('should return the entries read so far when the deadline passes', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/index.xml': sitemapIndex(['/fast.xml', '/slow.xml']),
+            'https://example.com/fast.xml': urlset([{ loc: '/fast', lastmod: daysAgo(1) }])
+        });
+        const served = axios.get.getMockImplementation();
+        axios.get.mockImplementation((url, options) => url.endsWith('/slow.xml')
+            ? new Promise(() => {})
+            : served(url, options));
+
+        // Act
+        const result = await reader.readSitemaps(['https://example.com/index.xml'], { deadline: Date.now() + 50 });
+
+        // Assert
+        expect(result.entries.map(entry => entry.url)).toEqual(['https://example.com/fast']);
+        expect(result.truncated).toBe(true);
+        expect(axios.get.mock.calls.find(([url]) => url.endsWith('/slow.xml'))[1].signal.aborted).toBe(true);
+    });
+
+    it('should record sitemaps that cannot be read and continue', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/index.xml': sitemapIndex(['/missing.xml', '/html.xml', '/ok.xml']),
+            'https://example.com/html.xml': '<html><body>Not found</body></html>',
+            'https://example.com/ok.xml': urlset([{ loc: '/ok', lastmod: daysAgo(5) }])
+        });
+
+        // Act
+        const result = await reader.readSitemaps(['https://example.com/index.xml']);
+
+        // Assert
+        expect(result.entries).toHaveLength(1);
+        expect(result.sitemaps.filter(sitemap => sitemap.error).map(sitemap => sitemap.url).sort())
+            .toEqual(['https://example.com/html.xml', 'https://example.com/missing.xml']);
+    });
+
+    it('should discover sitemaps in robots.txt', async () => {
+        // Arrange
+        mockRoutes({
+            'https://example.com/robots.txt': 'User-agent: *\nDisallow: /admin\nSitemap: https://cdn.example.com/sitemap.xml\r\nsitemap: /news-sitemap.xml\nSitemap: ftp://example.com/x.xml\n'
+        });
+
+        // Act
+        const sitemaps = await reader.discoverSitemaps('https://example.com');
+
+        // Assert
+        expect(sitemaps).toEqual(['https://cdn.example.com/sitemap.xml', 'https://example.com/news-sitemap.xml']);
+    });
+
+    it('should return no sitemaps without a robots.txt', async () => {
+        // Arrange
+        mockRoutes({});
+
+        // Act
+        const sitemaps = await reader.discoverSitemaps('https://example.com');
+
+        // Assert
+        expect(sitemaps).toEqual([]);
+    });
+});
@@ -1,4 +1,5 @@
 const sqlGenerator = require('../utils/sqlGenerator');
+const auditSqlGenerator = require('../controllers/sqlGenerator');
 
 describe('SQL Generator Module', () => {
     describe('generateAuditResultSQL', () => {
@@ -134,4 +135,24 @@ describe('SQL Generator Module', () => {
             expect(result.values).toContain(url);
         });
     });
-}); 
\ No newline at end of file
+});
+
+describe('Audit SQL Generator', () => {
+    it('should store the audit under its own timestamp, which its snapshot is saved under', () => {
+        // Arrange
+        const auditResult = {
+            url: 'https://example.com',
+            timestamp: '2025-03-04T10:12:00.000Z',
+            status: 'pass',
+            checks: { redirect: { status: 'pass', reason: 'No redirect' } }
+        };
+
+        // Act
+        const result = auditSqlGenerator.generateSQLForAudit(auditResult);
+
+        // Assert
+        expect(result.success).toBe(true);
+        expect(result.sql.audit).toContain("'2025-03-04T10:12:00.000Z', 'passed'");
+        expect(result.sql.details).toContain("'2025-03-04T10:12:00.000Z', 'redirect'");
+    });
+});
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const { StructuredDateReader, DATE_SOURCE, DATE_CONFIDENCE } = require('../controllers/structuredDateReader');
+
+jest.mock('axios');
+jest.mock('../utils/logger', () => ({
+    logMessage: jest.fn()
+}));
+
+/**
+ * Dated entries as comparable plain values
+ * @param {Object[]} entries - Dated entries
+ * @returns {Object[]} - Entries with ISO dates
+ */
+function plain(entries) {
+    return entries.map(entry => ({ ...entry, date: entry.date.toISOString() }));
+}
+
+describe('Structured Date Reader', () => {
+    let reader;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        reader = new StructuredDateReader();
+    });
+
+    describe('readPageDates', () => {
+        it('should read JSON-LD dates, including items in a @graph', () => {
+            // Arrange
+            const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+                '@context': 'https://schema.org',
+                '@graph': [
+                    { '@type': 'WebSite', url: 'https://example.com/' },
+                    { '@type': 'NewsArticle', url: 'https://example.com/story', datePublished: '2024-02-02T10:00:00Z', dateModified: '2024-02-03T10:00:00Z' }
+                ]
+            })}</script><script type="application/ld+json">{ not json</script></head></html>`;
+
+            // Act
+            const entries = reader.readPageDates(html, 'https://example.com/');
+
+            // Assert
+            expect(plain(entries)).toEqual([
+                { date: '2024-02-02T10:00:00.000Z', source: DATE_SOURCE.JSON_LD, confidence: DATE_CONFIDENCE.HIGH, url: 'https://example.com/story' },
+                { date: '2024-02-03T10:00:00.000Z', source: DATE_SOURCE.JSON_LD, confidence: DATE_CONFIDENCE.MEDIUM, url: 'https://example.com/story' }
+            ]);
+        });
+
+        it('should read OpenGraph article times and keep future dates for the cadence analysis', () => {
+            // Arrange
+            const html = `<html><head>
+                <meta property="article:published_time" content="2024-03-01T08:00:00+01:00">
+                <meta property="article:modified_time" content="2999-01-01T00:00:00Z">
+                <meta property="og:updated_time" content="not a date">
+            </head></html>`;
+
+            // Act
+            const entries = reader.readPageDates(html, 'https://example.com/post');
+
+            // Assert
+            expect(plain(entries)).toEqual([
+                { date: '2024-03-01T07:00:00.000Z', source: DATE_SOURCE.OPEN_GRAPH, confidence: DATE_CONFIDENCE.HIGH, url: 'https://example.com/post' },
+                { date: '2999-01-01T00:00:00.000Z', source: DATE_SOURCE.OPEN_GRAPH, confidence: DATE_CONFIDENCE.MEDIUM, url: 'https://example.com/post' }
+            ]);
+        });
+    });
+
+    describe('feeds', () => {
+        it('should find announced feeds, or fall back to the usual feed paths', () => {
+            // Arrange
+            const html = `<head>
+                <link rel="alternate" type="application/rss+xml" href="/feed.xml">
+                <link rel="alternate" type="application/atom+xml; charset=utf-8" href="https://feeds.example.com/atom">
+                <link rel="alternate" hreflang="de" href="/de/">
+            </head>`;
+
+            // Assert
+            expect(reader.findFeeds(html, 'https://example.com/news/')).toEqual(['https://example.com/feed.xml', 'https://feeds.example.com/atom']);
+            expect(reader.findFeeds('<head></head>', 'https://example.com/news/')).toEqual([
+                'https://example.com/feed', 'https://example.com/rss.xml', 'https://example.com/atom.xml'
+            ]);
+        });
+
+        it('should read RSS item dates as publication dates', () => {
+            // Arrange
+            const rss = `<rss version="2.0"><channel>
+                <item><link>https://example.com/a</link><pubDate>Mon, 06 May 2024 10:00:00 +0000</pubDate></item>
+                <item><link>https://example.com/b</link></item>
+            </channel></rss>`;
+
+            // Act
+            const entries = reader.parseFeed(rss, 'https://example.com/feed');
+
+            // Assert
+            expect(plain(entries)).toEqual([
+                { date: '2024-05-06T10:00:00.000Z', source: DATE_SOURCE.FEED, confidence: DATE_CONFIDENCE.HIGH, url: 'https://example.com/a' }
+            ]);
+        });
+
+        it('should trust Atom published dates more than updated dates', () => {
+            // Arrange
+            const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+                <entry><link href="https://example.com/c"/><published>2024-01-01T00:00:00Z</published><updated>2024-02-01T00:00:00Z</updated></entry>
+            </feed>`;
+
+            // Act
+            const entries = reader.parseFeed(atom, 'https://example.com/atom');
+
+            // Assert
+            expect(entries.map(entry => entry.confidence)).toEqual([DATE_CONFIDENCE.HIGH, DATE_CONFIDENCE.MEDIUM]);
+        });
+
+        it('should read JSON feeds and return no dates for a page that is not a feed', async () => {
+            // Arrange
+            axios.get.mockResolvedValueOnce({ data: '<html><body>Not found</body></html>' });
+            const jsonFeed = JSON.stringify({ items: [{ url: 'https://example.com/d', date_published: '2024-04-01T00:00:00Z' }] });
+
+            // Act
+            const entries = reader.parseFeed(jsonFeed, 'https://example.com/feed.json');
+            const notFeed = await reader.readFeed('https://example.com/feed');
+
+            // Assert
+            expect(plain(entries)).toEqual([
+                { date: '2024-04-01T00:00:00.000Z', source: DATE_SOURCE.FEED, confidence: DATE_CONFIDENCE.HIGH, url: 'https://example.com/d' }
+            ]);
+            expect(notFeed).toEqual([]);
+        });
+    });
+
+    describe('readWordPressPosts', () => {
+        it('should read the newest and oldest posts as UTC dates', async () => {
+            // Arrange
+            axios.get.mockImplementation(async (url, { params }) => ({
+                data: [params.order === 'desc'
+                    ? { link: 'https://example.com/new', date_gmt: '2024-05-01T12:00:00', modified_gmt: '2024-05-02T12:00:00' }
+                    : { link: 'https://example.com/old', date_gmt: '2019-05-01T12:00:00', modified_gmt: null }]
+            }));
+
+            // Act
+            const entries = await reader.readWordPressPosts('https://example.com');
+
+            // Assert
+            expect(axios.get).toHaveBeenCalledWith('https://example.com/wp-json/wp/v2/posts', expect.objectContaining({
+                params: expect.objectContaining({ order: 'asc', orderby: 'date' })
+            }));
+            expect(plain(entries)).toEqual([
+                { date: '2024-05-01T12:00:00.000Z', source: DATE_SOURCE.WORDPRESS_API, confidence: DATE_CONFIDENCE.HIGH, url: 'https://example.com/new' },
+                { date: '2024-05-02T12:00:00.000Z', source: DATE_SOURCE.WORDPRESS_API, confidence: DATE_CONFIDENCE.MEDIUM, url: 'https://example.com/new' },
+                { date: '2019-05-01T12:00:00.000Z', source: DATE_SOURCE.WORDPRESS_API, confidence: DATE_CONFIDENCE.HIGH, url: 'https://example.com/old' }
+            ]);
+        });
+
+        it('should return no dates for sites without the WordPress API', async () => {
+            // Arrange
+            axios.get.mockRejectedValue(new Error('Request failed with status code 404'));
+
+            // Act
+            const entries = await reader.readWordPressPosts('https://example.com');
+
+            // Assert
+            expect(entries).toEqual([]);
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+    });
+});
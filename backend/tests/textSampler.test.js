@@ -0,0 +1,76 @@
+const { sampleChunks, describeCoverage, spreadOrder } = require('../utils/textSampler');
+
+describe('Text Sampler', () => {
+    const chunk = (section, index, hits = 0) => ({
+        text: 'x'.repeat(100),
+        section,
+        url: 'https://example.com',
+        offset: index * 100,
+        hits
+    });
+
+    describe('spreadOrder', () => {
+        it('should start with the ends and fill in the middles', () => {
+            // Act & Assert
+            expect(spreadOrder(0)).toEqual([]);
+            expect(spreadOrder(1)).toEqual([0]);
+            expect(spreadOrder(5)).toEqual([0, 4, 2, 1, 3]);
+            expect([...spreadOrder(9)].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+        });
+    });
+
+    describe('sampleChunks', () => {
+        it('should analyze everything without a budget', () => {
+            // Arrange
+            const chunks = [chunk('article', 0), chunk('article', 1), chunk('comments', 0)];
+
+            // Act & Assert
+            expect(sampleChunks(chunks, Infinity)).toEqual(chunks);
+        });
+
+        it('should take chunks with quick-scan hits first, then the sections in turns', () => {
+            // Arrange
+            const article = [0, 1, 2, 3, 4].map(index => chunk('article', index));
+            const comments = [chunk('comments', 0), chunk('comments', 1, 2)];
+
+            // Act
+            const selected = sampleChunks([...article, ...comments], 400);
+
+            // Assert
+            expect(selected).toEqual([article[0], article[4], comments[0], comments[1]]);
+        });
+
+        it('should skip chunks larger than what is left of the budget', () => {
+            // Arrange
+            const large = { ...chunk('article', 0), text: 'x'.repeat(500) };
+            const small = chunk('comments', 0);
+
+            // Act & Assert
+            expect(sampleChunks([large, small], 200)).toEqual([small]);
+        });
+    });
+
+    describe('describeCoverage', () => {
+        it('should report the analyzed share of characters and chunks per section', () => {
+            // Arrange
+            const chunks = [chunk('article', 0), chunk('article', 1), chunk('article', 2), chunk('comments', 0)];
+
+            // Act
+            const coverage = describeCoverage(chunks, [chunks[0], chunks[3]], 200);
+
+            // Assert
+            expect(coverage).toEqual({
+                percent: 50,
+                analyzedCharacters: 200,
+                totalCharacters: 400,
+                analyzedChunks: 2,
+                totalChunks: 4,
+                budgetCharacters: 200,
+                sections: [
+                    { section: 'article', url: 'https://example.com', analyzedChunks: 1, totalChunks: 3 },
+                    { section: 'comments', url: 'https://example.com', analyzedChunks: 1, totalChunks: 1 }
+                ]
+            });
+        });
+    });
+});
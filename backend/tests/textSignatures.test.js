@@ -0,0 +1,69 @@
+const {
+    shingle,
+    signText,
+    estimateSimilarity,
+    hammingDistance,
+    MINHASH_SIZE
+} = require('../utils/textSignatures');
+const { article } = require('./fixtures/sampleText');
+
+describe('Text Signatures', () => {
+    it('should shingle lowercased words without punctuation', () => {
+        // Act
+        const shingles = shingle('The quick, brown Fox jumps over the lazy dog.');
+
+        // Assert
+        expect(shingles).toEqual([
+            'the quick brown fox jumps',
+            'quick brown fox jumps over',
+            'brown fox jumps over the',
+            'fox jumps over the lazy',
+            'jumps over the lazy dog'
+        ]);
+        expect(shingle('Too short')).toEqual([]);
+    });
+
+    it('should give equal signatures for the same text', () => {
+        // Act
+        const first = signText(article(1));
+        const second = signText(`  ${article(1).toUpperCase()}!`);
+
+        // Assert
+        expect(first.minhash).toHaveLength(MINHASH_SIZE);
+        expect(first.bandKeys).toHaveLength(MINHASH_SIZE / 4);
+        expect(second).toEqual(first);
+        expect(first.simhash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should estimate the share of shingles two texts have in common', () => {
+        // Arrange
+        const original = article(1);
+        const words = original.split(' ');
+        // Replacing every 50th word changes 5 of every 50 shingles
+        const edited = words.map((word, index) => (index % 50 === 25 ? 'changed' : word)).join(' ');
+
+        // Act
+        const similar = estimateSimilarity(signText(original).minhash, signText(edited).minhash);
+        const different = estimateSimilarity(signText(original).minhash, signText(article(2)).minhash);
+
+        // Assert
+        expect(similar).toBeGreaterThan(0.65);
+        expect(similar).toBeLessThan(0.95);
+        expect(different).toBeLessThan(0.1);
+    });
+
+    it('should place near-duplicates a few SimHash bits apart', () => {
+        // Arrange
+        const words = article(1).split(' ');
+        const edited = words.map((word, index) => (index === 150 ? 'changed' : word)).join(' ');
+
+        // Act
+        const near = hammingDistance(signText(words.join(' ')).simhash, signText(edited).simhash);
+        const far = hammingDistance(signText(article(1)).simhash, signText(article(2)).simhash);
+
+        // Assert
+        expect(hammingDistance('00000000000000ff', '0000000000000000')).toBe(8);
+        expect(near).toBeLessThan(8);
+        expect(far).toBeGreaterThan(16);
+    });
+});
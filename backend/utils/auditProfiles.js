@@ -0,0 +1,164 @@
+/**
+ * Audit Profiles
+ * Named sets of policy thresholds. An audit uses the profile named in its
+ * request, or DEFAULT_AUDIT_PROFILE, and the request may override single
+ * thresholds. Set AUDIT_PROFILES to a JSON object of profiles to add profiles
+ * or replace the built-in ones, e.g.
+ * {"news": {"recency": {"maxDaysSinceRecent": 3}}}
+ * Thresholds a profile leaves out are taken from the default profile.
+ */
+
+const { logMessage } = require('./logger');
+
+// Content recency: the newest content must be at most maxDaysSinceRecent days
+// old, and the oldest content at least minDaysSinceOldest days old. Publishing
+// cadence: at least minPostsPerMonth posts in each of the last activeMonths
+// complete months, and no gap between posts longer than maxGapDays days
+// (0 turns a cadence rule off). The default profile leaves the cadence rules
+// off, so profiles opt in to them
+const RECENCY_THRESHOLDS = ['maxDaysSinceRecent', 'minDaysSinceOldest', 'minPostsPerMonth', 'activeMonths', 'maxGapDays'];
+
+const builtInProfiles = {
+    default: {
+        description: 'Publishers with regular updates',
+        recency: { maxDaysSinceRecent: 30, minDaysSinceOldest: 95, minPostsPerMonth: 0, activeMonths: 3, maxGapDays: 0 }
+    },
+    news: {
+        description: 'News sites, expected to publish every week',
+        recency: { maxDaysSinceRecent: 7, minDaysSinceOldest: 95, minPostsPerMonth: 8, activeMonths: 3, maxGapDays: 14 }
+    },
+    evergreen: {
+        description: 'Reference and hobby sites that update rarely',
+        recency: { maxDaysSinceRecent: 180, minDaysSinceOldest: 365, minPostsPerMonth: 0, activeMonths: 0, maxGapDays: 365 }
+    }
+};
+
+/**
+ * Read extra profiles from AUDIT_PROFILES
+ * @returns {Object} - Profiles by name
+ */
+function loadConfiguredProfiles() {
+    if (!process.env.AUDIT_PROFILES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.AUDIT_PROFILES);
+    } catch (error) {
+        logMessage(`[AuditProfiles] Ignoring AUDIT_PROFILES, not valid JSON: ${error.message}`, 'error');
+        return {};
+    }
+}
+
+/**
+ * Merge the built-in and configured profiles, filling in missing thresholds from the default profile
+ * @returns {Object} - Profiles by name
+ */
+function buildProfiles() {
+    const configured = loadConfiguredProfiles();
+    const merged = {};
+
+    Object.entries({ ...builtInProfiles, ...configured }).forEach(([name, profile]) => {
+        merged[name] = {
+            description: profile.description || (builtInProfiles[name] && builtInProfiles[name].description) || '',
+            recency: {
+                ...builtInProfiles.default.recency,
+                ...(builtInProfiles[name] && builtInProfiles[name].recency),
+                ...(configured[name] && configured[name].recency)
+            }
+        };
+    });
+
+    return merged;
+}
+
+const profiles = buildProfiles();
+
+const DEFAULT_PROFILE = profiles[process.env.DEFAULT_AUDIT_PROFILE] ? process.env.DEFAULT_AUDIT_PROFILE : 'default';
+
+/**
+ * Validate the profile and threshold overrides of an audit request
+ * @param {Object} input - Request values
+ * @param {string} [input.profile] - Profile name
+ * @param {Object} [input.recency] - Recency threshold overrides
+ * @returns {Object} - { value: audit options } or { error: message }
+ */
+function parseAuditOptions(input = {}) {
+    const options = {};
+
+    if (input.profile !== undefined && input.profile !== '') {
+        if (!Object.prototype.hasOwnProperty.call(profiles, input.profile)) {
+            return { error: `Unknown audit profile '${input.profile}'; use one of ${Object.keys(profiles).join(', ')}` };
+        }
+        options.profile = input.profile;
+    }
+
+    if (input.recency !== undefined) {
+        if (!input.recency || typeof input.recency !== 'object' || Array.isArray(input.recency)) {
+            return { error: "'recency' must be an object of thresholds" };
+        }
+
+        const recency = {};
+        for (const [key, value] of Object.entries(input.recency)) {
+            if (value === undefined || value === '') {
+                continue;
+            }
+            if (!RECENCY_THRESHOLDS.includes(key)) {
+                return { error: `Unknown recency threshold '${key}'; use ${RECENCY_THRESHOLDS.join(' or ')}` };
+            }
+            const days = Number(value);
+            if (!Number.isInteger(days) || days < 0) {
+                return { error: `recency.${key} must be a whole number` };
+            }
+            recency[key] = days;
+        }
+
+        if (Object.keys(recency).length > 0) {
+            options.recency = recency;
+        }
+    }
+
+    return { value: options };
+}
+
+/**
+ * Recency thresholds that apply to an audit
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.profile] - Profile name, DEFAULT_PROFILE when missing
+ * @param {Object} [options.recency] - Threshold overrides from the request
+ * @returns {Object} - { profile, ...one value per RECENCY_THRESHOLDS key, overridden }
+ */
+function resolveRecencyThresholds(options = {}) {
+    const profile = profiles[options.profile] ? options.profile : DEFAULT_PROFILE;
+    const overrides = options.recency || {};
+    const thresholds = { profile };
+
+    RECENCY_THRESHOLDS.forEach(key => {
+        thresholds[key] = overrides[key] !== undefined ? overrides[key] : profiles[profile].recency[key];
+    });
+    thresholds.overridden = RECENCY_THRESHOLDS.some(key => overrides[key] !== undefined);
+
+    return thresholds;
+}
+
+/**
+ * Profiles for the API
+ * @returns {Object[]} - { name, description, default, recency }
+ */
+function describeProfiles() {
+    return Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        description: profile.description,
+        default: name === DEFAULT_PROFILE,
+        recency: { ...profile.recency }
+    }));
+}
+
+module.exports = {
+    parseAuditOptions,
+    resolveRecencyThresholds,
+    describeProfiles,
+    profiles,
+    DEFAULT_PROFILE,
+    RECENCY_THRESHOLDS
+};
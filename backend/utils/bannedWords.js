@@ -1,6 +1,8 @@
 /**
- * Banned words and patterns organized by category
- * These will trigger an immediate failure without running other checks
+ * Default banned words and patterns organized by category
+ * These will trigger an immediate failure without running other checks.
+ * They are seeded into the banned_terms table on first start and edited
+ * there afterwards (see controllers/bannedTermsManager.js).
  */
 const bannedWords = {
     adult: [
@@ -23,10 +25,6 @@ const bannedWords = {
         'rifle', 'pistol', 'shotgun'
     ],
     
-    punycode: [
-        'xn--'  // Punycode prefix
-    ],
-    
     malicious: [
         'phishing', 'malware', 'trojan', 'virus', 'hack', 
         'crack', 'keygen', 'warez', 'torrent', 'pirate'
@@ -0,0 +1,69 @@
+/**
+ * Allowlist for the banned words check
+ * Domains listed here are not checked for banned words in their hostname
+ * (subdomains included); their paths and banned TLDs are still checked.
+ * Terms are ordinary words that contain a banned word (classroom, alphabet).
+ * They take part in splitting concatenated words, so "classroom" is read as
+ * one word instead of "cl" + "ass" + "room".
+ */
+const bannedWordsAllowlist = {
+    domains: [
+    ],
+
+    terms: [
+        // ass
+        'ambassador', 'amass', 'assemble', 'assembly', 'assess', 'assessment', 'asset',
+        'assets', 'assign', 'assignment', 'assist', 'assistance', 'assistant', 'associate',
+        'associates', 'association', 'assume', 'assurance', 'assure', 'bass', 'bassist',
+        'brass', 'bypass', 'cassette', 'chassis', 'class', 'classes', 'classic', 'classics',
+        'classified', 'classifieds', 'classroom', 'classy', 'compass', 'compassion',
+        'embassy', 'glass', 'glasses', 'grass', 'harass', 'hassle', 'jurassic', 'lass',
+        'lasso', 'mass', 'massachusetts', 'massage', 'massive', 'molasses', 'passage',
+        'pass', 'passenger', 'passion', 'passive', 'passport', 'password', 'picasso',
+        'potassium', 'sassy', 'surpass', 'tassel', 'trespass',
+
+        // anal
+        'analog', 'analogue', 'analyse', 'analysis', 'analyst', 'analytic', 'analytics',
+        'analyze', 'banal', 'canal',
+
+        // bet
+        'abet', 'alphabet', 'alphabetical', 'beta', 'betray', 'better', 'between',
+        'diabetes', 'diabetic', 'tibet',
+
+        // cock
+        'cockatoo', 'cockpit', 'cockroach', 'cocktail', 'cocktails', 'hancock',
+        'peacock', 'shuttlecock', 'woodcock',
+
+        // crack
+        'cracker', 'crackers', 'firecracker', 'nutcracker',
+
+        // dick
+        'dickens', 'dickinson', 'dickson',
+
+        // hack
+        'hackathon', 'hacker', 'hackers', 'hackney', 'hacksaw', 'shack', 'whack',
+
+        // mature
+        'maturity', 'premature',
+
+        // meth
+        'metheny', 'method', 'methodology', 'methods', 'something',
+
+        // ammo
+        'ammonia', 'hammock', 'mammogram', 'mammoth',
+
+        // sex
+        'essex', 'middlesex', 'sextant', 'sexton', 'sussex', 'unisex', 'wessex',
+
+        // shrooms
+        'mushroom', 'mushrooms',
+
+        // virus
+        'antivirus',
+
+        // weed
+        'tweed'
+    ]
+};
+
+module.exports = bannedWordsAllowlist;
@@ -0,0 +1,454 @@
+/**
+ * Browser Pool
+ * Shares Chromium instances and pages between checkers. Each URL is rendered
+ * once; the rendered HTML, readable text, response headers, network requests
+ * and the output of registered extractors are shared with every check that
+ * asks for the page.
+ */
+
+const puppeteer = require('puppeteer-core');
+const { logMessage } = require('./logger');
+const { getPuppeteerLaunchOptions } = require('./puppeteerConfig');
+const httpFixtures = require('./httpFixtures');
+
+// Check if JSDOM and Readability are available, if not provide instructions
+let JSDOM, Readability;
+try {
+    JSDOM = require('jsdom').JSDOM;
+} catch (error) {
+    console.error('JSDOM module not found. Please install it using: npm install jsdom');
+}
+
+try {
+    Readability = require('@mozilla/readability').Readability;
+} catch (error) {
+    console.error('@mozilla/readability module not found. Please install it using: npm install @mozilla/readability');
+}
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Errors that mean the page or browser died rather than the site misbehaving
+const CRASH_PATTERNS = ['Target closed', 'Session closed', 'Protocol error', 'Browser closed', 'browser has disconnected', 'Page crashed'];
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - The setting
+ */
+function readIntSetting(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+class BrowserPool {
+    constructor() {
+        // Number of Chromium instances (default: 1)
+        this.size = readIntSetting('BROWSER_POOL_SIZE', 1) || 1;
+
+        // Pages open at the same time in each browser (default: 4)
+        this.pagesPerBrowser = readIntSetting('BROWSER_POOL_PAGES_PER_BROWSER', 4) || 1;
+
+        // Times a page is reused before it is closed and replaced (default: 20)
+        this.maxPageUses = readIntSetting('BROWSER_POOL_MAX_PAGE_USES', 20) || 1;
+
+        // Retries after a browser or page crash (default: 1)
+        this.crashRetries = readIntSetting('BROWSER_POOL_CRASH_RETRIES', 1);
+
+        // How long a rendered page is shared with later requests (default: 60 seconds)
+        this.renderTtl = readIntSetting('BROWSER_POOL_RENDER_TTL', 60000);
+
+        // Navigation timeout (default: 60 seconds)
+        this.navigationTimeout = readIntSetting('BROWSER_POOL_NAVIGATION_TIMEOUT', 60000);
+
+        this.browsers = [];
+        this.launching = 0;
+        this.waiting = [];
+        this.renders = new Map();
+        this.extractors = new Map();
+
+        logMessage(`[BrowserPool] Initialized with size: ${this.size}, pages per browser: ${this.pagesPerBrowser}, max page uses: ${this.maxPageUses}`);
+    }
+
+    /**
+     * Whether a Chrome executable was found for the pool to launch
+     * @returns {boolean} - True if Chrome is available
+     */
+    isChromeAvailable() {
+        return getPuppeteerLaunchOptions()._chromeExists === true;
+    }
+
+    /**
+     * Register a function that extracts data from every rendered page.
+     * Extractors run in registration order after navigation and their results
+     * are shared through renderPage().extracted[name].
+     * @param {string} name - Extractor name
+     * @param {Function} extractor - async (page, { url, requests }) => data
+     */
+    registerExtractor(name, extractor) {
+        this.extractors.set(name, extractor);
+        logMessage(`[BrowserPool] Registered extractor "${name}"`);
+    }
+
+    /**
+     * Launch a browser and track crashes
+     * @returns {Promise<Object>} - Pool entry { browser, active, idlePages, alive }
+     */
+    async launchBrowser() {
+        const launchOptions = getPuppeteerLaunchOptions();
+
+        if (!launchOptions._chromeExists) {
+            const error = new Error('Chrome executable not found on server');
+            error.code = 'CHROME_NOT_FOUND';
+            throw error;
+        }
+
+        const { _chromeExists, ...options } = launchOptions;
+        const browser = await puppeteer.launch(options);
+        const entry = { browser, active: 0, idlePages: [], alive: true };
+
+        browser.on('disconnected', () => {
+            if (!entry.alive) return;
+            logMessage('[BrowserPool] Browser disconnected, it will be replaced on next use', 'warn');
+            this.removeBrowser(entry);
+        });
+
+        this.browsers.push(entry);
+        logMessage(`[BrowserPool] Launched browser ${this.browsers.length}/${this.size}`);
+
+        return entry;
+    }
+
+    /**
+     * Drop a browser from the pool
+     * @param {Object} entry - Pool entry
+     */
+    removeBrowser(entry) {
+        entry.alive = false;
+        this.browsers = this.browsers.filter(candidate => candidate !== entry);
+        this.wakeAll();
+    }
+
+    /**
+     * Wake every waiting borrower so it can look for a slot again
+     */
+    wakeAll() {
+        this.waiting.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * Reserve a page slot, waiting while every browser is at capacity
+     * @returns {Promise<Object>} - Pool entry with a reserved slot
+     */
+    async reserveSlot() {
+        for (;;) {
+            const available = this.browsers
+                .filter(entry => entry.alive && entry.active < this.pagesPerBrowser)
+                .sort((a, b) => a.active - b.active)[0];
+
+            if (available) {
+                available.active++;
+                return available;
+            }
+
+            if (this.browsers.length + this.launching < this.size) {
+                this.launching++;
+                try {
+                    const entry = await this.launchBrowser();
+                    entry.active++;
+                    return entry;
+                } catch (error) {
+                    // Let waiting borrowers try a launch of their own
+                    this.wakeAll();
+                    throw error;
+                } finally {
+                    this.launching--;
+                }
+            }
+
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+    }
+
+    /**
+     * Give a page slot back and wake the next waiting borrower
+     * @param {Object} entry - Pool entry
+     */
+    releaseSlot(entry) {
+        entry.active = Math.max(entry.active - 1, 0);
+        const next = this.waiting.shift();
+        if (next) next();
+    }
+
+    /**
+     * Borrow a page from the pool
+     * @returns {Promise<Object>} - { page, release(discard) }
+     */
+    async acquirePage() {
+        const entry = await this.reserveSlot();
+
+        let pooled;
+        try {
+            pooled = entry.idlePages.pop() || { page: await entry.browser.newPage(), uses: 0 };
+        } catch (error) {
+            this.releaseSlot(entry);
+            throw error;
+        }
+
+        pooled.uses++;
+
+        let released = false;
+        const release = async (discard = false) => {
+            if (released) return;
+            released = true;
+
+            try {
+                if (discard || !entry.alive || pooled.uses >= this.maxPageUses) {
+                    await pooled.page.close();
+                } else {
+                    // Recycle the page for the next borrower
+                    pooled.page.removeAllListeners('request');
+                    pooled.page.removeAllListeners('response');
+                    await pooled.page.setRequestInterception(false);
+                    await pooled.page.setExtraHTTPHeaders({});
+                    await pooled.page.goto('about:blank');
+                    entry.idlePages.push(pooled);
+                }
+            } catch (error) {
+                logMessage(`[BrowserPool] Error releasing page: ${error.message}`, 'warn');
+            } finally {
+                this.releaseSlot(entry);
+            }
+        };
+
+        try {
+            await pooled.page.setUserAgent(USER_AGENT);
+            await pooled.page.setViewport({ width: 1280, height: 800 });
+            // Record or replay the page's traffic when HTTP fixtures are enabled
+            await httpFixtures.attachToPage(pooled.page);
+        } catch (error) {
+            await release(true);
+            throw error;
+        }
+
+        return { page: pooled.page, release };
+    }
+
+    /**
+     * Whether an error was caused by a crashed page or browser
+     * @param {Error} error - The error
+     * @returns {boolean} - True for crash errors
+     */
+    isCrash(error) {
+        const message = error && error.message ? error.message : '';
+        return CRASH_PATTERNS.some(pattern => message.includes(pattern));
+    }
+
+    /**
+     * Run a function with a borrowed page, retrying after browser crashes
+     * @param {Function} fn - async (page) => result
+     * @returns {Promise<*>} - The function's result
+     */
+    async withPage(fn) {
+        for (let attempt = 0; ; attempt++) {
+            const { page, release } = await this.acquirePage();
+            try {
+                const result = await fn(page);
+                await release();
+                return result;
+            } catch (error) {
+                await release(true);
+
+                if (!this.isCrash(error) || attempt >= this.crashRetries) {
+                    throw error;
+                }
+                logMessage(`[BrowserPool] Page crashed (${error.message}), retrying`, 'warn');
+            }
+        }
+    }
+
+    /**
+     * Render a URL once and share the result.
+     * Concurrent and recent calls for the same URL reuse the same render.
+     * @param {string} url - The URL to render
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.extract] - Run registered extractors (default: true)
+     * @param {boolean} [options.screenshot] - Take a JPEG screenshot of the viewport (default: false)
+     * @returns {Promise<Object>} - { url, finalUrl, status, headers, html, text, requests, extracted, screenshot }
+     */
+    renderPage(url, options = {}) {
+        const extract = options.extract !== false;
+        const screenshot = options.screenshot === true;
+        const now = Date.now();
+
+        // Forget renders that are too old to share
+        for (const [key, cached] of this.renders) {
+            if (cached.expiresAt && cached.expiresAt < now) {
+                this.renders.delete(key);
+            }
+        }
+
+        // A render with extractors or a screenshot also serves callers that do not need them
+        const cached = this.renders.get(url);
+        if (cached && (cached.extract || !extract) && (cached.screenshot || !screenshot)) {
+            return cached.promise;
+        }
+
+        const entry = { extract, screenshot, expiresAt: null };
+        entry.promise = this.withPage(page => this.loadPage(page, url, { extract, screenshot }))
+            .then(rendered => {
+                entry.expiresAt = Date.now() + this.renderTtl;
+                return rendered;
+            })
+            .catch(error => {
+                if (this.renders.get(url) === entry) {
+                    this.renders.delete(url);
+                }
+                throw error;
+            });
+
+        this.renders.set(url, entry);
+        return entry.promise;
+    }
+
+    /**
+     * Navigate a page and collect everything checks need from it
+     * @param {Object} page - Puppeteer page
+     * @param {string} url - The URL to load
+     * @param {Object} options - What to collect
+     * @param {boolean} options.extract - Whether to run registered extractors
+     * @param {boolean} options.screenshot - Whether to take a screenshot
+     * @returns {Promise<Object>} - The rendered page
+     */
+    async loadPage(page, url, { extract, screenshot }) {
+        const requests = [];
+        page.on('request', request => {
+            requests.push({
+                url: request.url(),
+                method: request.method(),
+                resourceType: request.resourceType()
+            });
+        });
+
+        logMessage(`[BrowserPool] Rendering ${url}`);
+        const response = await page.goto(url, {
+            waitUntil: ['domcontentloaded', 'networkidle2'],
+            timeout: this.navigationTimeout
+        });
+
+        // Taken before extractors run so scrolling does not move the viewport
+        let image = null;
+        if (screenshot) {
+            const buffer = await page.screenshot({ type: 'jpeg', quality: 70 });
+            image = Buffer.from(buffer).toString('base64');
+        }
+
+        const extracted = {};
+        if (extract) {
+            for (const [name, extractor] of this.extractors) {
+                try {
+                    extracted[name] = await extractor(page, { url, requests });
+                } catch (error) {
+                    if (this.isCrash(error)) throw error;
+                    logMessage(`[BrowserPool] Extractor "${name}" failed: ${error.message}`, 'warn');
+                    extracted[name] = { error: error.message };
+                }
+            }
+        }
+
+        const html = await page.content();
+        const text = await this.extractText(page, html, url);
+
+        logMessage(`[BrowserPool] Rendered ${url}: ${html.length} characters of HTML, ${requests.length} requests`);
+
+        return {
+            url,
+            finalUrl: page.url(),
+            status: response ? response.status() : null,
+            headers: response ? response.headers() : {},
+            html,
+            text,
+            requests: [...requests],
+            extracted,
+            screenshot: image
+        };
+    }
+
+    /**
+     * Extract the readable text of a rendered page
+     * @param {Object} page - Puppeteer page
+     * @param {string} html - Rendered HTML
+     * @param {string} url - Page URL
+     * @returns {Promise<string>} - Page text
+     */
+    async extractText(page, html, url) {
+        let content = '';
+
+        // Check if JSDOM and Readability are available
+        if (JSDOM && Readability) {
+            const dom = new JSDOM(html, { url });
+            const article = new Readability(dom.window.document).parse();
+
+            if (article && article.textContent) {
+                content = article.textContent;
+            }
+        }
+
+        if (content && content.length >= 100) {
+            return content;
+        }
+
+        // Fallback 1: Try to find common article containers
+        const articleSelectors = [
+            'article', '.article', '.post', '.content',
+            'main', '#main', '.main-content', '.post-content',
+            '.entry-content', '.article-content'
+        ];
+
+        for (const selector of articleSelectors) {
+            const articleElement = await page.$(selector);
+            if (articleElement) {
+                const articleContent = await page.evaluate(el => el.textContent, articleElement);
+                if (articleContent && articleContent.length > 100) {
+                    return articleContent;
+                }
+            }
+        }
+
+        // Fallback 2: Extract all paragraph text
+        content = await page.evaluate(() => {
+            return Array.from(document.querySelectorAll('p'))
+                .map(p => p.textContent)
+                .filter(text => text.trim().length > 0)
+                .join('\n\n');
+        });
+
+        // Fallback 3: If still no content, get all body text
+        if (!content || content.length < 100) {
+            content = await page.evaluate(() => document.body ? document.body.textContent : '');
+        }
+
+        return content || '';
+    }
+
+    /**
+     * Close every browser in the pool
+     */
+    async close() {
+        const entries = this.browsers;
+        this.browsers = [];
+        this.renders.clear();
+
+        await Promise.all(entries.map(async entry => {
+            entry.alive = false;
+            try {
+                await entry.browser.close();
+            } catch (error) {
+                logMessage(`[BrowserPool] Error closing browser: ${error.message}`, 'warn');
+            }
+        }));
+    }
+}
+
+module.exports = new BrowserPool();
+module.exports.BrowserPool = BrowserPool;
@@ -0,0 +1,205 @@
+/**
+ * Check Registry
+ * Keeps track of the compliance checks run by analyzeURL. Every module in
+ * backend/checks exports a check definition and is discovered automatically,
+ * so new checks can be added without touching the audit flow.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logMessage } = require('./logger');
+
+const CHECKS_DIR = path.join(__dirname, '../checks');
+
+// Defaults applied to every check definition
+const CHECK_DEFAULTS = {
+    phase: 3,
+    order: 100,
+    timeout: 60000,
+    dependsOn: [],
+    shortCircuit: false,
+    usesSnapshot: false,
+    rejectionCode: '298'
+};
+
+class CheckRegistry {
+    constructor(checksDir = CHECKS_DIR) {
+        this.checksDir = checksDir;
+        this.checks = new Map();
+        this.loaded = false;
+    }
+
+    /**
+     * Register a check definition
+     * @param {Object} definition - Check definition
+     * @param {string} definition.name - Unique check name, used as the key in audit results
+     * @param {string} [definition.displayName] - Human readable name for logs and the dashboard
+     * @param {number} [definition.phase] - Phase number; lower phases run first, checks in a phase run concurrently
+     * @param {number} [definition.order] - Ordering of the check within its phase
+     * @param {number} [definition.timeout] - Timeout in milliseconds
+     * @param {string[]} [definition.dependsOn] - Names of checks whose results this check needs
+     * @param {boolean} [definition.shortCircuit] - Whether a failure stops the audit after this phase
+     * @param {boolean} [definition.usesSnapshot] - Whether the check analyzes the captured page, passed as context.snapshot
+     * @param {string} [definition.rejectionCode] - Rejection code used when the check fails
+     * @param {Function} definition.run - async (url, context) => result
+     * @returns {Object} - The registered check with defaults applied
+     */
+    register(definition) {
+        if (!definition || !definition.name) {
+            throw new Error('Check definition must have a name');
+        }
+
+        if (typeof definition.run !== 'function') {
+            throw new Error(`Check "${definition.name}" must define a run function`);
+        }
+
+        if (this.checks.has(definition.name)) {
+            throw new Error(`Check "${definition.name}" is already registered`);
+        }
+
+        const check = {
+            ...CHECK_DEFAULTS,
+            displayName: definition.name,
+            ...definition,
+            dependsOn: definition.dependsOn || []
+        };
+
+        this.checks.set(check.name, check);
+        logMessage(`[CheckRegistry] Registered check "${check.name}" (phase ${check.phase}, timeout ${check.timeout}ms)`);
+
+        return check;
+    }
+
+    /**
+     * Remove a check from the registry
+     * @param {string} name - The check name
+     * @returns {boolean} - True if the check was registered
+     */
+    unregister(name) {
+        return this.checks.delete(name);
+    }
+
+    /**
+     * Load every check definition found in the checks directory
+     */
+    loadChecks() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        if (!fs.existsSync(this.checksDir)) {
+            logMessage(`[CheckRegistry] Checks directory not found: ${this.checksDir}`, 'warn');
+            return;
+        }
+
+        const files = fs.readdirSync(this.checksDir)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        for (const file of files) {
+            const definition = require(path.join(this.checksDir, file));
+            if (!this.checks.has(definition.name)) {
+                this.register(definition);
+            }
+        }
+
+        this.validate();
+    }
+
+    /**
+     * Verify that every dependency exists, runs no later than its dependent
+     * and that there are no dependency cycles
+     */
+    validate() {
+        for (const check of this.checks.values()) {
+            for (const dependency of check.dependsOn) {
+                const target = this.checks.get(dependency);
+
+                if (!target) {
+                    throw new Error(`Check "${check.name}" depends on unknown check "${dependency}"`);
+                }
+
+                if (target.phase > check.phase) {
+                    throw new Error(`Check "${check.name}" (phase ${check.phase}) cannot depend on "${dependency}" from later phase ${target.phase}`);
+                }
+            }
+        }
+
+        // Reject dependency cycles, which would leave checks waiting forever
+        const visiting = new Set();
+        const visited = new Set();
+
+        const visit = (name) => {
+            if (visited.has(name)) return;
+            if (visiting.has(name)) {
+                throw new Error(`Dependency cycle detected at check "${name}"`);
+            }
+
+            visiting.add(name);
+            this.checks.get(name).dependsOn.forEach(visit);
+            visiting.delete(name);
+            visited.add(name);
+        };
+
+        [...this.checks.keys()].forEach(visit);
+    }
+
+    /**
+     * Get a check definition by name
+     * @param {string} name - The check name
+     * @returns {Object|null} - The check definition
+     */
+    get(name) {
+        this.loadChecks();
+        return this.checks.get(name) || null;
+    }
+
+    /**
+     * List all checks in execution order
+     * @returns {Object[]} - Check definitions sorted by phase and order
+     */
+    list() {
+        this.loadChecks();
+        return [...this.checks.values()].sort((a, b) =>
+            a.phase - b.phase || a.order - b.order || a.name.localeCompare(b.name)
+        );
+    }
+
+    /**
+     * Group checks by phase
+     * @returns {Array<{phase: number, checks: Object[]}>} - Phases in execution order
+     */
+    getPhases() {
+        const phases = [];
+
+        for (const check of this.list()) {
+            let group = phases[phases.length - 1];
+            if (!group || group.phase !== check.phase) {
+                group = { phase: check.phase, checks: [] };
+                phases.push(group);
+            }
+            group.checks.push(check);
+        }
+
+        return phases;
+    }
+
+    /**
+     * Serializable description of the registered checks for the API and dashboard
+     * @returns {Object[]} - Check metadata without the runner functions
+     */
+    describe() {
+        return this.list().map(check => ({
+            name: check.name,
+            displayName: check.displayName,
+            phase: check.phase,
+            timeout: check.timeout,
+            dependsOn: check.dependsOn,
+            shortCircuit: check.shortCircuit,
+            usesSnapshot: check.usesSnapshot,
+            rejectionCode: check.rejectionCode
+        }));
+    }
+}
+
+module.exports = new CheckRegistry();
+module.exports.CheckRegistry = CheckRegistry;
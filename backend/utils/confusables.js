@@ -0,0 +1,149 @@
+/**
+ * Confusable Characters
+ * Helpers for spotting domains that look like other domains. A skeleton maps
+ * every character to the ASCII letter it can be mistaken for, after the
+ * Unicode confusable detection of UTS #39, so "pаypal" (with a Cyrillic а)
+ * and "paypal" share the skeleton "paypal". The table covers the lookalikes
+ * seen in homograph attacks rather than the full Unicode confusables list.
+ */
+
+// Character => ASCII prototype it is confused with
+const CONFUSABLES = {
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'ғ': 'f', 'һ': 'h',
+    'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'ӏ': 'l', 'м': 'rn', 'п': 'n', 'о': 'o',
+    'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'т': 't', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x',
+    'у': 'y', 'ү': 'y',
+
+    // Greek
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+    'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'γ': 'y', 'ω': 'w',
+
+    // Armenian
+    'ա': 'w', 'ց': 'g', 'հ': 'h', 'յ': 'j', 'ո': 'n', 'ս': 'u', 'օ': 'o', 'ք': 'p',
+
+    // Latin letters outside ASCII
+    'ı': 'i', 'ɩ': 'i', 'ȷ': 'j', 'ł': 'l', 'ɑ': 'a', 'ɡ': 'g', 'ɢ': 'g', 'ʜ': 'h',
+    'ɴ': 'n', 'ᴏ': 'o', 'ʀ': 'r', 'ꜱ': 's', 'ᴛ': 't', 'ᴠ': 'v', 'ᴡ': 'w', 'ᴢ': 'z',
+    'ø': 'o', 'đ': 'd', 'ħ': 'h',
+
+    // Digits
+    '0': 'o', '1': 'l', '3': 'e', '5': 's',
+
+    // ASCII letters whose prototype is a letter pair, so "rn" and "m" share a skeleton
+    'm': 'rn', 'w': 'vv'
+};
+
+// Letter pairs reported when they stand in for a single letter
+const SEQUENCES = [['rn', 'm'], ['vv', 'w']];
+
+// Scripts named in reports and used for mixed-script detection
+const SCRIPTS = [
+    'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Cherokee', 'Arabic', 'Hebrew',
+    'Han', 'Hiragana', 'Katakana', 'Bopomofo', 'Hangul', 'Thai', 'Devanagari'
+].map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script combinations that are ordinary in one language (UTS #39, highly restrictive)
+const ALLOWED_SCRIPT_SETS = [
+    ['Latin', 'Han', 'Hiragana', 'Katakana'],
+    ['Latin', 'Han', 'Bopomofo'],
+    ['Latin', 'Han', 'Hangul']
+];
+
+/**
+ * Strip accents and fold compatibility forms (fullwidth letters, ligatures)
+ * @param {string} text - Text to fold
+ * @returns {string} - Lowercase text without combining marks
+ */
+function fold(text) {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Skeleton of a string: two strings with the same skeleton look alike
+ * @param {string} text - Text such as a domain label
+ * @returns {string} - Skeleton
+ */
+function skeleton(text) {
+    return Array.from(fold(text)).map(char => CONFUSABLES[char] || char).join('');
+}
+
+/**
+ * Script of a character
+ * @param {string} char - One character
+ * @returns {string|null} - Script name, 'Other' for scripts not listed, or null for
+ *                          characters shared by all scripts (digits, hyphens, marks)
+ */
+function getScript(char) {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(char)) {
+        return null;
+    }
+    const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    return script ? script.name : 'Other';
+}
+
+/**
+ * Scripts used in a string
+ * @param {string} text - Text to inspect
+ * @returns {string[]} - Script names
+ */
+function getScripts(text) {
+    return [...new Set(Array.from(text).map(getScript).filter(Boolean))];
+}
+
+/**
+ * Whether a string mixes scripts in a way no single language does
+ * @param {string} text - Text such as a domain label
+ * @returns {boolean} - True for mixed-script text
+ */
+function isMixedScript(text) {
+    const scripts = getScripts(text);
+    return scripts.length > 1 && !ALLOWED_SCRIPT_SETS.some(allowed =>
+        scripts.every(script => allowed.includes(script))
+    );
+}
+
+/**
+ * Characters of a lookalike string and the letters they imitate
+ * @param {string} text - The lookalike, such as "pаypal"
+ * @param {string} [original] - The imitated string, used to report letter pairs such as "rn" for "m"
+ * @returns {Object[]} - Mapping { character, codePoint, script, prototype }
+ */
+function describeConfusables(text, original = '') {
+    const mapping = [];
+    const seen = new Set();
+
+    Array.from(text.toLowerCase()).forEach(char => {
+        const imitated = CONFUSABLES[char] || fold(char);
+        // Report the letter a pair prototype stands for (Cyrillic м imitates m, not "rn")
+        const pair = SEQUENCES.find(([sequence]) => sequence === imitated);
+        const prototype = pair ? pair[1] : imitated;
+        if (seen.has(char) || /^[a-z-]$/.test(char) || prototype === char) {
+            return;
+        }
+        seen.add(char);
+        mapping.push({
+            character: char,
+            codePoint: `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+            script: getScript(char) || 'Common',
+            prototype
+        });
+    });
+
+    SEQUENCES.forEach(([sequence, letter]) => {
+        if (text.includes(sequence) && original.includes(letter) && !original.includes(sequence)) {
+            mapping.push({ character: sequence, codePoint: null, script: 'Latin', prototype: letter });
+        }
+    });
+
+    return mapping;
+}
+
+module.exports = {
+    skeleton,
+    getScript,
+    getScripts,
+    isMixedScript,
+    describeConfusables,
+    CONFUSABLES
+};
@@ -0,0 +1,343 @@
+/**
+ * Date Extraction
+ * Parses the dates publishers print on their pages in English, German,
+ * French, Spanish and Portuguese: localized month names ("26. Februar 2025",
+ * "1er mars 2024", "26 de febrero de 2025"), relative phrases ("il y a 3
+ * jours", "2 hours ago") and numeric dates, whose day/month order depends on
+ * the locale (03/04/2024 is 4 March in the US and 3 April elsewhere). The
+ * locale comes from <html lang>, or from the page text when it has none.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Month names and abbreviations per language, without accents; index = month
+const MONTH_NAMES = {
+    en: [
+        ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'],
+        ['may'], ['june', 'jun'], ['july', 'jul'], ['august', 'aug'],
+        ['september', 'sept', 'sep'], ['october', 'oct'], ['november', 'nov'], ['december', 'dec']
+    ],
+    de: [
+        ['januar', 'janner', 'jan'], ['februar', 'feb'], ['marz', 'mrz', 'mar'], ['april', 'apr'],
+        ['mai'], ['juni', 'jun'], ['juli', 'jul'], ['august', 'aug'],
+        ['september', 'sept', 'sep'], ['oktober', 'okt'], ['november', 'nov'], ['dezember', 'dez']
+    ],
+    fr: [
+        ['janvier', 'janv'], ['fevrier', 'fevr', 'fev'], ['mars'], ['avril', 'avr'],
+        ['mai'], ['juin'], ['juillet', 'juil'], ['aout'],
+        ['septembre', 'sept'], ['octobre', 'oct'], ['novembre', 'nov'], ['decembre', 'dec']
+    ],
+    es: [
+        ['enero', 'ene'], ['febrero', 'feb'], ['marzo', 'mar'], ['abril', 'abr'],
+        ['mayo', 'may'], ['junio', 'jun'], ['julio', 'jul'], ['agosto', 'ago'],
+        ['septiembre', 'setiembre', 'sept', 'sep'], ['octubre', 'oct'], ['noviembre', 'nov'], ['diciembre', 'dic']
+    ],
+    pt: [
+        ['janeiro', 'jan'], ['fevereiro', 'fev'], ['marco', 'mar'], ['abril', 'abr'],
+        ['maio', 'mai'], ['junho', 'jun'], ['julho', 'jul'], ['agosto', 'ago'],
+        ['setembro', 'set'], ['outubro', 'out'], ['novembro', 'nov'], ['dezembro', 'dez']
+    ]
+};
+
+// Relative phrases per language: words for "now" and "yesterday", the
+// indefinite articles that stand for 1, unit words and the phrase patterns
+// (NUMBER and UNIT are filled in)
+const RELATIVE_PHRASES = {
+    en: {
+        today: ['today', 'just now'],
+        yesterday: ['yesterday'],
+        one: ['a', 'an', 'one'],
+        units: { second: 'second', minute: 'minute', hour: 'hour', day: 'day', week: 'week', month: 'month', year: 'year' },
+        suffix: 's?',
+        patterns: ['NUMBER UNIT ago']
+    },
+    de: {
+        today: ['heute', 'gerade eben'],
+        yesterday: ['gestern'],
+        one: ['einer', 'einem', 'ein'],
+        units: { second: 'sekunde', minute: 'minute', hour: 'stunde', day: 'tag', week: 'woche', month: 'monat', year: 'jahr' },
+        suffix: '(?:en|e|n)?',
+        patterns: ['vor NUMBER UNIT']
+    },
+    fr: {
+        today: ["aujourd'hui", 'aujourdhui', "a l'instant"],
+        yesterday: ['hier'],
+        one: ['une', 'un'],
+        units: { second: 'seconde', minute: 'minute', hour: 'heure', day: 'jour', week: 'semaine', month: 'mois', year: 'an(?:nee)?' },
+        suffix: 's?',
+        patterns: ['il y a NUMBER UNIT']
+    },
+    es: {
+        today: ['hoy'],
+        yesterday: ['ayer'],
+        one: ['una', 'un'],
+        units: { second: 'segundo', minute: 'minuto', hour: 'hora', day: 'dia', week: 'semana', month: 'mes', year: 'ano' },
+        suffix: '(?:es|s)?',
+        patterns: ['hace NUMBER UNIT']
+    },
+    pt: {
+        today: ['hoje'],
+        yesterday: ['ontem'],
+        one: ['uma', 'um'],
+        units: { second: 'segundo', minute: 'minuto', hour: 'hora', day: 'dia', week: 'semana', month: 'mes', year: 'ano' },
+        suffix: '(?:es|s)?',
+        patterns: ['ha NUMBER UNIT', 'NUMBER UNIT atras']
+    }
+};
+
+// Common words used to guess the language of a page without <html lang>
+const STOP_WORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'in', 'with', 'for', 'that', 'this'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'eine', 'fur', 'auf', 'den'],
+    fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'pour', 'dans', 'avec', 'du', 'sur'],
+    es: ['el', 'los', 'las', 'y', 'del', 'es', 'una', 'para', 'con', 'por', 'que', 'se'],
+    pt: ['o', 'os', 'as', 'e', 'do', 'da', 'uma', 'para', 'com', 'nao', 'em', 'que']
+};
+
+// English-speaking regions that write the day first; the US, and English
+// without a region, write the month first
+const DAY_FIRST_ENGLISH_REGIONS = ['gb', 'uk', 'ie', 'au', 'nz', 'in', 'za', 'sg'];
+
+const SUPPORTED_LANGUAGES = Object.keys(MONTH_NAMES);
+
+const DEFAULT_LOCALE = { language: 'en', region: null, dayFirst: false };
+
+/**
+ * Lowercase text without accents, so "Février" matches "fevrier"
+ * @param {string} text - Text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u2018\u2019]/g, "'")
+        .toLowerCase();
+}
+
+/**
+ * Guess the language of a text from its most common words
+ * @param {string} text - Page text
+ * @returns {string|null} - Language code, or null when the text is too short to tell
+ */
+function guessLanguage(text) {
+    const words = normalizeText(text).match(/[a-z]+/g) || [];
+    const counts = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, 0]));
+    const lookup = new Map();
+    Object.entries(STOP_WORDS).forEach(([language, stopWords]) => {
+        stopWords.forEach(word => lookup.set(word, [...(lookup.get(word) || []), language]));
+    });
+
+    words.forEach(word => (lookup.get(word) || []).forEach(language => counts[language]++));
+
+    const [best, hits] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return hits >= 5 ? best : null;
+}
+
+/**
+ * Locale of a page: its <html lang> attribute, or the language of its text
+ * @param {string|null} lang - Value of <html lang>, e.g. "fr", "en-GB", "pt_BR"
+ * @param {string} [text] - Page text, used when lang is missing
+ * @returns {Object} - { language, region, dayFirst }
+ */
+function detectLocale(lang, text = '') {
+    const [language, region] = String(lang || '').trim().toLowerCase().split(/[-_]/);
+    const detected = language || guessLanguage(text) || DEFAULT_LOCALE.language;
+    const dayFirst = detected === 'en' ? DAY_FIRST_ENGLISH_REGIONS.includes(region) : true;
+
+    return { language: detected, region: region || null, dayFirst };
+}
+
+/**
+ * Month lookup for a language, with English as a fallback since many pages mix both
+ * @param {string} language - Language code
+ * @returns {Object} - { pattern: regex source matching a month name, months: Map name => month index }
+ */
+function monthsFor(language) {
+    const months = new Map();
+    const languages = MONTH_NAMES[language] && language !== 'en' ? [language, 'en'] : ['en'];
+    languages.forEach(code => {
+        MONTH_NAMES[code].forEach((names, index) => names.forEach(name => {
+            if (!months.has(name)) {
+                months.set(name, index);
+            }
+        }));
+    });
+    // Longest names first, so "sept" is not read as "sep"
+    const pattern = [...months.keys()].sort((a, b) => b.length - a.length).join('|');
+    return { pattern, months };
+}
+
+/**
+ * UTC date from its parts, or null when they are not a real date
+ * @param {number} year - Year
+ * @param {number} month - Month index, 0-11
+ * @param {number} day - Day of the month
+ * @returns {Date|null} - Date
+ */
+function makeDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    if (year < 1990 || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Date a relative phrase refers to
+ * @param {string} text - Normalized text
+ * @param {string} language - Language code
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Date
+ */
+function parseRelative(text, language, now) {
+    const languages = RELATIVE_PHRASES[language] && language !== 'en' ? [language, 'en'] : ['en'];
+
+    for (const code of languages) {
+        const phrases = RELATIVE_PHRASES[code];
+        // Only a text that starts with "today" is a date ("Today, 14:05", not "Subscribe today")
+        const leading = list => new RegExp(`^(?:${list.join('|')})(?![a-z])`);
+        if (leading(phrases.today).test(text)) {
+            return new Date(now);
+        }
+        if (leading(phrases.yesterday).test(text)) {
+            return new Date(now.getTime() - DAY);
+        }
+
+        const units = Object.entries(phrases.units);
+        const unitPattern = `(${units.map(([, word]) => word).join('|')})${phrases.suffix}`;
+        const numberPattern = `(\\d+|${phrases.one.join('|')})`;
+
+        for (const phrase of phrases.patterns) {
+            const source = phrase
+                .replace('NUMBER', numberPattern)
+                .replace('UNIT', unitPattern)
+                .replace(/ /g, '\\s+');
+            const match = text.match(new RegExp(`(?:^|[^a-z])${source}(?![a-z])`));
+            if (!match) {
+                continue;
+            }
+
+            const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+            const [unit] = units.find(([, word]) => new RegExp(`^(?:${word})$`).test(match[2]));
+            const date = new Date(now);
+            if (unit === 'month' || unit === 'year') {
+                date.setUTCMonth(date.getUTCMonth() - amount * (unit === 'year' ? 12 : 1));
+                return date;
+            }
+            const size = { second: SECOND, minute: MINUTE, hour: HOUR, day: DAY, week: 7 * DAY }[unit];
+            return new Date(now.getTime() - amount * size);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Date with a month name: "26 février 2025", "Feb 26, 2025", "März 2024"
+ * @param {string} text - Normalized text
+ * @param {string} language - Language code
+ * @returns {Date|null} - Date; the first of the month when no day is given
+ */
+function parseMonthName(text, language) {
+    const { pattern, months } = monthsFor(language);
+    const month = `(${pattern})(?![a-z])\\.?`;
+
+    // Day first: "26 February 2025", "26. Februar 2025", "1er mars 2024", "26 de febrero de 2025"
+    const dayMonthYear = text.match(new RegExp(`(?:^|[^\\d])(\\d{1,2})(?:er|st|nd|rd|th|o|º)?\\.?\\s*(?:de\\s+)?${month},?\\s*(?:de\\s+)?(\\d{4})`));
+    if (dayMonthYear) {
+        const date = makeDate(parseInt(dayMonthYear[3], 10), months.get(dayMonthYear[2]), parseInt(dayMonthYear[1], 10));
+        if (date) {
+            return date;
+        }
+    }
+
+    // Month first: "Feb 26, 2025", "February 26th 2025"
+    const monthDayYear = text.match(new RegExp(`(?:^|[^a-z])${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`));
+    if (monthDayYear) {
+        const date = makeDate(parseInt(monthDayYear[3], 10), months.get(monthDayYear[1]), parseInt(monthDayYear[2], 10));
+        if (date) {
+            return date;
+        }
+    }
+
+    // Month and year: "Updated March 2024", "février 2025", "marzo de 2024"
+    const monthYear = text.match(new RegExp(`(?:^|[^a-z])${month}\\s+(?:de\\s+)?(\\d{4})`));
+    if (monthYear) {
+        return makeDate(parseInt(monthYear[2], 10), months.get(monthYear[1]), 1);
+    }
+
+    return null;
+}
+
+/**
+ * Numeric date: 2024-03-04, 2024/03/04, 04.03.2024, 03/04/2024
+ * @param {string} text - Normalized text
+ * @param {boolean} dayFirst - Whether the locale writes the day before the month
+ * @returns {Date|null} - Date
+ */
+function parseNumeric(text, dayFirst) {
+    const yearFirst = text.match(/(?:^|[^\d])(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+    if (yearFirst) {
+        return makeDate(parseInt(yearFirst[1], 10), parseInt(yearFirst[2], 10) - 1, parseInt(yearFirst[3], 10));
+    }
+
+    const yearLast = text.match(/(?:^|[^\d])(\d{1,2})([-/.])(\d{1,2})\2(\d{4})(?!\d)/);
+    if (!yearLast) {
+        return null;
+    }
+
+    const first = parseInt(yearLast[1], 10);
+    const second = parseInt(yearLast[3], 10);
+    const year = parseInt(yearLast[4], 10);
+
+    // A part above 12 can only be the day; dotted dates are always day first
+    let dayIsFirst = dayFirst || yearLast[2] === '.';
+    if (first > 12) {
+        dayIsFirst = true;
+    } else if (second > 12) {
+        dayIsFirst = false;
+    }
+
+    return dayIsFirst ? makeDate(year, second - 1, first) : makeDate(year, first - 1, second);
+}
+
+/**
+ * Parse the first date in a text
+ * @param {string} text - Text that may contain a date
+ * @param {Object} [locale] - Locale from detectLocale; defaults to US English
+ * @param {Date} [now] - Current time, for relative phrases
+ * @returns {Date|null} - Date, or null when the text has none
+ */
+function parseDate(text, locale = DEFAULT_LOCALE, now = new Date()) {
+    const normalized = normalizeText(text).replace(/\s+/g, ' ').trim();
+    if (!normalized) {
+        return null;
+    }
+    const { language = DEFAULT_LOCALE.language, dayFirst = DEFAULT_LOCALE.dayFirst } = locale;
+
+    // ISO timestamps keep their time and zone
+    const iso = normalized.match(/\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})?/);
+    if (iso) {
+        const date = new Date(iso[0].toUpperCase());
+        if (!isNaN(date)) {
+            return date;
+        }
+    }
+
+    return parseRelative(normalized, language, now)
+        || parseMonthName(normalized, language)
+        || parseNumeric(normalized, dayFirst);
+}
+
+module.exports = {
+    parseDate,
+    detectLocale,
+    guessLanguage,
+    normalizeText,
+    DEFAULT_LOCALE,
+    SUPPORTED_LANGUAGES
+};
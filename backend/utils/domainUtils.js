@@ -0,0 +1,175 @@
+/**
+ * Domain Utilities
+ * Public suffix and registrable domain lookups against the Public Suffix List
+ * bundled in data/public_suffix_list.dat, so no network access is needed.
+ * The public suffix is the part of a hostname under which anyone can register
+ * names (com, co.uk, github.io); the registrable domain is the public suffix
+ * plus one label (example.co.uk), which is what the audits treat as a site.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { domainToUnicode } = require('url');
+
+const LIST_PATH = path.join(__dirname, '../data/public_suffix_list.dat');
+
+// Sections of the list: ICANN suffixes are real TLDs and second-level
+// registries, private suffixes are hosting platforms (blogspot.com, github.io)
+const SUFFIX_SECTION = {
+    ICANN: 'icann',
+    PRIVATE: 'private'
+};
+
+// Rule => section, loaded on first use
+let rules = null;
+
+/**
+ * Parse the Public Suffix List
+ * @param {string} text - Contents of public_suffix_list.dat
+ * @returns {Map<string, string>} - Rule (com, *.ck, !www.ck) => section
+ */
+function parseList(text) {
+    const parsed = new Map();
+    let section = SUFFIX_SECTION.ICANN;
+
+    text.split('\n').forEach(line => {
+        const rule = line.trim().split(/\s/)[0];
+        if (line.includes('===BEGIN PRIVATE DOMAINS===')) {
+            section = SUFFIX_SECTION.PRIVATE;
+        }
+        if (rule && !rule.startsWith('//')) {
+            parsed.set(rule.toLowerCase(), section);
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Get the parsed list, reading the bundled file on first use
+ * @returns {Map<string, string>} - Rules
+ */
+function getRules() {
+    if (!rules) {
+        rules = parseList(fs.readFileSync(LIST_PATH, 'utf8'));
+    }
+    return rules;
+}
+
+/**
+ * Normalize a hostname for lookups: lowercase, no trailing dot, no IPv6 brackets
+ * @param {string} hostname - Hostname
+ * @returns {string} - Normalized hostname
+ */
+function normalizeHostname(hostname) {
+    return String(hostname || '').trim().toLowerCase().replace(/\.$/, '').replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Parse a hostname into its public suffix and registrable domain. The parts
+ * are returned in the form of the input, so a punycode hostname gives
+ * punycode parts and a Unicode hostname gives Unicode parts
+ * @param {string} hostname - Hostname such as www.example.co.uk
+ * @param {Object} [options]
+ * @param {boolean} [options.icannOnly=false] - Ignore private suffixes such as github.io
+ * @returns {Object} - { hostname, publicSuffix, registrableDomain, subdomain, section, isIp };
+ *                     publicSuffix and registrableDomain are null for IP addresses, and
+ *                     registrableDomain is null when the hostname is itself a public suffix
+ */
+function parseDomain(hostname, { icannOnly = false } = {}) {
+    const host = normalizeHostname(hostname);
+
+    if (!host || net.isIP(host)) {
+        return { hostname: host, publicSuffix: null, registrableDomain: null, subdomain: null, section: null, isIp: Boolean(host) };
+    }
+
+    const labels = host.split('.');
+    // The list holds IDN rules in Unicode
+    const lookupLabels = labels.map(label => label.startsWith('xn--') ? (domainToUnicode(label) || label) : label);
+    const list = getRules();
+    const sectionOf = rule => {
+        const section = list.get(rule);
+        return section && !(icannOnly && section === SUFFIX_SECTION.PRIVATE) ? section : null;
+    };
+
+    // Default rule "*": the last label is the public suffix
+    let suffixLength = 1;
+    let section = null;
+
+    // The first match from the left is the rule with the most labels
+    for (let start = 0; start < lookupLabels.length; start++) {
+        const candidate = lookupLabels.slice(start).join('.');
+        const exception = sectionOf(`!${candidate}`);
+        if (exception) {
+            suffixLength = lookupLabels.length - start - 1;
+            section = exception;
+            break;
+        }
+        const exact = sectionOf(candidate);
+        const wildcard = start + 1 < lookupLabels.length ? sectionOf(['*', ...lookupLabels.slice(start + 1)].join('.')) : null;
+        if (exact || wildcard) {
+            suffixLength = lookupLabels.length - start;
+            section = exact || wildcard;
+            break;
+        }
+    }
+
+    const publicSuffix = labels.slice(-suffixLength).join('.');
+    const registrableDomain = labels.length > suffixLength ? labels.slice(-suffixLength - 1).join('.') : null;
+    const subdomain = labels.length > suffixLength + 1 ? labels.slice(0, -suffixLength - 1).join('.') : '';
+
+    return { hostname: host, publicSuffix, registrableDomain, subdomain, section, isIp: false };
+}
+
+/**
+ * Effective TLD of a hostname: co.uk for www.example.co.uk
+ * @param {string} hostname - Hostname
+ * @param {Object} [options] - See parseDomain
+ * @returns {string|null} - Public suffix, or null for IP addresses
+ */
+function getPublicSuffix(hostname, options) {
+    return parseDomain(hostname, options).publicSuffix;
+}
+
+/**
+ * Registrable domain of a hostname: example.co.uk for www.example.co.uk
+ * @param {string} hostname - Hostname
+ * @param {Object} [options] - See parseDomain
+ * @returns {string|null} - Registrable domain, or null for IP addresses and public suffixes
+ */
+function getRegistrableDomain(hostname, options) {
+    return parseDomain(hostname, options).registrableDomain;
+}
+
+/**
+ * Site a hostname belongs to, for grouping audits and comparing URLs: the
+ * registrable domain, or the hostname itself for IP addresses, localhost and
+ * bare public suffixes
+ * @param {string} hostname - Hostname
+ * @returns {string} - Site key
+ */
+function getSiteDomain(hostname) {
+    const { hostname: host, registrableDomain } = parseDomain(hostname);
+    return registrableDomain || host;
+}
+
+/**
+ * Whether two hostnames belong to the same registrable domain
+ * @param {string} first - Hostname
+ * @param {string} second - Hostname
+ * @returns {boolean} - True for the same site
+ */
+function isSameSite(first, second) {
+    return getSiteDomain(first) === getSiteDomain(second);
+}
+
+module.exports = {
+    parseDomain,
+    getPublicSuffix,
+    getRegistrableDomain,
+    getSiteDomain,
+    isSameSite,
+    normalizeHostname,
+    SUFFIX_SECTION
+};
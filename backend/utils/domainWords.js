@@ -0,0 +1,36 @@
+/**
+ * Common words in domain names and URL paths
+ * Used to split concatenated labels (bestdealsonline) into words. They are
+ * not allowed or banned by themselves; the more words the tokenizer knows,
+ * the less often a banned word is read out of the middle of another word.
+ */
+const domainWords = [
+    // Function words
+    'a', 'about', 'all', 'an', 'and', 'any', 'at', 'by', 'for', 'from', 'get', 'go',
+    'in', 'is', 'it', 'me', 'my', 'new', 'no', 'now', 'of', 'on', 'one', 'or', 'our',
+    'out', 'the', 'this', 'to', 'up', 'us', 'we', 'with', 'you', 'your',
+
+    // Site and publishing
+    'app', 'apps', 'archive', 'article', 'articles', 'blog', 'blogs', 'board', 'book',
+    'books', 'cast', 'central', 'channel', 'chat', 'city', 'club', 'daily', 'data',
+    'digital', 'direct', 'forum', 'guide', 'guides', 'herald', 'home', 'hub', 'info',
+    'journal', 'lab', 'labs', 'life', 'live', 'local', 'mag', 'magazine', 'mail',
+    'media', 'net', 'network', 'news', 'online', 'page', 'pages', 'post', 'press',
+    'radio', 'review', 'reviews', 'site', 'space', 'star', 'story', 'stories', 'studio',
+    'times', 'today', 'tube', 'tv', 'view', 'web', 'weekly', 'wiki', 'world', 'zone',
+
+    // Commerce
+    'best', 'bonus', 'buy', 'cheap', 'deal', 'deals', 'discount', 'free', 'gift',
+    'market', 'mart', 'offer', 'offers', 'pay', 'price', 'prices', 'sale', 'sales',
+    'shop', 'shopping', 'store', 'top', 'trade', 'win',
+
+    // Common topics
+    'art', 'auto', 'baby', 'beauty', 'body', 'business', 'car', 'cars', 'cook',
+    'design', 'doctor', 'family', 'fashion', 'film', 'finance', 'fitness', 'food',
+    'fun', 'game', 'games', 'garden', 'girl', 'girls', 'golf', 'health', 'hot', 'house',
+    'kids', 'love', 'man', 'men', 'money', 'movie', 'movies', 'music', 'party', 'pet',
+    'photo', 'photos', 'pic', 'pics', 'play', 'school', 'sport', 'sports', 'style',
+    'tech', 'travel', 'video', 'videos', 'war', 'watch', 'woman', 'women', 'work'
+];
+
+module.exports = domainWords;
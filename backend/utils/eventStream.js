@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events helper
+ * Opens an SSE response and writes named events with JSON payloads.
+ */
+
+// Comment lines sent periodically so proxies keep idle streams open (default: 15 seconds)
+const HEARTBEAT_INTERVAL = process.env.SSE_HEARTBEAT_INTERVAL ?
+    parseInt(process.env.SSE_HEARTBEAT_INTERVAL) : 15000;
+
+/**
+ * Start an event stream on an Express response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), onClose(handler), close() }
+ */
+function openEventStream(req, res) {
+    const closeHandlers = [];
+    let closed = false;
+    let eventId = 0;
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Disable response buffering in nginx-style proxies
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        closeHandlers.forEach(handler => handler());
+    };
+
+    req.on('close', cleanup);
+
+    return {
+        /**
+         * Write a named event
+         * @param {string} event - Event name
+         * @param {Object} data - JSON payload
+         */
+        send(event, data) {
+            if (closed) return;
+            eventId++;
+            res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+
+        /**
+         * Register a handler run when the stream closes, from either side
+         * @param {Function} handler - Cleanup handler
+         */
+        onClose(handler) {
+            closeHandlers.push(handler);
+        },
+
+        /**
+         * End the stream from the server side
+         */
+        close() {
+            cleanup();
+            res.end();
+        }
+    };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,72 @@
+/**
+ * Hate Speech Phrases
+ * Phrases the hate speech quick scan looks for before the text is sent to a
+ * moderation provider, by language and moderation category. The scan matches
+ * whole words after undoing leetspeak, accents and spacing tricks (see
+ * HateSpeechChecker.quickScan), so phrases are listed in plain lowercase.
+ * Languages are those utils/dateExtraction.js can detect.
+ *
+ * Verbs like "exterminate" or "kill all" are everyday words for pests, weeds
+ * and processes, so phrases name their target: {group} stands for one of the
+ * language's groups of people, optionally after one of its articles ("death
+ * to the traitors"). Only words that are hateful on their own, like
+ * "untermenschen", are listed without a target.
+ */
+const hateSpeechPhrases = {
+    en: {
+        articles: ['the', 'all the'],
+        groups: ['jews', 'muslims', 'christians', 'arabs', 'blacks', 'whites', 'immigrants', 'migrants', 'refugees',
+            'foreigners', 'gays', 'homosexuals', 'gypsies', 'mexicans', 'women', 'traitors'],
+        phrases: {
+            violence: ['kill all {group}', 'death to {group}', '{group} should die', '{group} deserve to die', 'eliminate all {group}', 'gas {group}'],
+            hate: ['hate all {group}', '{group} are subhuman'],
+            extremism: ['sieg heil', 'heil hitler', 'white power', 'hitler was right']
+        }
+    },
+
+    de: {
+        articles: ['die', 'den', 'alle'],
+        groups: ['juden', 'muslime', 'christen', 'araber', 'schwarzen', 'ausländer', 'migranten', 'flüchtlinge',
+            'türken', 'zigeuner', 'schwulen', 'homosexuellen', 'frauen', 'verräter'],
+        phrases: {
+            violence: ['tod den {group}', 'tötet alle {group}', 'alle {group} umbringen', '{group} sollen sterben', '{group} sollten sterben', '{group} ausrotten'],
+            hate: ['hasse alle {group}', 'ausländer raus', 'untermenschen'],
+            extremism: ['sieg heil', 'heil hitler', 'white power', 'hitler hatte recht']
+        }
+    },
+
+    fr: {
+        articles: ['les', 'des'],
+        groups: ['juifs', 'musulmans', 'chrétiens', 'arabes', 'noirs', 'immigrés', 'migrants', 'réfugiés', 'étrangers',
+            'homosexuels', 'roms', 'femmes', 'traîtres'],
+        phrases: {
+            violence: ['mort aux {group}', 'tuez tous {group}', 'tuer tous {group}', '{group} doivent mourir', '{group} méritent de mourir', 'exterminer {group}'],
+            hate: ['je hais tous {group}', 'sous-hommes'],
+            extremism: ['sieg heil', 'heil hitler', 'white power', 'hitler avait raison']
+        }
+    },
+
+    es: {
+        articles: ['los', 'las'],
+        groups: ['judíos', 'musulmanes', 'cristianos', 'árabes', 'negros', 'inmigrantes', 'migrantes', 'refugiados',
+            'extranjeros', 'homosexuales', 'gitanos', 'mujeres', 'traidores'],
+        phrases: {
+            violence: ['muerte a {group}', 'matar a todos {group}', 'maten a todos {group}', '{group} deben morir', '{group} merecen morir', 'exterminar a {group}'],
+            hate: ['odio a todos {group}', 'infrahumanos'],
+            extremism: ['sieg heil', 'heil hitler', 'white power', 'hitler tenía razón']
+        }
+    },
+
+    pt: {
+        articles: ['os', 'as'],
+        groups: ['judeus', 'muçulmanos', 'cristãos', 'árabes', 'negros', 'imigrantes', 'migrantes', 'refugiados',
+            'estrangeiros', 'homossexuais', 'ciganos', 'mulheres', 'traidores'],
+        phrases: {
+            violence: ['morte aos {group}', 'matar todos {group}', 'matem todos {group}', '{group} devem morrer', '{group} merecem morrer', 'exterminar {group}'],
+            hate: ['odeio todos {group}', 'sub-humanos'],
+            extremism: ['sieg heil', 'heil hitler', 'white power', 'hitler tinha razão']
+        }
+    }
+};
+
+module.exports = hateSpeechPhrases;
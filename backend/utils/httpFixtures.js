@@ -0,0 +1,451 @@
+/**
+ * HTTP Fixtures
+ * Records the outbound HTTP traffic of audits and replays it offline, so
+ * analyzeURL can be regression-tested against saved sites without network access.
+ *
+ * - record: requests go to the network and every response is saved to the fixture directory
+ * - replay: responses are served from the fixture directory; nothing reaches the network
+ *
+ * axios requests are captured through the default adapter, browser pool pages
+ * through request interception, and SDK calls (e.g. Cloud Natural Language)
+ * through recordCall(). Every exchange is one JSON file named after a hash of
+ * its request, so fixture sets can be committed and diffed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logMessage } = require('./logger');
+
+const FIXTURE_MODE = {
+    OFF: 'off',
+    RECORD: 'record',
+    REPLAY: 'replay'
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../tests/fixtures/http');
+
+// Query parameters holding credentials; replaced before fixtures are keyed and written
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+
+// Response headers that no longer match a replayed body
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+class HttpFixtures {
+    constructor() {
+        this.mode = FIXTURE_MODE.OFF;
+        this.dir = DEFAULT_FIXTURE_DIR;
+        this.networkAdapter = null;
+        this.pendingWrites = new Set();
+
+        this.configure({
+            mode: process.env.HTTP_FIXTURE_MODE,
+            dir: process.env.HTTP_FIXTURE_DIR
+        });
+    }
+
+    /**
+     * Switch the fixture mode
+     * @param {Object} [settings] - Fixture settings
+     * @param {string} [settings.mode] - 'record', 'replay' or 'off' (default: 'off')
+     * @param {string} [settings.dir] - Directory fixtures are read from and written to
+     */
+    configure({ mode, dir } = {}) {
+        const normalized = (mode || FIXTURE_MODE.OFF).toLowerCase();
+        if (!Object.values(FIXTURE_MODE).includes(normalized)) {
+            throw new Error(`Unknown HTTP fixture mode "${mode}"`);
+        }
+
+        this.mode = normalized;
+        this.dir = dir ? path.resolve(dir) : DEFAULT_FIXTURE_DIR;
+
+        if (this.mode !== FIXTURE_MODE.OFF) {
+            this.installAxiosAdapter();
+            logMessage(`[HttpFixtures] ${this.mode === FIXTURE_MODE.RECORD ? 'Recording to' : 'Replaying from'} ${this.dir}`);
+        }
+    }
+
+    /**
+     * Whether requests are being recorded or replayed
+     * @returns {boolean} - True unless fixtures are off
+     */
+    isActive() {
+        return this.mode !== FIXTURE_MODE.OFF;
+    }
+
+    /**
+     * Route requests made through the default axios instance through the fixtures
+     */
+    installAxiosAdapter() {
+        if (this.networkAdapter) return;
+
+        this.networkAdapter = axios.getAdapter(axios.defaults.adapter);
+        axios.defaults.adapter = config => this.handleAxiosRequest(config);
+    }
+
+    /**
+     * Serve an axios request from the network or the fixture directory
+     * @param {Object} config - axios request config
+     * @returns {Promise<Object>} - axios response
+     */
+    async handleAxiosRequest(config) {
+        if (this.mode === FIXTURE_MODE.OFF) {
+            return this.networkAdapter(config);
+        }
+
+        const request = {
+            source: 'axios',
+            method: (config.method || 'get').toUpperCase(),
+            url: this.redactUrl(axios.getUri(config)),
+            body: typeof config.data === 'string' ? config.data : (config.data ? JSON.stringify(config.data) : null),
+            followRedirects: config.maxRedirects !== 0
+        };
+
+        if (this.mode === FIXTURE_MODE.REPLAY) {
+            const fixture = this.readFixture(request);
+            if (!fixture) {
+                throw new axios.AxiosError(`No HTTP fixture for ${request.method} ${request.url}`, 'FIXTURE_NOT_FOUND', config);
+            }
+            return this.toAxiosResponse(fixture, config);
+        }
+
+        try {
+            const response = await this.networkAdapter(config);
+            this.writeFixture(request, this.fromAxiosResponse(response));
+            return response;
+        } catch (error) {
+            this.writeFixture(request, error.response
+                ? this.fromAxiosResponse(error.response)
+                : { error: { message: error.message, code: error.code || null } });
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an axios response to a stored fixture response
+     * @param {Object} response - axios response
+     * @returns {Object} - Fixture response
+     */
+    fromAxiosResponse(response) {
+        const res = response.request && response.request.res;
+        return {
+            status: response.status,
+            statusText: response.statusText || '',
+            headers: this.plainHeaders(response.headers),
+            finalUrl: res && res.responseUrl ? this.redactUrl(res.responseUrl) : null,
+            ...this.encodeBody(response.data)
+        };
+    }
+
+    /**
+     * Build an axios response from a fixture, rejecting like axios does for failed requests
+     * @param {Object} fixture - Stored fixture
+     * @param {Object} config - axios request config
+     * @returns {Object} - axios response
+     */
+    toAxiosResponse(fixture, config) {
+        const stored = fixture.response;
+        if (stored.error) {
+            throw new axios.AxiosError(stored.error.message, stored.error.code, config);
+        }
+
+        const body = this.decodeBody(stored);
+        const response = {
+            data: config.responseType === 'arraybuffer' ? body : body.toString('utf8'),
+            status: stored.status,
+            statusText: stored.statusText,
+            headers: new axios.AxiosHeaders(this.replayHeaders(stored.headers)),
+            config,
+            request: { res: { responseUrl: stored.finalUrl || fixture.request.url } }
+        };
+
+        const validateStatus = config.validateStatus;
+        if (!validateStatus || validateStatus(response.status)) {
+            return response;
+        }
+
+        throw new axios.AxiosError(
+            `Request failed with status code ${response.status}`,
+            response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+        );
+    }
+
+    /**
+     * Record or replay the network traffic of a browser pool page.
+     * Must be called before the page navigates.
+     * @param {Object} page - Puppeteer page
+     */
+    async attachToPage(page) {
+        if (this.mode === FIXTURE_MODE.RECORD) {
+            page.on('response', response => {
+                this.track(this.recordPageResponse(response));
+            });
+        } else if (this.mode === FIXTURE_MODE.REPLAY) {
+            await page.setRequestInterception(true);
+            page.on('request', request => this.replayPageRequest(request));
+        }
+    }
+
+    /**
+     * Save a response received by a browser page
+     * @param {Object} response - Puppeteer HTTP response
+     */
+    async recordPageResponse(response) {
+        const url = response.url();
+        if (url.startsWith('data:')) return;
+
+        const request = this.pageRequest(response.request());
+        const status = response.status();
+
+        // Redirect responses have no body
+        let body = Buffer.alloc(0);
+        if (status < 300 || status >= 400) {
+            try {
+                body = await response.buffer();
+            } catch (error) {
+                logMessage(`[HttpFixtures] No body recorded for ${url}: ${error.message}`, 'warn');
+            }
+        }
+
+        this.writeFixture(request, {
+            status,
+            statusText: response.statusText(),
+            headers: this.plainHeaders(response.headers()),
+            finalUrl: null,
+            ...this.encodeBody(body)
+        });
+    }
+
+    /**
+     * Answer an intercepted browser request from the fixture directory
+     * @param {Object} interceptedRequest - Puppeteer HTTP request
+     */
+    replayPageRequest(interceptedRequest) {
+        if (interceptedRequest.url().startsWith('data:')) {
+            interceptedRequest.continue();
+            return;
+        }
+
+        const request = this.pageRequest(interceptedRequest);
+        const fixture = this.readFixture(request);
+
+        if (!fixture || fixture.response.error) {
+            interceptedRequest.abort(fixture ? 'failed' : 'internetdisconnected');
+            return;
+        }
+
+        interceptedRequest.respond({
+            status: fixture.response.status,
+            headers: this.replayHeaders(fixture.response.headers),
+            body: this.decodeBody(fixture.response)
+        });
+    }
+
+    /**
+     * Describe a browser request the same way axios requests are described
+     * @param {Object} interceptedRequest - Puppeteer HTTP request
+     * @returns {Object} - Fixture request
+     */
+    pageRequest(interceptedRequest) {
+        return {
+            source: 'browser',
+            method: interceptedRequest.method().toUpperCase(),
+            url: this.redactUrl(interceptedRequest.url()),
+            body: interceptedRequest.postData() || null,
+            followRedirects: false
+        };
+    }
+
+    /**
+     * Record or replay a call to an API client that does not use axios
+     * @param {string} name - Name of the call, e.g. 'language.classifyText'
+     * @param {Object} params - Call parameters; identify the fixture
+     * @param {Function} call - async () => result, the real call
+     * @returns {Promise<*>} - The call result
+     */
+    async recordCall(name, params, call) {
+        if (this.mode === FIXTURE_MODE.OFF) {
+            return call();
+        }
+
+        const request = {
+            source: 'call',
+            method: 'CALL',
+            url: name,
+            body: JSON.stringify(params),
+            followRedirects: false
+        };
+
+        if (this.mode === FIXTURE_MODE.REPLAY) {
+            const fixture = this.readFixture(request);
+            if (!fixture) {
+                const error = new Error(`No fixture for call ${name}`);
+                error.code = 'FIXTURE_NOT_FOUND';
+                throw error;
+            }
+            if (fixture.response.error) {
+                const error = new Error(fixture.response.error.message);
+                error.code = fixture.response.error.code;
+                throw error;
+            }
+            return fixture.response.result;
+        }
+
+        try {
+            const result = await call();
+            this.writeFixture(request, { result });
+            return result;
+        } catch (error) {
+            this.writeFixture(request, { error: { message: error.message, code: error.code || null } });
+            throw error;
+        }
+    }
+
+    /**
+     * Wait for fixture files that are still being written
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.all([...this.pendingWrites]);
+    }
+
+    /**
+     * Keep track of an asynchronous recording so flush() can wait for it
+     * @param {Promise} promise - Recording in progress
+     */
+    track(promise) {
+        const tracked = promise
+            .catch(error => {
+                logMessage(`[HttpFixtures] Error recording response: ${error.message}`, 'warn');
+            })
+            .finally(() => this.pendingWrites.delete(tracked));
+        this.pendingWrites.add(tracked);
+    }
+
+    /**
+     * Path of the fixture file for a request
+     * @param {Object} request - Fixture request
+     * @returns {string} - File path
+     */
+    fixturePath(request) {
+        const key = [
+            request.method,
+            request.url,
+            request.followRedirects ? '' : 'no-redirects',
+            request.body || ''
+        ].join('\n');
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+
+        return path.join(this.dir, `${hash}.json`);
+    }
+
+    /**
+     * Load the fixture for a request
+     * @param {Object} request - Fixture request
+     * @returns {Object|null} - The stored fixture, or null if there is none
+     */
+    readFixture(request) {
+        const file = this.fixturePath(request);
+        if (!fs.existsSync(file)) {
+            logMessage(`[HttpFixtures] No fixture for ${request.method} ${request.url}`, 'warn');
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Save a request and its response; a later recording of the same request replaces it
+     * @param {Object} request - Fixture request
+     * @param {Object} response - Fixture response
+     */
+    writeFixture(request, response) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.fixturePath(request), JSON.stringify({
+            request,
+            response,
+            recordedAt: new Date().toISOString()
+        }, null, 2));
+    }
+
+    /**
+     * Replace credentials in a URL's query string
+     * @param {string} url - Request URL
+     * @returns {string} - URL safe to store
+     */
+    redactUrl(url) {
+        try {
+            const parsed = new URL(url);
+            SECRET_PARAMS.forEach(param => {
+                if (parsed.searchParams.has(param)) {
+                    parsed.searchParams.set(param, 'REDACTED');
+                }
+            });
+            return parsed.href;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * Store a response body as text when possible and as base64 otherwise
+     * @param {*} data - Response body
+     * @returns {Object} - { encoding, body }
+     */
+    encodeBody(data) {
+        if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+            const buffer = Buffer.from(data);
+            const text = buffer.toString('utf8');
+            return Buffer.from(text, 'utf8').equals(buffer)
+                ? { encoding: 'utf8', body: text }
+                : { encoding: 'base64', body: buffer.toString('base64') };
+        }
+
+        if (data === undefined || data === null) {
+            return { encoding: 'utf8', body: '' };
+        }
+
+        return { encoding: 'utf8', body: typeof data === 'string' ? data : JSON.stringify(data) };
+    }
+
+    /**
+     * Restore a stored response body
+     * @param {Object} stored - Fixture response
+     * @returns {Buffer} - Response body
+     */
+    decodeBody(stored) {
+        return Buffer.from(stored.body || '', stored.encoding === 'base64' ? 'base64' : 'utf8');
+    }
+
+    /**
+     * Convert response headers to a plain object
+     * @param {Object} headers - axios or Puppeteer headers
+     * @returns {Object} - Header names mapped to values
+     */
+    plainHeaders(headers) {
+        if (!headers) return {};
+        return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    }
+
+    /**
+     * Headers for a replayed response
+     * @param {Object} headers - Stored headers
+     * @returns {Object} - Headers without encoding and length
+     */
+    replayHeaders(headers = {}) {
+        const replayed = {};
+        Object.entries(headers).forEach(([name, value]) => {
+            if (!DROPPED_HEADERS.includes(name.toLowerCase())) {
+                replayed[name] = value;
+            }
+        });
+        return replayed;
+    }
+}
+
+module.exports = new HttpFixtures();
+module.exports.HttpFixtures = HttpFixtures;
+module.exports.FIXTURE_MODE = FIXTURE_MODE;
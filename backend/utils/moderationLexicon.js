@@ -0,0 +1,107 @@
+/**
+ * Moderation Lexicon
+ * Weighted terms and pattern rules of the local moderation provider
+ * (controllers/moderationProviders.js). A weight is how strongly one match
+ * alone places the text in its category, from 0 to 1. Different rules that
+ * match the same text add up, a rule matching twice does not.
+ */
+
+// Groups of people the hate patterns need as their target, so "kill all the
+// weeds" is no hate speech
+const GROUPS = '(?:jews|muslims|christians|arabs|blacks|whites|immigrants|migrants|refugees|foreigners|gays|homosexuals|gypsies|mexicans|women)';
+
+const terms = {
+    hate: [
+        ['subhuman', 0.8],
+        ['untermensch', 0.9],
+        ['inferior race', 0.9],
+        ['racial purity', 0.7],
+        ['ethnic cleansing', 0.5],
+        ['go back to your country', 0.6],
+        ['vermin', 0.4],
+        ['parasites', 0.3]
+    ],
+
+    harassment: [
+        ['kill yourself', 0.9],
+        ['nobody would miss you', 0.7],
+        ['worthless idiot', 0.6],
+        ['you disgust me', 0.4],
+        ['pathetic loser', 0.5],
+        ['shut up', 0.1]
+    ],
+
+    sexual: [
+        ['porn', 0.6],
+        ['xxx', 0.6],
+        ['explicit sex', 0.7],
+        ['nude', 0.4],
+        ['camgirl', 0.6],
+        ['escort service', 0.5]
+    ],
+
+    violence: [
+        ['behead', 0.7],
+        ['lynch', 0.7],
+        ['massacre', 0.3],
+        ['slaughter', 0.3],
+        ['torture', 0.3],
+        ['mass shooting', 0.3]
+    ],
+
+    selfHarm: [
+        ['kill myself', 0.8],
+        ['end my life', 0.7],
+        ['cut myself', 0.7],
+        ['suicide methods', 0.9],
+        ['thinspiration', 0.6],
+        ['pro-ana', 0.7]
+    ],
+
+    extremism: [
+        ['white power', 0.8],
+        ['race war', 0.8],
+        ['great replacement', 0.6],
+        ['join the jihad', 0.9],
+        ['heil hitler', 0.8],
+        ['caliphate', 0.2]
+    ]
+};
+
+const patterns = [
+    {
+        category: 'hate',
+        weight: 0.9,
+        pattern: new RegExp(`\\b(?:kill|exterminate|eliminate|gas|deport) (?:all|every) (?:the |of the )?${GROUPS}\\b`)
+    },
+    {
+        category: 'hate',
+        weight: 0.6,
+        pattern: /\b(?:all|those|these) \w+ are (?:animals|vermin|parasites|rats|cockroaches|subhuman|a disease)\b/
+    },
+    {
+        category: 'violence',
+        weight: 0.8,
+        pattern: /\b(?:should|must|deserve to|ought to) (?:all )?(?:die|be (?:shot|hanged|killed|burned|beaten))\b/
+    },
+    {
+        category: 'harassment',
+        weight: 0.7,
+        pattern: /\byou(?:'re| are) (?:a |an )?(?:worthless|stupid|pathetic|disgusting|ugly) (?:\w+ )?(?:idiot|moron|loser|pig|piece of \w+)\b/
+    },
+    {
+        category: 'selfHarm',
+        weight: 0.8,
+        pattern: /\b(?:how|ways|best way) to (?:kill|hurt|starve) (?:myself|yourself)\b/
+    },
+    {
+        category: 'extremism',
+        weight: 0.7,
+        pattern: /\b(?:join|support|fund) (?:the )?(?:armed |holy )?(?:struggle|jihad|uprising|war) against\b/
+    }
+];
+
+module.exports = {
+    terms,
+    patterns
+};
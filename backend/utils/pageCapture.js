@@ -0,0 +1,230 @@
+/**
+ * Page Capture
+ * Captures a page once at the start of an audit. The snapshot holds the final
+ * HTML, readable text, image list, network request log, response headers and
+ * a screenshot; checks analyze the snapshot instead of fetching the page
+ * themselves, and it is stored with the audit for later review.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { logMessage } = require('./logger');
+const browserPool = require('./browserPool');
+const db = require('../db/database');
+
+// Check if JSDOM and Readability are available, if not provide instructions
+let JSDOM, Readability;
+try {
+    JSDOM = require('jsdom').JSDOM;
+} catch (error) {
+    console.error('JSDOM module not found. Please install it using: npm install jsdom');
+}
+
+try {
+    Readability = require('@mozilla/readability').Readability;
+} catch (error) {
+    console.error('@mozilla/readability module not found. Please install it using: npm install @mozilla/readability');
+}
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// How the snapshot was taken
+const CAPTURE_METHOD = {
+    BROWSER: 'browser',
+    STATIC: 'static'
+};
+
+class PageCapture {
+    constructor() {
+        // Timeout for the static fallback fetch (default: 15 seconds)
+        this.fetchTimeout = process.env.PAGE_CAPTURE_FETCH_TIMEOUT ?
+            parseInt(process.env.PAGE_CAPTURE_FETCH_TIMEOUT) : 15000;
+    }
+
+    /**
+     * Capture a page, rendering it in the browser pool when Chrome is available
+     * and fetching the raw HTML otherwise
+     * @param {string} url - The URL to capture
+     * @returns {Promise<Object>} - Snapshot { url, finalUrl, method, status, headers, html, text, images, requests, extracted, screenshot, capturedAt }
+     */
+    async capture(url) {
+        logMessage(`[PageCapture] Capturing ${url}`);
+
+        const snapshot = browserPool.isChromeAvailable()
+            ? await this.captureRendered(url)
+            : await this.captureStatic(url);
+
+        logMessage(`[PageCapture] Captured ${url} (${snapshot.method}): ${snapshot.html.length} characters of HTML, ${snapshot.images.length} images, ${snapshot.requests.length} requests`);
+        return snapshot;
+    }
+
+    /**
+     * Build a snapshot from the shared browser render
+     * @param {string} url - The URL to capture
+     * @returns {Promise<Object>} - Snapshot
+     */
+    async captureRendered(url) {
+        const rendered = await browserPool.renderPage(url, { screenshot: true });
+
+        return {
+            url,
+            finalUrl: rendered.finalUrl,
+            method: CAPTURE_METHOD.BROWSER,
+            status: rendered.status,
+            headers: rendered.headers,
+            html: rendered.html,
+            text: rendered.text,
+            images: this.listImages(rendered.html, rendered.finalUrl),
+            requests: rendered.requests,
+            extracted: rendered.extracted,
+            screenshot: rendered.screenshot,
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Build a snapshot from the server HTML when no browser is available.
+     * Scripts are not run, so there is no request log or screenshot.
+     * @param {string} url - The URL to capture
+     * @returns {Promise<Object>} - Snapshot
+     */
+    async captureStatic(url) {
+        logMessage(`[PageCapture] Chrome not available, fetching ${url} without rendering`, 'warn');
+
+        const response = await axios.get(url, {
+            headers: { 'User-Agent': USER_AGENT },
+            timeout: this.fetchTimeout,
+            responseType: 'text'
+        });
+
+        const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+        const html = typeof response.data === 'string' ? response.data : String(response.data || '');
+
+        return {
+            url,
+            finalUrl,
+            method: CAPTURE_METHOD.STATIC,
+            status: response.status,
+            headers: { ...response.headers },
+            html,
+            text: this.extractText(html, finalUrl),
+            images: this.listImages(html, finalUrl),
+            requests: [],
+            extracted: {},
+            screenshot: null,
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * List the images of a page with absolute URLs
+     * @param {string} html - Page HTML
+     * @param {string} baseUrl - URL relative image sources are resolved against
+     * @returns {Array} - Image objects { src, alt, width, height }
+     */
+    listImages(html, baseUrl) {
+        const $ = cheerio.load(html || '');
+        const images = [];
+        const seen = new Set();
+
+        $('img').each((i, element) => {
+            const src = ($(element).attr('src') || '').trim();
+            if (!src || src.startsWith('data:')) return;
+
+            let absoluteSrc;
+            try {
+                absoluteSrc = new URL(src, baseUrl).href;
+            } catch (error) {
+                return;
+            }
+
+            if (seen.has(absoluteSrc)) return;
+            seen.add(absoluteSrc);
+
+            images.push({
+                src: absoluteSrc,
+                alt: $(element).attr('alt') || '',
+                width: $(element).attr('width') || 'unknown',
+                height: $(element).attr('height') || 'unknown'
+            });
+        });
+
+        return images;
+    }
+
+    /**
+     * Extract the readable text of server HTML
+     * @param {string} html - Page HTML
+     * @param {string} url - Page URL
+     * @returns {string} - Page text
+     */
+    extractText(html, url) {
+        if (JSDOM && Readability) {
+            try {
+                const dom = new JSDOM(html, { url });
+                const article = new Readability(dom.window.document).parse();
+                if (article && article.textContent && article.textContent.length >= 100) {
+                    return article.textContent;
+                }
+            } catch (error) {
+                logMessage(`[PageCapture] Readability failed for ${url}: ${error.message}`, 'warn');
+            }
+        }
+
+        const $ = cheerio.load(html || '');
+        $('script, style, noscript').remove();
+        return $('body').text() || '';
+    }
+
+    /**
+     * Short description of a snapshot for the audit result
+     * @param {Object} snapshot - The snapshot
+     * @returns {Object} - Snapshot metadata without the page contents
+     */
+    summarize(snapshot) {
+        return {
+            finalUrl: snapshot.finalUrl,
+            method: snapshot.method,
+            status: snapshot.status,
+            capturedAt: snapshot.capturedAt,
+            htmlLength: snapshot.html.length,
+            textLength: snapshot.text.length,
+            imageCount: snapshot.images.length,
+            requestCount: snapshot.requests.length,
+            hasScreenshot: Boolean(snapshot.screenshot)
+        };
+    }
+
+    /**
+     * Store a snapshot next to the audit it belongs to
+     * @param {Object} snapshot - The snapshot
+     * @param {string} timestamp - Timestamp of the audit result
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(snapshot, timestamp) {
+        await db.query(`
+            INSERT INTO audit_snapshots (url, timestamp, final_url, method, status_code, headers, html, text, images, requests, extracted, screenshot, captured_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `, [
+            snapshot.url,
+            timestamp,
+            snapshot.finalUrl,
+            snapshot.method,
+            snapshot.status,
+            JSON.stringify(snapshot.headers || {}),
+            snapshot.html,
+            snapshot.text,
+            JSON.stringify(snapshot.images),
+            JSON.stringify(snapshot.requests),
+            JSON.stringify(snapshot.extracted || {}),
+            snapshot.screenshot,
+            snapshot.capturedAt
+        ]);
+
+        logMessage(`[PageCapture] Stored snapshot of ${snapshot.url}`);
+    }
+}
+
+module.exports = new PageCapture();
+module.exports.PageCapture = PageCapture;
+module.exports.CAPTURE_METHOD = CAPTURE_METHOD;
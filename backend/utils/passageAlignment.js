@@ -0,0 +1,335 @@
+/**
+ * Passage Alignment
+ * Finds the passages an article shares with another text and lines them up
+ * word by word. Words are compared in a canonical form: lowercase, without
+ * accents, lightly stemmed, and with the synonyms of utils/synonyms.js folded
+ * into one word, so text that was spun by swapping synonyms still matches.
+ *
+ * Both texts are cut into shingles of SHINGLE_WORDS canonical words and
+ * winnowed: of every WINDOW consecutive shingle hashes only the smallest is
+ * kept as a fingerprint. Every run of shared words at least
+ * SHINGLE_WORDS + WINDOW - 1 long shares a fingerprint, so the fingerprints
+ * seed all passages worth reporting at a fraction of the cost of comparing
+ * every shingle. Each seed is extended in both directions, stepping over
+ * small insertions, deletions and replaced words.
+ *
+ * Shingles repeated more than MAX_OCCURRENCES times in a text are
+ * boilerplate, like menus and "add to cart" lines: they seed nothing, and
+ * their words count neither towards a passage's length nor the coverage.
+ * Alignment runs on the event loop, so it is bounded: texts are cut at
+ * MAX_WORDS and no new passage is seeded after MAX_ALIGNMENT_MS.
+ */
+
+const synonyms = require('./synonyms');
+const { hashString } = require('./textSignatures');
+
+// Words per shingle and shingles per winnowing window
+const SHINGLE_WORDS = 5;
+const WINDOW = 4;
+
+// Words a passage needs to be reported
+const MIN_PASSAGE_WORDS = 8;
+
+// Words an alignment may skip on either side to get back in step, and the
+// share of a passage's matched words it may skip in all, so shared lines
+// between differing words do not chain into one passage
+const MAX_GAP = 2;
+const MAX_GAP_SHARE = 0.15;
+
+// Words of each text aligned at most
+const MAX_WORDS = 10000;
+
+// Times a shingle may occur in a text before it counts as boilerplate
+const MAX_OCCURRENCES = 4;
+
+// Time after which no new passages are seeded
+const MAX_ALIGNMENT_MS = 2000;
+
+// A passage with this share of its words swapped for synonyms, and at least
+// MIN_SUBSTITUTIONS of them, was spun
+const SPIN_RATE = 0.05;
+const MIN_SUBSTITUTIONS = 3;
+
+/**
+ * Lightly stemmed form of a lowercase word, so plurals and -ed/-ing forms compare equal
+ * @param {string} word - Lowercase word without accents
+ * @returns {string} - Stem
+ */
+function stem(word) {
+    let result = word;
+    if (result.length > 3 && result.endsWith('ies')) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (result.length > 3 && result.endsWith('s') && !/(?:ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+    if (result.length > 5 && result.endsWith('ing')) {
+        result = result.slice(0, -3);
+    } else if (result.length > 3 && result.endsWith('ed')) {
+        result = result.slice(0, -2);
+    }
+    if (result.length > 2 && result.endsWith('e')) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+/**
+ * Lowercase a word and remove its accents
+ * @param {string} word - Word
+ * @returns {string} - Plain lowercase word
+ */
+function plain(word) {
+    return word.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+}
+
+// Stem of every synonym => stem of the first word of its group
+const CANONICAL = new Map(synonyms.flatMap(group => group.map(word => [stem(plain(word)), stem(plain(group[0]))])));
+
+/**
+ * Words of a text with their position
+ * @param {string} text - Text
+ * @returns {Object[]} - { text, start, end, form, canonical }; form is the stem, canonical folds synonyms
+ */
+function tokenize(text) {
+    return [...String(text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)].map(match => {
+        const form = stem(plain(match[0]));
+        return {
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+            form,
+            canonical: CANONICAL.get(form) || form
+        };
+    });
+}
+
+/**
+ * Hash of every shingle of a token list
+ * @param {Object[]} tokens - Tokens from tokenize()
+ * @returns {number[]} - Hash of the shingle starting at each token
+ */
+function shingleHashes(tokens) {
+    const hashes = [];
+    for (let index = 0; index + SHINGLE_WORDS <= tokens.length; index++) {
+        hashes.push(hashString(tokens.slice(index, index + SHINGLE_WORDS).map(token => token.canonical).join(' ')));
+    }
+    return hashes;
+}
+
+/**
+ * Flag the tokens of shingles repeated more than MAX_OCCURRENCES times as boilerplate
+ * @param {Object[]} tokens - Tokens from tokenize(), flagged in place
+ * @returns {Object[]} - The tokens
+ */
+function markBoilerplate(tokens) {
+    const hashes = shingleHashes(tokens);
+    const counts = new Map();
+    hashes.forEach(hash => counts.set(hash, (counts.get(hash) || 0) + 1));
+    hashes.forEach((hash, index) => {
+        if (counts.get(hash) > MAX_OCCURRENCES) {
+            for (let offset = 0; offset < SHINGLE_WORDS; offset++) {
+                tokens[index + offset].boilerplate = true;
+            }
+        }
+    });
+    return tokens;
+}
+
+/**
+ * Winnowed fingerprints of a token list
+ * @param {Object[]} tokens - Tokens from tokenize()
+ * @returns {Object[]} - { hash, position } with position the index of the shingle's first token
+ */
+function winnow(tokens) {
+    const hashes = shingleHashes(tokens);
+
+    const fingerprints = [];
+    let last = -1;
+    for (let start = 0; start < Math.max(hashes.length - WINDOW + 1, hashes.length ? 1 : 0); start++) {
+        // The rightmost smallest hash of the window, recorded once however many windows pick it
+        let chosen = start;
+        for (let index = start; index < Math.min(start + WINDOW, hashes.length); index++) {
+            if (hashes[index] <= hashes[chosen]) {
+                chosen = index;
+            }
+        }
+        if (chosen !== last) {
+            fingerprints.push({ hash: hashes[chosen], position: chosen });
+            last = chosen;
+        }
+    }
+    return fingerprints;
+}
+
+// Words skipped in the article and the source to get back in step after a
+// mismatch, fewest first: [1, 1] steps over a replaced word, [0, 1] over an
+// inserted one
+const RESYNC_STEPS = [];
+for (let total = 1; total <= MAX_GAP * 2; total++) {
+    for (let skipA = 0; skipA <= Math.min(total, MAX_GAP); skipA++) {
+        if (total - skipA <= MAX_GAP) {
+            RESYNC_STEPS.push([skipA, total - skipA]);
+        }
+    }
+}
+
+/**
+ * Extend a seed in one direction
+ * @param {Object[]} article - Article tokens
+ * @param {Object[]} source - Source tokens
+ * @param {number} i - Article index to start at
+ * @param {number} j - Source index to start at
+ * @param {number} direction - 1 forwards, -1 backwards
+ * @param {number} [matched] - Words the passage matched already
+ * @returns {number[][]} - Aligned [article index, source index] pairs in the order visited
+ */
+function extend(article, source, i, j, direction, matched = 0) {
+    const equal = (a, b) => a >= 0 && b >= 0 && a < article.length && b < source.length &&
+        article[a].canonical === source[b].canonical;
+    // Two words in step after a gap, so a single common word does not count
+    const inStep = (a, b) => equal(a, b) && equal(a + direction, b + direction);
+
+    const pairs = [];
+    let skipped = 0;
+    while (true) {
+        if (equal(i, j)) {
+            pairs.push([i, j]);
+            i += direction;
+            j += direction;
+            continue;
+        }
+        const step = RESYNC_STEPS.find(([skipA, skipB]) => inStep(i + skipA * direction, j + skipB * direction));
+        if (!step || skipped + Math.max(...step) > Math.max(MAX_GAP, (matched + pairs.length) * MAX_GAP_SHARE)) {
+            break;
+        }
+        skipped += Math.max(...step);
+        i += step[0] * direction;
+        j += step[1] * direction;
+    }
+    return pairs;
+}
+
+/**
+ * Fingerprint positions by hash, without boilerplate
+ * @param {Object[]} tokens - Tokens flagged by markBoilerplate()
+ * @returns {Map} - Hash => positions
+ */
+function indexFingerprints(tokens) {
+    const index = new Map();
+    winnow(tokens)
+        .filter(({ position }) => !tokens.slice(position, position + SHINGLE_WORDS).every(token => token.boilerplate))
+        .forEach(({ hash, position }) => {
+            index.set(hash, [...(index.get(hash) || []), position]);
+        });
+    return index;
+}
+
+/**
+ * Passages an article shares with a source text
+ * @param {string} articleText - Audited article
+ * @param {string} sourceText - Text it may be copied from
+ * @param {Object} [options]
+ * @param {number} [options.timeLimit] - Milliseconds after which no new passages are seeded
+ * @returns {Object} - { articleWords, passages, truncated }; each passage has the aligned { text, start, end }
+ *                     of the article and the source, its article and source word ranges, the article words it
+ *                     matched outside boilerplate, the count of all words it matched, the synonym substitutions
+ *                     [{ article, source }] and whether it was spun. truncated is set when a text was cut or
+ *                     time ran out
+ */
+function alignPassages(articleText, sourceText, { timeLimit = MAX_ALIGNMENT_MS } = {}) {
+    const allArticle = tokenize(articleText);
+    const allSource = tokenize(sourceText);
+    const article = markBoilerplate(allArticle.slice(0, MAX_WORDS));
+    const source = markBoilerplate(allSource.slice(0, MAX_WORDS));
+    let truncated = article.length < allArticle.length || source.length < allSource.length;
+    const deadline = Date.now() + timeLimit;
+
+    // Fingerprints of both texts, without boilerplate
+    const articleIndex = indexFingerprints(article);
+    const sourceIndex = indexFingerprints(source);
+
+    const passages = [];
+    // Source ranges of the passages, by article word
+    const coveredBy = new Map();
+    const covered = (articleWord, sourceWord) => (coveredBy.get(articleWord) || []).some(range =>
+        sourceWord >= range[0] && sourceWord < range[1]);
+
+    for (const [hash, positions] of articleIndex) {
+        if (Date.now() >= deadline) {
+            truncated = true;
+            break;
+        }
+        const seeds = positions.flatMap(position => (sourceIndex.get(hash) || []).map(sourcePosition => [position, sourcePosition]));
+        seeds.forEach(([position, sourcePosition]) => {
+            if (covered(position, sourcePosition)) {
+                return;
+            }
+            // Hashes can collide; the seed must be a real shingle match
+            for (let offset = 0; offset < SHINGLE_WORDS; offset++) {
+                if (article[position + offset].canonical !== source[sourcePosition + offset].canonical) {
+                    return;
+                }
+            }
+
+            const forward = extend(article, source, position, sourcePosition, 1);
+            const backward = extend(article, source, position - 1, sourcePosition - 1, -1, forward.length);
+            const pairs = [...backward.reverse(), ...forward];
+            const articleIndexes = pairs.map(([a]) => a).filter(a => !article[a].boilerplate);
+            if (articleIndexes.length < MIN_PASSAGE_WORDS) {
+                return;
+            }
+
+            const [firstA, firstB] = pairs[0];
+            const [lastA, lastB] = pairs[pairs.length - 1];
+            const substitutions = pairs
+                .filter(([a, b]) => article[a].form !== source[b].form)
+                .map(([a, b]) => ({ article: article[a].text, source: source[b].text }));
+
+            passages.push({
+                article: { text: articleText.slice(article[firstA].start, article[lastA].end), start: article[firstA].start, end: article[lastA].end },
+                source: { text: sourceText.slice(source[firstB].start, source[lastB].end), start: source[firstB].start, end: source[lastB].end },
+                articleRange: [firstA, lastA + 1],
+                sourceRange: [firstB, lastB + 1],
+                articleIndexes,
+                words: pairs.length,
+                substitutions,
+                spun: substitutions.length >= MIN_SUBSTITUTIONS && substitutions.length / pairs.length >= SPIN_RATE
+            });
+            for (let word = firstA; word <= lastA; word++) {
+                coveredBy.set(word, [...(coveredBy.get(word) || []), [firstB, lastB + 1]]);
+            }
+        });
+    }
+
+    passages.sort((a, b) => a.articleRange[0] - b.articleRange[0]);
+    return { articleWords: article.length, passages, truncated };
+}
+
+/**
+ * Share of an article matched by passages, counting the aligned words only, and words matched by several
+ * passages once
+ * @param {Object[]} passages - Passages from alignPassages, of any number of sources
+ * @param {number} articleWords - Words in the article
+ * @returns {Object} - { matchedWords, totalWords, percent }
+ */
+function measureCoverage(passages, articleWords) {
+    const matchedWords = new Set(passages.flatMap(passage => passage.articleIndexes)).size;
+
+    return {
+        matchedWords,
+        totalWords: articleWords,
+        percent: articleWords > 0 ? Math.round(matchedWords / articleWords * 1000) / 10 : 0
+    };
+}
+
+module.exports = {
+    tokenize,
+    winnow,
+    alignPassages,
+    measureCoverage,
+    stem,
+    SHINGLE_WORDS,
+    WINDOW,
+    MIN_PASSAGE_WORDS,
+    MAX_WORDS
+};
@@ -0,0 +1,22 @@
+/**
+ * Brand domains protected from lookalike domains
+ * The lookalike domain check sends domains that imitate one of these, with
+ * confusable characters or mixed scripts, for review. Set PROTECTED_DOMAINS
+ * to a comma-separated list to replace the defaults.
+ */
+const defaultDomains = [
+    // Platforms and payments
+    'amazon.com', 'apple.com', 'facebook.com', 'google.com', 'instagram.com',
+    'linkedin.com', 'microsoft.com', 'netflix.com', 'paypal.com', 'twitter.com',
+    'whatsapp.com', 'youtube.com',
+
+    // Publishers
+    'bbc.com', 'cnn.com', 'forbes.com', 'nytimes.com', 'reuters.com',
+    'theguardian.com', 'washingtonpost.com', 'wikipedia.org'
+];
+
+const protectedDomains = process.env.PROTECTED_DOMAINS
+    ? process.env.PROTECTED_DOMAINS.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    : defaultDomains;
+
+module.exports = protectedDomains;
@@ -0,0 +1,239 @@
+/**
+ * Publishing Cadence
+ * Turns the content dates the recency checker collects into a monthly
+ * publication histogram and evaluates how regularly a site publishes: posts
+ * in each of the last months and the longest gap between posts. It also flags
+ * future-dated content and bursts of backdated content, where many posts
+ * carry the same old publication day.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Dates further in the future than this count as future-dated
+const FUTURE_TOLERANCE = DAY;
+
+// Months shown in the histogram, counting back from the current month
+const HISTOGRAM_MONTHS = parseInt(process.env.CADENCE_HISTOGRAM_MONTHS) || 120;
+
+// A day is a burst when it has at least BURST_MIN_POSTS publication dates and
+// BURST_FACTOR times the site's median posts per publishing day
+const BURST_MIN_POSTS = parseInt(process.env.CADENCE_BURST_MIN_POSTS) || 20;
+const BURST_FACTOR = parseInt(process.env.CADENCE_BURST_FACTOR) || 5;
+
+// The longest gap is looked for in the dates of this many last days only.
+// Collectors sample both ends of long archives (the newest and oldest posts
+// of the WordPress API or of a sitemap index), so the dates in between are
+// missing and the boundary would look like a years-long gap
+const GAP_WINDOW_DAYS = parseInt(process.env.CADENCE_GAP_WINDOW_DAYS) || 365;
+
+// Examples listed per flag
+const FLAG_EXAMPLES = 5;
+
+const CADENCE_FLAG = {
+    FUTURE_DATED: 'future-dated',
+    BACKDATED_BURST: 'backdated-burst'
+};
+
+// Confidence levels, most trusted first
+const CONFIDENCE_ORDER = ['high', 'medium', 'low'];
+
+/**
+ * Month of a date, in UTC
+ * @param {Date} date - Date
+ * @returns {string} - YYYY-MM
+ */
+function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Start of the month a number of months before the month of a date, in UTC
+ * @param {Date} date - Date
+ * @param {number} monthsBack - Months to go back
+ * @returns {Date} - First instant of that month
+ */
+function monthStart(date, monthsBack = 0) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - monthsBack, 1));
+}
+
+/**
+ * One publication date per page. A page can have several dates (published
+ * and modified, or the same page in a sitemap and a feed); the most trusted
+ * one is kept. Dates scraped from page text are only used when no source
+ * gives a better date, since they include copyright years and event dates.
+ * @param {Object[]} entries - Dated entries { date, source, confidence, url }
+ * @returns {Object[]} - Entries, one per URL
+ */
+function selectPosts(entries) {
+    const rank = entry => {
+        const index = CONFIDENCE_ORDER.indexOf(entry.confidence);
+        return index === -1 ? CONFIDENCE_ORDER.length : index;
+    };
+    const trusted = entries.filter(entry => entry.confidence !== 'low');
+    const candidates = trusted.length > 0 ? trusted : entries;
+
+    // Scraped dates share the URL of the page they were scraped from, so they are kept apart
+    const byUrl = new Map();
+    const unkeyed = [];
+    candidates.forEach(entry => {
+        if (!entry.url || entry.confidence === 'low') {
+            unkeyed.push(entry);
+            return;
+        }
+        const current = byUrl.get(entry.url);
+        if (!current || rank(entry) < rank(current)) {
+            byUrl.set(entry.url, entry);
+        }
+    });
+
+    return [...byUrl.values(), ...unkeyed];
+}
+
+/**
+ * Posts per month, from the month of the oldest post (at most HISTOGRAM_MONTHS
+ * back) to the current month, including months without posts
+ * @param {Date[]} dates - Publication dates, none in the future
+ * @param {Date} [now] - Current time
+ * @returns {Object[]} - [{ month: 'YYYY-MM', posts }], oldest month first
+ */
+function buildHistogram(dates, now = new Date()) {
+    if (dates.length === 0) {
+        return [];
+    }
+
+    const counts = new Map();
+    dates.forEach(date => counts.set(monthKey(date), (counts.get(monthKey(date)) || 0) + 1));
+
+    const oldest = new Date(Math.min(...dates.map(date => date.getTime())));
+    const histogram = [];
+    for (let back = HISTOGRAM_MONTHS - 1; back >= 0; back--) {
+        const month = monthStart(now, back);
+        if (month < monthStart(oldest)) {
+            continue;
+        }
+        histogram.push({ month: monthKey(month), posts: counts.get(monthKey(month)) || 0 });
+    }
+
+    return histogram;
+}
+
+/**
+ * Longest time between two consecutive posts
+ * @param {Date[]} dates - Publication dates
+ * @returns {Object|null} - { days, from, to }, or null with fewer than two posts
+ */
+function findLongestGap(dates) {
+    const sorted = [...dates].sort((a, b) => a - b);
+    let longest = null;
+
+    for (let i = 1; i < sorted.length; i++) {
+        const days = Math.round((sorted[i] - sorted[i - 1]) / DAY);
+        if (!longest || days > longest.days) {
+            longest = { days, from: sorted[i - 1].toISOString(), to: sorted[i].toISOString() };
+        }
+    }
+
+    return longest;
+}
+
+/**
+ * Days with far more publication dates than the site usually publishes in a
+ * day, the trace of old content imported or backdated in bulk. Only dates
+ * given as publication dates count, since a site-wide edit legitimately
+ * changes the modification date of every page at once.
+ * @param {Object[]} posts - Posts from selectPosts
+ * @returns {Object[]} - [{ day: 'YYYY-MM-DD', posts }], largest first
+ */
+function findBursts(posts) {
+    const perDay = new Map();
+    posts.filter(post => post.confidence === 'high').forEach(post => {
+        const day = post.date.toISOString().slice(0, 10);
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+    });
+    if (perDay.size === 0) {
+        return [];
+    }
+
+    const counts = [...perDay.values()].sort((a, b) => a - b);
+    const median = counts[Math.floor(counts.length / 2)];
+    const threshold = Math.max(BURST_MIN_POSTS, BURST_FACTOR * median);
+
+    return [...perDay.entries()]
+        .filter(([, count]) => count >= threshold)
+        .map(([day, count]) => ({ day, posts: count }))
+        .sort((a, b) => b.posts - a.posts);
+}
+
+/**
+ * Analyze a site's publishing cadence; gaps are looked for in the last GAP_WINDOW_DAYS days
+ * @param {Object[]} entries - Dated entries { date, source, confidence, url }
+ * @param {Object} thresholds - Recency thresholds, see resolveRecencyThresholds
+ * @param {number} thresholds.minPostsPerMonth - Posts required in each of the last activeMonths months; 0 disables the rule
+ * @param {number} thresholds.activeMonths - Complete calendar months the rule covers
+ * @param {number} thresholds.maxGapDays - Longest allowed gap between posts; 0 disables the rule
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { posts, dates, histogram, monthlyPosts, longestGap, flags, failure };
+ *                     failure is { reason, details } for the first rule broken, or null
+ */
+function analyzeCadence(entries, thresholds, now = new Date()) {
+    const isFuture = entry => entry.date.getTime() > now.getTime() + FUTURE_TOLERANCE;
+    // Future dates scraped from page text are mostly event dates, not content
+    const future = entries.filter(entry => isFuture(entry) && entry.confidence !== 'low');
+    const posts = selectPosts(entries.filter(entry => !isFuture(entry)));
+    const dates = posts.map(post => post.date);
+    const histogram = buildHistogram(dates, now);
+
+    // The current month is still running, so the rule looks at complete months
+    const { minPostsPerMonth, activeMonths, maxGapDays, profile } = thresholds;
+    const monthlyPosts = [];
+    for (let back = activeMonths; back >= 1; back--) {
+        const month = monthKey(monthStart(now, back));
+        const bar = histogram.find(item => item.month === month);
+        monthlyPosts.push({ month, posts: bar ? bar.posts : 0 });
+    }
+
+    const longestGap = findLongestGap(dates.filter(date => date.getTime() >= now.getTime() - GAP_WINDOW_DAYS * DAY));
+
+    const flags = [];
+    if (future.length > 0) {
+        flags.push({
+            type: CADENCE_FLAG.FUTURE_DATED,
+            count: future.length,
+            examples: future.slice(0, FLAG_EXAMPLES).map(entry => ({ url: entry.url, date: entry.date.toISOString(), source: entry.source }))
+        });
+    }
+    const bursts = findBursts(posts);
+    if (bursts.length > 0) {
+        flags.push({
+            type: CADENCE_FLAG.BACKDATED_BURST,
+            count: bursts.reduce((total, burst) => total + burst.posts, 0),
+            examples: bursts.slice(0, FLAG_EXAMPLES)
+        });
+    }
+
+    let failure = null;
+    const quietMonths = monthlyPosts.filter(month => month.posts < minPostsPerMonth);
+    if (minPostsPerMonth > 0 && quietMonths.length > 0) {
+        failure = {
+            reason: `Fewer than ${minPostsPerMonth} posts in each of the last ${activeMonths} months`,
+            details: `${quietMonths.map(month => `${month.month}: ${month.posts}`).join(', ')} (must be at least ${minPostsPerMonth} per month, ${profile} profile)`
+        };
+    } else if (maxGapDays > 0 && longestGap && longestGap.days > maxGapDays) {
+        failure = {
+            reason: `Publishing gap longer than ${maxGapDays} days`,
+            details: `No posts for ${longestGap.days} days between ${longestGap.from.slice(0, 10)} and ${longestGap.to.slice(0, 10)} (must be at most ${maxGapDays} days, ${profile} profile)`
+        };
+    }
+
+    return { posts, dates, histogram, monthlyPosts, longestGap, flags, failure };
+}
+
+module.exports = {
+    analyzeCadence,
+    buildHistogram,
+    selectPosts,
+    findLongestGap,
+    findBursts,
+    CADENCE_FLAG,
+    GAP_WINDOW_DAYS
+};
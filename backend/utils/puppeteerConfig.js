@@ -135,6 +135,8 @@ function getPuppeteerLaunchOptions() {
         }
     }
 
+    const chromeExists = Boolean(executablePath);
+
     if (!executablePath) {
         logMessage(`[PuppeteerConfig] WARNING: No Chrome installation found in any standard location`, 'warn');
         executablePath = '/usr/bin/chromium-browser';
@@ -143,6 +145,8 @@ function getPuppeteerLaunchOptions() {
     const options = {
         headless: 'new',
         executablePath,
+        // Read by callers before launching; puppeteer ignores it
+        _chromeExists: chromeExists,
         args: [
             '--no-sandbox',
             '--disable-setuid-sandbox',
@@ -0,0 +1,76 @@
+/**
+ * Synonyms
+ * Groups of words that article spinners swap for each other to disguise
+ * copied text. Passage alignment (utils/passageAlignment.js) treats the words
+ * of a group as one word, so a spun copy still lines up with its source, and
+ * counts every swap it sees. Words are listed in their base form, lowercase;
+ * plural and -ed/-ing forms are matched through stemming. Words with common
+ * unrelated meanings (key, state, fine) are left out.
+ */
+const synonyms = [
+    ['big', 'large', 'huge', 'massive', 'enormous'],
+    ['small', 'little', 'tiny', 'minor'],
+    ['fast', 'quick', 'rapid', 'speedy', 'swift'],
+    ['quickly', 'rapidly', 'swiftly', 'speedily'],
+    ['buy', 'purchase'],
+    ['help', 'assist', 'aid'],
+    ['important', 'crucial', 'essential', 'vital', 'significant'],
+    ['use', 'utilize', 'employ'],
+    ['show', 'demonstrate', 'reveal'],
+    ['start', 'begin', 'commence'],
+    ['end', 'finish', 'conclude'],
+    ['get', 'obtain', 'acquire', 'gain'],
+    ['make', 'create', 'produce'],
+    ['need', 'require'],
+    ['many', 'numerous', 'various'],
+    ['often', 'frequently', 'regularly'],
+    ['also', 'additionally', 'furthermore', 'moreover'],
+    ['however', 'nevertheless', 'nonetheless'],
+    ['about', 'regarding', 'concerning'],
+    ['good', 'great', 'excellent'],
+    ['bad', 'poor', 'terrible'],
+    ['easy', 'simple', 'effortless', 'straightforward'],
+    ['hard', 'difficult', 'tough', 'challenging'],
+    ['method', 'technique', 'approach'],
+    ['result', 'outcome'],
+    ['problem', 'issue', 'difficulty'],
+    ['idea', 'concept', 'notion'],
+    ['people', 'individuals', 'persons'],
+    ['car', 'vehicle', 'automobile'],
+    ['house', 'home', 'residence'],
+    ['job', 'occupation', 'employment'],
+    ['money', 'cash', 'funds'],
+    ['choose', 'select', 'pick'],
+    ['try', 'attempt'],
+    ['keep', 'maintain', 'retain'],
+    ['improve', 'enhance', 'boost'],
+    ['increase', 'raise'],
+    ['reduce', 'decrease', 'diminish'],
+    ['find', 'discover', 'locate'],
+    ['think', 'believe', 'reckon'],
+    ['tell', 'inform', 'notify'],
+    ['give', 'provide', 'supply', 'offer'],
+    ['allow', 'permit', 'enable'],
+    ['main', 'primary', 'principal', 'chief'],
+    ['whole', 'entire', 'complete'],
+    ['several', 'multiple'],
+    ['enough', 'sufficient', 'adequate'],
+    ['mostly', 'largely', 'mainly', 'primarily'],
+    ['correct', 'accurate'],
+    ['beautiful', 'lovely', 'gorgeous', 'attractive'],
+    ['happy', 'glad', 'pleased', 'delighted'],
+    ['angry', 'furious', 'mad'],
+    ['smart', 'clever', 'intelligent'],
+    ['rich', 'wealthy', 'affluent'],
+    ['shop', 'store'],
+    ['area', 'region', 'zone'],
+    ['town', 'city'],
+    ['child', 'kid'],
+    ['answer', 'reply', 'response'],
+    ['ask', 'inquire', 'query'],
+    ['look', 'appear', 'seem'],
+    ['near', 'nearby'],
+    ['very', 'extremely', 'highly', 'really']
+];
+
+module.exports = synonyms;
@@ -0,0 +1,120 @@
+/**
+ * Text Sampler
+ * Picks the chunks of a site's text that are sent to a moderation provider
+ * that charges per call. Chunks with quick-scan hits go first. The others are
+ * taken in turns from every section (article, comments, other pages), each
+ * section spread evenly from its start to its end, until the character budget
+ * is spent.
+ */
+
+/**
+ * Order in which to take items so that any prefix is spread evenly:
+ * first, last, middle, then the middles of the halves
+ * @param {number} count - Number of items
+ * @returns {number[]} - Item indexes
+ */
+function spreadOrder(count) {
+    if (count <= 0) {
+        return [];
+    }
+
+    const order = count === 1 ? [0] : [0, count - 1];
+    const seen = new Set(order);
+    const intervals = [[0, count - 1]];
+
+    while (intervals.length > 0) {
+        const [from, to] = intervals.shift();
+        if (to - from < 2) {
+            continue;
+        }
+        const middle = Math.floor((from + to) / 2);
+        if (!seen.has(middle)) {
+            seen.add(middle);
+            order.push(middle);
+        }
+        intervals.push([from, middle], [middle, to]);
+    }
+
+    return order;
+}
+
+/**
+ * Chunks to analyze within a budget
+ * @param {Object[]} chunks - { text, section, url, offset, hits } in page order
+ * @param {number} budget - Characters that may be analyzed; Infinity analyzes everything
+ * @returns {Object[]} - Selected chunks in page order
+ */
+function sampleChunks(chunks, budget) {
+    const selected = new Set();
+    let spent = 0;
+
+    const take = chunk => {
+        if (spent + chunk.text.length > budget) {
+            return;
+        }
+        selected.add(chunk);
+        spent += chunk.text.length;
+    };
+
+    // Chunks the quick scan found something in, most hits first
+    chunks.filter(chunk => chunk.hits > 0)
+        .sort((a, b) => b.hits - a.hits)
+        .forEach(take);
+
+    // The rest, one chunk of each section in turn
+    const strata = new Map();
+    chunks.filter(chunk => !selected.has(chunk)).forEach(chunk => {
+        const key = `${chunk.section} ${chunk.url}`;
+        strata.set(key, [...(strata.get(key) || []), chunk]);
+    });
+    const queues = [...strata.values()].map(stratum => spreadOrder(stratum.length).map(index => stratum[index]));
+
+    for (let round = 0; queues.some(queue => round < queue.length); round++) {
+        queues.filter(queue => round < queue.length).forEach(queue => take(queue[round]));
+    }
+
+    return chunks.filter(chunk => selected.has(chunk));
+}
+
+/**
+ * How much of the text was analyzed
+ * @param {Object[]} chunks - All chunks
+ * @param {Object[]} analyzed - Chunks that were analyzed
+ * @param {number} budget - Character budget
+ * @returns {Object} - { percent, analyzedCharacters, totalCharacters, analyzedChunks, totalChunks,
+ *                     budgetCharacters, sections: [{ section, url, analyzedChunks, totalChunks }] }
+ */
+function describeCoverage(chunks, analyzed, budget) {
+    const characters = list => list.reduce((sum, chunk) => sum + chunk.text.length, 0);
+    const totalCharacters = characters(chunks);
+    const analyzedCharacters = characters(analyzed);
+
+    const sections = [];
+    chunks.forEach(chunk => {
+        let section = sections.find(entry => entry.section === chunk.section && entry.url === chunk.url);
+        if (!section) {
+            section = { section: chunk.section, url: chunk.url, analyzedChunks: 0, totalChunks: 0 };
+            sections.push(section);
+        }
+        section.totalChunks++;
+        if (analyzed.includes(chunk)) {
+            section.analyzedChunks++;
+        }
+    });
+
+    return {
+        percent: totalCharacters > 0 ? Math.round(analyzedCharacters / totalCharacters * 1000) / 10 : 0,
+        analyzedCharacters,
+        totalCharacters,
+        analyzedChunks: analyzed.length,
+        totalChunks: chunks.length,
+        budgetCharacters: Number.isFinite(budget) ? budget : null,
+        sections
+    };
+}
+
+module.exports = {
+    sampleChunks,
+    describeCoverage,
+    spreadOrder
+};
@@ -0,0 +1,184 @@
+/**
+ * Text Signatures
+ * MinHash and SimHash signatures of a text's word shingles, for finding
+ * near-duplicate pages without keeping their text. Two texts with a share J of
+ * shingles in common have about a share J of equal MinHash values, and texts
+ * that differ in a few words have SimHashes a few bits apart.
+ */
+
+// Words per shingle
+const SHINGLE_SIZE = 5;
+
+// MinHash values per signature, split into bands for the index lookup. With
+// 32 bands of 4 values, pages sharing half their shingles are found 87% of
+// the time and pages sharing a fifth 5% of the time
+const MINHASH_SIZE = 128;
+const BAND_ROWS = 4;
+
+// Fixed seeds so signatures stay comparable across processes and releases
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (value, index) => mix32(0x9e3779b9 + index * 0x85ebca6b));
+
+/**
+ * Scramble the bits of a 32-bit integer (MurmurHash3 finalizer)
+ * @param {number} value - Integer
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function mix32(value) {
+    let hash = value | 0;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text
+ * @param {number} [seed] - Offset basis
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function hashString(text, seed = 0x811c9dc5) {
+    let hash = seed;
+    for (let index = 0; index < text.length; index++) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Word shingles of a text, lowercased and without punctuation
+ * @param {string} text - Text
+ * @param {number} [size] - Words per shingle
+ * @returns {string[]} - Distinct shingles
+ */
+function shingle(text, size = SHINGLE_SIZE) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const shingles = new Set();
+    for (let index = 0; index + size <= words.length; index++) {
+        shingles.add(words.slice(index, index + size).join(' '));
+    }
+    return [...shingles];
+}
+
+/**
+ * MinHash signature of a set of shingles
+ * @param {string[]} shingles - Shingles
+ * @returns {number[]} - MINHASH_SIZE signed 32-bit integers, as stored in Postgres
+ */
+function minhash(shingles) {
+    const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+    shingles.forEach(text => {
+        const hash = hashString(text);
+        SEEDS.forEach((seed, index) => {
+            const value = mix32(hash ^ seed);
+            if (value < signature[index]) {
+                signature[index] = value;
+            }
+        });
+    });
+    return signature.map(value => value | 0);
+}
+
+/**
+ * 64-bit SimHash of a set of shingles
+ * @param {string[]} shingles - Shingles
+ * @returns {string} - 16 hex digits
+ */
+function simhash(shingles) {
+    const weights = new Array(64).fill(0);
+    shingles.forEach(text => {
+        [hashString(text), hashString(text, 0x050c5d1f)].forEach((half, halfIndex) => {
+            for (let bit = 0; bit < 32; bit++) {
+                weights[halfIndex * 32 + bit] += (half >>> bit) & 1 ? 1 : -1;
+            }
+        });
+    });
+
+    const halves = [0, 1].map(halfIndex => weights
+        .slice(halfIndex * 32, halfIndex * 32 + 32)
+        .reduce((half, weight, bit) => (weight > 0 ? half | (1 << bit) : half), 0) >>> 0);
+    return halves.map(half => half.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Keys of the MinHash bands; pages sharing any key are near-duplicate candidates
+ * @param {number[]} signature - MinHash signature
+ * @returns {string[]} - One key per band
+ */
+function bandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band * BAND_ROWS < signature.length; band++) {
+        keys.push(`${band}:${signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS).join('.')}`);
+    }
+    return keys;
+}
+
+/**
+ * Estimated share of shingles two texts have in common
+ * @param {number[]} first - MinHash signature
+ * @param {number[]} second - MinHash signature
+ * @returns {number} - Jaccard similarity from 0 to 1
+ */
+function estimateSimilarity(first, second) {
+    const size = Math.min(first.length, second.length);
+    if (size === 0) {
+        return 0;
+    }
+    let equal = 0;
+    for (let index = 0; index < size; index++) {
+        if (first[index] === second[index]) {
+            equal++;
+        }
+    }
+    return equal / size;
+}
+
+/**
+ * Bits in which two SimHashes differ
+ * @param {string} first - SimHash
+ * @param {string} second - SimHash
+ * @returns {number} - Distance from 0 to 64
+ */
+function hammingDistance(first, second) {
+    let distance = 0;
+    for (let offset = 0; offset < 16; offset += 8) {
+        let bits = (parseInt(first.slice(offset, offset + 8), 16) ^ parseInt(second.slice(offset, offset + 8), 16)) >>> 0;
+        while (bits) {
+            bits &= bits - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Signatures of a text
+ * @param {string} text - Text
+ * @returns {Object} - { shingleCount, minhash, simhash, bandKeys }
+ */
+function signText(text) {
+    const shingles = shingle(text);
+    const signature = minhash(shingles);
+    return {
+        shingleCount: shingles.length,
+        minhash: signature,
+        simhash: simhash(shingles),
+        bandKeys: bandKeys(signature)
+    };
+}
+
+module.exports = {
+    shingle,
+    minhash,
+    simhash,
+    bandKeys,
+    estimateSimilarity,
+    hammingDistance,
+    hashString,
+    signText,
+    SHINGLE_SIZE,
+    MINHASH_SIZE
+};
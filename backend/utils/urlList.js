@@ -0,0 +1,133 @@
+/**
+ * URL List Parser
+ * Turns submitted site lists (JSON arrays, pasted text or CSV uploads) into
+ * normalized URLs for batch audits.
+ */
+
+// Header names recognised as the URL column of a CSV upload
+const URL_COLUMNS = ['url', 'urls', 'domain', 'domains', 'site', 'website'];
+
+/**
+ * Split one CSV line into cells, honouring double-quoted values
+ * @param {string} line - The CSV line
+ * @returns {string[]} - Trimmed cell values
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === ',' && !quoted) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    cells.push(current.trim());
+    return cells;
+}
+
+/**
+ * Normalize a submitted URL or bare domain
+ * @param {string} value - The submitted value
+ * @returns {string} - Normalized URL
+ * @throws {Error} - If the value is not an http(s) URL
+ */
+function normalizeSubmittedUrl(value) {
+    let candidate = String(value || '').trim();
+
+    if (!candidate) {
+        throw new Error('Empty URL');
+    }
+
+    // Submitted domains often come without a scheme
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) {
+        candidate = `https://${candidate}`;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(candidate);
+    } catch (error) {
+        throw new Error('Invalid URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+    }
+
+    if (!parsed.hostname.includes('.') && parsed.hostname !== 'localhost') {
+        throw new Error('Invalid hostname');
+    }
+
+    return parsed.href;
+}
+
+/**
+ * Extract the raw URL values from a text or CSV list
+ * @param {string} text - One URL per line, or CSV with an optional header row
+ * @returns {string[]} - Raw values in submission order
+ */
+function extractValues(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(splitCsvLine);
+
+    if (rows.length === 0) return [];
+
+    // Use the URL column named in the header row, otherwise the first column
+    let column = 0;
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const headerColumn = header.findIndex(cell => URL_COLUMNS.includes(cell));
+    if (headerColumn !== -1) {
+        column = headerColumn;
+        rows.shift();
+    }
+
+    return rows.map(cells => cells[column] || '');
+}
+
+/**
+ * Parse a submitted site list
+ * @param {string|string[]} input - Array of URLs, or text/CSV content
+ * @returns {Object} - { urls, invalid } with duplicates removed from urls
+ */
+function parseUrlList(input) {
+    const values = Array.isArray(input) ? input : extractValues(String(input || ''));
+    const urls = [];
+    const invalid = [];
+    const seen = new Set();
+
+    values.forEach(value => {
+        try {
+            const url = normalizeSubmittedUrl(value);
+            if (!seen.has(url)) {
+                seen.add(url);
+                urls.push(url);
+            }
+        } catch (error) {
+            invalid.push({ input: String(value), reason: error.message });
+        }
+    });
+
+    return { urls, invalid };
+}
+
+module.exports = {
+    parseUrlList,
+    normalizeSubmittedUrl,
+    splitCsvLine
+};
@@ -0,0 +1,131 @@
+/**
+ * URL Tokenizer
+ * Splits the hostname, path and query of a URL into words. Domain labels are
+ * often several words run together (freegamesonline), so every part is
+ * segmented with a lexicon, choosing the split that leaves the fewest
+ * characters outside known words. Punycode labels (xn--...) are decoded first,
+ * so internationalized domains are split in their Unicode form.
+ */
+
+const { domainToUnicode } = require('url');
+
+// Parts longer than this are not segmented (long slugs, encoded data)
+const MAX_SEGMENT_LENGTH = 100;
+
+// Where in the URL a token was found
+const TOKEN_LOCATION = {
+    DOMAIN: 'domain',
+    PATH: 'path',
+    QUERY: 'query'
+};
+
+/**
+ * Decode the punycode labels of a hostname
+ * @param {string} hostname - ASCII hostname, as returned by the URL parser
+ * @returns {string} - Lowercase Unicode hostname, or the hostname as is when it cannot be decoded
+ */
+function toUnicodeHostname(hostname) {
+    return (domainToUnicode(hostname) || hostname).toLowerCase();
+}
+
+/**
+ * Split a run of letters into known words and unknown stretches
+ * @param {string} text - Lowercase letters
+ * @param {Set<string>} lexicon - Known words
+ * @param {number} maxWordLength - Length of the longest word in the lexicon
+ * @returns {Object[]} - Segments { text, known, index }
+ */
+function segment(text, lexicon, maxWordLength) {
+    if (text.length > MAX_SEGMENT_LENGTH || lexicon.has(text)) {
+        return [{ text, known: lexicon.has(text), index: 0 }];
+    }
+
+    // best[i] is the cheapest split of text[0, i): fewest unknown characters, then fewest words
+    const best = [{ unknown: 0, words: 0, from: -1, known: false }];
+    for (let end = 1; end <= text.length; end++) {
+        // An unknown character extends the previous unknown stretch
+        const previous = best[end - 1];
+        best[end] = {
+            unknown: previous.unknown + 1,
+            words: previous.words + (previous.known || end === 1 ? 1 : 0),
+            from: end - 1,
+            known: false
+        };
+
+        for (let start = Math.max(0, end - maxWordLength); start < end; start++) {
+            if (!lexicon.has(text.slice(start, end))) {
+                continue;
+            }
+            const candidate = { unknown: best[start].unknown, words: best[start].words + 1, from: start, known: true };
+            if (candidate.unknown < best[end].unknown ||
+                (candidate.unknown === best[end].unknown && candidate.words < best[end].words)) {
+                best[end] = candidate;
+            }
+        }
+    }
+
+    // Walk back through the split, merging consecutive unknown characters
+    const segments = [];
+    for (let end = text.length; end > 0; end = best[end].from) {
+        const { from, known } = best[end];
+        const last = segments[0];
+        if (!known && last && !last.known && last.index === end) {
+            last.text = text.slice(from, end) + last.text;
+            last.index = from;
+        } else {
+            segments.unshift({ text: text.slice(from, end), known, index: from });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Split a URL into words
+ * @param {string} urlString - The URL to tokenize
+ * @param {Set<string>} lexicon - Known words, used to split concatenated words
+ * @returns {Object[]} - Tokens { token, known, location, part, index }, where part is the
+ *                       hostname label or path/query component the token was found in
+ */
+function tokenizeUrl(urlString, lexicon) {
+    const parsedUrl = new URL(urlString);
+    const maxWordLength = Math.max(0, ...Array.from(lexicon, word => word.length));
+
+    const parts = [
+        ...toUnicodeHostname(parsedUrl.hostname).split('.').map(part => ({ part, location: TOKEN_LOCATION.DOMAIN })),
+        ...decode(parsedUrl.pathname).split('/').map(part => ({ part, location: TOKEN_LOCATION.PATH })),
+        ...Array.from(parsedUrl.searchParams).flat().map(part => ({ part, location: TOKEN_LOCATION.QUERY }))
+    ];
+
+    const tokens = [];
+    parts.forEach(({ part, location }) => {
+        const lowerPart = part.toLowerCase();
+        // Hyphens, digits and punctuation separate words
+        for (const run of lowerPart.matchAll(/\p{L}+/gu)) {
+            segment(run[0], lexicon, maxWordLength).forEach(({ text, known, index }) => {
+                tokens.push({ token: text, known, location, part: lowerPart, index: run.index + index });
+            });
+        }
+    });
+
+    return tokens;
+}
+
+/**
+ * Decode a URL component, keeping it as is when it is not valid percent-encoding
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value
+ */
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+module.exports = {
+    tokenizeUrl,
+    segment,
+    toUnicodeHostname,
+    TOKEN_LOCATION
+};
@@ -3,6 +3,12 @@ document.addEventListener('DOMContentLoaded', function() {
     // API Base URL
     const API_BASE_URL = 'http://localhost:5000';
     
+    // How often to poll a running audit job (ms)
+    const JOB_POLL_INTERVAL = 2000;
+    
+    // Audit job events that update the live checklist
+    const AUDIT_STREAM_EVENTS = ['job:start', 'phase:start', 'check:start', 'check:finish', 'audit:short-circuit'];
+    
     // Navigation
     setupNavigation();
     
@@ -11,6 +17,7 @@ document.addEventListener('DOMContentLoaded', function() {
     initAuditPage();
     initHistoryPage();
     initStatsPage();
+    initBannedTermsPage();
     
     // Setup modal
     setupModal();
@@ -197,10 +204,18 @@ document.addEventListener('DOMContentLoaded', function() {
     /**
      * Audit URL Page
      */
+    let checkDefinitions = [];
+    
     function initAuditPage() {
         const auditButton = document.getElementById('audit-button');
         const urlInput = document.getElementById('url-input');
         
+        // Load the registered checks so results render in execution order
+        fetchCheckDefinitions();
+        fetchAuditProfiles();
+        
+        initBatchAudit();
+        
         auditButton.addEventListener('click', function() {
             const url = urlInput.value.trim();
             
@@ -213,21 +228,11 @@ document.addEventListener('DOMContentLoaded', function() {
             document.getElementById('audit-results').classList.add('hidden');
             document.getElementById('audit-error').classList.add('hidden');
             document.getElementById('audit-loading').classList.remove('hidden');
+            document.getElementById('audit-progress').textContent = '';
+            document.getElementById('audit-live-checks').innerHTML = '';
             
-            // Perform audit
-            fetch(`${API_BASE_URL}/audit/url`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ url })
-            })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Audit failed');
-                }
-                return response.json();
-            })
+            // Perform audit, following its progress live
+            streamAuditJob(url, updateAuditProgress, document.getElementById('audit-profile').value)
             .then(data => {
                 // Hide loading
                 document.getElementById('audit-loading').classList.add('hidden');
@@ -245,6 +250,429 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    /**
+     * Batch audits of pasted site lists or CSV uploads
+     */
+    function initBatchAudit() {
+        const batchButton = document.getElementById('batch-button');
+        const batchInput = document.getElementById('batch-input');
+        const batchFile = document.getElementById('batch-file');
+        const batchProfile = document.getElementById('batch-profile');
+        
+        batchButton.addEventListener('click', function() {
+            const file = batchFile.files[0];
+            const text = batchInput.value.trim();
+            
+            if (!file && !text) {
+                renderBatchMessage('Please enter URLs or choose a CSV file');
+                return;
+            }
+            
+            // Uploads are sent as CSV, pasted lists as plain text
+            const request = file ? file.text().then(content => ({ content, type: 'text/csv' })) :
+                Promise.resolve({ content: text, type: 'text/plain' });
+            
+            batchButton.disabled = true;
+            document.getElementById('batch-download').classList.add('hidden');
+            renderBatchMessage('Starting batch...');
+            
+            request
+                // The body is the list itself, so the profile goes in the query string
+                .then(({ content, type }) => fetch(`${API_BASE_URL}/audit/batch${batchProfile.value ? `?profile=${encodeURIComponent(batchProfile.value)}` : ''}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': type
+                    },
+                    body: content
+                }))
+                .then(response => response.json().then(data => {
+                    if (!response.ok) {
+                        throw new Error(data.error || 'Batch failed');
+                    }
+                    return data;
+                }))
+                .then(data => pollBatch(data.batchId))
+                .catch(error => {
+                    renderBatchMessage(`Batch failed: ${error.message}`);
+                })
+                .finally(() => {
+                    batchButton.disabled = false;
+                });
+        });
+    }
+    
+    function pollBatch(batchId) {
+        return fetch(`${API_BASE_URL}/audit/batch/${batchId}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch batch');
+                }
+                return response.json();
+            })
+            .then(data => {
+                const batch = data.batch;
+                const progress = batch.progress;
+                const finished = progress.completed + progress.failed;
+                
+                renderBatchMessage(
+                    `${finished} of ${progress.total} sites audited (${progress.percent}%) - ` +
+                    `${progress.statuses.pass} passed, ${progress.statuses.fail} failed, ` +
+                    `${progress.statuses.review} for review, ${progress.statuses.error} errors` +
+                    (progress.invalid ? `, ${progress.invalid} invalid entries skipped` : '')
+                );
+                
+                if (batch.status === 'completed') {
+                    const download = document.getElementById('batch-download');
+                    download.href = `${API_BASE_URL}/audit/batch/${batchId}/summary`;
+                    download.classList.remove('hidden');
+                    
+                    // Refresh dashboard data
+                    fetchDashboardData();
+                    return batch;
+                }
+                
+                return new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL))
+                    .then(() => pollBatch(batchId));
+            });
+    }
+    
+    function renderBatchMessage(message) {
+        document.getElementById('batch-status').classList.remove('hidden');
+        document.getElementById('batch-progress-text').textContent = message;
+    }
+    
+    function fetchCheckDefinitions() {
+        fetch(`${API_BASE_URL}/audit/checks`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch checks');
+                }
+                return response.json();
+            })
+            .then(data => {
+                checkDefinitions = data.checks || [];
+            })
+            .catch(error => {
+                console.error('Error fetching check definitions:', error);
+            });
+    }
+    
+    /**
+     * Fills the profile selectors of single and batch audits
+     */
+    function fetchAuditProfiles() {
+        fetch(`${API_BASE_URL}/audit/profiles`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch audit profiles');
+                }
+                return response.json();
+            })
+            .then(data => {
+                const options = (data.profiles || []).map(profile => {
+                    const { maxDaysSinceRecent, minDaysSinceOldest, minPostsPerMonth } = profile.recency;
+                    const cadence = minPostsPerMonth > 0 ? `, ${minPostsPerMonth}+ posts a month` : '';
+                    const label = `${profile.name} (content within ${maxDaysSinceRecent} days, history over ${minDaysSinceOldest} days${cadence})`;
+                    return `<option value="${escapeHtml(profile.name)}"${profile.default ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+                }).join('');
+                
+                ['audit-profile', 'batch-profile'].forEach(id => {
+                    document.getElementById(id).innerHTML = options;
+                });
+            })
+            .catch(error => {
+                console.error('Error fetching audit profiles:', error);
+            });
+    }
+    
+    /**
+     * Queues an audit job and polls it until it finishes.
+     * Resolves with the audit result of the completed job.
+     */
+    function runAuditJob(url, onProgress) {
+        return submitAuditJob(url).then(jobId => pollAuditJob(jobId, onProgress));
+    }
+    
+    function submitAuditJob(url, profile) {
+        return fetch(`${API_BASE_URL}/audit/url`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(profile ? { url, profile } : { url })
+        })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Audit failed');
+            }
+            return response.json();
+        })
+        .then(data => data.jobId);
+    }
+    
+    /**
+     * Queues an audit job and follows its progress over Server-Sent Events.
+     * Falls back to polling when the event stream is unavailable.
+     */
+    function streamAuditJob(url, onProgress, profile) {
+        return submitAuditJob(url, profile).then(jobId => new Promise((resolve, reject) => {
+            if (!window.EventSource) {
+                resolve(pollAuditJob(jobId, onProgress));
+                return;
+            }
+            
+            const source = new EventSource(`${API_BASE_URL}/audit/jobs/${jobId}/events`);
+            let job = null;
+            let finished = false;
+            
+            // The snapshot holds the job state before the first live event
+            source.addEventListener('snapshot', event => {
+                job = JSON.parse(event.data);
+                onProgress(job);
+            });
+            
+            AUDIT_STREAM_EVENTS.forEach(type => {
+                source.addEventListener(type, event => {
+                    if (!job) return;
+                    applyAuditEvent(job, type, JSON.parse(event.data));
+                    onProgress(job);
+                });
+            });
+            
+            source.addEventListener('job:finish', event => {
+                finished = true;
+                source.close();
+                
+                const finishedJob = JSON.parse(event.data);
+                if (finishedJob.status === 'completed') {
+                    resolve(finishedJob.result);
+                } else {
+                    reject(new Error(finishedJob.error || 'Audit failed'));
+                }
+            });
+            
+            // The job is not running on the server, so no events will follow
+            source.addEventListener('job:error', event => {
+                finished = true;
+                source.close();
+                reject(new Error(JSON.parse(event.data).error));
+            });
+            
+            source.onerror = () => {
+                if (finished) return;
+                source.close();
+                resolve(pollAuditJob(jobId, onProgress));
+            };
+        }));
+    }
+    
+    /**
+     * Applies a streamed audit event to the job's per-check progress
+     */
+    function applyAuditEvent(job, type, event) {
+        const progress = job.progress;
+        const check = event.check ? progress.checks[event.check] : null;
+        
+        switch (type) {
+            case 'job:start':
+                job.status = 'running';
+                break;
+            case 'phase:start':
+                progress.currentPhase = event.phase;
+                break;
+            case 'check:start':
+                if (check) check.status = 'running';
+                break;
+            case 'check:finish':
+                if (check) {
+                    check.status = event.status;
+                    check.reason = event.reason;
+                    check.outcome = event.outcome;
+                }
+                progress.completed++;
+                break;
+            case 'audit:short-circuit':
+                event.skippedChecks.forEach(name => {
+                    if (progress.checks[name]) progress.checks[name].status = 'skipped';
+                });
+                break;
+        }
+    }
+    
+    function pollAuditJob(jobId, onProgress) {
+        return fetch(`${API_BASE_URL}/audit/jobs/${jobId}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch audit job');
+                }
+                return response.json();
+            })
+            .then(data => {
+                const job = data.job;
+                
+                if (job.status === 'completed') {
+                    return job.result;
+                }
+                if (job.status === 'failed') {
+                    throw new Error(job.error || 'Audit failed');
+                }
+                
+                if (onProgress) onProgress(job);
+                
+                return new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL))
+                    .then(() => pollAuditJob(jobId, onProgress));
+            });
+    }
+    
+    function updateAuditProgress(job) {
+        const progressText = document.getElementById('audit-progress');
+        const { completed, total } = job.progress || {};
+        
+        progressText.textContent = job.status === 'queued' ?
+            'Waiting for a free audit slot...' :
+            `${completed} of ${total} checks complete`;
+        
+        renderLiveChecklist(job.progress ? job.progress.checks : {});
+    }
+    
+    function renderLiveChecklist(checks) {
+        const list = document.getElementById('audit-live-checks');
+        list.innerHTML = '';
+        
+        getOrderedChecks(checks).forEach(check => {
+            const checkItem = document.createElement('div');
+            checkItem.className = 'check-item';
+            
+            const label = check.outcome === 'timeout' ? 'timed out' : check.status;
+            
+            checkItem.innerHTML = `
+                <div class="check-header">
+                    <div class="check-name">${check.name}</div>
+                    <div class="check-status ${getCheckStatusClass(check.status)}">${label}</div>
+                </div>
+                ${check.reason ? `<div class="check-reason">${check.reason}</div>` : ''}
+            `;
+            
+            list.appendChild(checkItem);
+        });
+    }
+    
+    /**
+     * Turns the checks of an audit result into a list ordered like the check registry.
+     * Audit results keep checks in an object keyed by check name.
+     */
+    function getOrderedChecks(checks, skippedChecks = []) {
+        if (Array.isArray(checks)) return checks;
+        
+        const ordered = [];
+        const seen = new Set();
+        
+        checkDefinitions.forEach(definition => {
+            if (checks[definition.name]) {
+                ordered.push({ ...checks[definition.name], name: definition.displayName });
+            } else if (skippedChecks.includes(definition.name)) {
+                ordered.push({ name: definition.displayName, status: 'skipped' });
+            }
+            seen.add(definition.name);
+        });
+        
+        // Checks the dashboard does not know about yet
+        Object.entries(checks || {}).forEach(([name, check]) => {
+            if (!seen.has(name)) {
+                ordered.push({ ...check, name });
+            }
+        });
+        
+        return ordered;
+    }
+    
+    function getCheckStatusClass(status) {
+        if (status === 'pending' || status === 'skipped') return 'pending';
+        if (status === 'running') return 'running';
+        if (status === 'pass' || status === 'passed') return 'pass';
+        if (status === 'fail' || status === 'failed') return 'fail';
+        return 'error';
+    }
+    
+    /**
+     * Bar chart of the monthly publication histogram of a content recency result
+     * @param {Object} details - Check details
+     * @returns {string} - HTML, empty when the details have no histogram
+     */
+    function renderHistogram(details) {
+        if (!details || !Array.isArray(details.histogram) || details.histogram.length === 0) {
+            return '';
+        }
+        
+        const most = Math.max(1, ...details.histogram.map(bar => bar.posts));
+        const bars = details.histogram.map(bar => `
+            <div class="histogram-bar" title="${bar.month}: ${bar.posts} posts">
+                <div class="histogram-fill" style="height: ${Math.round(bar.posts / most * 100)}%"></div>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="histogram">
+                <div class="histogram-bars">${bars}</div>
+                <div class="histogram-axis">
+                    <span>${details.histogram[0].month}</span>
+                    <span>Posts per month (max ${most})</span>
+                    <span>${details.histogram[details.histogram.length - 1].month}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Flagged moderation categories of a hate speech result with the text that triggered them
+     * @param {Object} details - Check details
+     * @returns {string} - HTML, empty when no category was flagged
+     */
+    function renderModerationEvidence(details) {
+        if (!details || !details.categories || typeof details.categories !== 'object') {
+            return '';
+        }
+        
+        const flagged = Object.entries(details.categories).filter(([, category]) => category && category.status && category.status !== 'pass');
+        if (flagged.length === 0) {
+            return '';
+        }
+        
+        const rows = flagged.map(([name, category]) => `
+            <div class="moderation-category ${category.status}">
+                <div class="moderation-score">${escapeHtml(name)}: ${category.score} (${escapeHtml(category.status)} at ${category[category.status]})</div>
+                <ul class="moderation-evidence">
+                    ${(category.evidence || []).map(span => `
+                        <li><q>${escapeHtml(span.text)}</q> <span class="moderation-location">characters ${span.start}-${span.end}, ${escapeHtml(span.source)}</span></li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+        
+        return `<div class="moderation">${rows}</div>`;
+    }
+    
+    function renderPlagiarismPassages(details) {
+        if (!details || !Array.isArray(details.sources) || details.sources.length === 0) {
+            return '';
+        }
+        
+        const sources = details.sources.map(source => `
+            <div class="plagiarism-source">
+                <div class="plagiarism-score">${escapeHtml(source.title || source.url)}: ${source.coverage}% of the article <a href="${escapeHtml(source.url)}" target="_blank" rel="noopener">${escapeHtml(source.url)}</a></div>
+                ${(source.passages || []).map(passage => `
+                    <div class="plagiarism-passage${passage.spun ? ' spun' : ''}">
+                        <q>${escapeHtml(passage.article.text)}</q>
+                        <q>${escapeHtml(passage.source.text)}</q>
+                    </div>
+                    ${passage.substitutions.length > 0 ? `<div class="plagiarism-substitutions">${passage.substitutions.map(swap => `${escapeHtml(swap.source)} → ${escapeHtml(swap.article)}`).join(', ')}</div>` : ''}
+                `).join('')}
+            </div>
+        `).join('');
+        
+        return `<div class="plagiarism">${sources}</div>`;
+    }
+    
     function renderAuditResults(data) {
         const resultsContainer = document.getElementById('audit-results');
         const statusIcon = document.getElementById('audit-status-icon');
@@ -254,7 +682,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const checksList = document.getElementById('checks-list');
         
         // Set status
-        if (data.status === 'passed') {
+        if (data.status === 'passed' || data.status === 'pass') {
             statusIcon.innerHTML = '<i class="fas fa-check-circle text-success"></i>';
             statusText.textContent = 'Passed';
             statusText.className = 'text-success';
@@ -270,11 +698,11 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Render checks
         checksList.innerHTML = '';
-        data.checks.forEach(check => {
+        getOrderedChecks(data.checks, data.skippedChecks).forEach(check => {
             const checkItem = document.createElement('div');
             checkItem.className = 'check-item';
             
-            const statusClass = check.status === 'passed' ? 'pass' : 'fail';
+            const statusClass = getCheckStatusClass(check.status);
             
             checkItem.innerHTML = `
                 <div class="check-header">
@@ -282,6 +710,9 @@ document.addEventListener('DOMContentLoaded', function() {
                     <div class="check-status ${statusClass}">${check.status}</div>
                 </div>
                 ${check.reason ? `<div class="check-reason">${check.reason}</div>` : ''}
+                ${renderHistogram(check.details)}
+                ${renderModerationEvidence(check.details)}
+                ${renderPlagiarismPassages(check.details)}
                 ${check.details ? `<div class="check-details">${JSON.stringify(check.details, null, 2)}</div>` : ''}
             `;
             
@@ -571,6 +1002,243 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    /**
+     * Banned Terms Page
+     */
+    let bannedTerms = [];
+    let editingTermId = null;
+    
+    function initBannedTermsPage() {
+        const tokenInput = document.getElementById('banned-term-token');
+        tokenInput.value = sessionStorage.getItem('adminToken') || '';
+        tokenInput.addEventListener('change', function() {
+            sessionStorage.setItem('adminToken', this.value.trim());
+            fetchBannedTerms();
+        });
+        
+        document.getElementById('banned-term-save').addEventListener('click', saveBannedTerm);
+        document.getElementById('banned-term-cancel').addEventListener('click', resetBannedTermForm);
+        document.getElementById('banned-term-filter').addEventListener('input', renderBannedTermsTable);
+        
+        fetchBannedTerms();
+    }
+    
+    function fetchBannedTerms() {
+        fetch(`${API_BASE_URL}/admin/banned-terms`, { headers: adminHeaders() })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch banned terms');
+                }
+                return response.json();
+            })
+            .then(data => {
+                bannedTerms = data.data;
+                renderBannedTermsTable();
+            })
+            .catch(error => {
+                console.error('Error fetching banned terms:', error);
+                document.getElementById('banned-terms-table').innerHTML = 
+                    `<tr><td colspan="7">Error loading banned terms: ${escapeHtml(error.message)}</td></tr>`;
+            });
+        
+        fetch(`${API_BASE_URL}/admin/banned-terms/changes?limit=20`, { headers: adminHeaders() })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch changes');
+                }
+                return response.json();
+            })
+            .then(data => renderBannedTermChanges(data.data))
+            .catch(error => {
+                console.error('Error fetching banned term changes:', error);
+                document.getElementById('banned-term-changes-table').innerHTML = 
+                    `<tr><td colspan="4">Error loading changes: ${escapeHtml(error.message)}</td></tr>`;
+            });
+    }
+    
+    function renderBannedTermsTable() {
+        const tableBody = document.getElementById('banned-terms-table');
+        const filter = document.getElementById('banned-term-filter').value.trim().toLowerCase();
+        const terms = bannedTerms.filter(term => !filter ||
+            term.term.toLowerCase().includes(filter) || term.category.toLowerCase().includes(filter));
+        
+        if (terms.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="7">No banned terms found</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = '';
+        
+        terms.forEach(term => {
+            const row = document.createElement('tr');
+            const severityClass = term.severity === 'fail' ? 'text-danger' : 'text-warning';
+            
+            row.innerHTML = `
+                <td>${escapeHtml(term.term)}</td>
+                <td>${escapeHtml(term.category)}</td>
+                <td>${term.matchMode}</td>
+                <td class="${severityClass}">${term.severity}</td>
+                <td>${term.rejectionCode || '-'}</td>
+                <td>${escapeHtml(term.updatedBy)}${term.updatedAt ? `, ${new Date(term.updatedAt).toLocaleString()}` : ''}</td>
+                <td>
+                    <button class="btn primary edit-term" data-id="${term.id}">Edit</button>
+                    <button class="btn secondary delete-term" data-id="${term.id}">Delete</button>
+                </td>
+            `;
+            
+            tableBody.appendChild(row);
+        });
+        
+        tableBody.querySelectorAll('.edit-term').forEach(button => {
+            button.addEventListener('click', function() {
+                editBannedTerm(parseInt(this.getAttribute('data-id')));
+            });
+        });
+        tableBody.querySelectorAll('.delete-term').forEach(button => {
+            button.addEventListener('click', function() {
+                deleteBannedTerm(parseInt(this.getAttribute('data-id')));
+            });
+        });
+    }
+    
+    function renderBannedTermChanges(changes) {
+        const tableBody = document.getElementById('banned-term-changes-table');
+        
+        if (!changes || changes.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="4">No changes recorded</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = changes.map(change => {
+            const term = change.after || change.before;
+            const description = change.action === 'seed' ? `${change.after.count} default terms` :
+                change.action === 'update' ? describeTermChange(change.before, change.after) :
+                `${term.term} (${term.category}, ${term.matchMode}, ${term.severity})`;
+            
+            return `
+                <tr>
+                    <td>${new Date(change.changedAt).toLocaleString()}</td>
+                    <td>${escapeHtml(change.changedBy)}</td>
+                    <td>${change.action}</td>
+                    <td>${escapeHtml(description)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    function describeTermChange(before, after) {
+        const fields = ['term', 'category', 'matchMode', 'severity', 'rejectionCode'];
+        const changed = fields
+            .filter(field => before[field] !== after[field])
+            .map(field => `${field}: ${before[field] || '-'} → ${after[field] || '-'}`);
+        
+        return `${after.term}: ${changed.join(', ') || 'no changes'}`;
+    }
+    
+    function editBannedTerm(id) {
+        const term = bannedTerms.find(item => item.id === id);
+        if (!term) {
+            return;
+        }
+        
+        editingTermId = id;
+        document.getElementById('banned-term-term').value = term.term;
+        document.getElementById('banned-term-category').value = term.category;
+        document.getElementById('banned-term-mode').value = term.matchMode;
+        document.getElementById('banned-term-severity').value = term.severity;
+        document.getElementById('banned-term-code').value = term.rejectionCode || '';
+        document.getElementById('banned-term-form-title').textContent = 'Edit Term';
+        document.getElementById('banned-term-save').textContent = 'Save Changes';
+        document.getElementById('banned-term-cancel').classList.remove('hidden');
+        document.getElementById('banned-term-term').focus();
+    }
+    
+    function resetBannedTermForm() {
+        editingTermId = null;
+        ['banned-term-term', 'banned-term-category', 'banned-term-code'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('banned-term-mode').value = 'word';
+        document.getElementById('banned-term-severity').value = 'fail';
+        document.getElementById('banned-term-form-title').textContent = 'Add Term';
+        document.getElementById('banned-term-save').textContent = 'Add Term';
+        document.getElementById('banned-term-cancel').classList.add('hidden');
+    }
+    
+    function saveBannedTerm() {
+        const body = {
+            term: document.getElementById('banned-term-term').value,
+            category: document.getElementById('banned-term-category').value,
+            matchMode: document.getElementById('banned-term-mode').value,
+            severity: document.getElementById('banned-term-severity').value,
+            rejectionCode: document.getElementById('banned-term-code').value.trim()
+        };
+        
+        const url = editingTermId ? `${API_BASE_URL}/admin/banned-terms/${editingTermId}` : `${API_BASE_URL}/admin/banned-terms`;
+        sendBannedTermChange(url, editingTermId ? 'PUT' : 'POST', body)
+            .then(data => {
+                renderBannedTermMessage(`Saved "${data.data.term}"`);
+                resetBannedTermForm();
+                fetchBannedTerms();
+            })
+            .catch(error => renderBannedTermMessage(error.message, true));
+    }
+    
+    function deleteBannedTerm(id) {
+        const term = bannedTerms.find(item => item.id === id);
+        if (!term || !confirm(`Delete the banned term "${term.term}"?`)) {
+            return;
+        }
+        
+        sendBannedTermChange(`${API_BASE_URL}/admin/banned-terms/${id}`, 'DELETE')
+            .then(() => {
+                renderBannedTermMessage(`Deleted "${term.term}"`);
+                if (editingTermId === id) {
+                    resetBannedTermForm();
+                }
+                fetchBannedTerms();
+            })
+            .catch(error => renderBannedTermMessage(error.message, true));
+    }
+    
+    function adminHeaders() {
+        const token = document.getElementById('banned-term-token').value.trim();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+    
+    function sendBannedTermChange(url, method, body) {
+        if (!document.getElementById('banned-term-token').value.trim()) {
+            return Promise.reject(new Error('Please enter your admin token; changes are recorded under its user'));
+        }
+        
+        return fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...adminHeaders()
+            },
+            body: body ? JSON.stringify(body) : undefined
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || 'Change failed');
+                }
+                return data;
+            }));
+    }
+    
+    function renderBannedTermMessage(message, isError = false) {
+        const element = document.getElementById('banned-term-message');
+        element.textContent = message;
+        element.className = isError ? 'text-danger' : 'text-success';
+    }
+    
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+    
     /**
      * Shared Functions
      */
@@ -680,6 +1348,9 @@ document.addEventListener('DOMContentLoaded', function() {
                         <div class="check-status ${statusClass}">${check.status}</div>
                     </div>
                     ${check.reason ? `<div class="check-reason">${check.reason}</div>` : ''}
+                    ${renderHistogram(check.details)}
+                    ${renderModerationEvidence(check.details)}
+                ${renderModerationEvidence(check.details)}
                     ${check.details ? `<div class="check-details">${JSON.stringify(check.details, null, 2)}</div>` : ''}
                 </div>
             `;
@@ -725,19 +1396,7 @@ document.addEventListener('DOMContentLoaded', function() {
         modalError.classList.add('hidden');
         
         // Perform audit
-        fetch(`${API_BASE_URL}/audit/url`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ url })
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('Audit failed');
-            }
-            return response.json();
-        })
+        runAuditJob(url)
         .then(data => {
             // Hide loading
             modalLoading.classList.add('hidden');